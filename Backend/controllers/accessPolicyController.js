@@ -0,0 +1,353 @@
+const mongoose = require('mongoose');
+const AccessPolicy = require('../models/AccessPolicy');
+const User = require('../models/User');
+const Patient = require('../models/Patient');
+const EHR = require('../models/EHR');
+const AuditLog = require('../models/AuditLog');
+const { getClientIp } = require('../utils/ipHelper');
+const {
+  evaluatePolicy,
+  validatePolicy,
+  buildSubject,
+  buildResource,
+  buildEnvironment
+} = require('../utils/policyEngine');
+
+// Shape a policy version for API responses
+const serializePolicy = (policy, { withRules = true } = {}) => ({
+  version: policy.version,
+  combiningAlgorithm: policy.combiningAlgorithm,
+  defaultEffect: policy.defaultEffect,
+  comment: policy.comment,
+  basedOnVersion: policy.basedOnVersion,
+  isActive: policy.isActive,
+  ruleCount: policy.rules.length,
+  ...(withRules ? { rules: policy.rules } : {}),
+  createdBy: policy.createdBy,
+  createdAt: policy.createdAt,
+  activatedBy: policy.activatedBy,
+  activatedAt: policy.activatedAt
+});
+
+const auditPolicyChange = async (req, policy, action, details) => {
+  await AuditLog.createLog({
+    user: req.user.id,
+    userEmail: req.user.email,
+    userRole: req.user.role,
+    action,
+    resourceType: 'System',
+    resourceId: policy._id,
+    timestamp: new Date(),
+    ipAddress: getClientIp(req),
+    userAgent: req.headers['user-agent'],
+    status: 'SUCCESS',
+    details,
+    hospitalId: req.user.attributes?.hospitalId,
+    department: req.user.attributes?.department
+  });
+};
+
+const parseVersion = (value) => {
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : null;
+};
+
+/**
+ * @desc    List access policy versions
+ * @route   GET /api/admin/access-policies
+ * @access  Private (Admin)
+ */
+exports.getAccessPolicies = async (req, res) => {
+  try {
+    // Make sure the default version exists on a fresh install
+    await AccessPolicy.getActive();
+
+    const policies = await AccessPolicy.find()
+      .populate('createdBy', 'username email')
+      .populate('activatedBy', 'username email')
+      .sort({ version: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: policies.length,
+      data: policies.map((policy) => serializePolicy(policy, { withRules: false }))
+    });
+  } catch (error) {
+    console.error('Get access policies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching access policies',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the active access policy
+ * @route   GET /api/admin/access-policies/active
+ * @access  Private (Admin)
+ */
+exports.getActiveAccessPolicy = async (req, res) => {
+  try {
+    const policy = await AccessPolicy.getActive();
+
+    res.status(200).json({
+      success: true,
+      data: serializePolicy(policy)
+    });
+  } catch (error) {
+    console.error('Get active access policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching access policy',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get an access policy version
+ * @route   GET /api/admin/access-policies/:version
+ * @access  Private (Admin)
+ */
+exports.getAccessPolicy = async (req, res) => {
+  try {
+    const version = parseVersion(req.params.version);
+    const policy = version
+      ? await AccessPolicy.findOne({ version })
+        .populate('createdBy', 'username email')
+        .populate('activatedBy', 'username email')
+      : null;
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Access policy version not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: serializePolicy(policy)
+    });
+  } catch (error) {
+    console.error('Get access policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching access policy',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Save a new access policy version, optionally activating it
+ * @route   POST /api/admin/access-policies
+ * @access  Private (Admin)
+ */
+exports.createAccessPolicy = async (req, res) => {
+  try {
+    const { rules, combiningAlgorithm, defaultEffect, comment, basedOnVersion, activate } = req.body;
+
+    const errors = validatePolicy({ rules, combiningAlgorithm, defaultEffect });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid access policy',
+        errors
+      });
+    }
+
+    // Two admins saving at once would pick the same number; the unique index rejects the second
+    const policy = await AccessPolicy.create({
+      version: await AccessPolicy.nextVersion(),
+      rules,
+      combiningAlgorithm,
+      defaultEffect,
+      comment,
+      basedOnVersion: parseVersion(basedOnVersion) || undefined,
+      createdBy: req.user.id
+    });
+
+    await auditPolicyChange(req, policy, 'ACCESS_POLICY_CREATED', {
+      afterState: serializePolicy(policy)
+    });
+
+    let saved = policy;
+    if (activate) {
+      const previous = await AccessPolicy.getActive();
+      saved = await AccessPolicy.activate(policy.version, req.user.id);
+      await auditPolicyChange(req, saved, 'ACCESS_POLICY_ACTIVATED', {
+        beforeState: { version: previous.version },
+        afterState: { version: saved.version }
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: activate
+        ? `Access policy version ${saved.version} saved and activated`
+        : `Access policy version ${saved.version} saved`,
+      data: serializePolicy(saved)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another policy version was saved at the same time; please try again'
+      });
+    }
+
+    console.error('Create access policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving access policy',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Activate an access policy version (also used to roll back)
+ * @route   POST /api/admin/access-policies/:version/activate
+ * @access  Private (Admin)
+ */
+exports.activateAccessPolicy = async (req, res) => {
+  try {
+    const version = parseVersion(req.params.version);
+    const previous = await AccessPolicy.getActive();
+
+    if (version && previous.version === version) {
+      return res.status(400).json({
+        success: false,
+        message: `Version ${version} is already active`
+      });
+    }
+
+    const policy = version ? await AccessPolicy.activate(version, req.user.id) : null;
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Access policy version not found'
+      });
+    }
+
+    await auditPolicyChange(req, policy, 'ACCESS_POLICY_ACTIVATED', {
+      beforeState: { version: previous.version },
+      afterState: { version: policy.version }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Access policy version ${policy.version} is now active`,
+      data: serializePolicy(policy)
+    });
+  } catch (error) {
+    console.error('Activate access policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error activating access policy',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Dry-run an access decision and explain which rules matched and why
+ * @route   POST /api/admin/access-policies/explain
+ * @access  Private (Admin)
+ *
+ * Body: { user (id or email), patient (id or patientId), action, ehrId?,
+ *         version? | policy? (unsaved draft { rules, combiningAlgorithm, defaultEffect }),
+ *         environment? (overrides, e.g. { hourUtc: 3 }) }
+ */
+exports.explainAccessDecision = async (req, res) => {
+  try {
+    const { user: userRef, patient: patientRef, action, ehrId, version, policy: draft, environment } = req.body;
+
+    if (!userRef || !patientRef || !action) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide user, patient and action'
+      });
+    }
+
+    const userRefString = String(userRef);
+    const patientRefString = String(patientRef);
+    const [user, patient] = await Promise.all([
+      mongoose.Types.ObjectId.isValid(userRefString)
+        ? User.findById(userRefString)
+        : User.findOne({ email: userRefString.toLowerCase() }),
+      mongoose.Types.ObjectId.isValid(patientRefString)
+        ? Patient.findById(patientRefString)
+        : Patient.findOne({ patientId: patientRefString })
+    ]);
+
+    if (!user || !patient) {
+      return res.status(404).json({
+        success: false,
+        message: user ? 'Patient not found' : 'User not found'
+      });
+    }
+
+    let ehr = null;
+    if (ehrId) {
+      ehr = mongoose.Types.ObjectId.isValid(String(ehrId))
+        ? await EHR.findOne({ _id: String(ehrId), patient: patient._id })
+        : await EHR.findOne({ recordId: String(ehrId), patient: patient._id });
+
+      if (!ehr) {
+        return res.status(404).json({
+          success: false,
+          message: 'EHR not found for this patient'
+        });
+      }
+    }
+
+    let policy;
+    if (draft) {
+      const errors = validatePolicy(draft);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid access policy',
+          errors
+        });
+      }
+      policy = { ...draft, version: 'draft' };
+    } else if (version) {
+      policy = await AccessPolicy.findOne({ version: parseVersion(version) });
+      if (!policy) {
+        return res.status(404).json({
+          success: false,
+          message: 'Access policy version not found'
+        });
+      }
+    } else {
+      policy = await AccessPolicy.getActive();
+    }
+
+    const context = {
+      subject: buildSubject(user),
+      resource: buildResource(patient, ehr),
+      action: String(action),
+      environment: { ...buildEnvironment(null), ...(environment || {}) }
+    };
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...evaluatePolicy(policy, context),
+        context
+      }
+    });
+  } catch (error) {
+    console.error('Explain access decision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error explaining access decision',
+      error: error.message
+    });
+  }
+};
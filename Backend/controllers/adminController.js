@@ -1,5 +1,8 @@
 const User = require('../models/User');
 const AuditLog = require('../models/AuditLog');
+const { revokeAllSessions } = require('../utils/session');
+const { clearLoginFailures } = require('../utils/loginThrottle');
+const { suspendAccount } = require('../utils/accountStatus');
 
 /**
  * @desc    Get all users (Admin only)
@@ -246,6 +249,9 @@ exports.deleteUser = async (req, res) => {
     user.isActive = false;
     await user.save();
 
+    // Sign the user out everywhere
+    await revokeAllSessions(user._id, 'account_deleted', req.user.id);
+
     // Create audit log
     await AuditLog.createLog({
       user: req.user.id,
@@ -332,6 +338,7 @@ exports.unlockUserAccount = async (req, res) => {
 
     // Reset failed login attempts and unlock account
     await user.resetLoginAttempts();
+    await clearLoginFailures(user.email);
 
     // Create audit log
     await AuditLog.createLog({
@@ -397,19 +404,53 @@ exports.suspendUserAccount = async (req, res) => {
       });
     }
 
-    // Suspend user account
-    user.accountStatus = 'suspended';
-    user.suspensionReason = reason;
-    user.suspendedAt = new Date();
-    user.suspendedBy = req.user.id;
-    await user.save();
+    // Suspend, sign out everywhere and audit (shared with SCIM deactivation)
+    await suspendAccount(user, { reason, actor: req.user, req, auditLogId });
+
+    res.status(200).json({
+      success: true,
+      message: 'User account suspended successfully',
+      data: {
+        userId: user._id,
+        username: user.username,
+        status: user.accountStatus,
+        suspendedAt: user.suspendedAt
+      }
+    });
+  } catch (error) {
+    console.error('Suspend user account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error suspending user account',
+      error: error.message
+    });
+  }
+};
 
-    // Create audit log for suspension
+/**
+ * @desc    Force logout user from every session (Admin only)
+ * @route   POST /api/admin/users/:id/logout-all
+ * @access  Private (Admin)
+ */
+exports.forceLogoutUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const sessionsRevoked = await revokeAllSessions(user._id, 'admin', req.user.id);
+
+    // Create audit log
     await AuditLog.createLog({
       user: req.user.id,
       userEmail: req.user.email,
       userRole: req.user.role,
-      action: 'SUSPEND_USER',
+      action: 'FORCE_LOGOUT',
       resourceType: 'User',
       resourceId: user._id,
       timestamp: new Date(),
@@ -417,10 +458,8 @@ exports.suspendUserAccount = async (req, res) => {
       userAgent: req.headers['user-agent'],
       status: 'SUCCESS',
       details: {
-        suspendedUser: user.username,
-        suspendedEmail: user.email,
-        reason: reason,
-        relatedAuditLog: auditLogId
+        targetUser: user.email,
+        sessionsRevoked
       },
       hospitalId: req.user.attributes?.hospitalId,
       department: req.user.attributes?.department
@@ -428,19 +467,17 @@ exports.suspendUserAccount = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'User account suspended successfully',
+      message: 'User logged out from all sessions',
       data: {
         userId: user._id,
-        username: user.username,
-        status: user.accountStatus,
-        suspendedAt: user.suspendedAt
+        sessionsRevoked
       }
     });
   } catch (error) {
-    console.error('Suspend user account error:', error);
+    console.error('Force logout user error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error suspending user account',
+      message: 'Error logging out user',
       error: error.message
     });
   }
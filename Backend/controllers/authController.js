@@ -1,9 +1,239 @@
 const User = require('../models/User');
 const AuditLog = require('../models/AuditLog');
-const { generateAccessToken, generateRefreshToken, verifyToken } = require('../utils/jwt');
-const { generateMFASecret, generateQRCode, verifyMFAToken, generateBackupCodes } = require('../utils/mfa');
+const Session = require('../models/Session');
+const MFAChallenge = require('../models/MFAChallenge');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const SSOLoginState = require('../models/SSOLoginState');
+const jwt = require('jsonwebtoken');
+const { generateMFAChallengeToken, verifyMFAChallengeToken, verifyToken } = require('../utils/jwt');
+const {
+  generateMFASecret,
+  generateQRCode,
+  verifyMFAToken,
+  generateBackupCodes,
+  generateEmailCode,
+  hashBackupCodes,
+  findBackupCodeHash,
+  getMFAMethods,
+  getMFAEnrollmentStatus
+} = require('../utils/mfa');
 const { getClientIp } = require('../utils/ipHelper');
-const bcrypt = require('bcryptjs');
+const { getRequestLocation } = require('../utils/geoip');
+const { assessLoginRisk } = require('../utils/loginRisk');
+const {
+  getLoginThrottleStatus,
+  recordLoginFailure,
+  clearLoginFailures
+} = require('../utils/loginThrottle');
+const { verifyCaptcha } = require('../utils/captcha');
+const { sendMail } = require('../utils/mailer');
+const { validatePassword, requiresPasswordChange } = require('../utils/passwordPolicy');
+const { resolvePermissions } = require('../utils/permissions');
+const {
+  createSession,
+  rotateSession,
+  hashToken,
+  revokeAccessToken,
+  revokeSession
+} = require('../utils/session');
+
+/**
+ * Open a short-lived, single-use challenge for the second factor.
+ * The challenge token is not an access token and only works on verify-mfa.
+ */
+const openMFAChallenge = async (user, req, fields = {}) => {
+  const challenge = new MFAChallenge({
+    user: user._id,
+    ipAddress: getClientIp(req),
+    userAgent: req.headers['user-agent'],
+    ...fields
+  });
+  const mfaToken = generateMFAChallengeToken(user._id, challenge._id);
+  challenge.expiresAt = new Date(jwt.decode(mfaToken).exp * 1000);
+  await challenge.save();
+
+  return { challenge, mfaToken };
+};
+
+/**
+ * Finish a sign-in once the user's primary credential has been checked
+ * (password or hospital SSO): login risk scoring, second factor or email
+ * step-up, then a session and tokens.
+ */
+const completeLogin = async (user, req, res) => {
+  // Score the sign-in against the account's login history
+  const policy = await SecurityPolicy.getCurrent();
+  const risk = await assessLoginRisk(user, req, policy.loginRisk);
+
+  if (risk.decision === 'block') {
+    return res.status(403).json({
+      success: false,
+      message: 'This sign-in was blocked because it looks unusual. Please contact your administrator',
+      riskBlocked: true
+    });
+  }
+
+  // Check if MFA is enabled (TOTP or at least one WebAuthn authenticator)
+  const hasWebAuthn = user.mfa.webauthnCredentials?.length > 0;
+  if (user.mfa.enabled || hasWebAuthn) {
+    console.log('[login] MFA is enabled for user:', user.email);
+    console.log('[login] MFA has secret:', !!user.mfa.secret);
+    console.log('[login] MFA secret length:', user.mfa.secret?.length);
+    
+    // Check if MFA secret exists
+    if (!user.mfa.secret && !hasWebAuthn) {
+      console.log('[login] ERROR: MFA enabled but no secret found! Disabling MFA for user.');
+      // Auto-disable MFA if secret is missing (data integrity issue)
+      user.mfa.enabled = false;
+      await user.save();
+      
+      // Continue with normal login
+      const { session, accessToken, refreshToken } = await createSession(user, req);
+      
+      user.lastLogin = new Date();
+      await user.save();
+      
+      await AuditLog.createLog({
+        user: user._id,
+        userEmail: user.email,
+        userRole: user.role,
+        action: 'LOGIN',
+        resourceType: 'System',
+        timestamp: new Date(),
+        ipAddress: getClientIp(req),
+        userAgent: req.headers['user-agent'],
+        location: risk.location || undefined,
+        status: 'SUCCESS',
+        sessionId: session._id.toString(),
+        hospitalId: user.attributes.hospitalId,
+        department: user.attributes.department,
+        details: {
+          warning: 'MFA was enabled but secret was missing - auto-disabled'
+        }
+      });
+      
+      return res.status(200).json({
+        success: true,
+        tokens: {
+          accessToken,
+          refreshToken
+        },
+        user: {
+          id: user._id,
+          username: user.username,
+          email: user.email,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          role: user.role,
+          attributes: user.attributes || {},
+          patientId: user.patientId || null,
+          mfaEnabled: false
+        }
+      });
+    }
+    
+    const { mfaToken } = await openMFAChallenge(user, req);
+    
+    return res.status(200).json({
+      success: true,
+      requiresMFA: true,
+      mfaToken,
+      mfaMethods: getMFAMethods(user),
+      message: 'Please provide MFA code'
+    });
+  }
+
+  // Risky sign-in without an enrolled factor - step up with a code sent by email
+  if (risk.decision === 'step_up') {
+    const emailCode = generateEmailCode();
+    const { challenge, mfaToken } = await openMFAChallenge(user, req, {
+      emailCodeHash: hashToken(emailCode)
+    });
+    const expiresInMinutes = Math.round((challenge.expiresAt - Date.now()) / 60000);
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Your SecureEHR sign-in code',
+        text: [
+          `Hello ${user.firstName},`,
+          '',
+          `Your sign-in verification code is: ${emailCode}`,
+          '',
+          `It expires in ${expiresInMinutes} minutes. If you did not try to sign in, reset your password.`
+        ].join('\n')
+      });
+    } catch (mailError) {
+      console.error('Sign-in code email error:', mailError);
+      return res.status(503).json({
+        success: false,
+        message: 'Additional verification is required but the code could not be sent. Please try again later'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      requiresMFA: true,
+      mfaToken,
+      mfaMethods: ['email'],
+      message: 'This sign-in looks unusual. Enter the code we sent to your email'
+    });
+  }
+
+  // Check the organization MFA policy for this role
+  const mfaEnrollment = getMFAEnrollmentStatus(user, policy);
+  const mustChangePassword = requiresPasswordChange(user, policy.password);
+
+  // Start a session and generate tokens
+  // Past the grace period, the session can only be used to enroll MFA (see protect)
+  const { session, accessToken, refreshToken } = await createSession(user, req);
+
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Create audit log
+  await AuditLog.createLog({
+    user: user._id,
+    userEmail: user.email,
+    userRole: user.role,
+    action: 'LOGIN',
+    resourceType: 'System',
+    timestamp: new Date(),
+    ipAddress: getClientIp(req),
+    userAgent: req.headers['user-agent'],
+    location: risk.location || undefined,
+    status: 'SUCCESS',
+    sessionId: session._id.toString(),
+    hospitalId: user.attributes?.hospitalId || null,
+    department: user.attributes?.department || null
+  });
+
+  return res.status(200).json({
+    success: true,
+    mustEnrollMFA: mfaEnrollment.mustEnroll,
+    mfaEnrollment,
+    mustChangePassword,
+    tokens: {
+      accessToken,
+      refreshToken
+    },
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      role: user.role,
+      attributes: user.attributes || {},
+      patientId: user.patientId || null,
+      mfaEnabled: user.mfa.enabled,
+      mustEnrollMFA: mfaEnrollment.mustEnroll,
+      mustChangePassword,
+      permissions: await resolvePermissions(user)
+    }
+  });
+};
 
 /**
  * @desc    Register new user
@@ -34,6 +264,19 @@ exports.register = async (req, res) => {
       });
     }
 
+    // Validate password against the organization policy
+    const passwordErrors = await validatePassword(password, {
+      user: { username, email, firstName, lastName }
+    });
+
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: passwordErrors.join('. '),
+        errors: passwordErrors
+      });
+    }
+
     // Create user
     const user = await User.create({
       username,
@@ -54,7 +297,7 @@ exports.register = async (req, res) => {
       resourceType: 'User',
       resourceId: user._id,
       timestamp: new Date(),
-      ipAddress: req.ip || req.connection.remoteAddress,
+      ipAddress: getClientIp(req),
       userAgent: req.headers['user-agent'],
       status: 'SUCCESS',
       hospitalId: user.attributes.hospitalId,
@@ -99,52 +342,69 @@ exports.login = async (req, res) => {
     }
 
     // Find user and include password
-    const user = await User.findOne({ email }).select('+password +mfa.secret');
+    const user = await User.findOne({ email }).select('+password +mfa.secret +mfa.webauthnCredentials');
+
+    // Throttle by account and by IP. req.ip honours the 'trust proxy' setting,
+    // unlike forwarded headers a client can set itself.
+    const throttle = await getLoginThrottleStatus(email, req.ip);
+
+    if (throttle.retryAfterMs > 0) {
+      const retryAfter = Math.ceil(throttle.retryAfterMs / 1000);
 
-    if (!user) {
-      // Log failed attempt
       await AuditLog.createLog({
-        userEmail: email,
-        userRole: 'unknown',
+        user: user?._id,
+        userEmail: user?.email || email,
+        userRole: user?.role || 'unknown',
         action: 'LOGIN_FAILED',
         resourceType: 'System',
         timestamp: new Date(),
-        ipAddress: req.ip || req.connection.remoteAddress,
+        ipAddress: getClientIp(req),
         userAgent: req.headers['user-agent'],
-        status: 'FAILURE',
+        status: 'DENIED',
         details: {
-          errorMessage: 'User not found'
+          denialReason: `Too many failed attempts - retry in ${retryAfter}s`
         }
       });
 
-      return res.status(401).json({
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
         success: false,
-        message: 'Invalid credentials'
+        message: `Too many failed attempts. Please try again in ${retryAfter} seconds`,
+        retryAfter,
+        captchaRequired: throttle.captchaRequired
       });
     }
 
-    // Check if account is locked
-    if (user.accountLockedUntil && user.accountLockedUntil > Date.now()) {
-      const lockTimeRemaining = Math.ceil((user.accountLockedUntil - Date.now()) / 60000);
-      
+    if (throttle.captchaRequired && !(await verifyCaptcha(req.body.captchaToken, getClientIp(req)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please complete the CAPTCHA to continue',
+        captchaRequired: true
+      });
+    }
+
+    if (!user) {
+      const nextThrottle = await recordLoginFailure(email, req.ip);
+
+      // Log failed attempt
       await AuditLog.createLog({
-        user: user._id,
-        userEmail: user.email,
-        userRole: user.role,
+        userEmail: email,
+        userRole: 'unknown',
         action: 'LOGIN_FAILED',
         resourceType: 'System',
         timestamp: new Date(),
-        ipAddress: req.ip || req.connection.remoteAddress,
+        ipAddress: getClientIp(req),
         userAgent: req.headers['user-agent'],
-        status: 'DENIED',
+        status: 'FAILURE',
         details: {
-          denialReason: 'Account locked due to multiple failed attempts'
+          errorMessage: 'User not found'
         }
       });
 
-      return res.status(423).json({
+      return res.status(401).json({
         success: false,
-        message: `Account is locked. Please try again in ${lockTimeRemaining} minutes`
+        message: 'Invalid credentials',
+        captchaRequired: nextThrottle.captchaRequired
       });
     }
 
@@ -156,12 +416,23 @@ exports.login = async (req, res) => {
       });
     }
 
+    // Check if user is suspended
+    if (user.accountStatus === 'suspended') {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is suspended. Please contact administrator'
+      });
+    }
+
     // Check password
     const isPasswordValid = await user.comparePassword(password);
 
     if (!isPasswordValid) {
-      // Increment failed login attempts
-      await user.incrementLoginAttempts();
+      // Count the failure; the account shows as locked while the next attempt is delayed
+      const nextThrottle = await recordLoginFailure(email, req.ip);
+      await user.incrementLoginAttempts(
+        nextThrottle.retryAfterMs > 0 ? new Date(Date.now() + nextThrottle.retryAfterMs) : null
+      );
       
       await AuditLog.createLog({
         user: user._id,
@@ -170,7 +441,7 @@ exports.login = async (req, res) => {
         action: 'LOGIN_FAILED',
         resourceType: 'System',
         timestamp: new Date(),
-        ipAddress: req.ip || req.connection.remoteAddress,
+        ipAddress: getClientIp(req),
         userAgent: req.headers['user-agent'],
         status: 'FAILURE',
         details: {
@@ -180,124 +451,64 @@ exports.login = async (req, res) => {
 
       return res.status(401).json({
         success: false,
-        message: 'Invalid credentials'
+        message: 'Invalid credentials',
+        captchaRequired: nextThrottle.captchaRequired
       });
     }
 
     // Reset failed login attempts on successful password verification
     await user.resetLoginAttempts();
+    await clearLoginFailures(email);
 
-    // Check if MFA is enabled
-    if (user.mfa.enabled) {
-      console.log('[login] MFA is enabled for user:', user.email);
-      console.log('[login] MFA has secret:', !!user.mfa.secret);
-      console.log('[login] MFA secret length:', user.mfa.secret?.length);
-      
-      // Check if MFA secret exists
-      if (!user.mfa.secret) {
-        console.log('[login] ERROR: MFA enabled but no secret found! Disabling MFA for user.');
-        // Auto-disable MFA if secret is missing (data integrity issue)
-        user.mfa.enabled = false;
-        await user.save();
-        
-        // Continue with normal login
-        const accessToken = generateAccessToken(user._id, user.role);
-        const refreshToken = generateRefreshToken(user._id);
-        
-        user.lastLogin = new Date();
-        await user.save();
-        
-        await AuditLog.createLog({
-          user: user._id,
-          userEmail: user.email,
-          userRole: user.role,
-          action: 'LOGIN',
-          resourceType: 'System',
-          timestamp: new Date(),
-          ipAddress: req.ip || req.connection.remoteAddress,
-          userAgent: req.headers['user-agent'],
-          status: 'SUCCESS',
-          hospitalId: user.attributes.hospitalId,
-          department: user.attributes.department,
-          details: {
-            warning: 'MFA was enabled but secret was missing - auto-disabled'
-          }
-        });
-        
-        return res.status(200).json({
-          success: true,
-          tokens: {
-            accessToken,
-            refreshToken
-          },
-          user: {
-            id: user._id,
-            username: user.username,
-            email: user.email,
-            firstName: user.firstName,
-            lastName: user.lastName,
-            role: user.role,
-            attributes: user.attributes || {},
-            patientId: user.patientId || null,
-            mfaEnabled: false
-          }
-        });
-      }
-      
-      // Generate temporary token for MFA verification
-      const mfaToken = generateAccessToken(user._id, user.role);
-      
-      return res.status(200).json({
-        success: true,
-        requiresMFA: true,
-        mfaToken,
-        message: 'Please provide MFA code'
+    return await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging in',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Sign in with the one-time code from a hospital SSO callback
+ * @route   POST /api/auth/sso/exchange
+ * @access  Public
+ */
+exports.ssoLogin = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the sign-in code'
       });
     }
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user._id, user.role);
-    const refreshToken = generateRefreshToken(user._id);
+    const loginState = await SSOLoginState.consumeLoginCode(hashToken(code));
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    if (!loginState) {
+      return res.status(401).json({
+        success: false,
+        message: 'This sign-in link is invalid or has expired. Please sign in again'
+      });
+    }
 
-    // Create audit log
-    await AuditLog.createLog({
-      user: user._id,
-      userEmail: user.email,
-      userRole: user.role,
-      action: 'LOGIN',
-      resourceType: 'System',
-      timestamp: new Date(),
-      ipAddress: req.ip || req.connection.remoteAddress,
-      userAgent: req.headers['user-agent'],
-      status: 'SUCCESS',
-      hospitalId: user.attributes?.hospitalId || null,
-      department: user.attributes?.department || null
-    });
+    const user = await User.findById(loginState.user).select('+mfa.secret +mfa.webauthnCredentials');
 
-    res.status(200).json({
-      success: true,
-      tokens: {
-        accessToken,
-        refreshToken
-      },
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        role: user.role,
-        attributes: user.attributes || {},
-        patientId: user.patientId || null,
-        mfaEnabled: user.mfa.enabled
-      }
-    });
+    if (!user || !user.isActive || user.accountStatus === 'suspended') {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is not active. Please contact administrator'
+      });
+    }
+
+    // The identity provider authenticated the user; MFA and risk checks still apply
+    return await completeLogin(user, req, res);
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('SSO login error:', error);
     res.status(500).json({
       success: false,
       message: 'Error logging in',
@@ -315,7 +526,6 @@ exports.verifyMFA = async (req, res) => {
   try {
     const { mfaToken, code } = req.body;
 
-    console.log('[verifyMFA] Received code:', code);
     console.log('[verifyMFA] Code type:', typeof code);
     console.log('[verifyMFA] Code length:', code?.length);
 
@@ -326,14 +536,38 @@ exports.verifyMFA = async (req, res) => {
       });
     }
 
-    // Verify MFA token
-    const decoded = verifyToken(mfaToken);
+    // Verify MFA challenge token (access tokens are not accepted here)
+    let decoded;
+    try {
+      decoded = verifyMFAChallengeToken(mfaToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'MFA challenge expired. Please log in again',
+        restartLogin: true
+      });
+    }
     console.log('[verifyMFA] Decoded user ID:', decoded.id);
+
+    // The challenge must still be open: not used, not expired, attempts left.
+    // The attempt is counted before the code is checked.
+    const challenge = await MFAChallenge.reserveAttempt(decoded.jti, decoded.id);
+
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        message: 'MFA challenge is no longer valid. Please log in again',
+        restartLogin: true
+      });
+    }
     
     // Find user with MFA secret
     const user = await User.findById(decoded.id).select('+mfa.secret +mfa.backupCodes');
 
-    if (!user || !user.mfa.enabled) {
+    // Step-up challenges for risky logins are answered with the emailed code
+    const usesEmailCode = Boolean(challenge.emailCodeHash);
+
+    if (!user || (!usesEmailCode && (!user.mfa.enabled || !user.mfa.secret))) {
       console.log('[verifyMFA] User not found or MFA not enabled');
       return res.status(400).json({
         success: false,
@@ -346,26 +580,20 @@ exports.verifyMFA = async (req, res) => {
     console.log('[verifyMFA] Has MFA secret:', !!user.mfa.secret);
 
     // Verify the MFA code
-    const isValid = verifyMFAToken(user.mfa.secret, code);
+    const isValid = usesEmailCode
+      ? hashToken(String(code).trim()) === challenge.emailCodeHash
+      : verifyMFAToken(user.mfa.secret, code);
     console.log('[verifyMFA] Code validation result:', isValid);
     
     // Check if it's a backup code
-    let isBackupCode = false;
-    if (!isValid && user.mfa.backupCodes) {
-      const hashedCode = await bcrypt.hash(code, 10);
-      const backupCodeIndex = user.mfa.backupCodes.findIndex(
-        async (bc) => await bcrypt.compare(code, bc)
-      );
-      
-      if (backupCodeIndex !== -1) {
-        isBackupCode = true;
-        // Remove used backup code
-        user.mfa.backupCodes.splice(backupCodeIndex, 1);
-        await user.save();
-      }
-    }
+    const backupCodeHash = isValid || usesEmailCode
+      ? null
+      : await findBackupCodeHash(code, user.mfa.backupCodes);
+    const isBackupCode = !!backupCodeHash;
 
     if (!isValid && !isBackupCode) {
+      const attemptsRemaining = Math.max(challenge.maxAttempts - challenge.attempts, 0);
+
       await AuditLog.createLog({
         user: user._id,
         userEmail: user.email,
@@ -373,7 +601,7 @@ exports.verifyMFA = async (req, res) => {
         action: 'LOGIN_FAILED',
         resourceType: 'System',
         timestamp: new Date(),
-        ipAddress: req.ip || req.connection.remoteAddress,
+        ipAddress: getClientIp(req),
         userAgent: req.headers['user-agent'],
         status: 'FAILURE',
         details: {
@@ -383,13 +611,61 @@ exports.verifyMFA = async (req, res) => {
 
       return res.status(401).json({
         success: false,
-        message: 'Invalid MFA code'
+        message: attemptsRemaining > 0
+          ? 'Invalid MFA code'
+          : 'Too many invalid MFA codes. Please log in again',
+        attemptsRemaining,
+        restartLogin: attemptsRemaining === 0
+      });
+    }
+
+    // Close the challenge so the same mfaToken can never be used again
+    const consumedChallenge = await MFAChallenge.consume(challenge._id);
+
+    if (!consumedChallenge) {
+      return res.status(401).json({
+        success: false,
+        message: 'MFA challenge is no longer valid. Please log in again',
+        restartLogin: true
       });
     }
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user._id, user.role);
-    const refreshToken = generateRefreshToken(user._id);
+    if (isBackupCode) {
+      // Remove the used backup code; the conditional pull makes it single use
+      const { modifiedCount } = await User.updateOne(
+        { _id: user._id, 'mfa.backupCodes': backupCodeHash },
+        { $pull: { 'mfa.backupCodes': backupCodeHash } }
+      );
+
+      if (modifiedCount !== 1) {
+        return res.status(401).json({
+          success: false,
+          message: 'Backup code has already been used. Please log in again',
+          restartLogin: true
+        });
+      }
+
+      await AuditLog.createLog({
+        user: user._id,
+        userEmail: user.email,
+        userRole: user.role,
+        action: 'MFA_BACKUP_CODE_USED',
+        resourceType: 'User',
+        resourceId: user._id,
+        timestamp: new Date(),
+        ipAddress: getClientIp(req),
+        userAgent: req.headers['user-agent'],
+        status: 'SUCCESS',
+        hospitalId: user.attributes?.hospitalId,
+        department: user.attributes?.department
+      });
+    }
+
+    const policy = await SecurityPolicy.getCurrent();
+    const mfaEnrollment = getMFAEnrollmentStatus(user, policy);
+
+    // Start a session and generate tokens
+    const { session, accessToken, refreshToken } = await createSession(user, req);
 
     // Update last login
     user.lastLogin = new Date();
@@ -403,14 +679,17 @@ exports.verifyMFA = async (req, res) => {
       action: 'LOGIN',
       resourceType: 'System',
       timestamp: new Date(),
-      ipAddress: req.ip || req.connection.remoteAddress,
+      ipAddress: getClientIp(req),
       userAgent: req.headers['user-agent'],
+      location: (await getRequestLocation(req)) || undefined,
       status: 'SUCCESS',
+      sessionId: session._id.toString(),
       hospitalId: user.attributes?.hospitalId || null,
       department: user.attributes?.department || null,
       details: {
         mfaVerified: true,
-        usedBackupCode: isBackupCode
+        usedBackupCode: isBackupCode,
+        usedEmailCode: usesEmailCode
       }
     });
 
@@ -428,7 +707,11 @@ exports.verifyMFA = async (req, res) => {
         lastName: user.lastName,
         role: user.role,
         attributes: user.attributes || {},
-        patientId: user.patientId || null
+        patientId: user.patientId || null,
+        mfaEnabled: user.mfa.enabled,
+        mustEnrollMFA: mfaEnrollment.mustEnroll,
+        mustChangePassword: requiresPasswordChange(user, policy.password),
+        permissions: await resolvePermissions(user)
       }
     });
   } catch (error) {
@@ -441,6 +724,129 @@ exports.verifyMFA = async (req, res) => {
   }
 };
 
+/**
+ * A correctly signed refresh token that is no longer the session's current
+ * one has already been rotated. Someone is replaying it, so revoke the whole
+ * token family and audit the reuse.
+ */
+const rejectReusedRefreshToken = async (session, user, req, res) => {
+  await revokeSession(session, 'token_reuse');
+
+  await AuditLog.createLog({
+    user: session.user,
+    userEmail: user?.email,
+    userRole: user?.role,
+    action: 'TOKEN_REUSE_DETECTED',
+    resourceType: 'System',
+    timestamp: new Date(),
+    ipAddress: getClientIp(req),
+    userAgent: req.headers['user-agent'],
+    status: 'DENIED',
+    sessionId: session._id.toString(),
+    details: {
+      denialReason: 'Rotated refresh token was reused - session revoked'
+    },
+    hospitalId: user?.attributes?.hospitalId,
+    department: user?.attributes?.department
+  });
+
+  return res.status(401).json({
+    success: false,
+    message: 'Refresh token has already been used. Please log in again'
+  });
+};
+
+/**
+ * @desc    Rotate refresh token and issue a new access token
+ * @route   POST /api/auth/refresh
+ * @access  Public (requires refreshToken)
+ */
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyToken(refreshToken, process.env.JWT_REFRESH_SECRET);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    // Refresh tokens issued before sessions existed carry no session id
+    const session = decoded.sid
+      ? await Session.findById(decoded.sid).select('+refreshTokenHash')
+      : null;
+
+    if (!session || session.user.toString() !== decoded.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session not found. Please log in again'
+      });
+    }
+
+    if (session.revokedAt) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked. Please log in again'
+      });
+    }
+
+    const user = await User.findById(decoded.id);
+
+    // Not the current token: it was already rotated and is being replayed
+    if (session.refreshTokenHash !== hashToken(refreshToken)) {
+      return rejectReusedRefreshToken(session, user, req, res);
+    }
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'User no longer exists or is deactivated'
+      });
+    }
+
+    // Sessions started before the latest password change are no longer valid
+    if (user.changedPasswordAfter(Math.floor(session.issuedAt.getTime() / 1000))) {
+      await revokeSession(session, 'password_change');
+      return res.status(401).json({
+        success: false,
+        message: 'Password recently changed. Please log in again'
+      });
+    }
+
+    // Another request rotated the same token first
+    const tokens = await rotateSession(session, user, req, refreshToken);
+    if (!tokens) {
+      return rejectReusedRefreshToken(session, user, req, res);
+    }
+
+    res.status(200).json({
+      success: true,
+      tokens: {
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing token',
+      error: error.message
+    });
+  }
+};
+
 /**
  * @desc    Setup MFA for user
  * @route   POST /api/auth/setup-mfa
@@ -474,9 +880,7 @@ exports.setupMFA = async (req, res) => {
     const backupCodes = generateBackupCodes();
     
     // Hash backup codes before storing
-    const hashedBackupCodes = await Promise.all(
-      backupCodes.map(code => bcrypt.hash(code, 10))
-    );
+    const hashedBackupCodes = await hashBackupCodes(backupCodes);
 
     // Use findByIdAndUpdate to avoid version conflicts
     await User.findByIdAndUpdate(
@@ -560,7 +964,7 @@ exports.enableMFA = async (req, res) => {
       resourceType: 'User',
       resourceId: user._id,
       timestamp: new Date(),
-      ipAddress: req.ip || req.connection.remoteAddress,
+      ipAddress: getClientIp(req),
       userAgent: req.headers['user-agent'],
       status: 'SUCCESS'
     });
@@ -588,7 +992,7 @@ exports.disableMFA = async (req, res) => {
   try {
     const { password, code } = req.body;
 
-    const user = await User.findById(req.user.id).select('+password +mfa.secret');
+    const user = await User.findById(req.user.id).select('+password +mfa.secret +mfa.webauthnCredentials');
 
     if (!user) {
       return res.status(404).json({
@@ -597,6 +1001,15 @@ exports.disableMFA = async (req, res) => {
       });
     }
 
+    // Roles that must use MFA cannot remove their last second factor
+    const policy = await SecurityPolicy.getCurrent();
+    if (policy.mfa.requiredRoles.includes(user.role) && !user.mfa.webauthnCredentials?.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'MFA is required for your role and cannot be disabled'
+      });
+    }
+
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
@@ -636,7 +1049,7 @@ exports.disableMFA = async (req, res) => {
       resourceType: 'User',
       resourceId: user._id,
       timestamp: new Date(),
-      ipAddress: req.ip || req.connection.remoteAddress,
+      ipAddress: getClientIp(req),
       userAgent: req.headers['user-agent'],
       status: 'SUCCESS'
     });
@@ -655,6 +1068,97 @@ exports.disableMFA = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Regenerate MFA backup codes (invalidates all previous codes)
+ * @route   POST /api/auth/mfa/backup-codes/regenerate
+ * @access  Private
+ */
+exports.regenerateBackupCodes = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password and MFA code are required'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+password +mfa.secret');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.mfa.enabled || !user.mfa.secret) {
+      return res.status(400).json({
+        success: false,
+        message: 'MFA is not enabled'
+      });
+    }
+
+    // Verify password
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password'
+      });
+    }
+
+    // Verify MFA code (backup codes are not accepted here)
+    const isValid = verifyMFAToken(user.mfa.secret, code);
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid MFA code'
+      });
+    }
+
+    const backupCodes = generateBackupCodes();
+    const hashedBackupCodes = await hashBackupCodes(backupCodes);
+
+    await User.findByIdAndUpdate(
+      req.user.id,
+      { $set: { 'mfa.backupCodes': hashedBackupCodes } }
+    );
+
+    // Create audit log
+    await AuditLog.createLog({
+      user: user._id,
+      userEmail: user.email,
+      userRole: user.role,
+      action: 'MFA_BACKUP_CODES_REGENERATED',
+      resourceType: 'User',
+      resourceId: user._id,
+      timestamp: new Date(),
+      ipAddress: getClientIp(req),
+      userAgent: req.headers['user-agent'],
+      status: 'SUCCESS',
+      hospitalId: user.attributes?.hospitalId,
+      department: user.attributes?.department
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Backup codes regenerated successfully',
+      data: {
+        backupCodes // Send plain codes to user once
+      }
+    });
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error regenerating backup codes',
+      error: error.message
+    });
+  }
+};
+
 /**
  * @desc    Logout user
  * @route   POST /api/auth/logout
@@ -662,6 +1166,16 @@ exports.disableMFA = async (req, res) => {
  */
 exports.logout = async (req, res) => {
   try {
+    // End the current session so its refresh token can no longer rotate,
+    // and denylist the access token used for this request
+    if (req.auth.sessionId) {
+      const session = await Session.findOne({ _id: req.auth.sessionId, user: req.user.id });
+      if (session) {
+        await revokeSession(session, 'logout');
+      }
+    }
+    await revokeAccessToken(req.auth.payload, 'logout');
+
     // Create audit log
     await AuditLog.createLog({
       user: req.user.id,
@@ -670,9 +1184,10 @@ exports.logout = async (req, res) => {
       action: 'LOGOUT',
       resourceType: 'System',
       timestamp: new Date(),
-      ipAddress: req.ip || req.connection.remoteAddress,
+      ipAddress: getClientIp(req),
       userAgent: req.headers['user-agent'],
-      status: 'SUCCESS'
+      status: 'SUCCESS',
+      sessionId: req.auth.sessionId
     });
 
     res.status(200).json({
@@ -701,9 +1216,10 @@ exports.getMe = async (req, res) => {
     // Populate assignedPatients only for doctors and nurses
     if (req.user.role === 'doctor' || req.user.role === 'nurse') {
       user = await User.findById(req.user.id)
+        .select('+mfa.secret +mfa.backupCodes +mfa.webauthnCredentials')
         .populate('assignedPatients', 'patientId firstName lastName');
     } else {
-      user = await User.findById(req.user.id);
+      user = await User.findById(req.user.id).select('+mfa.secret +mfa.backupCodes +mfa.webauthnCredentials');
     }
 
     if (!user) {
@@ -713,6 +1229,9 @@ exports.getMe = async (req, res) => {
       });
     }
 
+    const policy = await SecurityPolicy.getCurrent();
+    const mfaEnrollment = getMFAEnrollmentStatus(user, policy);
+
     res.status(200).json({
       success: true,
       data: {
@@ -725,7 +1244,13 @@ exports.getMe = async (req, res) => {
         attributes: user.attributes || {},
         patientId: user.patientId || null,
         mfaEnabled: user.mfa?.enabled || false,
-        assignedPatients: user.assignedPatients || []
+        mfaBackupCodesRemaining: user.mfa?.enabled ? (user.mfa.backupCodes || []).length : 0,
+        mfaMethods: getMFAMethods(user),
+        mfaEnrollment,
+        mustEnrollMFA: mfaEnrollment.mustEnroll,
+        mustChangePassword: requiresPasswordChange(user, policy.password),
+        assignedPatients: user.assignedPatients || [],
+        permissions: await resolvePermissions(user)
       }
     });
   } catch (error) {
@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+const BreakGlassGrant = require('../models/BreakGlassGrant');
+const AuditLog = require('../models/AuditLog');
+const { getClientIp } = require('../utils/ipHelper');
+
+const OUTCOMES = ['justified', 'not-justified', 'inconclusive'];
+
+// Reviewers outside the admin role only see their own hospital's cases
+const scopeToHospital = (req, query) => {
+  if (req.user.role !== 'admin' && req.user.attributes?.hospitalId) {
+    query.hospitalId = req.user.attributes.hospitalId;
+  }
+  return query;
+};
+
+/**
+ * @desc    Break-glass review queue
+ * @route   GET /api/break-glass/reviews
+ * @access  Private (break-glass:review)
+ */
+exports.getBreakGlassReviews = async (req, res) => {
+  try {
+    const { status = 'pending', overdue, page = 1, limit = 50 } = req.query;
+    const now = new Date();
+
+    const query = scopeToHospital(req, {});
+    if (status !== 'all') {
+      query['review.status'] = status === 'closed' ? 'closed' : 'pending';
+    }
+    if (overdue === 'true') {
+      query['review.status'] = 'pending';
+      query['review.dueAt'] = { $lte: now };
+    }
+
+    const [cases, total, pending, overdueCount] = await Promise.all([
+      BreakGlassGrant.find(query)
+        .sort({ 'review.dueAt': 1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .populate('user', 'firstName lastName email role attributes.department')
+        .populate('patient', 'patientId firstName lastName')
+        .populate('review.reviewedBy', 'firstName lastName email'),
+      BreakGlassGrant.countDocuments(query),
+      BreakGlassGrant.countDocuments(scopeToHospital(req, { 'review.status': 'pending' })),
+      BreakGlassGrant.countDocuments(scopeToHospital(req, { 'review.status': 'pending', 'review.dueAt': { $lte: now } }))
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: cases.map((grant) => ({
+        ...grant.toObject(),
+        isEffective: grant.isEffective(now),
+        isOverdue: grant.isReviewOverdue(now)
+      })),
+      counts: { pending, overdue: overdueCount },
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get break-glass reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching break-glass reviews',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Close a break-glass review case with an outcome
+ * @route   PUT /api/break-glass/reviews/:id/close
+ * @access  Private (break-glass:review)
+ */
+exports.closeBreakGlassReview = async (req, res) => {
+  try {
+    const { outcome, notes } = req.body;
+
+    if (!OUTCOMES.includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        message: `Outcome must be one of: ${OUTCOMES.join(', ')}`
+      });
+    }
+
+    if (typeof notes !== 'string' || notes.trim().length < 20) {
+      return res.status(400).json({
+        success: false,
+        message: 'Review notes are required (minimum 20 characters)'
+      });
+    }
+
+    const grant = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await BreakGlassGrant.findOne(scopeToHospital(req, { _id: req.params.id })).populate('patient', 'patientId')
+      : null;
+
+    if (!grant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review case not found'
+      });
+    }
+
+    // Nobody reviews their own emergency access
+    if (grant.user.toString() === req.user.id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot review your own break-glass access'
+      });
+    }
+
+    const reviewedAt = new Date();
+    const updated = await BreakGlassGrant.findOneAndUpdate(
+      { _id: grant._id, 'review.status': 'pending' },
+      {
+        'review.status': 'closed',
+        'review.outcome': outcome,
+        'review.notes': notes.trim(),
+        'review.reviewedBy': req.user.id,
+        'review.reviewedAt': reviewedAt
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'This review case is already closed'
+      });
+    }
+
+    await AuditLog.createLog({
+      user: req.user.id,
+      userEmail: req.user.email,
+      userRole: req.user.role,
+      action: 'BREAK_GLASS_REVIEWED',
+      resourceType: 'Patient',
+      resourceId: grant.patient._id,
+      patient: grant.patient._id,
+      patientId: grant.patient.patientId,
+      timestamp: reviewedAt,
+      ipAddress: getClientIp(req),
+      userAgent: req.headers['user-agent'],
+      status: 'SUCCESS',
+      breakGlass: {
+        isBreakGlass: true,
+        justification: grant.justification,
+        grant: grant._id,
+        approvedBy: outcome === 'justified' ? req.user.id : undefined
+      },
+      details: {
+        afterState: {
+          grantId: grant._id,
+          accessedBy: grant.user,
+          outcome,
+          notes: notes.trim(),
+          overdue: grant.review.dueAt <= reviewedAt
+        }
+      },
+      hospitalId: grant.hospitalId,
+      department: req.user.attributes?.department
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Review case closed',
+      data: updated
+    });
+  } catch (error) {
+    console.error('Close break-glass review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error closing break-glass review',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,312 @@
+const mongoose = require('mongoose');
+const DelegationGrant = require('../models/DelegationGrant');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { getClientIp } = require('../utils/ipHelper');
+
+// Roles that can cover another clinician's patients
+const GRANTEE_ROLES = ['doctor', 'nurse'];
+
+const auditDelegation = async (req, action, grant, details) => {
+  await AuditLog.createLog({
+    user: req.user.id,
+    userEmail: req.user.email,
+    userRole: req.user.role,
+    action,
+    resourceType: 'User',
+    resourceId: grant.grantee._id || grant.grantee,
+    timestamp: new Date(),
+    ipAddress: getClientIp(req),
+    userAgent: req.headers['user-agent'],
+    status: 'SUCCESS',
+    details,
+    hospitalId: req.user.attributes?.hospitalId,
+    department: req.user.attributes?.department
+  });
+};
+
+const grantState = (grant) => ({
+  delegationId: grant._id,
+  grantor: grant.grantor._id || grant.grantor,
+  grantee: grant.grantee._id || grant.grantee,
+  scope: grant.scope,
+  patients: grant.patients.map((patient) => patient._id || patient),
+  startsAt: grant.startsAt,
+  endsAt: grant.endsAt,
+  reason: grant.reason
+});
+
+const populateGrant = (query) => query
+  .populate('grantor', 'username firstName lastName email role')
+  .populate('grantee', 'username firstName lastName email role')
+  .populate('patients', 'patientId firstName lastName')
+  .populate('revokedBy', 'username email');
+
+/**
+ * @desc    List delegations given and received by the current user
+ * @route   GET /api/delegations
+ * @access  Private (patient:delegate, delegation:manage)
+ */
+exports.getDelegations = async (req, res) => {
+  try {
+    const { status, scope } = req.query;
+    const query = {};
+
+    // Managers may list every delegation in their hospital (or all, for admins)
+    if (scope === 'all' && req.user.permissions.includes('delegation:manage')) {
+      if (req.user.role !== 'admin') {
+        query.hospitalId = req.user.attributes?.hospitalId;
+      }
+    } else {
+      query.$or = [{ grantor: req.user.id }, { grantee: req.user.id }];
+    }
+
+    if (status) {
+      query.status = String(status);
+    }
+
+    const grants = await populateGrant(DelegationGrant.find(query).sort({ startsAt: -1 }).limit(200));
+
+    const userId = req.user.id.toString();
+    const now = new Date();
+    const data = grants.map((grant) => ({
+      ...grant.toObject(),
+      isEffective: grant.isEffective(now),
+      direction: grant.grantor?._id.toString() === userId ? 'given' : grant.grantee?._id.toString() === userId ? 'received' : 'other'
+    }));
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Get delegations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching delegations',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Colleagues and patients the current user can delegate
+ * @route   GET /api/delegations/options
+ * @access  Private (patient:delegate)
+ */
+exports.getDelegationOptions = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+      .populate('assignedPatients', 'patientId firstName lastName isActive');
+
+    const colleagues = await User.find({
+      _id: { $ne: user._id },
+      role: { $in: GRANTEE_ROLES },
+      isActive: true,
+      'attributes.hospitalId': user.attributes?.hospitalId
+    })
+      .select('username firstName lastName email role attributes.department')
+      .sort({ role: 1, lastName: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        colleagues,
+        patients: user.assignedPatients.filter((patient) => patient.isActive !== false),
+        maxDurationDays: DelegationGrant.MAX_DURATION_DAYS
+      }
+    });
+  } catch (error) {
+    console.error('Get delegation options error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching delegation options',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delegate access to some or all of the current user's patients
+ * @route   POST /api/delegations
+ * @access  Private (patient:delegate)
+ */
+exports.createDelegation = async (req, res) => {
+  try {
+    const { granteeId, scope, patients = [], startsAt, endsAt, reason } = req.body;
+
+    if (!granteeId || !endsAt || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Grantee, end time and reason are required'
+      });
+    }
+
+    if (!['patients', 'all'].includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scope must be "patients" or "all"'
+      });
+    }
+
+    const grantor = await User.findById(req.user.id);
+
+    const grantee = mongoose.Types.ObjectId.isValid(String(granteeId)) ? await User.findById(granteeId) : null;
+    if (!grantee || !grantee.isActive || !GRANTEE_ROLES.includes(grantee.role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Delegations can only be given to an active doctor or nurse'
+      });
+    }
+
+    if (grantee._id.equals(grantor._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delegate to yourself'
+      });
+    }
+
+    if (grantee.attributes?.hospitalId !== grantor.attributes?.hospitalId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Delegations are limited to colleagues in your hospital'
+      });
+    }
+
+    // Only patients the grantor is responsible for can be handed over
+    let patientIds = [];
+    if (scope === 'patients') {
+      if (!Array.isArray(patients) || patients.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Select at least one patient'
+        });
+      }
+
+      const assigned = new Set(grantor.assignedPatients.map((id) => id.toString()));
+      patientIds = [...new Set(patients.map(String))];
+      const notAssigned = patientIds.filter((id) => !assigned.has(id));
+      if (notAssigned.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only delegate patients assigned to you'
+        });
+      }
+    }
+
+    const start = startsAt ? new Date(startsAt) : new Date();
+    const end = new Date(endsAt);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid start or end time'
+      });
+    }
+
+    if (end <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'End time must be in the future'
+      });
+    }
+
+    const grant = await DelegationGrant.create({
+      grantor: grantor._id,
+      grantee: grantee._id,
+      scope,
+      patients: patientIds,
+      startsAt: start,
+      endsAt: end,
+      reason,
+      hospitalId: grantor.attributes?.hospitalId
+    });
+
+    await auditDelegation(req, 'DELEGATION_CREATED', grant, {
+      afterState: { ...grantState(grant), granteeEmail: grantee.email }
+    });
+
+    const populated = await populateGrant(DelegationGrant.findById(grant._id));
+
+    res.status(201).json({
+      success: true,
+      message: `Patients delegated to ${grantee.username || grantee.email}`,
+      data: populated
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map((e) => e.message).join(', ')
+      });
+    }
+    console.error('Create delegation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating delegation',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Revoke a delegation before it ends
+ * @route   PUT /api/delegations/:id/revoke
+ * @access  Private (grantor, grantee or delegation:manage)
+ */
+exports.revokeDelegation = async (req, res) => {
+  try {
+    const grant = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await DelegationGrant.findById(req.params.id)
+      : null;
+
+    if (!grant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delegation not found'
+      });
+    }
+
+    const userId = req.user.id.toString();
+    const isParty = grant.grantor.toString() === userId || grant.grantee.toString() === userId;
+    const canManage = req.user.permissions.includes('delegation:manage') &&
+      (req.user.role === 'admin' || grant.hospitalId === req.user.attributes?.hospitalId);
+
+    if (!isParty && !canManage) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot revoke this delegation'
+      });
+    }
+
+    if (grant.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: `Delegation is already ${grant.status}`
+      });
+    }
+
+    const beforeState = grantState(grant);
+    grant.status = 'revoked';
+    grant.revokedAt = new Date();
+    grant.revokedBy = req.user.id;
+    grant.revocationReason = req.body.reason ? String(req.body.reason) : undefined;
+    await grant.save();
+
+    await auditDelegation(req, 'DELEGATION_REVOKED', grant, {
+      beforeState,
+      afterState: { status: grant.status, revocationReason: grant.revocationReason }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Delegation revoked'
+    });
+  } catch (error) {
+    console.error('Revoke delegation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking delegation',
+      error: error.message
+    });
+  }
+};
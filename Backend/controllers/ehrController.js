@@ -1,7 +1,24 @@
 const EHR = require('../models/EHR');
+const EHRVersion = require('../models/EHRVersion');
 const Patient = require('../models/Patient');
 const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
 const crypto = require('crypto');
+const { getClientIp } = require('../utils/ipHelper');
+const { getDelegatedPatients } = require('../utils/delegation');
+const { PURPOSE_NAMES, resolvePurpose, consentFilter } = require('../utils/purposeOfUse');
+const { exclusionConditions } = require('../utils/consentDirectives');
+const { signRecord, verifyRecord } = require('../utils/ehrSignature');
+const { diffContent, listVersions, getVersionContent } = require('../utils/ehrVersions');
+const { AMENDMENT_RULES, validateAmendment } = require('../utils/amendments');
+const { COSIGN_DUE_HOURS, resolveAttending, requiresCosignature, notifyCosignature } = require('../utils/cosignature');
+
+// Set only by the signing and amendment workflows, never by a plain update
+const PROTECTED_FIELDS = [
+  'recordId', 'patient', 'status', 'version', 'amendmentHistory',
+  'signedBy', 'signedAt', 'signature', 'signatureHistory',
+  'author', 'attendingPhysician', 'cosignedBy', 'cosignedAt', 'cosignature'
+];
 
 /**
  * @desc    Create new EHR record
@@ -21,8 +38,10 @@ exports.createEHR = async (req, res) => {
       medications,
       labResults,
       treatmentPlan,
+      attendingPhysician,
       consultingPhysicians,
-      nurseInCharge
+      nurseInCharge,
+      sensitivityCategories
     } = req.body;
 
     // Verify patient exists
@@ -34,6 +53,25 @@ exports.createEHR = async (req, res) => {
       });
     }
 
+    // Notes by nurses and trainees go to the attending physician for co-signature
+    const author = await User.findById(req.user.id);
+    const { attending, status, message } = await resolveAttending(author, patientRecord, attendingPhysician, { department, visitType });
+    if (!attending) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+    const now = new Date();
+    const cosignature = requiresCosignature(author, attending)
+      ? {
+        status: 'pending',
+        assignedTo: attending._id,
+        requestedAt: now,
+        dueAt: new Date(now.getTime() + COSIGN_DUE_HOURS * 60 * 60 * 1000)
+      }
+      : undefined;
+
     // Generate unique record ID
     const recordId = `EHR-${Date.now()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
 
@@ -41,9 +79,10 @@ exports.createEHR = async (req, res) => {
     const ehr = await EHR.create({
       recordId,
       patient,
-      visitDate: new Date(),
+      visitDate: now,
       visitType,
       department,
+      sensitivityCategories,
       chiefComplaint,
       diagnosis,
       vitals,
@@ -51,16 +90,49 @@ exports.createEHR = async (req, res) => {
       medications,
       labResults,
       treatmentPlan,
-      attendingPhysician: req.user.id,
+      author: author._id,
+      attendingPhysician: attending._id,
       consultingPhysicians,
-      nurseInCharge,
+      nurseInCharge: nurseInCharge || (author.role === 'nurse' ? author._id : undefined),
       hospitalId: req.user.attributes.hospitalId,
-      status: 'draft'
+      status: 'draft',
+      cosignature
     });
 
+    if (cosignature) {
+      await AuditLog.createLog({
+        user: req.user.id,
+        userEmail: req.user.email,
+        userRole: req.user.role,
+        action: 'COSIGN_REQUESTED',
+        resourceType: 'EHR',
+        resourceId: ehr._id,
+        patient: patientRecord._id,
+        patientId: patientRecord.patientId,
+        purposeOfUse: req.purposeOfUse,
+        timestamp: now,
+        ipAddress: getClientIp(req),
+        userAgent: req.headers['user-agent'],
+        status: 'SUCCESS',
+        details: {
+          afterState: { assignedTo: attending._id, dueAt: cosignature.dueAt }
+        },
+        hospitalId: ehr.hospitalId,
+        department: req.user.attributes?.department
+      });
+
+      notifyCosignature({ recordId: ehr.recordId, patient: patientRecord }, attending, {
+        subject: `Note ${ehr.recordId} needs your co-signature`,
+        intro: `${author.firstName} ${author.lastName} wrote a note that needs your co-signature:`,
+        lines: [`- Co-signature due: ${cosignature.dueAt.toISOString()}`]
+      });
+    }
+
     res.status(201).json({
       success: true,
-      message: 'EHR record created successfully',
+      message: cosignature
+        ? `EHR record created and sent to Dr. ${attending.lastName} for co-signature`
+        : 'EHR record created successfully',
       data: ehr
     });
   } catch (error) {
@@ -105,22 +177,36 @@ exports.getPatientEHRs = async (req, res) => {
 
     console.log('[getPatientEHRs] Found patient:', patient.patientId, 'MongoDB ID:', patient._id);
 
-    const ehrs = await EHR.find({ patient: patient._id })
+    // Hide categories the patient's consent directive excludes for this user
+    const query = { patient: patient._id };
+    if (req.consentExclusions?.length > 0) {
+      query.sensitivityCategories = { $nin: req.consentExclusions };
+    }
+
+    const ehrs = await EHR.find(query)
       .sort({ [sortBy]: order === 'desc' ? -1 : 1 })
       .limit(limit * 1)
       .skip((page - 1) * limit)
       .populate('attendingPhysician', 'firstName lastName role attributes.specialization')
       .populate('consultingPhysicians', 'firstName lastName attributes.specialization')
       .populate('nurseInCharge', 'firstName lastName')
+      .populate('author', 'firstName lastName role')
+      .populate('cosignedBy', 'firstName lastName')
+      .populate('cosignature.comments.author', 'firstName lastName')
+      .populate('amendmentHistory.amendedBy', 'firstName lastName')
       .exec();
 
     console.log('[getPatientEHRs] Found', ehrs.length, 'EHR records');
 
-    const count = await EHR.countDocuments({ patient: patient._id });
+    const [count, total] = await Promise.all([
+      EHR.countDocuments(query),
+      EHR.countDocuments({ patient: patient._id })
+    ]);
 
     res.status(200).json({
       success: true,
       data: ehrs,
+      hiddenByConsent: total - count,
       pagination: {
         total: count,
         page: parseInt(page),
@@ -149,6 +235,9 @@ exports.getEHR = async (req, res) => {
       .populate('attendingPhysician', 'firstName lastName email role attributes')
       .populate('consultingPhysicians', 'firstName lastName attributes.specialization')
       .populate('nurseInCharge', 'firstName lastName')
+      .populate('author', 'firstName lastName role')
+      .populate('cosignedBy', 'firstName lastName')
+      .populate('cosignature.comments.author', 'firstName lastName')
       .populate('amendmentHistory.amendedBy', 'firstName lastName');
 
     if (!ehr) {
@@ -188,28 +277,64 @@ exports.updateEHR = async (req, res) => {
       });
     }
 
+    if (ehr.isSigned()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Signed EHR records cannot be edited. Create an amendment instead.'
+      });
+    }
+
+    const updates = Object.fromEntries(
+      Object.entries(req.body).filter(([field]) => !PROTECTED_FIELDS.includes(field) && !field.startsWith('$'))
+    );
+
     // Track changes for audit
     const changes = [];
-    const updateFields = Object.keys(req.body);
+    const updateFields = Object.keys(updates);
     
     updateFields.forEach(field => {
-      if (JSON.stringify(ehr[field]) !== JSON.stringify(req.body[field])) {
+      if (JSON.stringify(ehr[field]) !== JSON.stringify(updates[field])) {
         changes.push(field);
       }
     });
 
     req.changes = changes;
 
-    // Update EHR
-    ehr = await EHR.findByIdAndUpdate(
-      req.params.id,
-      req.body,
+    if (changes.length === 0) {
+      return res.status(200).json({
+        success: true,
+        message: 'No changes to save',
+        data: ehr
+      });
+    }
+
+    // The current content becomes a version snapshot once the update is saved
+    const previous = EHRVersion.capture(ehr, { userId: req.user.id, changeType: 'update', reason: req.body.reason });
+
+    // Update EHR, unless it was changed or signed in the meantime
+    ehr = await EHR.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        version: ehr.version,
+        status: { $nin: ['final', 'amended'] },
+        'signature.value': { $exists: false }
+      },
+      { $set: updates, $inc: { version: 1 } },
       {
         new: true,
         runValidators: true
       }
     );
 
+    if (!ehr) {
+      return res.status(409).json({
+        success: false,
+        message: 'The record was changed or signed while you were editing. Reload it and try again.'
+      });
+    }
+
+    await EHRVersion.store(previous);
+
     res.status(200).json({
       success: true,
       message: 'EHR record updated successfully',
@@ -226,21 +351,12 @@ exports.updateEHR = async (req, res) => {
 };
 
 /**
- * @desc    Create amendment to EHR record
+ * @desc    Add an addendum, correction or late entry to an EHR record
  * @route   POST /api/ehr/:id/amend
- * @access  Private (Doctor)
+ * @access  Private (ehr:amend; late entries also ehr:update)
  */
 exports.amendEHR = async (req, res) => {
   try {
-    const { reason, changes } = req.body;
-
-    if (!reason || !changes) {
-      return res.status(400).json({
-        success: false,
-        message: 'Amendment reason and changes are required'
-      });
-    }
-
     const ehr = await EHR.findById(req.params.id);
 
     if (!ehr) {
@@ -250,14 +366,36 @@ exports.amendEHR = async (req, res) => {
       });
     }
 
-    await ehr.createAmendment(req.user.id, reason, changes);
+    const { amendment, status, message } = validateAmendment(ehr, req.user, req.body || {});
+    if (!amendment) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    req.changes = [amendment.type === 'correction' ? amendment.field : 'amendmentHistory'];
+    await ehr.createAmendment(req.user.id, amendment);
+    await ehr.populate('amendmentHistory.amendedBy', 'firstName lastName');
 
     res.status(200).json({
       success: true,
-      message: 'EHR record amended successfully',
+      message: `${AMENDMENT_RULES[amendment.type].label} added to EHR record`,
       data: ehr
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map((e) => e.message).join(', ')
+      });
+    }
+    if (error.name === 'SigningAuthorityError') {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Amend EHR error:', error);
     res.status(500).json({
       success: false,
@@ -283,24 +421,72 @@ exports.signEHR = async (req, res) => {
       });
     }
 
-    if (ehr.status === 'final') {
-      return res.status(400).json({
+    if (ehr.isSigned()) {
+      return res.status(409).json({
+        success: false,
+        message: 'EHR record is already signed. Create an amendment instead.'
+      });
+    }
+
+    if (ehr.status === 'archived') {
+      return res.status(409).json({
         success: false,
-        message: 'EHR record is already signed'
+        message: 'Archived EHR records cannot be signed'
       });
     }
 
+    if (['pending', 'returned'].includes(ehr.cosignature?.status)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This note is in the co-signature workflow. The attending physician co-signs it from their inbox.'
+      });
+    }
+
+    // Sign the loaded copy, then store it unless the record was edited or signed in the meantime
+    const unsignedStatus = ehr.status;
     ehr.signedBy = req.user.id;
     ehr.signedAt = new Date();
     ehr.status = 'final';
-    await ehr.save();
+    await signRecord(ehr, req.user.id, ehr.signedAt);
+
+    const signed = await EHR.findOneAndUpdate(
+      {
+        _id: ehr._id,
+        version: ehr.version,
+        status: unsignedStatus,
+        'signature.value': { $exists: false },
+        'cosignature.status': { $nin: ['pending', 'returned'] }
+      },
+      {
+        $set: {
+          signedBy: ehr.signedBy,
+          signedAt: ehr.signedAt,
+          status: ehr.status,
+          signature: ehr.signature
+        }
+      },
+      { new: true }
+    );
+
+    if (!signed) {
+      return res.status(409).json({
+        success: false,
+        message: 'The record was changed or signed while you were signing it. Reload it and try again.'
+      });
+    }
 
     res.status(200).json({
       success: true,
       message: 'EHR record signed successfully',
-      data: ehr
+      data: signed
     });
   } catch (error) {
+    if (error.name === 'SigningAuthorityError') {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Sign EHR error:', error);
     res.status(500).json({
       success: false,
@@ -310,6 +496,488 @@ exports.signEHR = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Verify an EHR record's digital signature
+ * @route   GET /api/ehr/:id/verify
+ * @access  Private (ehr:read)
+ */
+exports.verifyEHR = async (req, res) => {
+  try {
+    const ehr = await EHR.findById(req.params.id);
+
+    if (!ehr) {
+      return res.status(404).json({
+        success: false,
+        message: 'EHR record not found'
+      });
+    }
+
+    const result = await verifyRecord(ehr);
+
+    // A failed check on a signed record means it was altered outside the application
+    await AuditLog.createLog({
+      user: req.user.id,
+      userEmail: req.user.email,
+      userRole: req.user.role,
+      action: 'VERIFY_EHR_SIGNATURE',
+      resourceType: 'EHR',
+      resourceId: ehr._id,
+      patient: ehr.patient,
+      purposeOfUse: req.purposeOfUse,
+      timestamp: new Date(),
+      ipAddress: getClientIp(req),
+      userAgent: req.headers['user-agent'],
+      status: result.status === 'invalid' ? 'FAILURE' : 'SUCCESS',
+      details: {
+        afterState: {
+          status: result.status,
+          keyId: result.keyId,
+          signedVersion: result.signedVersion
+        },
+        errorMessage: result.status === 'invalid' ? result.reason : undefined
+      },
+      hospitalId: ehr.hospitalId,
+      department: req.user.attributes?.department
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Verify EHR signature error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying EHR signature',
+      error: error.message
+    });
+  }
+};
+
+const INBOX_BOXES = {
+  // Notes waiting for my co-signature
+  assigned: (userId) => ({ 'cosignature.assignedTo': userId, 'cosignature.status': 'pending' }),
+  // My notes still in the workflow, including ones returned to me
+  authored: (userId) => ({ author: userId, 'cosignature.status': { $in: ['pending', 'returned'] } })
+};
+
+/**
+ * @desc    Get the co-signature inbox
+ * @route   GET /api/ehr/cosign-inbox?box=assigned|authored
+ * @access  Private (ehr:read)
+ */
+exports.getCosignInbox = async (req, res) => {
+  try {
+    const box = req.query.box || 'assigned';
+    if (!INBOX_BOXES[box]) {
+      return res.status(400).json({
+        success: false,
+        message: `Inbox must be one of: ${Object.keys(INBOX_BOXES).join(', ')}`
+      });
+    }
+
+    // Summaries only; the note itself is opened through GET /api/ehr/:id
+    const ehrs = await EHR.find(INBOX_BOXES[box](req.user.id))
+      .select('recordId patient visitDate visitType department status author attendingPhysician cosignature createdAt')
+      .sort({ 'cosignature.dueAt': 1 })
+      .populate('patient', 'patientId firstName lastName')
+      .populate('author', 'firstName lastName role')
+      .populate('cosignature.assignedTo', 'firstName lastName')
+      .populate('cosignature.comments.author', 'firstName lastName');
+
+    const now = new Date();
+    const items = ehrs.map((ehr) => ({
+      ...ehr.toObject(),
+      isOverdue: ehr.cosignature.status === 'pending' && ehr.cosignature.dueAt <= now
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: items,
+      counts: { total: items.length, overdue: items.filter((item) => item.isOverdue).length }
+    });
+  } catch (error) {
+    console.error('Get co-signature inbox error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching co-signature inbox',
+      error: error.message
+    });
+  }
+};
+
+// The note if it is waiting for the requesting physician, otherwise { status, message }
+const findAssignedNote = async (req) => {
+  const ehr = await EHR.findById(req.params.id);
+  if (!ehr) {
+    return { status: 404, message: 'EHR record not found' };
+  }
+  if (ehr.cosignature?.status !== 'pending') {
+    return { status: 409, message: 'This note is not waiting for co-signature' };
+  }
+  if (!ehr.cosignature.assignedTo?.equals(req.user.id)) {
+    return { status: 403, message: 'Only the attending physician assigned to this note can act on it' };
+  }
+  return { ehr };
+};
+
+/**
+ * @desc    Co-sign a note written by a nurse or trainee (finalizes it)
+ * @route   POST /api/ehr/:id/cosign
+ * @access  Private (ehr:sign, assigned attending physician)
+ */
+exports.cosignEHR = async (req, res) => {
+  try {
+    const { ehr, status, message } = await findAssignedNote(req);
+    if (!ehr) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    // Sign the loaded note, then store it in one update so a concurrent
+    // co-sign, return or edit cannot also apply and a failed signing leaves it pending
+    const now = new Date();
+    ehr.cosignature.status = 'cosigned';
+    ehr.cosignedBy = req.user.id;
+    ehr.cosignedAt = now;
+    ehr.signedBy = req.user.id;
+    ehr.signedAt = now;
+    ehr.status = 'final';
+    await signRecord(ehr, req.user.id, now);
+
+    const cosigned = await EHR.findOneAndUpdate(
+      { _id: ehr._id, version: ehr.version, 'cosignature.status': 'pending' },
+      {
+        $set: {
+          'cosignature.status': 'cosigned',
+          cosignedBy: ehr.cosignedBy,
+          cosignedAt: ehr.cosignedAt,
+          signedBy: ehr.signedBy,
+          signedAt: ehr.signedAt,
+          status: ehr.status,
+          signature: ehr.signature
+        }
+      },
+      { new: true }
+    );
+    if (!cosigned) {
+      return res.status(409).json({
+        success: false,
+        message: 'This note was co-signed, returned or changed in the meantime'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Note co-signed successfully',
+      data: cosigned
+    });
+  } catch (error) {
+    if (error.name === 'SigningAuthorityError') {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Co-sign EHR error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error co-signing EHR record',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Return a note to its author with comments
+ * @route   POST /api/ehr/:id/return
+ * @access  Private (ehr:sign, assigned attending physician)
+ */
+exports.returnEHR = async (req, res) => {
+  try {
+    const comments = typeof req.body.comments === 'string' ? req.body.comments.trim() : '';
+    if (comments.length < 10) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comments of at least 10 characters are required to return a note'
+      });
+    }
+
+    const { ehr, status, message } = await findAssignedNote(req);
+    if (!ehr) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const now = new Date();
+    const claimed = await EHR.findOneAndUpdate(
+      { _id: ehr._id, 'cosignature.status': 'pending' },
+      {
+        $set: { 'cosignature.status': 'returned', 'cosignature.returnedAt': now },
+        $push: { 'cosignature.comments': { author: req.user.id, action: 'returned', text: comments, createdAt: now } }
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'This note was co-signed or returned in the meantime'
+      });
+    }
+
+    await claimed.populate([
+      { path: 'author', select: 'firstName lastName email' },
+      { path: 'patient', select: 'patientId' }
+    ]);
+    if (claimed.author) {
+      notifyCosignature(claimed, claimed.author, {
+        subject: `Note ${claimed.recordId} was returned for revision`,
+        intro: 'The attending physician returned your note with comments:',
+        lines: [`- Comments: ${comments}`]
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Note returned to its author',
+      data: claimed
+    });
+  } catch (error) {
+    console.error('Return EHR error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error returning EHR record',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Send a returned note back to the attending physician
+ * @route   POST /api/ehr/:id/resubmit
+ * @access  Private (ehr:update, the note's author)
+ */
+exports.resubmitEHR = async (req, res) => {
+  try {
+    const ehr = await EHR.findById(req.params.id);
+
+    if (!ehr) {
+      return res.status(404).json({
+        success: false,
+        message: 'EHR record not found'
+      });
+    }
+
+    if (ehr.cosignature?.status !== 'returned') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only notes returned for revision can be resubmitted'
+      });
+    }
+
+    if (!ehr.author?.equals(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the note\'s author can resubmit it'
+      });
+    }
+
+    // The due date restarts, and so does the reminder clock
+    const now = new Date();
+    const dueAt = new Date(now.getTime() + COSIGN_DUE_HOURS * 60 * 60 * 1000);
+    const claimed = await EHR.findOneAndUpdate(
+      { _id: ehr._id, 'cosignature.status': 'returned' },
+      {
+        $set: {
+          'cosignature.status': 'pending',
+          'cosignature.requestedAt': now,
+          'cosignature.dueAt': dueAt,
+          'cosignature.reminderCount': 0
+        },
+        $unset: { 'cosignature.lastReminderAt': '', 'cosignature.escalatedAt': '' }
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'This note was resubmitted in the meantime'
+      });
+    }
+
+    const response = typeof req.body.comments === 'string' ? req.body.comments.trim() : '';
+    if (response) {
+      claimed.cosignature.comments.push({ author: req.user.id, action: 'resubmitted', text: response, createdAt: now });
+      await claimed.save();
+    }
+
+    await claimed.populate([
+      { path: 'cosignature.assignedTo', select: 'firstName lastName email' },
+      { path: 'patient', select: 'patientId' }
+    ]);
+    notifyCosignature(claimed, claimed.cosignature.assignedTo, {
+      subject: `Note ${claimed.recordId} was revised and needs your co-signature`,
+      intro: 'A note you returned has been revised and resubmitted:',
+      lines: [
+        ...(response ? [`- Author's response: ${response}`] : []),
+        `- Co-signature due: ${dueAt.toISOString()}`
+      ]
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Note resubmitted for co-signature',
+      data: claimed
+    });
+  } catch (error) {
+    console.error('Resubmit EHR error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resubmitting EHR record',
+      error: error.message
+    });
+  }
+};
+
+// Version number from a route or query parameter, if it names an existing version
+const parseVersion = (value, ehr) => {
+  const version = Number(value);
+  return Number.isInteger(version) && version >= 1 && version <= ehr.version ? version : null;
+};
+
+/**
+ * @desc    List an EHR record's versions
+ * @route   GET /api/ehr/:id/versions
+ * @access  Private (ehr:read)
+ */
+exports.getEHRVersions = async (req, res) => {
+  try {
+    const ehr = await EHR.findById(req.params.id)
+      .populate('author', 'firstName lastName role')
+      .populate('attendingPhysician', 'firstName lastName role');
+
+    if (!ehr) {
+      return res.status(404).json({
+        success: false,
+        message: 'EHR record not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await listVersions(ehr)
+    });
+  } catch (error) {
+    console.error('Get EHR versions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching EHR versions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the content of one EHR version
+ * @route   GET /api/ehr/:id/versions/:version
+ * @access  Private (ehr:read)
+ */
+exports.getEHRVersion = async (req, res) => {
+  try {
+    const ehr = await EHR.findById(req.params.id);
+
+    if (!ehr) {
+      return res.status(404).json({
+        success: false,
+        message: 'EHR record not found'
+      });
+    }
+
+    const version = parseVersion(req.params.version, ehr);
+    const content = version && await getVersionContent(ehr, version);
+
+    if (!content) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        version,
+        current: version === ehr.version,
+        content
+      }
+    });
+  } catch (error) {
+    console.error('Get EHR version error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching EHR version',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Field-level differences between two EHR versions
+ * @route   GET /api/ehr/:id/versions/diff?from=1&to=2
+ * @access  Private (ehr:read)
+ */
+exports.diffEHRVersions = async (req, res) => {
+  try {
+    const ehr = await EHR.findById(req.params.id);
+
+    if (!ehr) {
+      return res.status(404).json({
+        success: false,
+        message: 'EHR record not found'
+      });
+    }
+
+    const from = parseVersion(req.query.from, ehr);
+    const to = parseVersion(req.query.to ?? ehr.version, ehr);
+
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        message: `Versions must be between 1 and ${ehr.version}`
+      });
+    }
+
+    const [before, after] = await Promise.all([getVersionContent(ehr, from), getVersionContent(ehr, to)]);
+
+    if (!before || !after) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${!before ? from : to} has no stored content`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from,
+        to,
+        changes: diffContent(before, after)
+      }
+    });
+  } catch (error) {
+    console.error('Diff EHR versions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error comparing EHR versions',
+      error: error.message
+    });
+  }
+};
+
 /**
  * @desc    Get EHRs assigned to current user
  * @route   GET /api/ehr/my-patients
@@ -320,8 +988,23 @@ exports.getMyPatientEHRs = async (req, res) => {
     const { page = 1, limit = 20, status } = req.query;
 
     const user = await User.findById(req.user.id);
-    
-    if (!user.assignedPatients || user.assignedPatients.length === 0) {
+    const { patientIds: delegatedPatients } = await getDelegatedPatients(user._id);
+    let patientIds = [...(user.assignedPatients || []), ...delegatedPatients];
+
+    // Only patients whose consent covers the declared purpose of use
+    const purpose = resolvePurpose(req);
+    if (!purpose) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown purpose of use. Declare one of: ${PURPOSE_NAMES.join(', ')}`
+      });
+    }
+    const consentConditions = consentFilter(purpose);
+    if (Object.keys(consentConditions).length > 0 && patientIds.length > 0) {
+      patientIds = await Patient.find({ _id: { $in: patientIds }, ...consentConditions }).distinct('_id');
+    }
+
+    if (patientIds.length === 0) {
       return res.status(200).json({
         success: true,
         data: [],
@@ -329,7 +1012,10 @@ exports.getMyPatientEHRs = async (req, res) => {
       });
     }
 
-    const query = { patient: { $in: user.assignedPatients } };
+    const query = {
+      patient: { $in: patientIds },
+      ...(purpose === 'emergency' ? {} : await exclusionConditions(patientIds, user.attributes?.department))
+    };
     
     if (status) {
       query.status = status;
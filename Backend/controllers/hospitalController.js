@@ -160,9 +160,12 @@ exports.updateHospital = async (req, res) => {
       });
     }
 
+    // Single sign-on settings go through updateHospitalSSO, which validates them
+    const { sso, ...updates } = req.body;
+
     const updatedHospital = await Hospital.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       {
         new: true,
         runValidators: true
@@ -184,7 +187,7 @@ exports.updateHospital = async (req, res) => {
       details: {
         hospitalId: hospital.hospitalId,
         hospitalName: hospital.name,
-        changes: req.body
+        changes: updates
       }
     });
 
@@ -203,6 +206,169 @@ exports.updateHospital = async (req, res) => {
   }
 };
 
+const SSO_ROLES = ['admin', 'doctor', 'nurse', 'staff'];
+
+// Mapping keys become Mongo field names, so they cannot contain dots or start with $
+const findMappingError = (mapping, allowedValues, label) => {
+  if (mapping === undefined) {
+    return null;
+  }
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return `${label} must be an object`;
+  }
+  for (const [key, value] of Object.entries(mapping)) {
+    if (!key || key.includes('.') || key.startsWith('$')) {
+      return `${label} key "${key}" is not allowed`;
+    }
+    if (allowedValues && !allowedValues.includes(value)) {
+      return `${label} value for "${key}" must be one of: ${allowedValues.join(', ')}`;
+    }
+    if (typeof value !== 'string') {
+      return `${label} values must be strings`;
+    }
+  }
+  return null;
+};
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * @desc    Configure OpenID Connect single sign-on for a hospital
+ * @route   PUT /api/hospitals/:id/sso
+ * @access  Private (Admin)
+ */
+exports.updateHospitalSSO = async (req, res) => {
+  try {
+    const hospital = await Hospital.findById(req.params.id).select('+sso.clientSecret');
+
+    if (!hospital) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hospital not found'
+      });
+    }
+
+    const {
+      enabled,
+      issuer,
+      clientId,
+      clientSecret,
+      scopes,
+      roleClaim,
+      roleMapping,
+      defaultRole,
+      departmentClaim,
+      departmentMapping,
+      autoProvision
+    } = req.body;
+
+    const departments = User.schema.path('attributes.department').enumValues;
+    const validationError =
+      (issuer !== undefined && !isHttpUrl(issuer) && 'Issuer must be an http(s) URL')
+      || (scopes !== undefined && !String(scopes).split(/\s+/).includes('openid') && 'Scopes must include openid')
+      || (defaultRole && !SSO_ROLES.slice(1).includes(defaultRole) && 'Default role must be doctor, nurse or staff')
+      || findMappingError(roleMapping, SSO_ROLES, 'Role mapping')
+      || findMappingError(departmentMapping, departments, 'Department mapping');
+
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const beforeState = {
+      enabled: hospital.sso?.enabled,
+      issuer: hospital.sso?.issuer,
+      clientId: hospital.sso?.clientId
+    };
+
+    const settings = { issuer, clientId, scopes, roleClaim, departmentClaim };
+    for (const [field, value] of Object.entries(settings)) {
+      if (value !== undefined) {
+        hospital.sso[field] = String(value).trim();
+      }
+    }
+    if (issuer !== undefined) {
+      hospital.sso.issuer = String(issuer).trim().replace(/\/+$/, '');
+    }
+    // The secret is write-only: leave it out to keep the current one
+    if (clientSecret) {
+      hospital.sso.clientSecret = clientSecret;
+    }
+    if (roleMapping !== undefined) {
+      hospital.sso.roleMapping = roleMapping;
+    }
+    if (departmentMapping !== undefined) {
+      hospital.sso.departmentMapping = departmentMapping;
+    }
+    if (defaultRole !== undefined) {
+      hospital.sso.defaultRole = defaultRole || undefined;
+    }
+    if (autoProvision !== undefined) {
+      hospital.sso.autoProvision = Boolean(autoProvision);
+    }
+    if (enabled !== undefined) {
+      hospital.sso.enabled = Boolean(enabled);
+    }
+
+    if (hospital.sso.enabled && (!hospital.sso.issuer || !hospital.sso.clientId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Issuer and client ID are required to enable single sign-on'
+      });
+    }
+
+    await hospital.save();
+
+    await AuditLog.createLog({
+      user: req.user.id,
+      userEmail: req.user.email,
+      userRole: req.user.role,
+      action: 'UPDATE_HOSPITAL_SSO',
+      resourceType: 'Hospital',
+      resourceId: hospital._id,
+      timestamp: new Date(),
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.headers['user-agent'],
+      status: 'SUCCESS',
+      details: {
+        beforeState,
+        afterState: {
+          enabled: hospital.sso.enabled,
+          issuer: hospital.sso.issuer,
+          clientId: hospital.sso.clientId,
+          clientSecretChanged: Boolean(clientSecret)
+        }
+      }
+    });
+
+    const { clientSecret: storedSecret, ...ssoSettings } = hospital.toObject({ flattenMaps: true }).sso;
+
+    res.status(200).json({
+      success: true,
+      message: 'Single sign-on settings updated',
+      data: {
+        ...ssoSettings,
+        hasClientSecret: Boolean(storedSecret)
+      }
+    });
+  } catch (error) {
+    console.error('Update hospital SSO error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating single sign-on settings',
+      error: error.message
+    });
+  }
+};
+
 /**
  * @desc    Delete hospital from network
  * @route   DELETE /api/hospitals/:id
@@ -1,7 +1,20 @@
+const crypto = require('crypto');
 const User = require('../models/User');
 const AuditLog = require('../models/AuditLog');
+const PasswordResetToken = require('../models/PasswordResetToken');
 const { getClientIp } = require('../utils/ipHelper');
-const bcrypt = require('bcryptjs');
+const { hashToken, createSession, revokeAllSessions } = require('../utils/session');
+const { sendMail } = require('../utils/mailer');
+const { clearLoginFailures } = require('../utils/loginThrottle');
+const {
+  getPasswordPolicy,
+  validatePassword,
+  applyPasswordChange,
+  describePasswordPolicy
+} = require('../utils/passwordPolicy');
+
+// Same answer whether or not the account exists
+const RESET_REQUESTED_MESSAGE = 'If an account exists for that email, a password reset link has been sent';
 
 /**
  * @desc    Change user password
@@ -20,16 +33,8 @@ exports.changePassword = async (req, res) => {
       });
     }
 
-    // Validate new password strength
-    if (newPassword.length < 8) {
-      return res.status(400).json({
-        success: false,
-        message: 'New password must be at least 8 characters long'
-      });
-    }
-
-    // Get user with password
-    const user = await User.findById(req.user.id).select('+password');
+    // Get user with password and password history
+    const user = await User.findById(req.user.id).select('+password +passwordHistory');
 
     if (!user) {
       return res.status(404).json({
@@ -67,10 +72,26 @@ exports.changePassword = async (req, res) => {
       });
     }
 
+    // Validate new password against the organization policy
+    const policy = await getPasswordPolicy();
+    const errors = await validatePassword(newPassword, { user, policy });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('. '),
+        errors
+      });
+    }
+
     // Update password
-    user.password = newPassword;
+    applyPasswordChange(user, newPassword, policy);
     await user.save();
 
+    // Sign out every session, then start a fresh one for this device
+    await revokeAllSessions(user._id, 'password_change', user._id);
+    const { session, accessToken, refreshToken } = await createSession(user, req);
+
     // Log successful password change
     await AuditLog.createLog({
       user: user._id,
@@ -83,6 +104,7 @@ exports.changePassword = async (req, res) => {
       ipAddress: getClientIp(req),
       userAgent: req.headers['user-agent'],
       status: 'SUCCESS',
+      sessionId: session._id.toString(),
       details: {
         message: 'User successfully changed their password'
       },
@@ -92,7 +114,11 @@ exports.changePassword = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      tokens: {
+        accessToken,
+        refreshToken
+      }
     });
   } catch (error) {
     console.error('Change password error:', error);
@@ -103,3 +129,270 @@ exports.changePassword = async (req, res) => {
     });
   }
 };
+
+/**
+ * @desc    Get the password rules users must follow
+ * @route   GET /api/auth/password-policy
+ * @access  Public
+ */
+exports.getPasswordRules = async (req, res) => {
+  try {
+    const policy = await getPasswordPolicy();
+
+    res.status(200).json({
+      success: true,
+      data: describePasswordPolicy(policy)
+    });
+  } catch (error) {
+    console.error('Get password rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching password policy',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Request a password reset link by email
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email address'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+    // Unknown accounts get exactly the same response
+    if (!user) {
+      return res.status(200).json({
+        success: true,
+        message: RESET_REQUESTED_MESSAGE
+      });
+    }
+
+    const auditBase = {
+      user: user._id,
+      userEmail: user.email,
+      userRole: user.role,
+      action: 'PASSWORD_RESET_REQUESTED',
+      resourceType: 'User',
+      resourceId: user._id,
+      ipAddress: getClientIp(req),
+      userAgent: req.headers['user-agent'],
+      hospitalId: user.attributes?.hospitalId,
+      department: user.attributes?.department
+    };
+
+    if (!user.isActive || user.accountStatus === 'suspended') {
+      await AuditLog.createLog({
+        ...auditBase,
+        timestamp: new Date(),
+        status: 'DENIED',
+        details: {
+          denialReason: 'Account is deactivated or suspended'
+        }
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: RESET_REQUESTED_MESSAGE
+      });
+    }
+
+    // Only the newest link works
+    await PasswordResetToken.invalidateForUser(user._id);
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30;
+
+    await PasswordResetToken.create({
+      user: user._id,
+      tokenHash: hashToken(token),
+      ipAddress: getClientIp(req),
+      userAgent: req.headers['user-agent'],
+      expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000)
+    });
+
+    const frontendUrl = (process.env.FRONTEND_URL || process.env.CORS_ORIGIN || 'http://localhost:5173').split(',')[0];
+    const resetLink = `${frontendUrl}/reset-password?token=${token}`;
+
+    // Sent in the background so response time does not reveal whether the account exists
+    sendMail({
+      to: user.email,
+      subject: 'Reset your SecureEHR password',
+      text: [
+        `Hello ${user.firstName},`,
+        '',
+        'A password reset was requested for your account. Use the link below to choose a new password:',
+        resetLink,
+        '',
+        `This link expires in ${expiresInMinutes} minutes and can only be used once.`,
+        'If you did not request this, you can ignore this email.'
+      ].join('\n')
+    })
+      .then(() => AuditLog.createLog({
+        ...auditBase,
+        timestamp: new Date(),
+        status: 'SUCCESS'
+      }))
+      .catch((error) => {
+        console.error('Password reset email error:', error);
+        return AuditLog.createLog({
+          ...auditBase,
+          timestamp: new Date(),
+          status: 'FAILURE',
+          details: {
+            errorMessage: 'Reset email could not be sent'
+          }
+        });
+      });
+
+    res.status(200).json({
+      success: true,
+      message: RESET_REQUESTED_MESSAGE
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting password reset',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Reset password with an emailed token
+ * @route   POST /api/auth/reset-password
+ * @access  Public
+ */
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the reset token and a new password'
+      });
+    }
+
+    const tokenHash = hashToken(token);
+    const resetToken = await PasswordResetToken.findOne({ tokenHash });
+
+    if (!resetToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'This password reset link is invalid or has expired'
+      });
+    }
+
+    const user = await User.findById(resetToken.user).select('+password +passwordHistory');
+
+    if (!user || !user.isActive || user.accountStatus === 'suspended') {
+      return res.status(400).json({
+        success: false,
+        message: 'This password reset link is invalid or has expired'
+      });
+    }
+
+    const auditBase = {
+      user: user._id,
+      userEmail: user.email,
+      userRole: user.role,
+      resourceType: 'User',
+      resourceId: user._id,
+      ipAddress: getClientIp(req),
+      userAgent: req.headers['user-agent'],
+      hospitalId: user.attributes?.hospitalId,
+      department: user.attributes?.department
+    };
+
+    if (resetToken.usedAt || resetToken.expiresAt <= new Date()) {
+      await AuditLog.createLog({
+        ...auditBase,
+        action: 'PASSWORD_RESET_FAILED',
+        timestamp: new Date(),
+        status: 'FAILURE',
+        details: {
+          errorMessage: resetToken.usedAt ? 'Reset token already used' : 'Reset token expired'
+        }
+      });
+
+      return res.status(400).json({
+        success: false,
+        message: 'This password reset link is invalid or has expired'
+      });
+    }
+
+    // Check the new password before using up the link, so the user can try again
+    const policy = await getPasswordPolicy();
+    const errors = await validatePassword(newPassword, { user, policy });
+
+    if (errors.length > 0) {
+      await AuditLog.createLog({
+        ...auditBase,
+        action: 'PASSWORD_RESET_FAILED',
+        timestamp: new Date(),
+        status: 'FAILURE',
+        details: {
+          errorMessage: 'New password rejected by password policy'
+        }
+      });
+
+      return res.status(400).json({
+        success: false,
+        message: errors.join('. '),
+        errors
+      });
+    }
+
+    // Consume the token; fails if another request used it in the meantime
+    if (!await PasswordResetToken.consume(tokenHash)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This password reset link is invalid or has expired'
+      });
+    }
+
+    // Update password; tokens issued before now stop working
+    applyPasswordChange(user, newPassword, policy);
+    user.failedLoginAttempts = 0;
+    user.accountLockedUntil = undefined;
+    await user.save();
+    await clearLoginFailures(user.email);
+
+    const sessionsRevoked = await revokeAllSessions(user._id, 'password_change');
+
+    await AuditLog.createLog({
+      ...auditBase,
+      action: 'PASSWORD_RESET_COMPLETED',
+      timestamp: new Date(),
+      status: 'SUCCESS',
+      details: {
+        afterState: { sessionsRevoked }
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password',
+      error: error.message
+    });
+  }
+};
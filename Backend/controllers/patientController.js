@@ -1,6 +1,16 @@
 const Patient = require('../models/Patient');
 const User = require('../models/User');
+const ConsentDirective = require('../models/ConsentDirective');
 const crypto = require('crypto');
+const { revokeAllSessions } = require('../utils/session');
+const { getDelegatedPatients } = require('../utils/delegation');
+const { PURPOSE_NAMES, resolvePurpose, consentFilter } = require('../utils/purposeOfUse');
+const { recordDirective } = require('../utils/consentDirectives');
+const {
+  getPasswordPolicy,
+  applyPasswordChange,
+  generateTemporaryPassword
+} = require('../utils/passwordPolicy');
 
 /**
  * @desc    Create new patient
@@ -54,16 +64,17 @@ exports.createPatient = async (req, res) => {
     
     if (createPortalAccount && email) {
       try {
-        // Generate a temporary password (patient should change this)
-        tempPassword = `Patient@${Date.now().toString().slice(-6)}`;
-        
         // Check if user with this email already exists
         const existingUser = await User.findOne({ email });
         
         if (!existingUser) {
+          // Random temporary password; the patient must replace it at first login
+          tempPassword = generateTemporaryPassword(await getPasswordPolicy());
+
           portalAccount = await User.create({
             email,
             password: tempPassword,
+            mustChangePassword: true,
             firstName,
             lastName,
             role: 'patient',
@@ -73,7 +84,7 @@ exports.createPatient = async (req, res) => {
             }
           });
 
-          console.log(`[Patient Portal] Account created for ${email} with temp password: ${tempPassword}`);
+          console.log(`[Patient Portal] Account created for ${email}`);
         } else {
           console.log(`[Patient Portal] User with email ${email} already exists`);
         }
@@ -91,7 +102,7 @@ exports.createPatient = async (req, res) => {
         email: portalAccount.email,
         temporaryPassword: tempPassword,
         patientId: patient.patientId,
-        message: 'Patient can login to the portal using these credentials. Please ask them to change their password immediately.'
+        message: 'Patient can login to the portal using these credentials. They will be asked to choose their own password at first login.'
       } : null
     });
   } catch (error) {
@@ -127,11 +138,23 @@ exports.getPatients = async (req, res) => {
 
     // Only show assigned patients for doctors
     // Nurses see all patients in their hospital (for general care)
+    // (plus any delegated to them by a colleague)
     if (req.user.role === 'doctor') {
-      query._id = { $in: req.user.assignedPatients };
+      const { patientIds } = await getDelegatedPatients(req.user.id);
+      query._id = { $in: [...req.user.assignedPatients, ...patientIds] };
     }
     // Note: Nurses can see all patients in their hospital for vital signs and medication administration
 
+    // Only patients whose consent covers the declared purpose of use
+    const purpose = resolvePurpose(req);
+    if (!purpose) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown purpose of use. Declare one of: ${PURPOSE_NAMES.join(', ')}`
+      });
+    }
+    Object.assign(query, consentFilter(purpose));
+
     const patients = await Patient.find(query)
       .sort({ createdAt: -1 })
       .limit(limit * 1)
@@ -214,6 +237,70 @@ exports.getPatient = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Export a patient's demographics and EHRs (e.g. for transfer to another hospital)
+ * @route   GET /api/patients/:id/export
+ * @access  Private (ehr:read, data-sharing consent; a `recipient` the patient's directive names)
+ */
+exports.exportPatientRecord = async (req, res) => {
+  try {
+    const EHR = require('../models/EHR');
+    const AuditLog = require('../models/AuditLog');
+    const { getClientIp } = require('../utils/ipHelper');
+
+    const patient = req.patient;
+    const query = { patient: patient._id, status: { $ne: 'archived' } };
+    if (req.consentExclusions?.length > 0) {
+      query.sensitivityCategories = { $nin: req.consentExclusions };
+    }
+
+    const ehrRecords = await EHR.find(query)
+      .sort({ visitDate: -1 })
+      .populate('attendingPhysician', 'firstName lastName')
+      .select('-__v');
+
+    await AuditLog.createLog({
+      user: req.user.id,
+      userEmail: req.user.email,
+      userRole: req.user.role,
+      action: 'EXPORT_DATA',
+      resourceType: 'Patient',
+      resourceId: patient._id,
+      patient: patient._id,
+      patientId: patient.patientId,
+      purposeOfUse: req.purposeOfUse,
+      timestamp: new Date(),
+      ipAddress: getClientIp(req),
+      userAgent: req.headers['user-agent'],
+      accessMethod: req.breakGlass ? 'emergency' : 'web',
+      status: 'SUCCESS',
+      details: {
+        afterState: { recordCount: ehrRecords.length, purposeOfUse: req.purposeOfUse, recipient: req.sharingRecipient }
+      },
+      hospitalId: req.user.attributes?.hospitalId,
+      department: req.user.attributes?.department
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        exportedAt: new Date(),
+        purposeOfUse: req.purposeOfUse,
+        recipient: req.sharingRecipient,
+        patient,
+        ehrRecords
+      }
+    });
+  } catch (error) {
+    console.error('Export patient record error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting patient record',
+      error: error.message
+    });
+  }
+};
+
 /**
  * @desc    Update patient
  * @route   PUT /api/patients/:id
@@ -326,13 +413,42 @@ exports.assignProvider = async (req, res) => {
 };
 
 /**
- * @desc    Update patient consent
+ * @desc    Get the patient's consent directive and its history
+ * @route   GET /api/patients/:id/consent
+ * @access  Private (patient access)
+ */
+exports.getConsentDirectives = async (req, res) => {
+  try {
+    const history = await ConsentDirective.find({ patient: req.patient._id })
+      .sort({ version: -1 })
+      .populate('createdBy', 'firstName lastName role');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        consent: req.patient.consent,
+        current: history.find((directive) => directive.status === 'active') || null,
+        history
+      }
+    });
+  } catch (error) {
+    console.error('Get consent directives error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching consent directives',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update patient consent (records a new directive version)
  * @route   PUT /api/patients/:id/consent
  * @access  Private (Admin, assigned providers)
  */
 exports.updateConsent = async (req, res) => {
   try {
-    const { consent } = req.body;
+    const { consent = {}, changeNote } = req.body;
 
     const patient = await Patient.findById(req.params.id);
     if (!patient) {
@@ -342,15 +458,31 @@ exports.updateConsent = async (req, res) => {
       });
     }
 
-    patient.consent = { ...patient.consent, ...consent };
-    await patient.save();
+    // Staff record the flags; exclusions and recipients are the patient's to manage
+    const directive = await recordDirective(req, patient, {
+      dataSharing: consent.dataSharing,
+      research: consent.research,
+      emergencyAccess: consent.emergencyAccess
+    }, { source: 'staff', changeNote });
 
     res.status(200).json({
       success: true,
-      message: 'Patient consent updated successfully',
-      data: patient
+      message: `Patient consent updated (directive version ${directive.version})`,
+      data: directive
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map((e) => e.message).join(', ')
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Consent was changed at the same time. Reload and try again.'
+      });
+    }
     console.error('Update consent error:', error);
     res.status(500).json({
       success: false,
@@ -430,13 +562,14 @@ exports.createPortalAccount = async (req, res) => {
       });
     }
 
-    // Generate temporary password
-    const tempPassword = `Patient@${Date.now().toString().slice(-6)}`;
+    // Random temporary password; the patient must replace it at first login
+    const tempPassword = generateTemporaryPassword(await getPasswordPolicy());
 
     // Create user account
     const portalAccount = await User.create({
       email: patient.email,
       password: tempPassword,
+      mustChangePassword: true,
       firstName: patient.firstName,
       lastName: patient.lastName,
       role: 'patient',
@@ -453,7 +586,7 @@ exports.createPortalAccount = async (req, res) => {
         email: portalAccount.email,
         temporaryPassword: tempPassword,
         patientId: patient.patientId,
-        instructions: 'Please provide these credentials to the patient and ask them to change their password immediately after first login.'
+        instructions: 'Please provide these credentials to the patient. They will be asked to choose their own password at first login.'
       }
     });
   } catch (error) {
@@ -483,7 +616,8 @@ exports.resetPortalPassword = async (req, res) => {
     }
 
     // Find portal account
-    const portalAccount = await User.findOne({ patientId: patient._id });
+    const portalAccount = await User.findOne({ patientId: patient._id })
+      .select('+password +passwordHistory');
     
     if (!portalAccount) {
       return res.status(404).json({
@@ -492,13 +626,17 @@ exports.resetPortalPassword = async (req, res) => {
       });
     }
 
-    // Generate new temporary password
-    const tempPassword = `Patient@${Date.now().toString().slice(-6)}`;
+    // Random temporary password; the patient must replace it at next login
+    const policy = await getPasswordPolicy();
+    const tempPassword = generateTemporaryPassword(policy);
 
-    // Update password
-    portalAccount.password = tempPassword;
+    applyPasswordChange(portalAccount, tempPassword, policy);
+    portalAccount.mustChangePassword = true;
     await portalAccount.save();
 
+    // Sessions opened with the old password end here
+    await revokeAllSessions(portalAccount._id, 'admin', req.user.id);
+
     res.status(200).json({
       success: true,
       message: 'Patient portal password reset successfully',
@@ -506,7 +644,7 @@ exports.resetPortalPassword = async (req, res) => {
         email: portalAccount.email,
         temporaryPassword: tempPassword,
         patientId: patient.patientId,
-        instructions: 'Please provide this new password to the patient.'
+        instructions: 'Please provide this new password to the patient. They will be asked to choose their own password at next login.'
       }
     });
   } catch (error) {
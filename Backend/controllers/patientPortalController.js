@@ -1,6 +1,8 @@
 const Patient = require('../models/Patient');
 const EHR = require('../models/EHR');
 const User = require('../models/User');
+const ConsentDirective = require('../models/ConsentDirective');
+const { recordDirective } = require('../utils/consentDirectives');
 
 /**
  * Get patient's own profile
@@ -58,6 +60,7 @@ exports.getMyEHRRecords = async (req, res) => {
 
     // Get all EHR records for this patient
     const ehrRecords = await EHR.find({ patient: user.patientId })
+      .populate('amendmentHistory.amendedBy', 'firstName lastName role')
       .sort({ createdAt: -1 })
       .limit(100); // Limit to last 100 records
 
@@ -92,7 +95,7 @@ exports.getMyEHRRecord = async (req, res) => {
     const ehrRecord = await EHR.findOne({
       _id: req.params.id,
       patient: user.patientId
-    });
+    }).populate('amendmentHistory.amendedBy', 'firstName lastName role');
 
     if (!ehrRecord) {
       return res.status(404).json({
@@ -191,7 +194,7 @@ exports.exportMyRecords = async (req, res) => {
       user: user._id,
       userEmail: user.email,
       userRole: user.role,
-      action: 'DATA_EXPORT',
+      action: 'EXPORT_DATA',
       resourceType: 'Patient',
       resourceId: user.patientId,
       patient: user.patientId,
@@ -248,3 +251,112 @@ exports.exportMyRecords = async (req, res) => {
 };
 
 module.exports = exports;
+
+/**
+ * Get patient's own consent directive and its version history
+ */
+exports.getMyConsent = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user || !user.patientId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient record not found'
+      });
+    }
+
+    const [patient, history] = await Promise.all([
+      Patient.findById(user.patientId).select('consent'),
+      ConsentDirective.find({ patient: user.patientId })
+        .sort({ version: -1 })
+        .populate('createdBy', 'firstName lastName role')
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        consent: patient?.consent,
+        current: history.find((directive) => directive.status === 'active') || null,
+        history,
+        categories: EHR.SENSITIVE_CATEGORIES
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching consent directive:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Update patient's own consent directive (records a new version)
+ */
+exports.updateMyConsent = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user || !user.patientId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient record not found'
+      });
+    }
+
+    const patient = await Patient.findById(user.patientId);
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient record not found'
+      });
+    }
+
+    const { dataSharing, research, emergencyAccess, exclusions, recipients, expiresAt, changeNote } = req.body;
+
+    if ((exclusions !== undefined && !Array.isArray(exclusions)) ||
+        (recipients !== undefined && !Array.isArray(recipients))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Exclusions and recipients must be lists'
+      });
+    }
+
+    const directive = await recordDirective(req, patient, {
+      dataSharing,
+      research,
+      emergencyAccess,
+      exclusions,
+      recipients,
+      // An empty value clears the directive's expiry date
+      expiresAt: expiresAt === '' ? null : expiresAt
+    }, { source: 'patient', changeNote });
+
+    res.json({
+      success: true,
+      message: `Consent directive updated (version ${directive.version})`,
+      data: directive
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: error.errors
+          ? Object.values(error.errors).map((e) => e.message).join(', ')
+          : error.message
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Your consent was changed at the same time. Reload and try again.'
+      });
+    }
+    console.error('Error updating consent directive:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
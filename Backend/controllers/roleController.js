@@ -0,0 +1,406 @@
+const mongoose = require('mongoose');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { getClientIp } = require('../utils/ipHelper');
+const {
+  PERMISSIONS,
+  BUILT_IN_ROLE_PERMISSIONS,
+  isPermission,
+  roleAppliesTo,
+  resolvePermissions
+} = require('../utils/permissions');
+
+const auditRoleChange = async (req, action, resourceType, resourceId, details) => {
+  await AuditLog.createLog({
+    user: req.user.id,
+    userEmail: req.user.email,
+    userRole: req.user.role,
+    action,
+    resourceType,
+    resourceId,
+    timestamp: new Date(),
+    ipAddress: getClientIp(req),
+    userAgent: req.headers['user-agent'],
+    status: 'SUCCESS',
+    details,
+    hospitalId: req.user.attributes?.hospitalId,
+    department: req.user.attributes?.department
+  });
+};
+
+// Names in the list that are not permissions
+const findUnknownPermissions = (permissions) => permissions.filter((permission) => !isPermission(permission));
+
+const roleState = (role) => ({
+  name: role.name,
+  displayName: role.displayName,
+  hospitalId: role.hospitalId,
+  permissions: [...role.permissions]
+});
+
+/**
+ * @desc    List permissions and the built-in role bundles
+ * @route   GET /api/admin/permissions
+ * @access  Private (role:manage)
+ */
+exports.getPermissionCatalog = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+      builtInRoles: BUILT_IN_ROLE_PERMISSIONS
+    }
+  });
+};
+
+/**
+ * @desc    List custom roles
+ * @route   GET /api/admin/roles
+ * @access  Private (role:manage)
+ */
+exports.getRoles = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.hospitalId) {
+      // A hospital's own roles plus organization-wide ones
+      query.hospitalId = { $in: [String(req.query.hospitalId), null] };
+    }
+
+    const roles = await Role.find(query).sort({ hospitalId: 1, name: 1 }).lean();
+
+    const counts = await User.aggregate([
+      { $match: { customRoles: { $in: roles.map((role) => role._id) } } },
+      { $unwind: '$customRoles' },
+      { $group: { _id: '$customRoles', count: { $sum: 1 } } }
+    ]);
+    const countByRole = Object.fromEntries(counts.map((entry) => [entry._id.toString(), entry.count]));
+
+    res.status(200).json({
+      success: true,
+      count: roles.length,
+      data: roles.map((role) => ({ ...role, userCount: countByRole[role._id.toString()] || 0 }))
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching roles',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create a custom role
+ * @route   POST /api/admin/roles
+ * @access  Private (role:manage)
+ */
+exports.createRole = async (req, res) => {
+  try {
+    const { name, displayName, description, hospitalId } = req.body;
+    const permissions = Array.isArray(req.body.permissions) ? req.body.permissions : [];
+
+    const unknown = findUnknownPermissions(permissions);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown permissions: ${unknown.join(', ')}`
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      displayName,
+      description,
+      permissions: [...new Set(permissions)],
+      hospitalId: hospitalId || null,
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
+
+    await auditRoleChange(req, 'ROLE_CREATED', 'System', role._id, {
+      afterState: roleState(role)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: role
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A role with this name already exists for this hospital'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map((err) => err.message).join(', ')
+      });
+    }
+
+    console.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating role',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update a custom role's details and permissions (the name and hospital are fixed)
+ * @route   PUT /api/admin/roles/:id
+ * @access  Private (role:manage)
+ */
+exports.updateRole = async (req, res) => {
+  try {
+    const role = mongoose.Types.ObjectId.isValid(req.params.id) ? await Role.findById(req.params.id) : null;
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const { displayName, description, permissions } = req.body;
+    const beforeState = roleState(role);
+
+    if (permissions !== undefined) {
+      if (!Array.isArray(permissions)) {
+        return res.status(400).json({
+          success: false,
+          message: 'permissions must be a list'
+        });
+      }
+      const unknown = findUnknownPermissions(permissions);
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown permissions: ${unknown.join(', ')}`
+        });
+      }
+      role.permissions = [...new Set(permissions)];
+    }
+    if (displayName !== undefined) {
+      role.displayName = displayName;
+    }
+    if (description !== undefined) {
+      role.description = description;
+    }
+    role.updatedBy = req.user.id;
+
+    await role.save();
+
+    const afterState = roleState(role);
+    await auditRoleChange(req, 'ROLE_UPDATED', 'System', role._id, {
+      beforeState,
+      afterState,
+      changes: [
+        ...afterState.permissions.filter((permission) => !beforeState.permissions.includes(permission))
+          .map((permission) => `granted ${permission}`),
+        ...beforeState.permissions.filter((permission) => !afterState.permissions.includes(permission))
+          .map((permission) => `revoked ${permission}`)
+      ]
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Role updated successfully',
+      data: role
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map((err) => err.message).join(', ')
+      });
+    }
+
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating role',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a custom role and remove it from its users
+ * @route   DELETE /api/admin/roles/:id
+ * @access  Private (role:manage)
+ */
+exports.deleteRole = async (req, res) => {
+  try {
+    const role = mongoose.Types.ObjectId.isValid(req.params.id) ? await Role.findById(req.params.id) : null;
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const result = await User.updateMany({ customRoles: role._id }, { $pull: { customRoles: role._id } });
+    await role.deleteOne();
+
+    await auditRoleChange(req, 'ROLE_DELETED', 'System', role._id, {
+      beforeState: { ...roleState(role), userCount: result.modifiedCount }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Role deleted and removed from ${result.modifiedCount} user(s)`
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting role',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a user's custom roles, extra grants and effective permissions
+ * @route   GET /api/admin/users/:id/permissions
+ * @access  Private (role:manage)
+ */
+exports.getUserPermissions = async (req, res) => {
+  try {
+    const user = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await User.findById(req.params.id).populate('customRoles', 'name displayName hospitalId permissions')
+      : null;
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        role: user.role,
+        hospitalId: user.attributes?.hospitalId,
+        customRoles: user.customRoles,
+        extraPermissions: user.extraPermissions,
+        effectivePermissions: await resolvePermissions(user)
+      }
+    });
+  } catch (error) {
+    console.error('Get user permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user permissions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Set a user's custom roles and extra permission grants
+ * @route   PUT /api/admin/users/:id/permissions
+ * @access  Private (role:manage)
+ */
+exports.updateUserPermissions = async (req, res) => {
+  try {
+    const customRoleIds = Array.isArray(req.body.customRoles) ? req.body.customRoles.map(String) : [];
+    const extraPermissions = Array.isArray(req.body.extraPermissions) ? [...new Set(req.body.extraPermissions)] : [];
+
+    if (req.params.id === req.user.id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own permissions'
+      });
+    }
+
+    const user = mongoose.Types.ObjectId.isValid(req.params.id) ? await User.findById(req.params.id) : null;
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const unknown = findUnknownPermissions(extraPermissions);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown permissions: ${unknown.join(', ')}`
+      });
+    }
+
+    // Patients hold their own portal access only; staff permissions never apply to them
+    if (user.role === 'patient' && (customRoleIds.length > 0 || extraPermissions.length > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Patient accounts cannot be given staff permissions'
+      });
+    }
+
+    const roles = await Role.find({ _id: { $in: customRoleIds.filter((id) => mongoose.Types.ObjectId.isValid(id)) } });
+    if (roles.length !== new Set(customRoleIds).size) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more roles were not found'
+      });
+    }
+
+    const outOfScope = roles.filter((role) => !roleAppliesTo(role, user));
+    if (outOfScope.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Roles scoped to another hospital cannot be assigned: ${outOfScope.map((role) => role.name).join(', ')}`
+      });
+    }
+
+    const beforeState = {
+      customRoles: (await Role.find({ _id: { $in: user.customRoles } }).select('name')).map((role) => role.name),
+      extraPermissions: [...user.extraPermissions],
+      effectivePermissions: await resolvePermissions(user)
+    };
+
+    user.customRoles = roles.map((role) => role._id);
+    user.extraPermissions = extraPermissions;
+    await user.save();
+
+    const afterState = {
+      customRoles: roles.map((role) => role.name),
+      extraPermissions: [...user.extraPermissions],
+      effectivePermissions: await resolvePermissions(user)
+    };
+
+    await auditRoleChange(req, 'PERMISSIONS_CHANGED', 'User', user._id, {
+      beforeState,
+      afterState,
+      changes: [
+        ...afterState.effectivePermissions.filter((permission) => !beforeState.effectivePermissions.includes(permission))
+          .map((permission) => `granted ${permission}`),
+        ...beforeState.effectivePermissions.filter((permission) => !afterState.effectivePermissions.includes(permission))
+          .map((permission) => `revoked ${permission}`)
+      ]
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User permissions updated successfully',
+      data: afterState
+    });
+  } catch (error) {
+    console.error('Update user permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating user permissions',
+      error: error.message
+    });
+  }
+};
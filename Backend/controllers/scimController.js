@@ -0,0 +1,751 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { getPasswordPolicy, generateTemporaryPassword } = require('../utils/passwordPolicy');
+const { suspendAccount, reactivateAccount } = require('../utils/accountStatus');
+const {
+  SCHEMAS,
+  ScimError,
+  sendScim,
+  sendScimError,
+  parseFilter,
+  toMongoQuery,
+  matchesFilter,
+  parsePatchPath,
+  applyPatchOperations,
+  MAX_PAGE_SIZE,
+  getPagination,
+  listResponse,
+  projectAttributes
+} = require('../utils/scim');
+
+/**
+ * SCIM 2.0 provisioning for staff accounts (HR system joiners and leavers).
+ *
+ * Users map onto User: core attributes, the enterprise extension's department
+ * and our own extension for hospital and clinical attributes. Patients are
+ * not exposed. Groups are the fixed staff roles: a user belongs to exactly
+ * one, so adding them to a group changes their role and removing them drops
+ * them to staff. Deactivation and DELETE suspend the account through the
+ * same path as the admin API; records are never hard-deleted.
+ */
+
+const GROUPS = {
+  admin: 'Administrators',
+  doctor: 'Doctors',
+  nurse: 'Nurses',
+  staff: 'Staff'
+};
+const STAFF_ROLES = Object.keys(GROUPS);
+const DEPARTMENTS = User.schema.path('attributes.department').enumValues;
+
+// Patients have portal accounts that HR must not see or touch
+const STAFF_ONLY = { role: { $ne: 'patient' } };
+
+const ACTIVE = { isActive: true, accountStatus: { $ne: 'suspended' } };
+const INACTIVE = { $or: [{ isActive: false }, { accountStatus: 'suspended' }] };
+
+const activeQuery = (op, value) => {
+  if (op === 'pr') {
+    return {};
+  }
+  if (op !== 'eq' && op !== 'ne') {
+    throw new ScimError(400, 'active only supports eq, ne and pr', 'invalidFilter');
+  }
+  const wantsActive = (op === 'eq') === (value === true || value === 'true');
+  return wantsActive ? ACTIVE : INACTIVE;
+};
+
+const USER_FILTER_FIELDS = {
+  id: { field: '_id', type: 'id' },
+  username: { field: 'username', type: 'lowercase' },
+  externalid: { field: 'scim.externalId', type: 'string' },
+  'name.givenname': { field: 'firstName', type: 'string' },
+  'name.familyname': { field: 'lastName', type: 'string' },
+  emails: { field: 'email', type: 'lowercase' },
+  'emails.value': { field: 'email', type: 'lowercase' },
+  roles: { field: 'role', type: 'lowercase' },
+  'roles.value': { field: 'role', type: 'lowercase' },
+  active: { query: activeQuery },
+  'meta.created': { field: 'createdAt', type: 'date' },
+  'meta.lastmodified': { field: 'updatedAt', type: 'date' },
+  [`${SCHEMAS.ENTERPRISE_USER}:department`.toLowerCase()]: { field: 'attributes.department', type: 'lowercase' },
+  [`${SCHEMAS.EHR_USER}:hospitalid`.toLowerCase()]: { field: 'attributes.hospitalId', type: 'string' },
+  [`${SCHEMAS.EHR_USER}:accesslevel`.toLowerCase()]: { field: 'attributes.accessLevel', type: 'number' }
+};
+
+const getBaseUrl = (req) => `${req.protocol}://${req.get('host')}/api/scim/v2`;
+
+const isActiveAccount = (user) => user.isActive && user.accountStatus !== 'suspended';
+
+const toScimUser = (user, req) => {
+  const baseUrl = getBaseUrl(req);
+  const displayName = [user.firstName, user.lastName].filter(Boolean).join(' ') || undefined;
+
+  return {
+    schemas: [SCHEMAS.USER, SCHEMAS.ENTERPRISE_USER, SCHEMAS.EHR_USER],
+    id: user._id.toString(),
+    externalId: user.scim?.externalId,
+    userName: user.username,
+    name: {
+      givenName: user.firstName,
+      familyName: user.lastName,
+      formatted: displayName
+    },
+    displayName,
+    emails: [{ value: user.email, type: 'work', primary: true }],
+    active: isActiveAccount(user),
+    roles: [{ value: user.role, display: GROUPS[user.role], primary: true }],
+    groups: [{ value: user.role, display: GROUPS[user.role], $ref: `${baseUrl}/Groups/${user.role}` }],
+    [SCHEMAS.ENTERPRISE_USER]: {
+      department: user.attributes?.department
+    },
+    [SCHEMAS.EHR_USER]: {
+      hospitalId: user.attributes?.hospitalId,
+      licenseNumber: user.attributes?.licenseNumber,
+      specialization: user.attributes?.specialization,
+      accessLevel: user.attributes?.accessLevel
+    },
+    meta: {
+      resourceType: 'User',
+      created: user.createdAt,
+      lastModified: user.updatedAt,
+      location: `${baseUrl}/Users/${user._id}`
+    }
+  };
+};
+
+const toScimGroup = (role, members, req) => {
+  const baseUrl = getBaseUrl(req);
+
+  return {
+    schemas: [SCHEMAS.GROUP],
+    id: role,
+    displayName: GROUPS[role],
+    members: members?.map((member) => ({
+      value: member._id.toString(),
+      display: member.username,
+      $ref: `${baseUrl}/Users/${member._id}`
+    })),
+    meta: {
+      resourceType: 'Group',
+      location: `${baseUrl}/Groups/${role}`
+    }
+  };
+};
+
+const optionalString = (value, attribute) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  if (typeof value !== 'string') {
+    throw new ScimError(400, `${attribute} must be a string`, 'invalidValue');
+  }
+  return value.trim();
+};
+
+/**
+ * Copy a SCIM user resource onto a User document (used by POST, PUT and PATCH).
+ * Extension schemas absent from the resource are left untouched, so an HR
+ * system that does not know our extension cannot clear clinical attributes.
+ * @returns {Object} - { active } requested for the account
+ */
+const applyScimUser = (user, resource) => {
+  if (!resource || typeof resource !== 'object') {
+    throw new ScimError(400, 'Request body must be a SCIM User', 'invalidSyntax');
+  }
+
+  const userName = optionalString(resource.userName, 'userName');
+  if (!userName || userName.length < 3) {
+    throw new ScimError(400, 'userName is required and must be at least 3 characters', 'invalidValue');
+  }
+
+  const emails = Array.isArray(resource.emails) ? resource.emails.filter((email) => email?.value) : [];
+  const email = (emails.find((candidate) => candidate.primary) || emails[0])?.value;
+  if (!email) {
+    throw new ScimError(400, 'At least one email is required', 'invalidValue');
+  }
+
+  user.username = userName.toLowerCase();
+  user.email = String(email).toLowerCase().trim();
+  user.firstName = optionalString(resource.name?.givenName, 'name.givenName');
+  user.lastName = optionalString(resource.name?.familyName, 'name.familyName');
+  user.scim = { ...user.scim, externalId: optionalString(resource.externalId, 'externalId') };
+
+  if (Array.isArray(resource.roles) && resource.roles.length > 0) {
+    const role = (resource.roles.find((candidate) => candidate?.primary) || resource.roles[0])?.value;
+    if (!STAFF_ROLES.includes(role)) {
+      throw new ScimError(400, `Role must be one of: ${STAFF_ROLES.join(', ')}`, 'invalidValue');
+    }
+    user.role = role;
+  }
+
+  const enterprise = resource[SCHEMAS.ENTERPRISE_USER];
+  if (enterprise) {
+    const department = optionalString(enterprise.department, 'department')?.toLowerCase();
+    if (department && !DEPARTMENTS.includes(department)) {
+      throw new ScimError(400, `Department must be one of: ${DEPARTMENTS.join(', ')}`, 'invalidValue');
+    }
+    user.attributes.department = department;
+  }
+
+  const ehr = resource[SCHEMAS.EHR_USER];
+  if (ehr) {
+    user.attributes.hospitalId = optionalString(ehr.hospitalId, 'hospitalId') || user.attributes.hospitalId;
+    user.attributes.licenseNumber = optionalString(ehr.licenseNumber, 'licenseNumber');
+    user.attributes.specialization = optionalString(ehr.specialization, 'specialization');
+
+    if (ehr.accessLevel !== undefined && ehr.accessLevel !== null) {
+      const accessLevel = Number(ehr.accessLevel);
+      if (!Number.isInteger(accessLevel) || accessLevel < 1 || accessLevel > 5) {
+        throw new ScimError(400, 'accessLevel must be an integer from 1 to 5', 'invalidValue');
+      }
+      user.attributes.accessLevel = accessLevel;
+    }
+  }
+
+  if (resource.active !== undefined && typeof resource.active !== 'boolean' && !['true', 'false'].includes(resource.active)) {
+    throw new ScimError(400, 'active must be a boolean', 'invalidValue');
+  }
+
+  return { active: resource.active === undefined ? true : String(resource.active) === 'true' };
+};
+
+// Fields compared to describe an update in the audit log
+const snapshot = (user) => ({
+  username: user.username,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  role: user.role,
+  externalId: user.scim?.externalId,
+  department: user.attributes?.department,
+  hospitalId: user.attributes?.hospitalId,
+  licenseNumber: user.attributes?.licenseNumber,
+  specialization: user.attributes?.specialization,
+  accessLevel: user.attributes?.accessLevel
+});
+
+const auditScimChange = async (req, user, action, details) => {
+  await AuditLog.createLog({
+    user: req.user.id,
+    userEmail: req.user.email,
+    userRole: req.user.role,
+    action,
+    resourceType: 'User',
+    resourceId: user._id,
+    timestamp: new Date(),
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.headers['user-agent'],
+    accessMethod: 'api',
+    status: 'SUCCESS',
+    details,
+    hospitalId: user.attributes?.hospitalId,
+    department: user.attributes?.department
+  });
+};
+
+/**
+ * Save changes from a SCIM request and bring the account status in line with `active`
+ */
+const saveScimUser = async (user, beforeState, active, req) => {
+  await user.save();
+
+  const afterState = snapshot(user);
+  const changes = Object.keys(afterState)
+    .filter((field) => String(beforeState[field] ?? '') !== String(afterState[field] ?? ''))
+    .map((field) => `${field}: ${beforeState[field] ?? ''} → ${afterState[field] ?? ''}`);
+
+  if (beforeState.role !== afterState.role) {
+    await auditScimChange(req, user, 'ROLE_CHANGE', {
+      beforeState: { role: beforeState.role },
+      afterState: { role: afterState.role }
+    });
+  }
+  if (changes.length > 0) {
+    await auditScimChange(req, user, 'UPDATE_USER', { changes, beforeState, afterState });
+  }
+
+  if (!active && isActiveAccount(user)) {
+    await suspendAccount(user, {
+      reason: `Deactivated through SCIM provisioning (token "${req.scimToken.name}")`,
+      actor: req.user,
+      req,
+      accessMethod: 'api'
+    });
+  } else if (active && !isActiveAccount(user)) {
+    await reactivateAccount(user, { actor: req.user, req, accessMethod: 'api' });
+  }
+};
+
+const findStaffUser = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+  return await User.findOne({ _id: id, ...STAFF_ONLY });
+};
+
+const handleScimError = (res, error, context) => {
+  if (error instanceof ScimError) {
+    return sendScimError(res, error.status, error.message, error.scimType);
+  }
+  if (error.code === 11000) {
+    const field = Object.keys(error.keyPattern || {})[0] || 'value';
+    return sendScimError(res, 409, `A user with this ${field === 'username' ? 'userName' : field} already exists`, 'uniqueness');
+  }
+  if (error.name === 'ValidationError') {
+    return sendScimError(res, 400, error.message, 'invalidValue');
+  }
+
+  console.error(`${context} error:`, error);
+  return sendScimError(res, 500, 'Internal error');
+};
+
+/**
+ * @desc    Describe the SCIM features supported
+ * @route   GET /api/scim/v2/ServiceProviderConfig
+ * @access  Private (SCIM token)
+ */
+exports.getServiceProviderConfig = (req, res) => {
+  sendScim(res, 200, {
+    schemas: [SCHEMAS.SERVICE_PROVIDER_CONFIG],
+    patch: { supported: true },
+    bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+    filter: { supported: true, maxResults: MAX_PAGE_SIZE },
+    changePassword: { supported: false },
+    sort: { supported: false },
+    etag: { supported: false },
+    authenticationSchemes: [{
+      type: 'oauthbearertoken',
+      name: 'Bearer token',
+      description: 'SCIM token issued by a SecureEHR administrator',
+      primary: true
+    }],
+    meta: {
+      resourceType: 'ServiceProviderConfig',
+      location: `${getBaseUrl(req)}/ServiceProviderConfig`
+    }
+  });
+};
+
+/**
+ * @desc    List the resource types served
+ * @route   GET /api/scim/v2/ResourceTypes
+ * @access  Private (SCIM token)
+ */
+exports.getResourceTypes = (req, res) => {
+  const baseUrl = getBaseUrl(req);
+  const resourceTypes = [
+    {
+      schemas: [SCHEMAS.RESOURCE_TYPE],
+      id: 'User',
+      name: 'User',
+      endpoint: '/Users',
+      schema: SCHEMAS.USER,
+      schemaExtensions: [
+        { schema: SCHEMAS.ENTERPRISE_USER, required: false },
+        { schema: SCHEMAS.EHR_USER, required: false }
+      ],
+      meta: { resourceType: 'ResourceType', location: `${baseUrl}/ResourceTypes/User` }
+    },
+    {
+      schemas: [SCHEMAS.RESOURCE_TYPE],
+      id: 'Group',
+      name: 'Group',
+      endpoint: '/Groups',
+      schema: SCHEMAS.GROUP,
+      meta: { resourceType: 'ResourceType', location: `${baseUrl}/ResourceTypes/Group` }
+    }
+  ];
+
+  sendScim(res, 200, listResponse(resourceTypes, { totalResults: resourceTypes.length, startIndex: 1 }));
+};
+
+/**
+ * @desc    List or search staff users
+ * @route   GET /api/scim/v2/Users
+ * @access  Private (SCIM token)
+ */
+exports.listUsers = async (req, res) => {
+  try {
+    const { startIndex, count } = getPagination(req.query);
+    const query = req.query.filter
+      ? { $and: [STAFF_ONLY, toMongoQuery(parseFilter(req.query.filter), USER_FILTER_FIELDS)] }
+      : STAFF_ONLY;
+
+    const [totalResults, users] = await Promise.all([
+      User.countDocuments(query),
+      count > 0
+        ? User.find(query).sort({ createdAt: 1, _id: 1 }).skip(startIndex - 1).limit(count)
+        : []
+    ]);
+
+    const resources = users.map((user) => projectAttributes(toScimUser(user, req), req.query));
+    sendScim(res, 200, listResponse(resources, { totalResults, startIndex }));
+  } catch (error) {
+    handleScimError(res, error, 'SCIM list users');
+  }
+};
+
+/**
+ * @desc    Get a staff user
+ * @route   GET /api/scim/v2/Users/:id
+ * @access  Private (SCIM token)
+ */
+exports.getUser = async (req, res) => {
+  try {
+    const user = await findStaffUser(req.params.id);
+
+    if (!user) {
+      return sendScimError(res, 404, `User ${req.params.id} not found`);
+    }
+
+    sendScim(res, 200, projectAttributes(toScimUser(user, req), req.query));
+  } catch (error) {
+    handleScimError(res, error, 'SCIM get user');
+  }
+};
+
+/**
+ * @desc    Provision a staff user
+ * @route   POST /api/scim/v2/Users
+ * @access  Private (SCIM token)
+ */
+exports.createUser = async (req, res) => {
+  try {
+    // Passwords are never taken over SCIM: staff sign in with SSO or set one via password reset
+    const user = new User({
+      password: generateTemporaryPassword(await getPasswordPolicy()),
+      mustChangePassword: true,
+      role: 'staff'
+    });
+    const { active } = applyScimUser(user, req.body);
+
+    const existing = await User.findOne({ $or: [{ username: user.username }, { email: user.email }] });
+    if (existing) {
+      const field = existing.username === user.username ? 'userName' : 'email';
+      return sendScimError(res, 409, `A user with this ${field} already exists`, 'uniqueness');
+    }
+
+    await user.save();
+
+    await auditScimChange(req, user, 'CREATE_USER', {
+      afterState: snapshot(user)
+    });
+
+    if (!active) {
+      await suspendAccount(user, {
+        reason: `Provisioned as inactive through SCIM (token "${req.scimToken.name}")`,
+        actor: req.user,
+        req,
+        accessMethod: 'api'
+      });
+    }
+
+    const resource = toScimUser(user, req);
+    res.set('Location', resource.meta.location);
+    sendScim(res, 201, resource);
+  } catch (error) {
+    handleScimError(res, error, 'SCIM create user');
+  }
+};
+
+/**
+ * @desc    Replace a staff user
+ * @route   PUT /api/scim/v2/Users/:id
+ * @access  Private (SCIM token)
+ */
+exports.replaceUser = async (req, res) => {
+  try {
+    const user = await findStaffUser(req.params.id);
+
+    if (!user) {
+      return sendScimError(res, 404, `User ${req.params.id} not found`);
+    }
+
+    const beforeState = snapshot(user);
+    const { active } = applyScimUser(user, req.body);
+    await saveScimUser(user, beforeState, active, req);
+
+    sendScim(res, 200, toScimUser(user, req));
+  } catch (error) {
+    handleScimError(res, error, 'SCIM replace user');
+  }
+};
+
+/**
+ * @desc    Update a staff user with PATCH operations
+ * @route   PATCH /api/scim/v2/Users/:id
+ * @access  Private (SCIM token)
+ */
+exports.patchUser = async (req, res) => {
+  try {
+    const user = await findStaffUser(req.params.id);
+
+    if (!user) {
+      return sendScimError(res, 404, `User ${req.params.id} not found`);
+    }
+
+    const beforeState = snapshot(user);
+    const patched = applyPatchOperations(toScimUser(user, req), req.body);
+    const { active } = applyScimUser(user, patched);
+    await saveScimUser(user, beforeState, active, req);
+
+    sendScim(res, 200, toScimUser(user, req));
+  } catch (error) {
+    handleScimError(res, error, 'SCIM patch user');
+  }
+};
+
+/**
+ * @desc    Deprovision a staff user (suspends the account; records are kept)
+ * @route   DELETE /api/scim/v2/Users/:id
+ * @access  Private (SCIM token)
+ */
+exports.deleteUser = async (req, res) => {
+  try {
+    const user = await findStaffUser(req.params.id);
+
+    if (!user) {
+      return sendScimError(res, 404, `User ${req.params.id} not found`);
+    }
+
+    if (user.accountStatus !== 'suspended') {
+      await suspendAccount(user, {
+        reason: `Deprovisioned through SCIM (token "${req.scimToken.name}")`,
+        actor: req.user,
+        req,
+        accessMethod: 'api'
+      });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    handleScimError(res, error, 'SCIM delete user');
+  }
+};
+
+// --- Groups ----------------------------------------------------------------
+
+const loadMembers = async (role) => {
+  return await User.find({ role }).select('username').sort({ username: 1 });
+};
+
+const changeRole = async (user, role, req) => {
+  const beforeRole = user.role;
+  user.role = role;
+  await user.save();
+
+  await auditScimChange(req, user, 'ROLE_CHANGE', {
+    beforeState: { role: beforeRole },
+    afterState: { role }
+  });
+};
+
+const readMemberIds = (members) => {
+  if (!Array.isArray(members)) {
+    throw new ScimError(400, 'members must be an array', 'invalidValue');
+  }
+  return members.map((member) => String(member?.value || ''));
+};
+
+const addMembers = async (role, ids, req) => {
+  for (const id of ids) {
+    const user = await findStaffUser(id);
+    if (!user) {
+      throw new ScimError(400, `User ${id} not found`, 'invalidValue');
+    }
+    if (user.role !== role) {
+      await changeRole(user, role, req);
+    }
+  }
+};
+
+// Leaving a role group drops the user to staff, the least privileged role
+const removeMembers = async (role, ids, req) => {
+  if (role === 'staff') {
+    return;
+  }
+  const users = await User.find({ role, _id: { $in: ids.filter((id) => mongoose.Types.ObjectId.isValid(id)) } });
+  for (const user of users) {
+    await changeRole(user, 'staff', req);
+  }
+};
+
+const replaceMembers = async (role, ids, req) => {
+  const current = (await loadMembers(role)).map((member) => member._id.toString());
+  await removeMembers(role, current.filter((id) => !ids.includes(id)), req);
+  await addMembers(role, ids.filter((id) => !current.includes(id)), req);
+};
+
+const findGroup = (id) => (STAFF_ROLES.includes(id) ? id : null);
+
+const checkDisplayName = (role, displayName) => {
+  if (displayName !== undefined && String(displayName).toLowerCase() !== GROUPS[role].toLowerCase()) {
+    throw new ScimError(400, 'Group names are fixed; only membership can change', 'mutability');
+  }
+};
+
+/**
+ * @desc    List the role groups
+ * @route   GET /api/scim/v2/Groups
+ * @access  Private (SCIM token)
+ */
+exports.listGroups = async (req, res) => {
+  try {
+    const { startIndex, count } = getPagination(req.query);
+    const filter = req.query.filter ? parseFilter(req.query.filter) : null;
+    const withMembers = !String(req.query.excludedAttributes || '').toLowerCase().split(',').includes('members');
+
+    const roles = STAFF_ROLES.filter((role) => !filter || matchesFilter(filter, toScimGroup(role, null, req)));
+    const page = roles.slice(startIndex - 1, startIndex - 1 + count);
+
+    const resources = [];
+    for (const role of page) {
+      const members = withMembers ? await loadMembers(role) : undefined;
+      resources.push(projectAttributes(toScimGroup(role, members, req), req.query));
+    }
+
+    sendScim(res, 200, listResponse(resources, { totalResults: roles.length, startIndex }));
+  } catch (error) {
+    handleScimError(res, error, 'SCIM list groups');
+  }
+};
+
+/**
+ * @desc    Get a role group with its members
+ * @route   GET /api/scim/v2/Groups/:id
+ * @access  Private (SCIM token)
+ */
+exports.getGroup = async (req, res) => {
+  try {
+    const role = findGroup(req.params.id);
+
+    if (!role) {
+      return sendScimError(res, 404, `Group ${req.params.id} not found`);
+    }
+
+    const withMembers = !String(req.query.excludedAttributes || '').toLowerCase().split(',').includes('members');
+    const members = withMembers ? await loadMembers(role) : undefined;
+    sendScim(res, 200, projectAttributes(toScimGroup(role, members, req), req.query));
+  } catch (error) {
+    handleScimError(res, error, 'SCIM get group');
+  }
+};
+
+/**
+ * @desc    Groups are the fixed roles and cannot be created
+ * @route   POST /api/scim/v2/Groups
+ * @access  Private (SCIM token)
+ */
+exports.createGroup = (req, res) => {
+  const displayName = String(req.body?.displayName || '').toLowerCase();
+  const existing = STAFF_ROLES.find((role) => role === displayName || GROUPS[role].toLowerCase() === displayName);
+
+  if (existing) {
+    return sendScimError(res, 409, `Group ${GROUPS[existing]} already exists with id "${existing}"`, 'uniqueness');
+  }
+  return sendScimError(
+    res,
+    400,
+    `Only the role groups can be used: ${STAFF_ROLES.map((role) => GROUPS[role]).join(', ')}`,
+    'mutability'
+  );
+};
+
+/**
+ * @desc    Replace a role group's members
+ * @route   PUT /api/scim/v2/Groups/:id
+ * @access  Private (SCIM token)
+ */
+exports.replaceGroup = async (req, res) => {
+  try {
+    const role = findGroup(req.params.id);
+
+    if (!role) {
+      return sendScimError(res, 404, `Group ${req.params.id} not found`);
+    }
+
+    checkDisplayName(role, req.body?.displayName);
+    await replaceMembers(role, readMemberIds(req.body?.members || []), req);
+
+    sendScim(res, 200, toScimGroup(role, await loadMembers(role), req));
+  } catch (error) {
+    handleScimError(res, error, 'SCIM replace group');
+  }
+};
+
+/**
+ * @desc    Add or remove role group members with PATCH operations
+ * @route   PATCH /api/scim/v2/Groups/:id
+ * @access  Private (SCIM token)
+ */
+exports.patchGroup = async (req, res) => {
+  try {
+    const role = findGroup(req.params.id);
+
+    if (!role) {
+      return sendScimError(res, 404, `Group ${req.params.id} not found`);
+    }
+
+    if (!req.body?.schemas?.includes(SCHEMAS.PATCH_OP) || !Array.isArray(req.body.Operations)) {
+      throw new ScimError(400, 'Request must be a PatchOp with Operations', 'invalidSyntax');
+    }
+
+    for (const operation of req.body.Operations) {
+      const op = String(operation.op || '').toLowerCase();
+
+      // Without a path the value holds attributes, e.g. { members: [...] } or { displayName }
+      if (!operation.path) {
+        if (op === 'remove' || !operation.value || typeof operation.value !== 'object') {
+          throw new ScimError(400, `"${op}" without a path needs an object value`, 'noTarget');
+        }
+        checkDisplayName(role, operation.value.displayName);
+        if (operation.value.members) {
+          const ids = readMemberIds(operation.value.members);
+          await (op === 'add' ? addMembers(role, ids, req) : replaceMembers(role, ids, req));
+        }
+        continue;
+      }
+
+      const { attribute, filter } = parsePatchPath(operation.path);
+      if (attribute === 'displayName') {
+        checkDisplayName(role, operation.value);
+        continue;
+      }
+      if (attribute !== 'members') {
+        throw new ScimError(400, `Unsupported path "${operation.path}"`, 'invalidPath');
+      }
+
+      if (op === 'add') {
+        await addMembers(role, readMemberIds(operation.value), req);
+      } else if (op === 'replace') {
+        await replaceMembers(role, readMemberIds(operation.value), req);
+      } else if (op === 'remove') {
+        const current = (await loadMembers(role)).map((member) => member._id.toString());
+        const ids = filter
+          ? current.filter((id) => matchesFilter(filter, { value: id }))
+          : operation.value ? readMemberIds(operation.value) : current;
+        await removeMembers(role, ids, req);
+      } else {
+        throw new ScimError(400, `Unsupported operation "${operation.op}"`, 'invalidSyntax');
+      }
+    }
+
+    sendScim(res, 200, toScimGroup(role, await loadMembers(role), req));
+  } catch (error) {
+    handleScimError(res, error, 'SCIM patch group');
+  }
+};
+
+/**
+ * @desc    Groups are the fixed roles and cannot be deleted
+ * @route   DELETE /api/scim/v2/Groups/:id
+ * @access  Private (SCIM token)
+ */
+exports.deleteGroup = (req, res) => {
+  if (!findGroup(req.params.id)) {
+    return sendScimError(res, 404, `Group ${req.params.id} not found`);
+  }
+  return sendScimError(res, 400, 'Role groups cannot be deleted', 'mutability');
+};
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ScimToken = require('../models/ScimToken');
+const AuditLog = require('../models/AuditLog');
+const { hashToken } = require('../utils/session');
+const { getClientIp } = require('../utils/ipHelper');
+
+const MAX_TOKEN_LIFETIME_DAYS = 730;
+
+const serializeToken = (token) => ({
+  _id: token._id,
+  name: token.name,
+  prefix: token.prefix,
+  createdBy: token.createdBy,
+  createdAt: token.createdAt,
+  lastUsedAt: token.lastUsedAt,
+  lastUsedIp: token.lastUsedIp,
+  expiresAt: token.expiresAt,
+  revokedAt: token.revokedAt,
+  active: !token.revokedAt && (!token.expiresAt || token.expiresAt > new Date())
+});
+
+const auditTokenChange = async (req, token, action) => {
+  await AuditLog.createLog({
+    user: req.user.id,
+    userEmail: req.user.email,
+    userRole: req.user.role,
+    action,
+    resourceType: 'System',
+    resourceId: token._id,
+    timestamp: new Date(),
+    ipAddress: getClientIp(req),
+    userAgent: req.headers['user-agent'],
+    status: 'SUCCESS',
+    details: {
+      afterState: {
+        name: token.name,
+        prefix: token.prefix,
+        expiresAt: token.expiresAt,
+        revokedAt: token.revokedAt
+      }
+    },
+    hospitalId: req.user.attributes?.hospitalId,
+    department: req.user.attributes?.department
+  });
+};
+
+/**
+ * @desc    List SCIM provisioning tokens
+ * @route   GET /api/admin/scim-tokens
+ * @access  Private (Admin)
+ */
+exports.getScimTokens = async (req, res) => {
+  try {
+    const tokens = await ScimToken.find()
+      .populate('createdBy', 'username email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: tokens.length,
+      data: tokens.map(serializeToken)
+    });
+  } catch (error) {
+    console.error('Get SCIM tokens error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching SCIM tokens',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Issue a SCIM provisioning token (the token is only returned here)
+ * @route   POST /api/admin/scim-tokens
+ * @access  Private (Admin)
+ */
+exports.createScimToken = async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+    const expiresInDays = req.body.expiresInDays === undefined || req.body.expiresInDays === ''
+      ? null
+      : Number(req.body.expiresInDays);
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a name for the token'
+      });
+    }
+
+    if (expiresInDays !== null &&
+        (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_TOKEN_LIFETIME_DAYS)) {
+      return res.status(400).json({
+        success: false,
+        message: `expiresInDays must be a whole number between 1 and ${MAX_TOKEN_LIFETIME_DAYS}`
+      });
+    }
+
+    const secret = `scim_${crypto.randomBytes(32).toString('base64url')}`;
+    const token = await ScimToken.create({
+      name,
+      tokenHash: hashToken(secret),
+      prefix: secret.slice(0, 12),
+      createdBy: req.user.id,
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined
+    });
+
+    await auditTokenChange(req, token, 'SCIM_TOKEN_CREATED');
+
+    res.status(201).json({
+      success: true,
+      message: 'SCIM token created. Copy it now; it will not be shown again.',
+      data: {
+        ...serializeToken(token),
+        token: secret
+      }
+    });
+  } catch (error) {
+    console.error('Create SCIM token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating SCIM token',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Revoke a SCIM provisioning token
+ * @route   DELETE /api/admin/scim-tokens/:id
+ * @access  Private (Admin)
+ */
+exports.revokeScimToken = async (req, res) => {
+  try {
+    const token = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await ScimToken.findById(req.params.id)
+      : null;
+
+    if (!token) {
+      return res.status(404).json({
+        success: false,
+        message: 'SCIM token not found'
+      });
+    }
+
+    if (token.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'SCIM token is already revoked'
+      });
+    }
+
+    token.revokedAt = new Date();
+    token.revokedBy = req.user.id;
+    await token.save();
+
+    await auditTokenChange(req, token, 'SCIM_TOKEN_REVOKED');
+
+    res.status(200).json({
+      success: true,
+      message: 'SCIM token revoked',
+      data: serializeToken(token)
+    });
+  } catch (error) {
+    console.error('Revoke SCIM token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking SCIM token',
+      error: error.message
+    });
+  }
+};
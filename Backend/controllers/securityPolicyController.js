@@ -0,0 +1,247 @@
+const SecurityPolicy = require('../models/SecurityPolicy');
+const AuditLog = require('../models/AuditLog');
+const { getClientIp } = require('../utils/ipHelper');
+
+// Whole-number password settings and their allowed ranges
+const PASSWORD_LIMITS = {
+  minLength: [8, 128],
+  minCharacterClasses: [1, 4],
+  historyCount: [0, 24],
+  maxAgeDays: [0, 730]
+};
+
+// Whole-number login risk settings and their allowed ranges
+const LOGIN_RISK_LIMITS = {
+  notifyThreshold: [0, 100],
+  stepUpThreshold: [0, 100],
+  blockThreshold: [0, 100],
+  businessHoursStart: [0, 23],
+  businessHoursEnd: [1, 24],
+  maxTravelSpeedKmh: [100, 20000],
+  failureBurstAccounts: [2, 1000],
+  failureBurstWindowMinutes: [1, 1440]
+};
+
+// First out-of-range whole-number setting, as an error message
+const findRangeError = (settings, limits) => {
+  for (const [field, [min, max]] of Object.entries(limits)) {
+    const value = settings[field];
+    if (value !== undefined && (!Number.isInteger(value) || value < min || value > max)) {
+      return `${field} must be a whole number between ${min} and ${max}`;
+    }
+  }
+  return null;
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Shape the policy for API responses
+const serializePolicy = (policy) => ({
+  mfa: {
+    requiredRoles: policy.mfa.requiredRoles,
+    gracePeriodDays: policy.mfa.gracePeriodDays,
+    roleEnforcedAt: Object.fromEntries(policy.mfa.roleEnforcedAt || [])
+  },
+  password: {
+    minLength: policy.password.minLength,
+    minCharacterClasses: policy.password.minCharacterClasses,
+    rejectCommonPasswords: policy.password.rejectCommonPasswords,
+    historyCount: policy.password.historyCount,
+    maxAgeDays: policy.password.maxAgeDays
+  },
+  loginRisk: {
+    enabled: policy.loginRisk.enabled,
+    ...Object.fromEntries(Object.keys(LOGIN_RISK_LIMITS).map((field) => [field, policy.loginRisk[field]])),
+    timezone: policy.loginRisk.timezone
+  },
+  version: policy.version,
+  updatedBy: policy.updatedBy,
+  updatedAt: policy.updatedAt
+});
+
+/**
+ * @desc    Get the organization security policy
+ * @route   GET /api/admin/security-policy
+ * @access  Private (Admin)
+ */
+exports.getSecurityPolicy = async (req, res) => {
+  try {
+    const policy = await SecurityPolicy.getCurrent();
+
+    res.status(200).json({
+      success: true,
+      data: serializePolicy(policy),
+      roles: SecurityPolicy.ROLES
+    });
+  } catch (error) {
+    console.error('Get security policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching security policy',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update the MFA enforcement, password and login risk policies
+ * @route   PUT /api/admin/security-policy
+ * @access  Private (Admin)
+ */
+exports.updateSecurityPolicy = async (req, res) => {
+  try {
+    const { mfa, password, loginRisk } = req.body;
+
+    if (!mfa && !password && !loginRisk) {
+      return res.status(400).json({
+        success: false,
+        message: 'MFA, password or login risk policy is required'
+      });
+    }
+
+    const { requiredRoles, gracePeriodDays } = mfa || {};
+
+    if (requiredRoles !== undefined && (
+      !Array.isArray(requiredRoles) ||
+      requiredRoles.some((role) => !SecurityPolicy.ROLES.includes(role))
+    )) {
+      return res.status(400).json({
+        success: false,
+        message: `requiredRoles must only contain: ${SecurityPolicy.ROLES.join(', ')}`
+      });
+    }
+
+    if (gracePeriodDays !== undefined && (
+      !Number.isInteger(gracePeriodDays) || gracePeriodDays < 0 || gracePeriodDays > 365
+    )) {
+      return res.status(400).json({
+        success: false,
+        message: 'gracePeriodDays must be a whole number between 0 and 365'
+      });
+    }
+
+    const passwordSettings = password || {};
+    const riskSettings = loginRisk || {};
+    const rangeError = findRangeError(passwordSettings, PASSWORD_LIMITS) ||
+      findRangeError(riskSettings, LOGIN_RISK_LIMITS);
+
+    if (rangeError) {
+      return res.status(400).json({
+        success: false,
+        message: rangeError
+      });
+    }
+
+    if (passwordSettings.rejectCommonPasswords !== undefined &&
+      typeof passwordSettings.rejectCommonPasswords !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'rejectCommonPasswords must be true or false'
+      });
+    }
+
+    if (riskSettings.enabled !== undefined && typeof riskSettings.enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'enabled must be true or false'
+      });
+    }
+
+    if (riskSettings.timezone !== undefined && (
+      typeof riskSettings.timezone !== 'string' || !isValidTimezone(riskSettings.timezone)
+    )) {
+      return res.status(400).json({
+        success: false,
+        message: 'timezone must be a valid IANA time zone, e.g. Europe/Berlin'
+      });
+    }
+
+    const policy = await SecurityPolicy.getCurrent();
+
+    // Thresholds must escalate: notify <= step-up <= block
+    const thresholds = ['notifyThreshold', 'stepUpThreshold', 'blockThreshold']
+      .map((field) => riskSettings[field] ?? policy.loginRisk[field]);
+    if (thresholds[0] > thresholds[1] || thresholds[1] > thresholds[2]) {
+      return res.status(400).json({
+        success: false,
+        message: 'Login risk thresholds must satisfy notify <= step-up <= block'
+      });
+    }
+
+    const beforeState = serializePolicy(policy);
+
+    if (requiredRoles !== undefined) {
+      const roles = [...new Set(requiredRoles)];
+
+      // A role's grace period starts when it is first required
+      const enforcedAt = new Map();
+      for (const role of roles) {
+        enforcedAt.set(role, policy.mfa.roleEnforcedAt?.get(role) || new Date());
+      }
+
+      policy.mfa.requiredRoles = roles;
+      policy.mfa.roleEnforcedAt = enforcedAt;
+    }
+
+    if (gracePeriodDays !== undefined) {
+      policy.mfa.gracePeriodDays = gracePeriodDays;
+    }
+
+    for (const field of [...Object.keys(PASSWORD_LIMITS), 'rejectCommonPasswords']) {
+      if (passwordSettings[field] !== undefined) {
+        policy.password[field] = passwordSettings[field];
+      }
+    }
+
+    for (const field of [...Object.keys(LOGIN_RISK_LIMITS), 'enabled', 'timezone']) {
+      if (riskSettings[field] !== undefined) {
+        policy.loginRisk[field] = riskSettings[field];
+      }
+    }
+
+    policy.version += 1;
+    policy.updatedBy = req.user.id;
+    await policy.save();
+    SecurityPolicy.clearCache();
+
+    // Create audit log
+    await AuditLog.createLog({
+      user: req.user.id,
+      userEmail: req.user.email,
+      userRole: req.user.role,
+      action: 'SECURITY_POLICY_UPDATED',
+      resourceType: 'System',
+      resourceId: policy._id,
+      timestamp: new Date(),
+      ipAddress: getClientIp(req),
+      userAgent: req.headers['user-agent'],
+      status: 'SUCCESS',
+      details: {
+        beforeState,
+        afterState: serializePolicy(policy)
+      },
+      hospitalId: req.user.attributes?.hospitalId,
+      department: req.user.attributes?.department
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Security policy updated successfully',
+      data: serializePolicy(policy)
+    });
+  } catch (error) {
+    console.error('Update security policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating security policy',
+      error: error.message
+    });
+  }
+};
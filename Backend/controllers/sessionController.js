@@ -0,0 +1,186 @@
+const Session = require('../models/Session');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { getClientIp } = require('../utils/ipHelper');
+const { revokeSession, serializeSession } = require('../utils/session');
+
+// Sessions that can still be used to refresh tokens
+const activeSessionFilter = (userId) => ({
+  user: userId,
+  revokedAt: { $exists: false },
+  expiresAt: { $gt: new Date() }
+});
+
+/**
+ * @desc    Get current user's active sessions
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+exports.getMySessions = async (req, res) => {
+  try {
+    const sessions = await Session.find(activeSessionFilter(req.user.id))
+      .sort({ lastUsedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map((session) => serializeSession(session, req.auth.sessionId))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Revoke one of the current user's sessions
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+exports.revokeMySession = async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(session, 'user_revoked', req.user.id);
+
+    await AuditLog.createLog({
+      user: req.user.id,
+      userEmail: req.user.email,
+      userRole: req.user.role,
+      action: 'SESSION_REVOKED',
+      resourceType: 'User',
+      resourceId: req.user.id,
+      timestamp: new Date(),
+      ipAddress: getClientIp(req),
+      userAgent: req.headers['user-agent'],
+      status: 'SUCCESS',
+      sessionId: session._id.toString(),
+      hospitalId: req.user.attributes?.hospitalId,
+      department: req.user.attributes?.department
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully',
+      data: serializeSession(session, req.auth.sessionId)
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking session',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a user's sessions (Admin only)
+ * @route   GET /api/admin/users/:id/sessions
+ * @access  Private (Admin)
+ */
+exports.getUserSessions = async (req, res) => {
+  try {
+    const { includeRevoked } = req.query;
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const filter = includeRevoked === 'true'
+      ? { user: user._id }
+      : activeSessionFilter(user._id);
+
+    const sessions = await Session.find(filter).sort({ lastUsedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map((session) => serializeSession(session, req.auth.sessionId))
+    });
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user sessions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Revoke a single session of a user (Admin only)
+ * @route   DELETE /api/admin/users/:id/sessions/:sessionId
+ * @access  Private (Admin)
+ */
+exports.revokeUserSession = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const session = await Session.findOne({ _id: req.params.sessionId, user: user._id });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(session, 'admin', req.user.id);
+
+    await AuditLog.createLog({
+      user: req.user.id,
+      userEmail: req.user.email,
+      userRole: req.user.role,
+      action: 'SESSION_REVOKED',
+      resourceType: 'User',
+      resourceId: user._id,
+      timestamp: new Date(),
+      ipAddress: getClientIp(req),
+      userAgent: req.headers['user-agent'],
+      status: 'SUCCESS',
+      sessionId: session._id.toString(),
+      details: {
+        targetUser: user.email
+      },
+      hospitalId: req.user.attributes?.hospitalId,
+      department: req.user.attributes?.department
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully',
+      data: serializeSession(session)
+    });
+  } catch (error) {
+    console.error('Revoke user session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking session',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,287 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Hospital = require('../models/Hospital');
+const AuditLog = require('../models/AuditLog');
+const SSOLoginState = require('../models/SSOLoginState');
+const { createLoginParams, buildAuthorizationUrl, exchangeCode, mapClaims } = require('../utils/oidc');
+const { getClientIp } = require('../utils/ipHelper');
+const { hashToken } = require('../utils/session');
+
+// Time allowed at the identity provider, and then to pick up the login code
+const LOGIN_STATE_TTL_MS = 10 * 60 * 1000;
+const LOGIN_CODE_TTL_MS = 60 * 1000;
+
+const DEPARTMENTS = User.schema.path('attributes.department').enumValues;
+
+const getFrontendUrl = () => {
+  return (process.env.FRONTEND_URL || process.env.CORS_ORIGIN || 'http://localhost:5173').split(',')[0];
+};
+
+// Errors are sent back to the login page as a short code it can explain
+const redirectWithError = (res, code) => {
+  return res.redirect(`${getFrontendUrl()}/login?ssoError=${encodeURIComponent(code)}`);
+};
+
+class SSOError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+const auditSSOFailure = async (req, { email, hospitalId, reason }) => {
+  await AuditLog.createLog({
+    userEmail: email || 'unknown',
+    userRole: 'unknown',
+    action: 'LOGIN_FAILED',
+    resourceType: 'System',
+    timestamp: new Date(),
+    ipAddress: getClientIp(req),
+    userAgent: req.headers['user-agent'],
+    status: 'FAILURE',
+    hospitalId,
+    details: {
+      errorMessage: `SSO: ${reason}`
+    }
+  });
+};
+
+const splitName = (claims) => {
+  if (claims.given_name || claims.family_name) {
+    return { firstName: claims.given_name, lastName: claims.family_name };
+  }
+  const [firstName, ...rest] = String(claims.name || '').trim().split(/\s+/);
+  return { firstName: firstName || undefined, lastName: rest.join(' ') || undefined };
+};
+
+// Username from preferred_username or the email's local part, suffixed until free
+const generateUsername = async (claims) => {
+  const base = String(claims.preferred_username || claims.email.split('@')[0])
+    .toLowerCase()
+    .replace(/@.*$/, '')
+    .replace(/[^a-z0-9._-]/g, '')
+    .padEnd(3, '0')
+    .slice(0, 30);
+
+  let username = base;
+  for (let attempt = 1; await User.exists({ username }); attempt += 1) {
+    username = `${base}${attempt}`;
+  }
+  return username;
+};
+
+/**
+ * Find the local account for an SSO identity, linking or creating it when needed
+ * @returns {Promise<Object>} - { user, provisioned }
+ */
+const findOrProvisionUser = async (hospital, claims) => {
+  const { issuer } = hospital.sso;
+
+  let user = await User.findOne({ 'sso.issuer': issuer, 'sso.subject': claims.sub });
+  if (user) {
+    return { user, provisioned: false };
+  }
+
+  const email = claims.email ? String(claims.email).toLowerCase() : null;
+  if (!email) {
+    throw new SSOError('missing_email', 'The identity provider did not share an email address');
+  }
+
+  // Link an existing local account only when the provider vouches for the
+  // address and the account already belongs to this hospital
+  user = await User.findOne({ email });
+  if (user) {
+    const canLink = claims.email_verified === true
+      && !user.sso?.subject
+      && user.role !== 'patient'
+      && user.attributes?.hospitalId === hospital.hospitalId;
+
+    if (!canLink) {
+      throw new SSOError('account_conflict', `A local account already uses ${email}`);
+    }
+
+    user.sso = { issuer, subject: claims.sub, hospitalId: hospital.hospitalId };
+    return { user, provisioned: false };
+  }
+
+  if (!hospital.sso.autoProvision) {
+    throw new SSOError('not_provisioned', 'No account exists for this user and automatic provisioning is off');
+  }
+
+  // Random password nobody knows; local sign-in needs a reset first
+  user = new User({
+    username: await generateUsername(claims),
+    email,
+    password: crypto.randomBytes(32).toString('base64url'),
+    ...splitName(claims),
+    sso: { issuer, subject: claims.sub, hospitalId: hospital.hospitalId, provisioned: true }
+  });
+  return { user, provisioned: true };
+};
+
+/**
+ * @desc    List hospitals that offer single sign-on
+ * @route   GET /api/auth/sso/providers
+ * @access  Public
+ */
+exports.getSSOProviders = async (req, res) => {
+  try {
+    const hospitals = await Hospital.find({ 'sso.enabled': true, isActive: true })
+      .select('hospitalId name')
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: hospitals.map((hospital) => ({
+        hospitalId: hospital.hospitalId,
+        name: hospital.name
+      }))
+    });
+  } catch (error) {
+    console.error('Get SSO providers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sign-in options',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Send the browser to a hospital's identity provider
+ * @route   GET /api/auth/sso/:hospitalId/authorize
+ * @access  Public
+ */
+exports.startSSOLogin = async (req, res) => {
+  try {
+    const hospital = await Hospital.findOne({
+      hospitalId: String(req.params.hospitalId).toUpperCase(),
+      'sso.enabled': true,
+      isActive: true
+    });
+
+    if (!hospital) {
+      return redirectWithError(res, 'unknown_hospital');
+    }
+
+    const params = createLoginParams();
+    const authorizationUrl = await buildAuthorizationUrl(hospital.sso, params);
+
+    await SSOLoginState.create({
+      state: params.state,
+      hospitalId: hospital.hospitalId,
+      nonce: params.nonce,
+      codeVerifier: params.codeVerifier,
+      ipAddress: getClientIp(req),
+      userAgent: req.headers['user-agent'],
+      expiresAt: new Date(Date.now() + LOGIN_STATE_TTL_MS)
+    });
+
+    res.redirect(authorizationUrl);
+  } catch (error) {
+    console.error('Start SSO login error:', error);
+    redirectWithError(res, 'provider_unavailable');
+  }
+};
+
+/**
+ * @desc    Handle the identity provider's response and provision the user
+ * @route   GET /api/auth/sso/callback
+ * @access  Public
+ */
+exports.handleSSOCallback = async (req, res) => {
+  const { code, state, error: providerError } = req.query;
+  let loginState = null;
+  let email = null;
+
+  try {
+    loginState = state ? await SSOLoginState.takePending(String(state)) : null;
+
+    if (!loginState) {
+      return redirectWithError(res, 'invalid_state');
+    }
+
+    if (providerError || !code) {
+      throw new SSOError('provider_denied', `Identity provider returned ${providerError || 'no code'}`);
+    }
+
+    const hospital = await Hospital.findOne({
+      hospitalId: loginState.hospitalId,
+      'sso.enabled': true,
+      isActive: true
+    }).select('+sso.clientSecret');
+
+    if (!hospital) {
+      throw new SSOError('unknown_hospital', 'Single sign-on is no longer enabled for this hospital');
+    }
+
+    const claims = await exchangeCode(hospital.sso, {
+      code: String(code),
+      codeVerifier: loginState.codeVerifier,
+      nonce: loginState.nonce
+    });
+    email = claims.email;
+
+    const { role, department } = mapClaims(claims, hospital.sso, DEPARTMENTS);
+    if (!role) {
+      throw new SSOError('not_authorized', 'None of the user\'s roles at the identity provider are mapped');
+    }
+
+    const { user, provisioned } = await findOrProvisionUser(hospital, claims);
+
+    if (!user.isActive || user.accountStatus === 'suspended') {
+      throw new SSOError('account_inactive', 'Account is deactivated or suspended');
+    }
+
+    // The identity provider is the source of truth for role and department
+    const beforeState = { role: user.role, department: user.attributes?.department };
+    user.role = role;
+    user.attributes.hospitalId = hospital.hospitalId;
+    if (department) {
+      user.attributes.department = department;
+    }
+    user.sso.lastLoginAt = new Date();
+    await user.save();
+
+    await AuditLog.createLog({
+      user: user._id,
+      userEmail: user.email,
+      userRole: user.role,
+      action: provisioned ? 'SSO_USER_PROVISIONED' : 'SSO_LOGIN',
+      resourceType: 'User',
+      resourceId: user._id,
+      timestamp: new Date(),
+      ipAddress: getClientIp(req),
+      userAgent: req.headers['user-agent'],
+      status: 'SUCCESS',
+      hospitalId: hospital.hospitalId,
+      department: user.attributes.department,
+      details: {
+        beforeState: provisioned ? undefined : beforeState,
+        afterState: { role: user.role, department: user.attributes.department, issuer: hospital.sso.issuer }
+      }
+    });
+
+    // The browser swaps this short-lived code for tokens, so they never appear in a URL
+    const loginCode = crypto.randomBytes(32).toString('base64url');
+    loginState.user = user._id;
+    loginState.loginCodeHash = hashToken(loginCode);
+    loginState.expiresAt = new Date(Date.now() + LOGIN_CODE_TTL_MS);
+    await loginState.save();
+
+    res.redirect(`${getFrontendUrl()}/sso/callback#code=${loginCode}`);
+  } catch (error) {
+    const isSSOError = error instanceof SSOError;
+    if (!isSSOError) {
+      console.error('SSO callback error:', error);
+    }
+
+    await auditSSOFailure(req, {
+      email,
+      hospitalId: loginState?.hospitalId,
+      reason: error.message
+    });
+
+    redirectWithError(res, isSSOError ? error.code : 'sso_failed');
+  }
+};
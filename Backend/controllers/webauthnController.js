@@ -0,0 +1,551 @@
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const MFAChallenge = require('../models/MFAChallenge');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const { verifyMFAChallengeToken } = require('../utils/jwt');
+const { getClientIp } = require('../utils/ipHelper');
+const { getRequestLocation } = require('../utils/geoip');
+const { createSession } = require('../utils/session');
+const { requiresPasswordChange } = require('../utils/passwordPolicy');
+const {
+  REGISTRATION_CHALLENGE_TTL_MS,
+  buildRegistrationOptions,
+  verifyRegistration,
+  buildAuthenticationOptions,
+  verifyAuthentication,
+  serializeCredential
+} = require('../utils/webauthn');
+
+/**
+ * Resolve the open login challenge behind an mfaToken
+ * @param {boolean} reserveAttempt - Count an attempt against the challenge (when verifying)
+ * @returns {Object|null} - { decoded, challenge } or null if expired/used
+ */
+const resolveLoginChallenge = async (mfaToken, reserveAttempt = false) => {
+  let decoded;
+  try {
+    decoded = verifyMFAChallengeToken(mfaToken);
+  } catch (error) {
+    return null;
+  }
+
+  const challenge = reserveAttempt
+    ? await MFAChallenge.reserveAttempt(decoded.jti, decoded.id)
+    : await MFAChallenge.findOpen(decoded.jti, decoded.id);
+  return challenge ? { decoded, challenge } : null;
+};
+
+/**
+ * @desc    Get options to register a new WebAuthn authenticator
+ * @route   POST /api/auth/webauthn/register/options
+ * @access  Private
+ */
+exports.getRegistrationOptions = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+mfa.webauthnCredentials');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const options = await buildRegistrationOptions(user, user.mfa.webauthnCredentials);
+
+    await User.findByIdAndUpdate(req.user.id, {
+      $set: {
+        'mfa.webauthnChallenge': options.challenge,
+        'mfa.webauthnChallengeExpires': new Date(Date.now() + REGISTRATION_CHALLENGE_TTL_MS)
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: options
+    });
+  } catch (error) {
+    console.error('WebAuthn registration options error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting authenticator registration',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Verify and store a new WebAuthn authenticator
+ * @route   POST /api/auth/webauthn/register/verify
+ * @access  Private
+ */
+exports.verifyRegistration = async (req, res) => {
+  try {
+    const { response, name } = req.body;
+
+    if (!response) {
+      return res.status(400).json({
+        success: false,
+        message: 'Authenticator response is required'
+      });
+    }
+
+    const user = await User.findById(req.user.id)
+      .select('+mfa.webauthnCredentials +mfa.webauthnChallenge +mfa.webauthnChallengeExpires');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { webauthnChallenge, webauthnChallengeExpires } = user.mfa;
+
+    if (!webauthnChallenge || !webauthnChallengeExpires || webauthnChallengeExpires < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Registration challenge expired. Please try again'
+      });
+    }
+
+    // The challenge can only be answered once
+    await User.findByIdAndUpdate(req.user.id, {
+      $unset: { 'mfa.webauthnChallenge': '', 'mfa.webauthnChallengeExpires': '' }
+    });
+
+    let credential;
+    try {
+      credential = await verifyRegistration(response, webauthnChallenge);
+    } catch (error) {
+      credential = null;
+    }
+
+    if (!credential) {
+      return res.status(400).json({
+        success: false,
+        message: 'Authenticator registration could not be verified'
+      });
+    }
+
+    if (user.mfa.webauthnCredentials.some((existing) => existing.credentialId === credential.credentialId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This authenticator is already registered'
+      });
+    }
+
+    credential.name = name?.trim() || `Authenticator ${user.mfa.webauthnCredentials.length + 1}`;
+
+    const updatedUser = await User.findByIdAndUpdate(
+      req.user.id,
+      { $push: { 'mfa.webauthnCredentials': credential } },
+      { new: true, runValidators: true }
+    ).select('+mfa.webauthnCredentials');
+
+    const saved = updatedUser.mfa.webauthnCredentials.find(
+      (existing) => existing.credentialId === credential.credentialId
+    );
+
+    // Create audit log
+    await AuditLog.createLog({
+      user: user._id,
+      userEmail: user.email,
+      userRole: user.role,
+      action: 'WEBAUTHN_REGISTERED',
+      resourceType: 'User',
+      resourceId: user._id,
+      timestamp: new Date(),
+      ipAddress: getClientIp(req),
+      userAgent: req.headers['user-agent'],
+      status: 'SUCCESS',
+      hospitalId: user.attributes?.hospitalId,
+      department: user.attributes?.department
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Authenticator registered successfully',
+      data: serializeCredential(saved)
+    });
+  } catch (error) {
+    console.error('WebAuthn registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error registering authenticator',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    List the current user's WebAuthn authenticators
+ * @route   GET /api/auth/webauthn/credentials
+ * @access  Private
+ */
+exports.getCredentials = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+mfa.webauthnCredentials');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: user.mfa.webauthnCredentials.length,
+      data: user.mfa.webauthnCredentials.map(serializeCredential)
+    });
+  } catch (error) {
+    console.error('Get WebAuthn credentials error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching authenticators',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Rename a WebAuthn authenticator
+ * @route   PATCH /api/auth/webauthn/credentials/:id
+ * @access  Private
+ */
+exports.renameCredential = async (req, res) => {
+  try {
+    const name = req.body.name?.trim();
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name is required'
+      });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: req.user.id, 'mfa.webauthnCredentials._id': req.params.id },
+      { $set: { 'mfa.webauthnCredentials.$.name': name } },
+      { new: true, runValidators: true }
+    ).select('+mfa.webauthnCredentials');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Authenticator not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Authenticator renamed successfully',
+      data: serializeCredential(user.mfa.webauthnCredentials.id(req.params.id))
+    });
+  } catch (error) {
+    console.error('Rename WebAuthn credential error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error renaming authenticator',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Remove a WebAuthn authenticator
+ * @route   DELETE /api/auth/webauthn/credentials/:id
+ * @access  Private
+ */
+exports.deleteCredential = async (req, res) => {
+  try {
+    const { password } = req.body || {};
+
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is required'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+password +mfa.webauthnCredentials');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Verify password
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password'
+      });
+    }
+
+    const credential = user.mfa.webauthnCredentials.id(req.params.id);
+
+    if (!credential) {
+      return res.status(404).json({
+        success: false,
+        message: 'Authenticator not found'
+      });
+    }
+
+    // Roles that must use MFA cannot remove their last second factor
+    const policy = await SecurityPolicy.getCurrent();
+    if (
+      policy.mfa.requiredRoles.includes(user.role) &&
+      !user.mfa.enabled &&
+      user.mfa.webauthnCredentials.length === 1
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: 'MFA is required for your role. Add another authenticator before removing this one'
+      });
+    }
+
+    await User.findByIdAndUpdate(req.user.id, {
+      $pull: { 'mfa.webauthnCredentials': { _id: credential._id } }
+    });
+
+    // Create audit log
+    await AuditLog.createLog({
+      user: user._id,
+      userEmail: user.email,
+      userRole: user.role,
+      action: 'WEBAUTHN_REMOVED',
+      resourceType: 'User',
+      resourceId: user._id,
+      timestamp: new Date(),
+      ipAddress: getClientIp(req),
+      userAgent: req.headers['user-agent'],
+      status: 'SUCCESS',
+      hospitalId: user.attributes?.hospitalId,
+      department: user.attributes?.department
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Authenticator removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete WebAuthn credential error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing authenticator',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get WebAuthn assertion options for a pending MFA login
+ * @route   POST /api/auth/webauthn/login/options
+ * @access  Public (requires mfaToken)
+ */
+exports.getAuthenticationOptions = async (req, res) => {
+  try {
+    const { mfaToken } = req.body;
+
+    if (!mfaToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'MFA token is required'
+      });
+    }
+
+    const resolved = await resolveLoginChallenge(mfaToken);
+
+    if (!resolved) {
+      return res.status(401).json({
+        success: false,
+        message: 'MFA challenge is no longer valid. Please log in again',
+        restartLogin: true
+      });
+    }
+
+    const user = await User.findById(resolved.decoded.id).select('+mfa.webauthnCredentials');
+
+    if (!user || user.mfa.webauthnCredentials.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No security keys or passkeys are registered for this account'
+      });
+    }
+
+    const options = await buildAuthenticationOptions(user.mfa.webauthnCredentials);
+
+    resolved.challenge.webauthnChallenge = options.challenge;
+    await resolved.challenge.save();
+
+    res.status(200).json({
+      success: true,
+      data: options
+    });
+  } catch (error) {
+    console.error('WebAuthn authentication options error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting authenticator verification',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Verify a WebAuthn assertion and complete login
+ * @route   POST /api/auth/webauthn/login/verify
+ * @access  Public (requires mfaToken)
+ */
+exports.verifyAuthentication = async (req, res) => {
+  try {
+    const { mfaToken, response } = req.body;
+
+    if (!mfaToken || !response) {
+      return res.status(400).json({
+        success: false,
+        message: 'MFA token and authenticator response are required'
+      });
+    }
+
+    const resolved = await resolveLoginChallenge(mfaToken, true);
+
+    if (!resolved || !resolved.challenge.webauthnChallenge) {
+      return res.status(401).json({
+        success: false,
+        message: 'MFA challenge is no longer valid. Please log in again',
+        restartLogin: true
+      });
+    }
+
+    const { challenge } = resolved;
+    const user = await User.findById(resolved.decoded.id).select('+mfa.webauthnCredentials');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid request'
+      });
+    }
+
+    const credential = user.mfa.webauthnCredentials.find(
+      (existing) => existing.credentialId === response.id
+    );
+
+    let newCounter = null;
+    if (credential) {
+      try {
+        newCounter = await verifyAuthentication(response, challenge.webauthnChallenge, credential);
+      } catch (error) {
+        newCounter = null;
+      }
+    }
+
+    if (newCounter === null) {
+      const attemptsRemaining = Math.max(challenge.maxAttempts - challenge.attempts, 0);
+
+      await AuditLog.createLog({
+        user: user._id,
+        userEmail: user.email,
+        userRole: user.role,
+        action: 'LOGIN_FAILED',
+        resourceType: 'System',
+        timestamp: new Date(),
+        ipAddress: getClientIp(req),
+        userAgent: req.headers['user-agent'],
+        status: 'FAILURE',
+        details: {
+          errorMessage: 'Invalid WebAuthn assertion'
+        }
+      });
+
+      return res.status(401).json({
+        success: false,
+        message: attemptsRemaining > 0
+          ? 'Security key verification failed'
+          : 'Too many failed attempts. Please log in again',
+        attemptsRemaining,
+        restartLogin: attemptsRemaining === 0
+      });
+    }
+
+    // Close the challenge so the same mfaToken can never be used again
+    const consumedChallenge = await MFAChallenge.consume(challenge._id);
+
+    if (!consumedChallenge) {
+      return res.status(401).json({
+        success: false,
+        message: 'MFA challenge is no longer valid. Please log in again',
+        restartLogin: true
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id, 'mfa.webauthnCredentials._id': credential._id },
+      {
+        $set: {
+          'mfa.webauthnCredentials.$.counter': newCounter,
+          'mfa.webauthnCredentials.$.lastUsedAt': new Date(),
+          lastLogin: new Date()
+        }
+      }
+    );
+
+    const policy = await SecurityPolicy.getCurrent();
+
+    // Start a session and generate tokens
+    const { session, accessToken, refreshToken } = await createSession(user, req);
+
+    // Create audit log
+    await AuditLog.createLog({
+      user: user._id,
+      userEmail: user.email,
+      userRole: user.role,
+      action: 'LOGIN',
+      resourceType: 'System',
+      timestamp: new Date(),
+      ipAddress: getClientIp(req),
+      userAgent: req.headers['user-agent'],
+      location: (await getRequestLocation(req)) || undefined,
+      status: 'SUCCESS',
+      sessionId: session._id.toString(),
+      hospitalId: user.attributes?.hospitalId || null,
+      department: user.attributes?.department || null,
+      details: {
+        mfaVerified: true,
+        mfaMethod: 'webauthn'
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      tokens: {
+        accessToken,
+        refreshToken
+      },
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role,
+        attributes: user.attributes || {},
+        patientId: user.patientId || null,
+        mustChangePassword: requiresPasswordChange(user, policy.password)
+      }
+    });
+  } catch (error) {
+    console.error('WebAuthn verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying authenticator',
+      error: error.message
+    });
+  }
+};
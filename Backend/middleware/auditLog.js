@@ -1,5 +1,8 @@
 const AuditLog = require('../models/AuditLog');
+const BreakGlassGrant = require('../models/BreakGlassGrant');
 const { getClientIp } = require('../utils/ipHelper');
+const { notifyReviewers } = require('../utils/breakGlass');
+const { findTargetPatient } = require('../utils/patientLookup');
 
 /**
  * Middleware to log all EHR and Patient access
@@ -54,7 +57,9 @@ exports.logAccess = (action, resourceType) => {
         ipAddress: getClientIp(req),
         userAgent: req.headers['user-agent'],
         accessMethod: 'web',
+        purposeOfUse: req.purposeOfUse,
         status: status,
+        sessionId: req.auth?.sessionId,
         hospitalId: req.user?.attributes?.hospitalId,
         department: req.user?.attributes?.department
       };
@@ -63,7 +68,8 @@ exports.logAccess = (action, resourceType) => {
       if (req.breakGlass) {
         logData.breakGlass = {
           isBreakGlass: true,
-          justification: req.breakGlass.justification
+          justification: req.breakGlass.justification,
+          grant: req.breakGlass.grant?._id
         };
         logData.accessMethod = 'emergency';
       }
@@ -87,81 +93,122 @@ exports.logAccess = (action, resourceType) => {
 };
 
 /**
- * Middleware for break glass emergency access
+ * Break glass emergency access. Opens a BreakGlassGrant for the patient
+ * (which checkPatientAccess honors until it expires) and a review case for
+ * the privacy officers. Patients who refused emergency access
+ * (consent.emergencyAccess) cannot be opened this way.
+ * @param {Boolean} required - true on dedicated break-glass routes; otherwise
+ *   only requests with `emergencyAccess` in the body break the glass
  */
-exports.breakGlass = async (req, res, next) => {
+const handleBreakGlass = (required) => async (req, res, next) => {
   try {
     // Handle GET requests that don't have a body
-    if (!req.body) {
+    if (!required && !req.body?.emergencyAccess) {
       return next();
     }
-    
-    const { emergencyAccess, justification } = req.body;
 
-    if (!emergencyAccess) {
-      return next();
+    const { justification } = req.body || {};
+
+    if (!req.user.permissions?.includes('break-glass:use')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not allowed to use emergency access'
+      });
     }
 
-    if (!justification || justification.trim().length < 20) {
+    if (typeof justification !== 'string' || justification.trim().length < 20) {
       return res.status(400).json({
         success: false,
         message: 'Emergency access requires detailed justification (minimum 20 characters)'
       });
     }
 
-    // Log break glass access
-    req.breakGlass = {
-      justification: justification,
-      timestamp: new Date()
-    };
-
-    // Find the patient to get MongoDB _id if patientId is provided
-    const Patient = require('../models/Patient');
-    const searchId = req.params.id || req.params.patientId;
-    let patientMongoId = null;
-    let patientIdString = null;
-    
-    // Check if it's a MongoDB ObjectId or patientId
-    const isValidObjectId = /^[0-9a-fA-F]{24}$/.test(searchId);
-    
-    if (isValidObjectId) {
-      patientMongoId = searchId;
-    } else {
-      // Find patient by patientId to get MongoDB _id
-      const patient = await Patient.findOne({ patientId: searchId });
-      if (patient) {
-        patientMongoId = patient._id;
-        patientIdString = patient.patientId;
-      }
+    const patient = await findTargetPatient(req);
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
     }
 
-    // Create immediate audit log for break glass
-    await AuditLog.createLog({
+    const logBase = {
       user: req.user.id,
       userEmail: req.user.email,
       userRole: req.user.role,
-      action: 'BREAK_GLASS_ACCESS',
       resourceType: 'Patient',
-      resourceId: patientMongoId,
-      patient: patientMongoId,
-      patientId: patientIdString || searchId,
+      resourceId: patient._id,
+      patient: patient._id,
+      patientId: patient.patientId,
       timestamp: new Date(),
       ipAddress: getClientIp(req),
       userAgent: req.headers['user-agent'],
       accessMethod: 'emergency',
+      hospitalId: req.user.attributes?.hospitalId,
+      department: req.user.attributes?.department
+    };
+
+    if (patient.consent?.emergencyAccess === false) {
+      await AuditLog.createLog({
+        ...logBase,
+        action: 'ACCESS_DENIED',
+        status: 'DENIED',
+        breakGlass: {
+          isBreakGlass: true,
+          justification: justification.trim()
+        },
+        details: {
+          denialReason: 'Patient has not consented to emergency access'
+        }
+      });
+
+      return res.status(403).json({
+        success: false,
+        message: 'This patient has not consented to emergency access'
+      });
+    }
+
+    const grant = await BreakGlassGrant.open({
+      user: req.user.id,
+      patient: patient._id,
+      justification: justification.trim(),
+      requestedPath: req.originalUrl,
+      ipAddress: logBase.ipAddress,
+      hospitalId: req.user.attributes?.hospitalId
+    });
+
+    req.breakGlass = {
+      justification: grant.justification,
+      timestamp: grant.startsAt,
+      grant
+    };
+
+    // Create immediate audit log for break glass
+    await AuditLog.createLog({
+      ...logBase,
+      action: 'BREAK_GLASS_ACCESS',
       status: 'SUCCESS',
       breakGlass: {
         isBreakGlass: true,
-        justification: justification
+        justification: grant.justification,
+        grant: grant._id
       },
       details: {
-        requestedPath: req.originalUrl,
-        searchId: searchId
-      },
-      hospitalId: req.user.attributes?.hospitalId,
-      department: req.user.attributes?.department
+        afterState: {
+          grantId: grant._id,
+          expiresAt: grant.expiresAt,
+          reviewDueAt: grant.review.dueAt
+        }
+      }
     });
 
+    notifyReviewers(
+      { ...grant.toObject(), user: { email: req.user.email }, patient: { patientId: patient.patientId } },
+      {
+        subject: 'Break-glass access needs review',
+        intro: 'Emergency access was used and a review case has been opened:'
+      }
+    );
+
     next();
   } catch (error) {
     console.error('Break glass middleware error:', error);
@@ -173,6 +220,17 @@ exports.breakGlass = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware for break glass emergency access requested with
+ * `emergencyAccess: true` in the body
+ */
+exports.breakGlass = handleBreakGlass(false);
+
+/**
+ * Middleware for the dedicated break-glass routes
+ */
+exports.requireBreakGlass = handleBreakGlass(true);
+
 /**
  * Middleware to capture resource state before update
  */
@@ -1,7 +1,49 @@
 const User = require('../models/User');
 const AuditLog = require('../models/AuditLog');
-const { verifyToken } = require('../utils/jwt');
+const RevokedToken = require('../models/RevokedToken');
+const Session = require('../models/Session');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const ScimToken = require('../models/ScimToken');
+const AccessPolicy = require('../models/AccessPolicy');
+const BreakGlassGrant = require('../models/BreakGlassGrant');
+const ConsentDirective = require('../models/ConsentDirective');
+const Hospital = require('../models/Hospital');
+const EHR = require('../models/EHR');
+const { verifyToken, MFA_CHALLENGE_AUDIENCE } = require('../utils/jwt');
 const { getClientIp } = require('../utils/ipHelper');
+const { getMFAEnrollmentStatus } = require('../utils/mfa');
+const { requiresPasswordChange } = require('../utils/passwordPolicy');
+const { hashToken } = require('../utils/session');
+const { sendScimError } = require('../utils/scim');
+const { isPermission, resolvePermissions } = require('../utils/permissions');
+const { getDelegatedPatients, findGrantForPatient } = require('../utils/delegation');
+const { PURPOSE_NAMES, resolvePurpose, resolveRecipient, evaluateConsent } = require('../utils/purposeOfUse');
+const { findTargetPatient } = require('../utils/patientLookup');
+const {
+  evaluatePolicy,
+  buildSubject,
+  buildResource,
+  buildEnvironment,
+  resolveAction
+} = require('../utils/policyEngine');
+
+// Routes still reachable while the password has to be changed
+const PASSWORD_CHANGE_ROUTES = [
+  'GET /api/auth/me',
+  'POST /api/auth/logout',
+  'PUT /api/auth/change-password'
+];
+
+// Routes still reachable while a required MFA enrollment is overdue
+const MFA_ENROLLMENT_ROUTES = [
+  'GET /api/auth/me',
+  'POST /api/auth/logout',
+  'POST /api/auth/setup-mfa',
+  'POST /api/auth/enable-mfa',
+  'GET /api/auth/webauthn/credentials',
+  'POST /api/auth/webauthn/register/options',
+  'POST /api/auth/webauthn/register/verify'
+];
 
 /**
  * Protect routes - Verify JWT token
@@ -27,8 +69,24 @@ exports.protect = async (req, res, next) => {
       // Verify token
       const decoded = verifyToken(token);
 
+      // MFA challenge tokens only prove the password step - they are not access tokens
+      if (decoded.aud === MFA_CHALLENGE_AUDIENCE) {
+        return res.status(401).json({
+          success: false,
+          message: 'MFA verification required'
+        });
+      }
+
+      // Reject tokens revoked by logout, forced logout, suspension or deletion
+      if (decoded.jti && await RevokedToken.isRevoked(decoded.jti)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Token has been revoked. Please log in again'
+        });
+      }
+
       // Get user from token
-      const user = await User.findById(decoded.id);
+      const user = await User.findById(decoded.id).select('+mfa.webauthnCredentials');
 
       if (!user) {
         return res.status(401).json({
@@ -45,6 +103,14 @@ exports.protect = async (req, res, next) => {
         });
       }
 
+      // Check if user is suspended
+      if (user.accountStatus === 'suspended') {
+        return res.status(403).json({
+          success: false,
+          message: 'User account is suspended'
+        });
+      }
+
       // Check if user changed password after token was issued
       if (user.changedPasswordAfter(decoded.iat)) {
         return res.status(401).json({
@@ -53,15 +119,56 @@ exports.protect = async (req, res, next) => {
         });
       }
 
+      const policy = await SecurityPolicy.getCurrent();
+      const route = `${req.method} ${req.originalUrl.split('?')[0]}`;
+
+      // Temporary or expired passwords must be changed first, then a required MFA enrollment
+      if (requiresPasswordChange(user, policy.password)) {
+        if (!PASSWORD_CHANGE_ROUTES.includes(route)) {
+          return res.status(403).json({
+            success: false,
+            message: user.mustChangePassword
+              ? 'You must choose a new password before continuing'
+              : 'Your password has expired and must be changed',
+            mustChangePassword: true
+          });
+        }
+      } else if (getMFAEnrollmentStatus(user, policy).mustEnroll) {
+        if (!MFA_ENROLLMENT_ROUTES.includes(route)) {
+          return res.status(403).json({
+            success: false,
+            message: 'MFA enrollment is required for your role',
+            mustEnrollMFA: true
+          });
+        }
+      }
+
       // Grant access to protected route
       req.user = {
         id: user._id,
         email: user.email,
         role: user.role,
         attributes: user.attributes,
-        assignedPatients: user.assignedPatients
+        assignedPatients: user.assignedPatients,
+        permissions: await resolvePermissions(user)
+      };
+
+      // Token context, used to revoke the current token or session
+      req.auth = {
+        tokenId: decoded.jti,
+        sessionId: decoded.sid,
+        payload: decoded
       };
 
+      // Record session activity (at most once a minute per session)
+      if (decoded.sid) {
+        const now = Date.now();
+        Session.updateOne(
+          { _id: decoded.sid, lastUsedAt: { $lt: new Date(now - 60 * 1000) } },
+          { $set: { lastUsedAt: new Date(now), ipAddress: getClientIp(req) } }
+        ).catch((error) => console.error('Session activity update error:', error));
+      }
+
       next();
     } catch (error) {
       return res.status(401).json({
@@ -81,10 +188,14 @@ exports.protect = async (req, res, next) => {
 };
 
 /**
- * Role-Based Access Control (RBAC)
- * Grant access to specific roles
+ * Permission-based access control
+ * Grant access to users holding any of the named permissions (e.g. 'ehr:sign');
+ * built-in role names (e.g. 'admin') are still accepted and match User.role
  */
-exports.authorize = (...roles) => {
+exports.authorize = (...required) => {
+  const permissions = required.filter(isPermission);
+  const roles = required.filter((name) => !isPermission(name));
+
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -93,7 +204,10 @@ exports.authorize = (...roles) => {
       });
     }
 
-    if (!roles.includes(req.user.role)) {
+    const allowed = roles.includes(req.user.role) ||
+      permissions.some((permission) => req.user.permissions?.includes(permission));
+
+    if (!allowed) {
       // Log unauthorized access attempt
       AuditLog.createLog({
         user: req.user.id,
@@ -106,14 +220,14 @@ exports.authorize = (...roles) => {
         userAgent: req.headers['user-agent'],
         status: 'DENIED',
         details: {
-          denialReason: `Role ${req.user.role} not authorized. Required: ${roles.join(', ')}`,
+          denialReason: `Role ${req.user.role} lacks permission. Required: ${required.join(' or ')}`,
           requestedPath: req.originalUrl
         }
       });
 
       return res.status(403).json({
         success: false,
-        message: `User role ${req.user.role} is not authorized to access this route`
+        message: `You do not have permission to access this route (requires ${required.join(' or ')})`
       });
     }
 
@@ -210,20 +324,16 @@ exports.checkAttribute = (attributeChecks) => {
   };
 };
 
-/**
- * Check if user has access to specific patient
- * For doctors/nurses assigned to specific patients
- */
 /**
  * Check if user has access to a specific patient
- * 
- * Access Rules:
- * - Admin: Access to ALL patients across all hospitals
- * - Nurse: Access to ALL patients in their OWN hospital (for care activities)
- * - Doctor/Staff: Access only to ASSIGNED patients in their hospital
- * 
- * Hospital-based isolation: Users cannot access patients from other hospitals
- * unless they use Break Glass emergency access
+ *
+ * Decided by the active access policy (models/AccessPolicy, utils/policyEngine)
+ * from the user's and patient's attributes, the action and the environment.
+ * The default policy lets admins see all patients, nurses see patients in
+ * their own hospital and doctors/staff see patients assigned to them.
+ * On /api/ehr/:id routes the decision is made on the record's patient, and
+ * the record is left on req.ehr. An unexpired break-glass grant is the only
+ * way past a denial.
  */
 exports.checkPatientAccess = async (req, res, next) => {
   try {
@@ -234,20 +344,34 @@ exports.checkPatientAccess = async (req, res, next) => {
       });
     }
 
-    const patientId = req.params.id || req.params.patientId;
+    const Patient = require('../models/Patient');
+    const isObjectId = (value) => /^[0-9a-fA-F]{24}$/.test(String(value));
 
-    console.log('[checkPatientAccess] Checking access for patient:', patientId);
-    console.log('[checkPatientAccess] User:', req.user.email, 'Role:', req.user.role);
+    // Single-record EHR routes are decided on the record's patient
+    let ehr = null;
+    if (req.baseUrl.endsWith('/ehr') && req.params.id && !req.params.patientId) {
+      ehr = isObjectId(req.params.id)
+        ? await EHR.findById(req.params.id)
+          .select('patient department status visitType hospitalId attendingPhysician nurseInCharge sensitivityCategories')
+        : null;
 
-    // Admin has access to all patients
-    if (req.user.role === 'admin') {
-      console.log('[checkPatientAccess] Admin access granted');
-      return next();
+      if (!ehr) {
+        return res.status(404).json({
+          success: false,
+          message: 'EHR record not found'
+        });
+      }
+      req.ehr = ehr;
     }
 
-    // Check if patient is in user's assigned patients
-    const user = await User.findById(req.user.id);
-    
+    const patientId = ehr ? ehr.patient : req.params.id || req.params.patientId;
+
+    // Check if patientId is a MongoDB ObjectId or a patientId (P-xxx format)
+    const [user, patient] = await Promise.all([
+      User.findById(req.user.id),
+      isObjectId(patientId) ? Patient.findById(patientId) : Patient.findOne({ patientId: String(patientId) })
+    ]);
+
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -255,113 +379,97 @@ exports.checkPatientAccess = async (req, res, next) => {
       });
     }
 
-    console.log('[checkPatientAccess] User has', user.assignedPatients.length, 'assigned patients');
-    console.log('[checkPatientAccess] Assigned patient IDs:', user.assignedPatients.map(id => id.toString()));
-
-    // For nurses, check if patient is in the same hospital
-    // Nurses can access any patient in their hospital for care activities
-    if (req.user.role === 'nurse') {
-      const Patient = require('../models/Patient');
-      
-      // Check if patientId is a MongoDB ObjectId or a patientId (P-xxx format)
-      const isValidObjectId = /^[0-9a-fA-F]{24}$/.test(patientId);
-      let patient;
-      
-      if (isValidObjectId) {
-        patient = await Patient.findById(patientId);
-      } else {
-        patient = await Patient.findOne({ patientId: patientId });
-      }
-      
-      if (!patient) {
-        return res.status(404).json({
-          success: false,
-          message: 'Patient not found'
-        });
-      }
-
-      // Check if patient is in the same hospital as the nurse
-      const sameHospital = patient.hospitalId === user.attributes?.hospitalId;
-      console.log('[checkPatientAccess] Nurse accessing patient. Same hospital:', sameHospital);
-      
-      if (sameHospital) {
-        console.log('[checkPatientAccess] Nurse access granted (same hospital)');
-        return next();
-      } else {
-        await AuditLog.createLog({
-          user: user._id,
-          userEmail: user.email,
-          userRole: user.role,
-          action: 'ACCESS_DENIED',
-          resourceType: 'Patient',
-          resourceId: patient._id,
-          patientId: patient.patientId,
-          timestamp: new Date(),
-          ipAddress: getClientIp(req),
-          userAgent: req.headers['user-agent'],
-          status: 'DENIED',
-          details: {
-            denialReason: 'Patient not in nurse\'s hospital',
-            nurseHospital: user.attributes?.hospitalId,
-            patientHospital: patient.hospitalId,
-            requestedPath: req.originalUrl
-          }
-        });
-
-        return res.status(403).json({
-          success: false,
-          message: 'You do not have access to patients from other hospitals'
-        });
-      }
-    }
-
-    // For doctors and staff, check assigned patients
-    // Need to get the patient to compare MongoDB _id
-    const Patient = require('../models/Patient');
-    const isValidObjectId = /^[0-9a-fA-F]{24}$/.test(patientId);
-    let patient;
-    
-    if (isValidObjectId) {
-      patient = await Patient.findById(patientId);
-    } else {
-      patient = await Patient.findOne({ patientId: patientId });
-    }
-    
     if (!patient) {
       return res.status(404).json({
         success: false,
         message: 'Patient not found'
       });
     }
-    
-    const hasAccess = user.assignedPatients.some(
-      (assignedPatientId) => assignedPatientId.toString() === patient._id.toString()
-    );
 
-    console.log('[checkPatientAccess] Has access:', hasAccess);
+    req.patient = patient;
 
-    if (!hasAccess) {
+    const policy = await AccessPolicy.getActive();
+    const delegated = await getDelegatedPatients(user._id);
+    const result = evaluatePolicy(policy, {
+      subject: buildSubject(user, { delegatedPatients: delegated.patientIds }),
+      resource: buildResource(patient, ehr),
+      action: resolveAction(req),
+      environment: buildEnvironment(req)
+    });
+
+    req.accessDecision = result;
+
+    // An unexpired break-glass grant overrides a denial, unless the patient refused emergency access
+    if (result.decision !== 'permit' && user.role !== 'patient' &&
+        req.user.permissions?.includes('break-glass:use') && patient.consent?.emergencyAccess !== false) {
+      const emergencyGrant = await BreakGlassGrant.findEffective(user._id, patient._id);
+      if (emergencyGrant) {
+        req.breakGlass = req.breakGlass || {
+          justification: emergencyGrant.justification,
+          timestamp: emergencyGrant.startsAt,
+          grant: emergencyGrant
+        };
+        return next();
+      }
+    }
+
+    if (result.decision !== 'permit') {
       await AuditLog.createLog({
         user: user._id,
         userEmail: user.email,
         userRole: user.role,
         action: 'ACCESS_DENIED',
-        resourceType: 'Patient',
-        resourceId: patient._id,
+        resourceType: ehr ? 'EHR' : 'Patient',
+        resourceId: ehr ? ehr._id : patient._id,
+        patient: patient._id,
         patientId: patient.patientId,
         timestamp: new Date(),
         ipAddress: getClientIp(req),
         userAgent: req.headers['user-agent'],
         status: 'DENIED',
         details: {
-          denialReason: 'User not assigned to this patient',
+          denialReason: result.reason,
           requestedPath: req.originalUrl
-        }
+        },
+        hospitalId: user.attributes?.hospitalId,
+        department: user.attributes?.department
       });
 
       return res.status(403).json({
         success: false,
-        message: 'You do not have access to this patient'
+        message: ehr ? 'You do not have access to this record' : 'You do not have access to this patient'
+      });
+    }
+
+    // Record access that only a delegation made possible
+    const ownPatient = user.assignedPatients.some((id) => id.toString() === patient._id.toString());
+    if (!ownPatient && delegated.patientIds.includes(patient._id.toString())) {
+      const grant = await findGrantForPatient(user._id, patient._id);
+      req.delegation = grant;
+
+      await AuditLog.createLog({
+        user: user._id,
+        userEmail: user.email,
+        userRole: user.role,
+        action: 'DELEGATED_ACCESS',
+        resourceType: 'Patient',
+        resourceId: patient._id,
+        patient: patient._id,
+        patientId: patient.patientId,
+        timestamp: new Date(),
+        ipAddress: getClientIp(req),
+        userAgent: req.headers['user-agent'],
+        status: 'SUCCESS',
+        details: {
+          afterState: {
+            delegationId: grant?._id,
+            grantor: grant?.grantor,
+            endsAt: grant?.endsAt,
+            decidedBy: result.matchedRule
+          }
+        },
+        hospitalId: user.attributes?.hospitalId,
+        department: user.attributes?.department
       });
     }
 
@@ -376,16 +484,40 @@ exports.checkPatientAccess = async (req, res, next) => {
   }
 };
 
+// Names the recipient of shared records goes by: the user's own hospital
+// for cross-hospital access, otherwise whoever the request declares
+const sharingRecipientNames = async (req, crossHospital) => {
+  if (!crossHospital) {
+    const declared = resolveRecipient(req);
+    return declared ? [declared] : [];
+  }
+  const hospitalId = req.user.attributes.hospitalId;
+  const hospital = await Hospital.findOne({ hospitalId }).select('name');
+  return [hospitalId, hospital?.name].filter(Boolean);
+};
+
 /**
- * Check patient consent for data access
+ * Check the request's purpose of use against the patient's consent
+ * (see utils/purposeOfUse). Runs after checkPatientAccess where there is
+ * one, reusing the patient it loaded.
+ * @param {String} fixedPurpose - Purpose implied by the route, overriding
+ *   whatever the request declares (e.g. 'sharing' for a transfer export)
  */
-exports.checkPatientConsent = (consentType) => {
+exports.checkPatientConsent = (fixedPurpose) => {
   return async (req, res, next) => {
     try {
-      const { patientId } = req.params;
-      const Patient = require('../models/Patient');
+      const purpose = fixedPurpose || resolvePurpose(req);
+
+      if (!purpose) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown purpose of use. Declare one of: ${PURPOSE_NAMES.join(', ')}`
+        });
+      }
 
-      const patient = await Patient.findById(patientId);
+      req.purposeOfUse = purpose;
+
+      const patient = req.patient || await findTargetPatient(req);
 
       if (!patient) {
         return res.status(404).json({
@@ -394,32 +526,119 @@ exports.checkPatientConsent = (consentType) => {
         });
       }
 
-      // Check if patient has given consent
-      if (!patient.consent[consentType]) {
+      const consent = evaluateConsent(patient, purpose, { userHospitalId: req.user.attributes?.hospitalId });
+
+      if (!consent.allowed) {
         await AuditLog.createLog({
           user: req.user.id,
           userEmail: req.user.email,
           userRole: req.user.role,
           action: 'ACCESS_DENIED',
           resourceType: 'Patient',
-          resourceId: patientId,
-          patient: patientId,
+          resourceId: patient._id,
+          patient: patient._id,
+          patientId: patient.patientId,
+          purposeOfUse: purpose,
           timestamp: new Date(),
           ipAddress: getClientIp(req),
           userAgent: req.headers['user-agent'],
+          accessMethod: purpose === 'emergency' ? 'emergency' : 'web',
           status: 'DENIED',
           details: {
-            denialReason: `Patient has not consented to ${consentType}`,
+            denialReason: consent.reason,
             requestedPath: req.originalUrl
-          }
+          },
+          hospitalId: req.user.attributes?.hospitalId,
+          department: req.user.attributes?.department
         });
 
         return res.status(403).json({
           success: false,
-          message: `Patient has not provided consent for ${consentType}`
+          message: `Patient has not provided consent for this purpose of use (${purpose})`,
+          purposeOfUse: purpose,
+          missingConsent: consent.missing
         });
       }
 
+      // Record categories the patient's directive hides from this user (emergencies see everything)
+      const directive = purpose === 'emergency' ? null : await ConsentDirective.findActive(patient._id);
+      req.consentExclusions = directive ? directive.excludedCategoriesFor(req.user.attributes?.department) : [];
+
+      // Sharing is limited to the recipients the directive names, if any
+      if (directive && (purpose === 'sharing' || consent.crossHospital)) {
+        const recipientNames = await sharingRecipientNames(req, consent.crossHospital);
+        req.sharingRecipient = recipientNames[recipientNames.length - 1];
+
+        if (!directive.allowsRecipient(recipientNames)) {
+          await AuditLog.createLog({
+            user: req.user.id,
+            userEmail: req.user.email,
+            userRole: req.user.role,
+            action: 'ACCESS_DENIED',
+            resourceType: 'Patient',
+            resourceId: patient._id,
+            patient: patient._id,
+            patientId: patient.patientId,
+            purposeOfUse: purpose,
+            timestamp: new Date(),
+            ipAddress: getClientIp(req),
+            userAgent: req.headers['user-agent'],
+            status: 'DENIED',
+            details: {
+              denialReason: req.sharingRecipient
+                ? `Consent directive v${directive.version} does not name ${req.sharingRecipient} as a recipient`
+                : `Consent directive v${directive.version} names recipients and none was declared`,
+              requestedPath: req.originalUrl
+            },
+            hospitalId: req.user.attributes?.hospitalId,
+            department: req.user.attributes?.department
+          });
+
+          return res.status(403).json({
+            success: false,
+            message: req.sharingRecipient
+              ? 'Patient has not agreed to share records with this recipient'
+              : 'Patient only shares records with named recipients. Declare the recipient',
+            purposeOfUse: purpose,
+            recipientRequired: !req.sharingRecipient
+          });
+        }
+      }
+
+      if (req.consentExclusions.length > 0 && req.baseUrl.endsWith('/ehr') && req.params.id) {
+        const ehr = req.ehr || await EHR.findById(req.params.id).select('sensitivityCategories');
+        const excluded = (ehr?.sensitivityCategories || []).filter((category) => req.consentExclusions.includes(category));
+
+        if (excluded.length > 0) {
+          await AuditLog.createLog({
+            user: req.user.id,
+            userEmail: req.user.email,
+            userRole: req.user.role,
+            action: 'ACCESS_DENIED',
+            resourceType: 'EHR',
+            resourceId: ehr._id,
+            patient: patient._id,
+            patientId: patient.patientId,
+            purposeOfUse: purpose,
+            timestamp: new Date(),
+            ipAddress: getClientIp(req),
+            userAgent: req.headers['user-agent'],
+            status: 'DENIED',
+            details: {
+              denialReason: `Consent directive v${directive.version} excludes ${excluded.join(', ')} records`,
+              requestedPath: req.originalUrl
+            },
+            hospitalId: req.user.attributes?.hospitalId,
+            department: req.user.attributes?.department
+          });
+
+          return res.status(403).json({
+            success: false,
+            message: 'This record is restricted by the patient\'s consent directive'
+          });
+        }
+      }
+
       next();
     } catch (error) {
       console.error('Consent check error:', error);
@@ -470,3 +689,45 @@ exports.requireAccessLevel = (minLevel) => {
     next();
   };
 };
+
+/**
+ * Protect SCIM provisioning routes - verify a SCIM bearer token.
+ * Changes are attributed to the admin who issued the token, with role 'scim'.
+ */
+exports.protectScim = async (req, res, next) => {
+  try {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+
+    const scimToken = token ? await ScimToken.findActive(hashToken(token)) : null;
+    const issuer = scimToken?.createdBy;
+
+    // A token stops working once the admin who issued it loses access
+    if (!issuer || !issuer.isActive || issuer.accountStatus === 'suspended' || issuer.role !== 'admin') {
+      res.set('WWW-Authenticate', 'Bearer realm="SCIM"');
+      return sendScimError(res, 401, 'A valid SCIM bearer token is required');
+    }
+
+    req.scimToken = scimToken;
+    req.user = {
+      id: issuer._id,
+      email: issuer.email,
+      role: 'scim',
+      attributes: issuer.attributes
+    };
+
+    // Record token use (at most once a minute)
+    const now = Date.now();
+    if (!scimToken.lastUsedAt || scimToken.lastUsedAt < new Date(now - 60 * 1000)) {
+      ScimToken.updateOne(
+        { _id: scimToken._id },
+        { $set: { lastUsedAt: new Date(now), lastUsedIp: getClientIp(req) } }
+      ).catch((error) => console.error('SCIM token activity update error:', error));
+    }
+
+    next();
+  } catch (error) {
+    console.error('SCIM auth error:', error);
+    return sendScimError(res, 500, 'Error checking SCIM credentials');
+  }
+};
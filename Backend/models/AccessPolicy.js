@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+
+// Policy is evaluated on every patient request, so keep it briefly in memory
+const CACHE_TTL_MS = 60 * 1000;
+let cachedPolicy = null;
+let cachedAt = 0;
+
+/**
+ * Rules the engine starts with; they reproduce the original hard-coded access
+ * checks so a fresh install behaves as before until an admin edits them.
+ */
+const DEFAULT_RULES = [
+  {
+    ruleId: 'admin-all-patients',
+    description: 'Administrators can access every patient',
+    effect: 'permit',
+    actions: ['*'],
+    condition: { attribute: 'subject.role', operator: 'eq', value: 'admin' }
+  },
+  {
+    ruleId: 'nurse-own-hospital',
+    description: 'Nurses can access patients in their own hospital for care activities',
+    effect: 'permit',
+    actions: ['patient:*', 'ehr:*'],
+    condition: {
+      all: [
+        { attribute: 'subject.role', operator: 'eq', value: 'nurse' },
+        { attribute: 'resource.hospitalId', operator: 'eq', valueFrom: 'subject.hospitalId' }
+      ]
+    }
+  },
+  {
+    ruleId: 'assigned-care-team',
+    description: 'Doctors and staff can access patients assigned to them',
+    effect: 'permit',
+    actions: ['patient:*', 'ehr:*'],
+    condition: {
+      all: [
+        { attribute: 'subject.role', operator: 'in', value: ['doctor', 'staff'] },
+        { attribute: 'subject.assignedPatients', operator: 'contains', valueFrom: 'resource.id' }
+      ]
+    }
+  }
+];
+
+const ruleSchema = new mongoose.Schema({
+  ruleId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  effect: {
+    type: String,
+    enum: ['permit', 'deny'],
+    required: true
+  },
+  // e.g. 'patient:read', 'ehr:*' or '*'
+  actions: [{
+    type: String,
+    required: true
+  }],
+  // Tree of { all: [...] }, { any: [...] }, { not: {...} } and
+  // { attribute, operator, value | valueFrom } leaves; see utils/policyEngine
+  condition: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+/**
+ * Attribute-based access control policy for patient data.
+ * Every save is a new version; versions are never edited, and exactly one
+ * is active. Rolling back means activating an older version.
+ */
+const accessPolicySchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true,
+    immutable: true
+  },
+  rules: {
+    type: [ruleSchema],
+    immutable: true
+  },
+  // How matching rules combine: any deny wins, or the first matching rule decides
+  combiningAlgorithm: {
+    type: String,
+    enum: ['deny-overrides', 'first-applicable'],
+    default: 'deny-overrides',
+    immutable: true
+  },
+  // Decision when no rule matches
+  defaultEffect: {
+    type: String,
+    enum: ['permit', 'deny'],
+    default: 'deny',
+    immutable: true
+  },
+  comment: {
+    type: String,
+    maxlength: 500,
+    immutable: true
+  },
+  basedOnVersion: Number,
+  isActive: {
+    type: Boolean,
+    default: false
+  },
+  activatedAt: Date,
+  activatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  collection: 'access_policies'
+});
+
+accessPolicySchema.index({ isActive: 1, activatedAt: -1 });
+
+// Static method to get the active policy, creating the default version if none exists
+accessPolicySchema.statics.getActive = async function() {
+  if (cachedPolicy && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedPolicy;
+  }
+
+  let policy = await this.findOne({ isActive: true }).sort({ activatedAt: -1 });
+
+  if (!policy) {
+    policy = await this.findOneAndUpdate(
+      { version: 1 },
+      {
+        $setOnInsert: {
+          version: 1,
+          rules: DEFAULT_RULES,
+          comment: 'Default policy',
+          isActive: true,
+          activatedAt: new Date()
+        }
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  cachedPolicy = policy;
+  cachedAt = Date.now();
+
+  return cachedPolicy;
+};
+
+// Static method to make a version the active one
+accessPolicySchema.statics.activate = async function(version, activatedBy) {
+  const policy = await this.findOneAndUpdate(
+    { version },
+    { isActive: true, activatedAt: new Date(), activatedBy },
+    { new: true }
+  );
+
+  if (policy) {
+    await this.updateMany({ _id: { $ne: policy._id }, isActive: true }, { isActive: false });
+    this.clearCache();
+  }
+
+  return policy;
+};
+
+// Static method to get the next version number
+accessPolicySchema.statics.nextVersion = async function() {
+  const latest = await this.findOne().sort({ version: -1 }).select('version');
+  return (latest?.version || 0) + 1;
+};
+
+// Static method to drop the in-memory copy after an update
+accessPolicySchema.statics.clearCache = function() {
+  cachedPolicy = null;
+  cachedAt = 0;
+};
+
+accessPolicySchema.statics.DEFAULT_RULES = DEFAULT_RULES;
+
+module.exports = mongoose.model('AccessPolicy', accessPolicySchema);
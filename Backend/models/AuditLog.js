@@ -5,7 +5,10 @@ const auditLogSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    // Failed logins for unknown emails are kept too (login risk scoring counts them)
+    required: function() {
+      return this.action !== 'LOGIN_FAILED';
+    }
   },
   userEmail: {
     type: String,
@@ -23,10 +26,22 @@ const auditLogSchema = new mongoose.Schema({
       'LOGIN',
       'LOGOUT',
       'LOGIN_FAILED',
+      'LOGIN_RISK_ASSESSED',
+      'SSO_LOGIN',
+      'SSO_USER_PROVISIONED',
+      'TOKEN_REUSE_DETECTED',
       'VIEW_EHR',
       'CREATE_EHR',
       'UPDATE_EHR',
       'DELETE_EHR',
+      'SIGN_EHR',
+      'VERIFY_EHR_SIGNATURE',
+      'COSIGN_REQUESTED',
+      'COSIGN_EHR',
+      'RETURN_EHR',
+      'RESUBMIT_EHR',
+      'COSIGN_REMINDER_SENT',
+      'COSIGN_ESCALATED',
       'VIEW_PATIENT',
       'CREATE_PATIENT',
       'UPDATE_PATIENT',
@@ -35,12 +50,44 @@ const auditLogSchema = new mongoose.Schema({
       'UPDATE_USER',
       'DELETE_USER',
       'UNLOCK_USER',
+      'SUSPEND_USER',
+      'USER_ACTIVATED',
+      'USER_DEACTIVATED',
+      'FORCE_LOGOUT',
+      'SESSION_REVOKED',
       'BREAK_GLASS_ACCESS',
+      'BREAK_GLASS_EHR',
       'EXPORT_DATA',
       'PASSWORD_CHANGE',
+      'PASSWORD_CHANGED',
+      'PASSWORD_CHANGE_FAILED',
+      'PASSWORD_RESET_REQUESTED',
+      'PASSWORD_RESET_COMPLETED',
+      'PASSWORD_RESET_FAILED',
       'MFA_ENABLED',
       'MFA_DISABLED',
+      'MFA_BACKUP_CODE_USED',
+      'MFA_BACKUP_CODES_REGENERATED',
+      'WEBAUTHN_REGISTERED',
+      'WEBAUTHN_REMOVED',
+      'SECURITY_POLICY_UPDATED',
+      'ACCESS_POLICY_CREATED',
+      'ACCESS_POLICY_ACTIVATED',
+      'SCIM_TOKEN_CREATED',
+      'SCIM_TOKEN_REVOKED',
       'ROLE_CHANGE',
+      'ROLE_CREATED',
+      'ROLE_UPDATED',
+      'ROLE_DELETED',
+      'PERMISSIONS_CHANGED',
+      'DELEGATION_CREATED',
+      'DELEGATION_REVOKED',
+      'DELEGATION_EXPIRED',
+      'DELEGATED_ACCESS',
+      'BREAK_GLASS_EXPIRED',
+      'BREAK_GLASS_REVIEW_ESCALATED',
+      'BREAK_GLASS_REVIEWED',
+      'CONSENT_UPDATED',
       'ACCESS_DENIED',
       'VIEW_HOSPITALS',
       'VIEW_HOSPITAL',
@@ -48,6 +95,7 @@ const auditLogSchema = new mongoose.Schema({
       'UPDATE_HOSPITAL',
       'DELETE_HOSPITAL',
       'UPDATE_HOSPITAL_STATUS',
+      'UPDATE_HOSPITAL_SSO',
       'SYNC_HOSPITAL',
       'TEST_HOSPITAL_CONNECTION',
       'VIEW_NETWORK_STATS'
@@ -89,9 +137,17 @@ const auditLogSchema = new mongoose.Schema({
   location: {
     country: String,
     region: String,
-    city: String
+    city: String,
+    latitude: Number,
+    longitude: Number
   },
   
+  // Declared purpose of use for patient data (utils/purposeOfUse)
+  purposeOfUse: {
+    type: String,
+    enum: ['treatment', 'emergency', 'research', 'operations', 'sharing']
+  },
+
   // How it was accessed
   accessMethod: {
     type: String,
@@ -106,6 +162,11 @@ const auditLogSchema = new mongoose.Schema({
       default: false
     },
     justification: String,
+    grant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BreakGlassGrant'
+    },
+    // Privacy officer who closed the review as justified
     approvedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -128,6 +189,21 @@ const auditLogSchema = new mongoose.Schema({
     denialReason: String
   },
   
+  // Login risk assessment (LOGIN_RISK_ASSESSED)
+  risk: {
+    score: Number,
+    decision: {
+      type: String,
+      enum: ['allow', 'notify', 'step_up', 'block']
+    },
+    signals: [{
+      _id: false,
+      code: String,
+      weight: Number,
+      detail: String
+    }]
+  },
+  
   // Session information
   sessionId: String,
   
@@ -155,6 +231,7 @@ auditLogSchema.index({ resourceType: 1, resourceId: 1 });
 auditLogSchema.index({ 'breakGlass.isBreakGlass': 1 });
 auditLogSchema.index({ status: 1 });
 auditLogSchema.index({ hospitalId: 1, timestamp: -1 });
+auditLogSchema.index({ ipAddress: 1, action: 1, timestamp: -1 });
 
 // Make all fields immutable after creation
 auditLogSchema.pre('save', function(next) {
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+// How long one break-glass use opens the patient's record
+const GRANT_DURATION_MINUTES = 60;
+
+// How long a privacy officer has to close the review before it escalates
+const REVIEW_DUE_HOURS = 72;
+
+/**
+ * Emergency access to one patient opened by a break-glass use. The grant
+ * lets the user past checkPatientAccess until expiresAt; the embedded
+ * review stays open until a privacy officer closes it with an outcome.
+ */
+const breakGlassGrantSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  justification: {
+    type: String,
+    required: true,
+    trim: true,
+    minlength: 20,
+    maxlength: 2000
+  },
+  requestedPath: String,
+  ipAddress: String,
+  hospitalId: String,
+  startsAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // 'expired' is set by the monitor; access checks rely on expiresAt either way
+  status: {
+    type: String,
+    enum: ['active', 'expired'],
+    default: 'active'
+  },
+  expiredAt: Date,
+  review: {
+    status: {
+      type: String,
+      enum: ['pending', 'closed'],
+      default: 'pending'
+    },
+    dueAt: {
+      type: Date,
+      required: true
+    },
+    outcome: {
+      type: String,
+      enum: ['justified', 'not-justified', 'inconclusive']
+    },
+    notes: String,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    escalationCount: {
+      type: Number,
+      default: 0
+    },
+    lastEscalatedAt: Date
+  }
+}, {
+  timestamps: true,
+  collection: 'break_glass_grants'
+});
+
+breakGlassGrantSchema.index({ user: 1, patient: 1, status: 1, expiresAt: 1 });
+breakGlassGrantSchema.index({ status: 1, expiresAt: 1 });
+breakGlassGrantSchema.index({ 'review.status': 1, 'review.dueAt': 1 });
+
+// Whether the grant still opens the record at the given time
+breakGlassGrantSchema.methods.isEffective = function(now = new Date()) {
+  return this.status === 'active' && this.startsAt <= now && this.expiresAt > now;
+};
+
+// Whether the review is past due and still open
+breakGlassGrantSchema.methods.isReviewOverdue = function(now = new Date()) {
+  return this.review.status === 'pending' && this.review.dueAt <= now;
+};
+
+// Static method to find the grant currently opening a patient to a user
+breakGlassGrantSchema.statics.findEffective = function(userId, patientId, now = new Date()) {
+  return this.findOne({
+    user: userId,
+    patient: patientId,
+    status: 'active',
+    startsAt: { $lte: now },
+    expiresAt: { $gt: now }
+  }).sort({ expiresAt: -1 });
+};
+
+// Static method to open a grant and its review case
+breakGlassGrantSchema.statics.open = function({ user, patient, justification, requestedPath, ipAddress, hospitalId }, now = new Date()) {
+  return this.create({
+    user,
+    patient,
+    justification,
+    requestedPath,
+    ipAddress,
+    hospitalId,
+    startsAt: now,
+    expiresAt: new Date(now.getTime() + GRANT_DURATION_MINUTES * 60 * 1000),
+    review: {
+      dueAt: new Date(now.getTime() + REVIEW_DUE_HOURS * 60 * 60 * 1000)
+    }
+  });
+};
+
+breakGlassGrantSchema.statics.GRANT_DURATION_MINUTES = GRANT_DURATION_MINUTES;
+breakGlassGrantSchema.statics.REVIEW_DUE_HOURS = REVIEW_DUE_HOURS;
+
+module.exports = mongoose.model('BreakGlassGrant', breakGlassGrantSchema);
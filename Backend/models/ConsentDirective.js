@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const { SENSITIVE_CATEGORIES } = require('./EHR');
+
+/**
+ * One version of a patient's consent. Directives are never edited: each
+ * change creates the next version and supersedes the previous one, so the
+ * collection holds the full history. The active version's flags are copied
+ * to Patient.consent, where the purpose-of-use checks read them.
+ */
+const consentDirectiveSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true,
+    immutable: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    immutable: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'superseded'],
+    default: 'active'
+  },
+  dataSharing: {
+    type: Boolean,
+    default: false
+  },
+  research: {
+    type: Boolean,
+    default: false
+  },
+  emergencyAccess: {
+    type: Boolean,
+    default: true
+  },
+  // Record categories hidden from staff; no departments means hidden from all staff
+  exclusions: [{
+    category: {
+      type: String,
+      enum: SENSITIVE_CATEGORIES,
+      required: true
+    },
+    departments: [{
+      type: String,
+      trim: true
+    }],
+    expiresAt: Date
+  }],
+  // People and organizations the patient allows their records to be shared with;
+  // once any are named, sharing with anyone else is refused
+  recipients: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200
+    },
+    relationship: {
+      type: String,
+      trim: true,
+      maxlength: 100
+    },
+    organization: {
+      type: String,
+      trim: true,
+      maxlength: 200
+    },
+    contact: {
+      type: String,
+      trim: true,
+      maxlength: 200
+    },
+    expiresAt: Date
+  }],
+  // After this date the directive's sharing and research consent lapse
+  expiresAt: Date,
+  changeNote: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  source: {
+    type: String,
+    enum: ['patient', 'staff'],
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  supersededAt: Date
+}, {
+  timestamps: true,
+  collection: 'consent_directives'
+});
+
+// Version numbers are unique per patient, so concurrent changes cannot both win
+consentDirectiveSchema.index({ patient: 1, version: 1 }, { unique: true });
+consentDirectiveSchema.index({ patient: 1, status: 1 });
+
+consentDirectiveSchema.pre('validate', function(next) {
+  const now = new Date();
+  if (this.isNew && this.expiresAt && this.expiresAt <= now) {
+    this.invalidate('expiresAt', 'Expiry date must be in the future');
+  }
+  if (new Set(this.exclusions.map((exclusion) => exclusion.category)).size !== this.exclusions.length) {
+    this.invalidate('exclusions', 'Each category can only be excluded once');
+  }
+  next();
+});
+
+// Categories hidden from a staff member of the given department at the given time
+consentDirectiveSchema.methods.excludedCategoriesFor = function(department, now = new Date()) {
+  return this.exclusions
+    .filter((exclusion) => !exclusion.expiresAt || exclusion.expiresAt > now)
+    .filter((exclusion) => exclusion.departments.length === 0 ||
+      exclusion.departments.some((excluded) => excluded.toLowerCase() === String(department).toLowerCase()))
+    .map((exclusion) => exclusion.category);
+};
+
+// Whether records may be shared with a recipient known by any of the given
+// names, matched against each unexpired recipient's name or organization
+consentDirectiveSchema.methods.allowsRecipient = function(names, now = new Date()) {
+  if (this.recipients.length === 0) {
+    return true;
+  }
+  const wanted = names.map((name) => String(name).trim().toLowerCase());
+  return this.recipients
+    .filter((recipient) => !recipient.expiresAt || recipient.expiresAt > now)
+    .some((recipient) => [recipient.name, recipient.organization]
+      .some((listed) => listed && wanted.includes(listed.toLowerCase())));
+};
+
+// Static method to find a patient's active directive
+consentDirectiveSchema.statics.findActive = function(patientId) {
+  return this.findOne({ patient: patientId, status: 'active' }).sort({ version: -1 });
+};
+
+module.exports = mongoose.model('ConsentDirective', consentDirectiveSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// Longest a single delegation may run
+const MAX_DURATION_DAYS = 30;
+
+/**
+ * Temporary hand-over of patient access, e.g. a doctor going off shift
+ * covering their patients with a colleague. The grantee is treated as
+ * assigned to the patients between startsAt and endsAt; the grantor's own
+ * assignments are unchanged.
+ */
+const delegationGrantSchema = new mongoose.Schema({
+  grantor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  grantee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 'all' follows the grantor's assigned patients at the time of each access
+  scope: {
+    type: String,
+    enum: ['patients', 'all'],
+    required: true
+  },
+  patients: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient'
+  }],
+  startsAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'A reason is required'],
+    trim: true,
+    minlength: [10, 'Reason must be at least 10 characters'],
+    maxlength: 500
+  },
+  hospitalId: String,
+  // 'expired' is set by the expiry sweep; access checks rely on endsAt either way
+  status: {
+    type: String,
+    enum: ['active', 'revoked', 'expired'],
+    default: 'active'
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revocationReason: String,
+  expiredAt: Date
+}, {
+  timestamps: true,
+  collection: 'delegation_grants'
+});
+
+delegationGrantSchema.index({ grantee: 1, status: 1, endsAt: 1 });
+delegationGrantSchema.index({ grantor: 1, status: 1, endsAt: 1 });
+delegationGrantSchema.index({ status: 1, endsAt: 1 });
+
+delegationGrantSchema.pre('validate', function(next) {
+  if (this.endsAt && this.startsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'End time must be after the start time');
+  } else if (this.endsAt && this.startsAt &&
+      this.endsAt - this.startsAt > MAX_DURATION_DAYS * 24 * 60 * 60 * 1000) {
+    this.invalidate('endsAt', `Delegations may last at most ${MAX_DURATION_DAYS} days`);
+  }
+  if (this.scope === 'patients' && this.patients.length === 0) {
+    this.invalidate('patients', 'Select at least one patient');
+  }
+  next();
+});
+
+// Whether the grant is in force at the given time
+delegationGrantSchema.methods.isEffective = function(now = new Date()) {
+  return this.status === 'active' && this.startsAt <= now && this.endsAt > now;
+};
+
+// Static method to find the grants currently in force for a grantee
+delegationGrantSchema.statics.findEffective = function(granteeId, now = new Date()) {
+  return this.find({
+    grantee: granteeId,
+    status: 'active',
+    startsAt: { $lte: now },
+    endsAt: { $gt: now }
+  });
+};
+
+delegationGrantSchema.statics.MAX_DURATION_DAYS = MAX_DURATION_DAYS;
+
+module.exports = mongoose.model('DelegationGrant', delegationGrantSchema);
@@ -1,5 +1,30 @@
 const mongoose = require('mongoose');
 const encryptionService = require('../config/encryption');
+const { SIGNED_FIELDS, signRecord } = require('../utils/ehrSignature');
+const EHRVersion = require('./EHRVersion');
+
+// Sensitive record categories patients can exclude in a consent directive
+const SENSITIVE_CATEGORIES = ['mental-health', 'hiv', 'substance-use', 'reproductive-health', 'genetic'];
+
+// Amendment types (see utils/amendments for who may make each and when)
+const AMENDMENT_TYPES = ['addendum', 'correction', 'late-entry'];
+
+// Co-signature review states; notes by nurses and trainees wait for the
+// attending physician (see utils/cosignature)
+const COSIGNATURE_STATUSES = ['not-required', 'pending', 'returned', 'cosigned'];
+
+const signatureSchema = new mongoose.Schema({
+  algorithm: String,
+  keyId: String,
+  signer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  signedAt: Date,
+  signedVersion: Number,
+  contentHash: String,
+  value: String
+}, { _id: false });
 
 const ehrSchema = new mongoose.Schema({
   recordId: {
@@ -28,6 +53,10 @@ const ehrSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  sensitivityCategories: [{
+    type: String,
+    enum: SENSITIVE_CATEGORIES
+  }],
   
   // Medical Data (Encrypted PHI)
   chiefComplaint: {
@@ -190,6 +219,11 @@ const ehrSchema = new mongoose.Schema({
   },
   
   // Provider Information
+  // Who wrote the record; records created before this was tracked have none
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   attendingPhysician: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -222,13 +256,56 @@ const ehrSchema = new mongoose.Schema({
   },
   amendmentHistory: [{
     version: Number,
+    // Amendments made before types were recorded have none
+    type: {
+      type: String,
+      enum: AMENDMENT_TYPES
+    },
     amendedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
     amendedAt: Date,
     reason: String,
-    changes: String
+    changes: String,
+    // Addendum or late entry text
+    content: {
+      type: String,
+      set: (value) => value ? encryptionService.encrypt(value) : value,
+      get: (value) => {
+        try {
+          return value ? encryptionService.decrypt(value) : value;
+        } catch {
+          return value;
+        }
+      }
+    },
+    // Corrections: the corrected field and both values, so the original stays visible
+    field: String,
+    originalValue: {
+      type: String,
+      set: (value) => value ? encryptionService.encrypt(value) : value,
+      get: (value) => {
+        try {
+          return value ? encryptionService.decrypt(value) : value;
+        } catch {
+          return value;
+        }
+      }
+    },
+    correctedValue: {
+      type: String,
+      set: (value) => value ? encryptionService.encrypt(value) : value,
+      get: (value) => {
+        try {
+          return value ? encryptionService.decrypt(value) : value;
+        } catch {
+          return value;
+        }
+      }
+    },
+    // Late entries: when the documented event happened
+    eventTime: Date
   }],
   
   // Digital Signature
@@ -236,7 +313,62 @@ const ehrSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
-  signedAt: Date
+  signedAt: Date,
+  // Physician who co-signed a note written by someone else
+  cosignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cosignedAt: Date,
+  // Current signature over the canonical content (see utils/ehrSignature)
+  signature: signatureSchema,
+  // Signatures replaced when an amendment re-signed the record
+  signatureHistory: [signatureSchema],
+
+  // Co-signature review of the draft by the attending physician
+  cosignature: {
+    status: {
+      type: String,
+      enum: COSIGNATURE_STATUSES,
+      default: 'not-required'
+    },
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: Date,
+    dueAt: Date,
+    returnedAt: Date,
+    // Return comments from the physician and the author's replies
+    comments: [{
+      author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      action: {
+        type: String,
+        enum: ['returned', 'resubmitted']
+      },
+      text: {
+        type: String,
+        set: (value) => value ? encryptionService.encrypt(value) : value,
+        get: (value) => {
+          try {
+            return value ? encryptionService.decrypt(value) : value;
+          } catch {
+            return value;
+          }
+        }
+      },
+      createdAt: Date
+    }],
+    reminderCount: {
+      type: Number,
+      default: 0
+    },
+    lastReminderAt: Date,
+    escalatedAt: Date
+  }
   
 }, {
   timestamps: true,
@@ -244,23 +376,56 @@ const ehrSchema = new mongoose.Schema({
   toObject: { getters: true }
 });
 
+ehrSchema.statics.SENSITIVE_CATEGORIES = SENSITIVE_CATEGORIES;
+ehrSchema.statics.AMENDMENT_TYPES = AMENDMENT_TYPES;
+ehrSchema.statics.COSIGNATURE_STATUSES = COSIGNATURE_STATUSES;
+
 // Indexes for performance
 ehrSchema.index({ patient: 1, visitDate: -1 });
 ehrSchema.index({ attendingPhysician: 1 });
 ehrSchema.index({ hospitalId: 1 });
+ehrSchema.index({ 'cosignature.assignedTo': 1, 'cosignature.status': 1 });
+ehrSchema.index({ author: 1, 'cosignature.status': 1 });
 // recordId already has unique index from schema definition
 
-// Method to create amendment
-ehrSchema.methods.createAmendment = async function(userId, reason, changes) {
+// Signed content can only change together with a new signature (amendment)
+ehrSchema.pre('save', function(next) {
+  if (!this.isNew && this.signature?.value && !this.isModified('signature') &&
+      SIGNED_FIELDS.some((field) => this.isModified(field))) {
+    const error = new Error('Signed EHR records can only be changed through an amendment');
+    error.name = 'SignedRecordError';
+    return next(error);
+  }
+  next();
+});
+
+// Whether the record has been signed and so can no longer be edited
+ehrSchema.methods.isSigned = function() {
+  return Boolean(this.signature?.value) || ['final', 'amended'].includes(this.status);
+};
+
+// Method to create amendment; the prior version is kept as a snapshot and a
+// signed record is re-signed by the amending clinician. A correction also
+// replaces the corrected field's value.
+ehrSchema.methods.createAmendment = async function(userId, amendment) {
+  const previous = EHRVersion.capture(this, { userId, changeType: 'amendment', reason: amendment.reason });
   this.version += 1;
   this.amendmentHistory.push({
+    ...amendment,
     version: this.version,
     amendedBy: userId,
-    amendedAt: new Date(),
-    reason: reason,
-    changes: changes
+    amendedAt: new Date()
   });
-  return await this.save();
+  if (amendment.type === 'correction') {
+    this.set(amendment.field, amendment.correctedValue);
+  }
+  if (this.signature?.value) {
+    this.status = 'amended';
+    await signRecord(this, userId);
+  }
+  await this.save();
+  await EHRVersion.store(previous);
+  return this;
 };
 
 module.exports = mongoose.model('EHR', ehrSchema);
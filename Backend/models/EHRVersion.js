@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const encryptionService = require('../config/encryption');
+const { SIGNED_FIELDS, recordContent } = require('../utils/ehrSignature');
+
+// Content kept per version; version numbers and amendment notes live on the snapshot itself
+const SNAPSHOT_FIELDS = SIGNED_FIELDS.filter((field) => !['version', 'amendmentHistory'].includes(field));
+
+/**
+ * Content of an EHR as it was at one version, saved when an update or
+ * amendment replaces it. The content is stored encrypted as a whole; the
+ * current version is always the live EHR document.
+ */
+const ehrVersionSchema = new mongoose.Schema({
+  ehr: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EHR',
+    required: true,
+    immutable: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    immutable: true
+  },
+  // Encrypted JSON of the version's content
+  snapshot: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  status: String,
+  // The change that replaced this version with the next one
+  supersededBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  supersededAt: {
+    type: Date,
+    required: true
+  },
+  changeType: {
+    type: String,
+    enum: ['update', 'amendment'],
+    required: true
+  },
+  reason: String
+}, {
+  timestamps: true,
+  collection: 'ehr_versions'
+});
+
+ehrVersionSchema.index({ ehr: 1, version: 1 }, { unique: true });
+
+// Decrypted content of this version
+ehrVersionSchema.methods.getContent = function() {
+  return JSON.parse(encryptionService.decrypt(this.snapshot));
+};
+
+/**
+ * The EHR's current content as its current version number, taken before a
+ * change replaces it. Nothing is written: pass the result to store() once
+ * the change has been saved, so a failed change leaves no snapshot behind.
+ * @param {EHR} ehr - EHR document, before the change is applied
+ * @param {Object} change - { userId, changeType, reason }
+ * @returns {Object}
+ */
+ehrVersionSchema.statics.capture = function(ehr, { userId, changeType, reason }) {
+  return {
+    ehr: ehr._id,
+    version: ehr.version,
+    snapshot: encryptionService.encrypt(JSON.stringify(recordContent(ehr, SNAPSHOT_FIELDS))),
+    status: ehr.status,
+    supersededBy: userId,
+    supersededAt: new Date(),
+    changeType,
+    reason
+  };
+};
+
+/**
+ * Save a captured version. Saving the same version twice keeps the first
+ * copy, so a retried change does not fail.
+ * @param {Object} captured - Result of capture()
+ * @returns {Promise<EHRVersion>}
+ */
+ehrVersionSchema.statics.store = function({ ehr, version, ...fields }) {
+  return this.findOneAndUpdate(
+    { ehr, version },
+    { $setOnInsert: fields },
+    { upsert: true, new: true }
+  );
+};
+
+ehrVersionSchema.statics.SNAPSHOT_FIELDS = SNAPSHOT_FIELDS;
+
+module.exports = mongoose.model('EHRVersion', ehrVersionSchema);
@@ -124,6 +124,61 @@ const hospitalSchema = new mongoose.Schema({
       default: false
     }
   },
+  // OpenID Connect single sign-on for this hospital's staff (see utils/oidc)
+  sso: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    issuer: {
+      type: String,
+      trim: true
+    },
+    clientId: {
+      type: String,
+      trim: true
+    },
+    clientSecret: {
+      type: String,
+      select: false
+    },
+    scopes: {
+      type: String,
+      default: 'openid profile email'
+    },
+    // Claim holding the user's roles/groups (dotted paths like realm_access.roles work)
+    roleClaim: {
+      type: String,
+      default: 'roles'
+    },
+    // IdP role/group value -> local role
+    roleMapping: {
+      type: Map,
+      of: {
+        type: String,
+        enum: ['admin', 'doctor', 'nurse', 'staff']
+      }
+    },
+    // Role for users none of whose claim values are mapped; unset denies them
+    defaultRole: {
+      type: String,
+      enum: ['doctor', 'nurse', 'staff']
+    },
+    departmentClaim: {
+      type: String,
+      default: 'department'
+    },
+    // IdP department value -> local department; unmapped values are used as-is
+    departmentMapping: {
+      type: Map,
+      of: String
+    },
+    // Create users on their first SSO login
+    autoProvision: {
+      type: Boolean,
+      default: true
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
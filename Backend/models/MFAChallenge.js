@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+/**
+ * Pending second-factor challenge created when a password login
+ * succeeds for a user with MFA enabled, or when a risky login is stepped up. Each challenge can be
+ * completed once and allows a limited number of code attempts.
+ */
+const mfaChallengeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: () => parseInt(process.env.MFA_MAX_ATTEMPTS) || 5
+  },
+  usedAt: Date,
+  // WebAuthn assertion challenge issued for this login, if requested
+  webauthnChallenge: String,
+  // SHA-256 of the code emailed when a risky login is stepped up for a user without MFA
+  emailCodeHash: String,
+  ipAddress: String,
+  userAgent: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'mfa_challenges'
+});
+
+mfaChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to find a challenge that can still be completed by the given user
+mfaChallengeSchema.statics.findOpen = async function(challengeId, userId) {
+  const challenge = await this.findById(challengeId);
+
+  if (
+    !challenge ||
+    challenge.user.toString() !== userId.toString() ||
+    challenge.usedAt ||
+    challenge.expiresAt <= new Date() ||
+    challenge.attempts >= challenge.maxAttempts
+  ) {
+    return null;
+  }
+
+  return challenge;
+};
+
+// Static method to reserve one code attempt before the code is checked.
+// The guarded increment keeps parallel verifications within maxAttempts;
+// returns null if the challenge is not open for the given user.
+mfaChallengeSchema.statics.reserveAttempt = async function(challengeId, userId) {
+  return await this.findOneAndUpdate(
+    {
+      _id: challengeId,
+      user: userId,
+      usedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+      $expr: { $lt: ['$attempts', '$maxAttempts'] }
+    },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+};
+
+// Static method to consume a challenge exactly once, after a successful
+// attempt was reserved. Returns null if it was already used or expired.
+mfaChallengeSchema.statics.consume = async function(challengeId) {
+  return await this.findOneAndUpdate(
+    {
+      _id: challengeId,
+      usedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+      $expr: { $lte: ['$attempts', '$maxAttempts'] }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('MFAChallenge', mfaChallengeSchema);
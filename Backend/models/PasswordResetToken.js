@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * Single-use password reset token sent by email.
+ * Only a SHA-256 hash of the token is stored.
+ */
+const passwordResetTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  usedAt: Date,
+  ipAddress: String,
+  userAgent: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'password_reset_tokens'
+});
+
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+passwordResetTokenSchema.index({ user: 1 });
+
+// Static method to consume a token exactly once.
+// Returns null if it is unknown, already used or expired.
+passwordResetTokenSchema.statics.consume = async function(tokenHash) {
+  return await this.findOneAndUpdate(
+    {
+      tokenHash,
+      usedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Static method to invalidate every outstanding token of a user
+passwordResetTokenSchema.statics.invalidateForUser = async function(userId) {
+  return await this.updateMany(
+    { user: userId, usedAt: { $exists: false } },
+    { $set: { usedAt: new Date() } }
+  );
+};
+
+module.exports = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
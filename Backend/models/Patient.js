@@ -143,7 +143,7 @@ const patientSchema = new mongoose.Schema({
     ref: 'User'
   }],
   
-  // Consent flags (ABAC attributes)
+  // Consent flags (ABAC attributes), kept in sync with the active ConsentDirective
   consent: {
     dataSharing: {
       type: Boolean,
@@ -156,7 +156,10 @@ const patientSchema = new mongoose.Schema({
     emergencyAccess: {
       type: Boolean,
       default: true
-    }
+    },
+    // After this date data sharing and research consent lapse
+    expiresAt: Date,
+    directiveVersion: Number
   },
   
   isActive: {
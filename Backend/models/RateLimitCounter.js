@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * Fixed-window hit counter shared by every API instance
+ * (see utils/rateLimitStore). Expired windows are removed by the TTL index.
+ */
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  lastAt: Date,
+  resetAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  collection: 'rate_limit_counters'
+});
+
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to count a hit, starting a new window when the current one has ended.
+// A single pipeline update keeps concurrent increments from different instances exact.
+rateLimitCounterSchema.statics.hit = async function(key, windowMs) {
+  const now = new Date();
+  const update = [{
+    $set: {
+      count: {
+        $cond: [{ $gt: ['$resetAt', now] }, { $add: ['$count', 1] }, 1]
+      },
+      resetAt: {
+        $cond: [{ $gt: ['$resetAt', now] }, '$resetAt', new Date(now.getTime() + windowMs)]
+      },
+      lastAt: now
+    }
+  }];
+
+  try {
+    return await this.findOneAndUpdate({ key }, update, { new: true, upsert: true });
+  } catch (error) {
+    // Two instances created the same counter at once; the retry updates the winner
+    if (error.code === 11000) {
+      return await this.findOneAndUpdate({ key }, update, { new: true, upsert: true });
+    }
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+/**
+ * Denylist of access tokens revoked before their natural expiry
+ * (logout, forced logout, account suspension or deletion)
+ */
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: String,
+  revokedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Same expiry as the token itself - after that it is rejected anyway
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: false,
+  collection: 'revoked_tokens'
+});
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to add a token to the denylist (idempotent)
+revokedTokenSchema.statics.revoke = async function(jti, userId, expiresAt, reason) {
+  return await this.updateOne(
+    { jti },
+    { $setOnInsert: { jti, user: userId, expiresAt, reason, revokedAt: new Date() } },
+    { upsert: true }
+  );
+};
+
+// Static method to check whether a token has been revoked
+revokedTokenSchema.statics.isRevoked = async function(jti) {
+  return !!(await this.exists({ jti }));
+};
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const { PERMISSION_NAMES, BUILT_IN_ROLE_PERMISSIONS } = require('../utils/permissions');
+
+/**
+ * Custom role: a named bundle of permissions assigned to users on top of
+ * their built-in role. A role with a hospitalId only applies to, and can
+ * only be assigned to, users of that hospital.
+ */
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    trim: true,
+    lowercase: true,
+    maxlength: 50,
+    match: [/^[a-z][a-z0-9-]*$/, 'Role name may only contain lowercase letters, digits and dashes'],
+    validate: {
+      validator: (name) => !Object.keys(BUILT_IN_ROLE_PERMISSIONS).includes(name),
+      message: 'Role name is reserved for a built-in role'
+    }
+  },
+  displayName: {
+    type: String,
+    required: [true, 'Display name is required'],
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    maxlength: 500
+  },
+  permissions: [{
+    type: String,
+    enum: PERMISSION_NAMES
+  }],
+  // Unset for organization-wide roles
+  hospitalId: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+roleSchema.index({ name: 1, hospitalId: 1 }, { unique: true });
+
+module.exports = mongoose.model('Role', roleSchema);
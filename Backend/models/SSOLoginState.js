@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+/**
+ * One OpenID Connect sign-in in progress.
+ * Created when the browser is sent to the hospital's identity provider
+ * (state, nonce, PKCE verifier) and, after the callback, holds the hash of a
+ * single-use login code the frontend exchanges for our own tokens.
+ */
+const ssoLoginStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  hospitalId: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  // Set once the identity provider has authenticated the user
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  loginCodeHash: {
+    type: String,
+    index: true,
+    sparse: true
+  },
+  usedAt: Date,
+  ipAddress: String,
+  userAgent: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'sso_login_states'
+});
+
+ssoLoginStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to take the pending state for a callback exactly once
+ssoLoginStateSchema.statics.takePending = async function(state) {
+  return await this.findOneAndUpdate(
+    {
+      state,
+      user: { $exists: false },
+      usedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Static method to consume a login code exactly once.
+// Returns null if it is unknown, already used or expired.
+ssoLoginStateSchema.statics.consumeLoginCode = async function(loginCodeHash) {
+  return await this.findOneAndUpdate(
+    {
+      loginCodeHash,
+      expiresAt: { $gt: new Date() }
+    },
+    { $unset: { loginCodeHash: 1 } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('SSOLoginState', ssoLoginStateSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+/**
+ * Bearer token for the SCIM 2.0 provisioning API (e.g. the HR system).
+ * Only a SHA-256 hash of the token is stored; it is shown once when issued.
+ * Changes made with a token are audited as the admin who issued it.
+ */
+const scimTokenSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: 64
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the token, so admins can tell tokens apart
+  prefix: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  expiresAt: Date,
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  collection: 'scim_tokens'
+});
+
+// Static method to find a token that can still be used
+scimTokenSchema.statics.findActive = async function(tokenHash) {
+  return await this.findOne({
+    tokenHash,
+    revokedAt: { $exists: false },
+    $or: [
+      { expiresAt: { $exists: false } },
+      { expiresAt: null },
+      { expiresAt: { $gt: new Date() } }
+    ]
+  }).populate('createdBy', 'email role attributes isActive accountStatus');
+};
+
+module.exports = mongoose.model('ScimToken', scimTokenSchema);
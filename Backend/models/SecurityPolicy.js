@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+
+const ROLES = ['admin', 'doctor', 'nurse', 'staff', 'patient'];
+
+// Policy is read on every authenticated request, so keep it briefly in memory
+const CACHE_TTL_MS = 60 * 1000;
+let cachedPolicy = null;
+let cachedAt = 0;
+
+/**
+ * Organization-wide security policy, edited by admins.
+ * There is a single document (key 'global').
+ */
+const securityPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'global',
+    unique: true,
+    immutable: true
+  },
+  mfa: {
+    // Roles that must enroll a second factor
+    requiredRoles: [{
+      type: String,
+      enum: ROLES
+    }],
+    // Days a user may keep working without MFA once it becomes required
+    gracePeriodDays: {
+      type: Number,
+      default: 14,
+      min: 0,
+      max: 365
+    },
+    // When each role became required; its grace period starts here
+    roleEnforcedAt: {
+      type: Map,
+      of: Date
+    }
+  },
+  password: {
+    minLength: {
+      type: Number,
+      default: 10,
+      min: 8,
+      max: 128
+    },
+    // How many of: lowercase, uppercase, digits, symbols
+    minCharacterClasses: {
+      type: Number,
+      default: 3,
+      min: 1,
+      max: 4
+    },
+    // Reject passwords on the bundled common/breached list
+    rejectCommonPasswords: {
+      type: Boolean,
+      default: true
+    },
+    // Number of previous passwords that cannot be reused
+    historyCount: {
+      type: Number,
+      default: 5,
+      min: 0,
+      max: 24
+    },
+    // Days before a password must be changed (0 = never expires)
+    maxAgeDays: {
+      type: Number,
+      default: 90,
+      min: 0,
+      max: 730
+    }
+  },
+  loginRisk: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // Score (0-100) at which the account owner is emailed about the sign-in
+    notifyThreshold: {
+      type: Number,
+      default: 30,
+      min: 0,
+      max: 100
+    },
+    // Score at which a second factor is required, by email code if none is enrolled
+    stepUpThreshold: {
+      type: Number,
+      default: 40,
+      min: 0,
+      max: 100
+    },
+    // Score at which the attempt is refused
+    blockThreshold: {
+      type: Number,
+      default: 80,
+      min: 0,
+      max: 100
+    },
+    // Sign-ins outside [start, end) local hours count as off-hours
+    businessHoursStart: {
+      type: Number,
+      default: 6,
+      min: 0,
+      max: 23
+    },
+    businessHoursEnd: {
+      type: Number,
+      default: 22,
+      min: 1,
+      max: 24
+    },
+    timezone: {
+      type: String,
+      default: 'UTC'
+    },
+    // Faster travel between consecutive logins is impossible
+    maxTravelSpeedKmh: {
+      type: Number,
+      default: 900,
+      min: 100
+    },
+    // Failed logins against this many accounts from one IP within the window is a burst
+    failureBurstAccounts: {
+      type: Number,
+      default: 5,
+      min: 2
+    },
+    failureBurstWindowMinutes: {
+      type: Number,
+      default: 15,
+      min: 1,
+      max: 1440
+    }
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  collection: 'security_policies'
+});
+
+// Static method to get the current policy, creating the default one if missing
+securityPolicySchema.statics.getCurrent = async function() {
+  if (cachedPolicy && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedPolicy;
+  }
+
+  const now = new Date();
+  const defaultRoles = ['admin', 'doctor'];
+
+  cachedPolicy = await this.findOneAndUpdate(
+    { key: 'global' },
+    {
+      $setOnInsert: {
+        key: 'global',
+        'mfa.requiredRoles': defaultRoles,
+        'mfa.roleEnforcedAt': Object.fromEntries(defaultRoles.map((role) => [role, now]))
+      }
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+  cachedAt = Date.now();
+
+  return cachedPolicy;
+};
+
+// Static method to drop the in-memory copy after an update
+securityPolicySchema.statics.clearCache = function() {
+  cachedPolicy = null;
+  cachedAt = 0;
+};
+
+securityPolicySchema.statics.ROLES = ROLES;
+
+module.exports = mongoose.model('SecurityPolicy', securityPolicySchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  // Owner of the session
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Hash of the refresh token currently valid for this session.
+  // Every rotation replaces it, so a token whose hash no longer matches
+  // has already been used once.
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Access tokens issued for this session that have not expired yet,
+  // so they can be denylisted when the session is revoked
+  accessTokens: [{
+    _id: false,
+    jti: String,
+    expiresAt: Date
+  }],
+
+  // Where the session was started from
+  device: String,
+  userAgent: String,
+  ipAddress: String,
+
+  // Lifecycle
+  issuedAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Revocation
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'token_reuse', 'password_change', 'admin', 'user_revoked', 'account_suspended', 'account_deleted']
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB remove sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// A session is usable until it is revoked or its refresh token expires
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+// Revoke this session (and with it every refresh token of its family)
+sessionSchema.methods.revoke = async function(reason, revokedBy) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  if (revokedBy) {
+    this.revokedBy = revokedBy;
+  }
+  return await this.save();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const encryptionService = require('../config/encryption');
+
+const ALGORITHM = 'ed25519';
+
+/**
+ * A clinician's signing key pair, generated and held by the server. The
+ * private key is stored encrypted and never leaves the server; retired keys
+ * are kept so signatures made with them can still be verified.
+ */
+const signingKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    immutable: true
+  },
+  // First 32 hex characters of the SHA-256 of the public key
+  keyId: {
+    type: String,
+    required: true,
+    unique: true,
+    immutable: true
+  },
+  algorithm: {
+    type: String,
+    enum: [ALGORITHM],
+    default: ALGORITHM,
+    immutable: true
+  },
+  publicKey: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  privateKey: {
+    type: String,
+    required: true,
+    select: false,
+    immutable: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'retired'],
+    default: 'active'
+  },
+  retiredAt: Date
+}, {
+  timestamps: true,
+  collection: 'signing_keys'
+});
+
+// One active key per clinician, so concurrent first signatures cannot create two
+signingKeySchema.index({ user: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+
+// Static method to get the clinician's active key, creating it on first use
+signingKeySchema.statics.getActiveForUser = async function(userId) {
+  const existing = await this.findOne({ user: userId, status: 'active' }).select('+privateKey');
+  if (existing) {
+    return existing;
+  }
+
+  const { publicKey, privateKey } = crypto.generateKeyPairSync(ALGORITHM, {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+
+  try {
+    return await this.create({
+      user: userId,
+      keyId: crypto.createHash('sha256').update(publicKey).digest('hex').slice(0, 32),
+      publicKey,
+      privateKey: encryptionService.encrypt(privateKey)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return this.findOne({ user: userId, status: 'active' }).select('+privateKey');
+    }
+    throw error;
+  }
+};
+
+// Sign data with this key
+signingKeySchema.methods.sign = function(data) {
+  const privateKey = crypto.createPrivateKey(encryptionService.decrypt(this.privateKey));
+  return crypto.sign(null, Buffer.from(data), privateKey).toString('base64');
+};
+
+// Check a signature made with this key
+signingKeySchema.methods.verify = function(data, signature) {
+  return crypto.verify(null, Buffer.from(data), crypto.createPublicKey(this.publicKey), Buffer.from(signature, 'base64'));
+};
+
+signingKeySchema.statics.ALGORITHM = ALGORITHM;
+
+module.exports = mongoose.model('SigningKey', signingKeySchema);
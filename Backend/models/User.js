@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { PERMISSION_NAMES } = require('../utils/permissions');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -20,7 +21,6 @@ const userSchema = new mongoose.Schema({
   password: {
     type: String,
     required: [true, 'Password is required'],
-    minlength: 8,
     select: false // Don't include password in queries by default
   },
   firstName: {
@@ -85,6 +85,46 @@ const userSchema = new mongoose.Schema({
     backupCodes: {
       type: [String],
       select: false
+    },
+    // WebAuthn authenticators (security keys, platform passkeys)
+    webauthnCredentials: {
+      type: [{
+        credentialId: {
+          type: String,
+          required: true
+        },
+        publicKey: {
+          type: String, // base64url-encoded COSE public key
+          required: true
+        },
+        counter: {
+          type: Number,
+          default: 0
+        },
+        transports: [String],
+        deviceType: String,
+        backedUp: Boolean,
+        name: {
+          type: String,
+          trim: true,
+          maxlength: 64
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now
+        },
+        lastUsedAt: Date
+      }],
+      select: false
+    },
+    // Pending WebAuthn registration challenge
+    webauthnChallenge: {
+      type: String,
+      select: false
+    },
+    webauthnChallengeExpires: {
+      type: Date,
+      select: false
     }
   },
   // Patient assignments (for doctors/nurses)
@@ -92,6 +132,15 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Patient'
   }],
+  // Permissions on top of the built-in role (see utils/permissions)
+  customRoles: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role'
+  }],
+  extraPermissions: [{
+    type: String,
+    enum: PERMISSION_NAMES
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -102,6 +151,33 @@ const userSchema = new mongoose.Schema({
   passwordChangedAt: {
     type: Date
   },
+  // Hashes of previous passwords, newest first (see utils/passwordPolicy)
+  passwordHistory: {
+    type: [{
+      _id: false,
+      hash: String,
+      changedAt: Date
+    }],
+    select: false
+  },
+  // Identity at a hospital's OpenID Connect provider, for single sign-on
+  sso: {
+    issuer: String,
+    subject: String,
+    hospitalId: String,
+    lastLoginAt: Date,
+    // Created by SSO: the local password is random and never shown, so it cannot expire
+    provisioned: Boolean
+  },
+  // Identifier assigned by the SCIM client (e.g. the HR system's employee id)
+  scim: {
+    externalId: String
+  },
+  // Set for generated temporary passwords; cleared when the user picks their own
+  mustChangePassword: {
+    type: Boolean,
+    default: false
+  },
   failedLoginAttempts: {
     type: Number,
     default: 0
@@ -129,6 +205,14 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// One local account per identity at an OIDC provider
+userSchema.index(
+  { 'sso.issuer': 1, 'sso.subject': 1 },
+  { unique: true, partialFilterExpression: { 'sso.subject': { $exists: true } } }
+);
+
+userSchema.index({ 'scim.externalId': 1 }, { sparse: true });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
@@ -155,22 +239,17 @@ userSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
 };
 
 // Increment failed login attempts
-userSchema.methods.incrementLoginAttempts = async function() {
-  // If we have a previous lock that has expired, restart at 1
-  if (this.accountLockedUntil && this.accountLockedUntil < Date.now()) {
-    return await this.updateOne({
-      $set: { failedLoginAttempts: 1 },
-      $unset: { accountLockedUntil: 1 }
-    });
-  }
-  
+// Throttling itself lives in utils/loginThrottle; lockedUntil mirrors its current
+// delay so admins can see (and clear) it
+userSchema.methods.incrementLoginAttempts = async function(lockedUntil = null) {
   const updates = { $inc: { failedLoginAttempts: 1 } };
-  
-  // Lock the account after 5 failed attempts for 2 hours
-  if (this.failedLoginAttempts + 1 >= 5 && !this.accountLockedUntil) {
-    updates.$set = { accountLockedUntil: Date.now() + 2 * 60 * 60 * 1000 };
+
+  if (lockedUntil) {
+    updates.$set = { accountLockedUntil: lockedUntil };
+  } else {
+    updates.$unset = { accountLockedUntil: 1 };
   }
-  
+
   return await this.updateOne(updates);
 };
 
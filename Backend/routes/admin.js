@@ -7,23 +7,72 @@ const {
   deleteUser,
   getSystemStats,
   unlockUserAccount,
-  suspendUserAccount
+  suspendUserAccount,
+  forceLogoutUser
 } = require('../controllers/adminController');
+const { getUserSessions, revokeUserSession } = require('../controllers/sessionController');
+const { getSecurityPolicy, updateSecurityPolicy } = require('../controllers/securityPolicyController');
+const { getScimTokens, createScimToken, revokeScimToken } = require('../controllers/scimTokenController');
+const {
+  getAccessPolicies,
+  getActiveAccessPolicy,
+  getAccessPolicy,
+  createAccessPolicy,
+  activateAccessPolicy,
+  explainAccessDecision
+} = require('../controllers/accessPolicyController');
+const {
+  getPermissionCatalog,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  getUserPermissions,
+  updateUserPermissions
+} = require('../controllers/roleController');
 const { protect, authorize } = require('../middleware/auth');
 
-// All routes require authentication and admin role
+// All routes require authentication; each needs its own permission
 router.use(protect);
-router.use(authorize('admin'));
 
 // User management routes
-router.get('/users', getAllUsers);
-router.get('/users/:id', getUserById);
-router.put('/users/:id', updateUser);
-router.delete('/users/:id', deleteUser);
-router.post('/users/:id/unlock', unlockUserAccount);
-router.post('/users/:id/suspend', suspendUserAccount);
+router.get('/users', authorize('user:read'), getAllUsers);
+router.get('/users/:id', authorize('user:read'), getUserById);
+router.put('/users/:id', authorize('user:manage'), updateUser);
+router.delete('/users/:id', authorize('user:manage'), deleteUser);
+router.post('/users/:id/unlock', authorize('user:manage'), unlockUserAccount);
+router.post('/users/:id/suspend', authorize('user:manage'), suspendUserAccount);
+router.post('/users/:id/logout-all', authorize('user:manage'), forceLogoutUser);
+router.get('/users/:id/sessions', authorize('user:read'), getUserSessions);
+router.delete('/users/:id/sessions/:sessionId', authorize('user:manage'), revokeUserSession);
+
+// Roles and permission grants
+router.get('/permissions', authorize('role:manage'), getPermissionCatalog);
+router.get('/roles', authorize('role:manage'), getRoles);
+router.post('/roles', authorize('role:manage'), createRole);
+router.put('/roles/:id', authorize('role:manage'), updateRole);
+router.delete('/roles/:id', authorize('role:manage'), deleteRole);
+router.get('/users/:id/permissions', authorize('role:manage'), getUserPermissions);
+router.put('/users/:id/permissions', authorize('role:manage'), updateUserPermissions);
+
+// Security policy
+router.get('/security-policy', authorize('security:manage'), getSecurityPolicy);
+router.put('/security-policy', authorize('security:manage'), updateSecurityPolicy);
+
+// Access policy (ABAC rules for patient data)
+router.get('/access-policies', authorize('security:manage'), getAccessPolicies);
+router.post('/access-policies', authorize('security:manage'), createAccessPolicy);
+router.get('/access-policies/active', authorize('security:manage'), getActiveAccessPolicy);
+router.post('/access-policies/explain', authorize('security:manage'), explainAccessDecision);
+router.get('/access-policies/:version', authorize('security:manage'), getAccessPolicy);
+router.post('/access-policies/:version/activate', authorize('security:manage'), activateAccessPolicy);
+
+// SCIM provisioning tokens
+router.get('/scim-tokens', authorize('security:manage'), getScimTokens);
+router.post('/scim-tokens', authorize('security:manage'), createScimToken);
+router.delete('/scim-tokens/:id', authorize('security:manage'), revokeScimToken);
 
 // System statistics
-router.get('/stats', getSystemStats);
+router.get('/stats', authorize('user:read'), getSystemStats);
 
 module.exports = router;
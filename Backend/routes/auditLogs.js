@@ -11,7 +11,7 @@ router.use(protect);
  * @route   GET /api/audit-logs
  * @access  Private (Admin)
  */
-router.get('/', authorize('admin'), async (req, res) => {
+router.get('/', authorize('audit:read'), async (req, res) => {
   try {
     const {
       page = 1,
@@ -67,7 +67,7 @@ router.get('/', authorize('admin'), async (req, res) => {
  * @route   GET /api/audit-logs/break-glass
  * @access  Private (Admin)
  */
-router.get('/break-glass', authorize('admin'), async (req, res) => {
+router.get('/break-glass', authorize('audit:read'), async (req, res) => {
   try {
     const { page = 1, limit = 50 } = req.query;
 
@@ -104,8 +104,8 @@ router.get('/user/:userId', async (req, res) => {
   try {
     const { userId } = req.params;
 
-    // Allow users to see their own logs, admins can see all
-    if (req.user.role !== 'admin' && req.user.id !== userId) {
+    // Allow users to see their own logs, audit readers can see all
+    if (!req.user.permissions.includes('audit:read') && req.user.id.toString() !== userId) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view these logs'
@@ -177,7 +177,7 @@ router.get('/patient/:patientId', async (req, res) => {
  * @route   GET /api/audit-logs/stats
  * @access  Private (Admin)
  */
-router.get('/stats/summary', authorize('admin'), async (req, res) => {
+router.get('/stats/summary', authorize('audit:read'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
 
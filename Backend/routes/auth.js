@@ -4,19 +4,52 @@ const {
   register,
   login,
   verifyMFA,
+  refreshToken,
   setupMFA,
   enableMFA,
   disableMFA,
+  regenerateBackupCodes,
   logout,
-  getMe
+  getMe,
+  ssoLogin
 } = require('../controllers/authController');
-const { changePassword } = require('../controllers/passwordController');
+const {
+  getSSOProviders,
+  startSSOLogin,
+  handleSSOCallback
+} = require('../controllers/ssoController');
+const {
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  getPasswordRules
+} = require('../controllers/passwordController');
+const { getMySessions, revokeMySession } = require('../controllers/sessionController');
+const {
+  getRegistrationOptions,
+  verifyRegistration,
+  getCredentials,
+  renameCredential,
+  deleteCredential,
+  getAuthenticationOptions,
+  verifyAuthentication
+} = require('../controllers/webauthnController');
 const { protect } = require('../middleware/auth');
 
 // Public routes
 router.post('/register', register);
 router.post('/login', login);
 router.post('/verify-mfa', verifyMFA);
+router.post('/refresh', refreshToken);
+router.get('/password-policy', getPasswordRules);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.post('/webauthn/login/options', getAuthenticationOptions);
+router.post('/webauthn/login/verify', verifyAuthentication);
+router.get('/sso/providers', getSSOProviders);
+router.get('/sso/callback', handleSSOCallback);
+router.post('/sso/exchange', ssoLogin);
+router.get('/sso/:hospitalId/authorize', startSSOLogin);
 
 // Protected routes
 router.use(protect);
@@ -26,5 +59,13 @@ router.put('/change-password', changePassword);
 router.post('/setup-mfa', setupMFA);
 router.post('/enable-mfa', enableMFA);
 router.post('/disable-mfa', disableMFA);
+router.post('/mfa/backup-codes/regenerate', regenerateBackupCodes);
+router.get('/sessions', getMySessions);
+router.delete('/sessions/:id', revokeMySession);
+router.post('/webauthn/register/options', getRegistrationOptions);
+router.post('/webauthn/register/verify', verifyRegistration);
+router.get('/webauthn/credentials', getCredentials);
+router.patch('/webauthn/credentials/:id', renameCredential);
+router.delete('/webauthn/credentials/:id', deleteCredential);
 
 module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getBreakGlassReviews,
+  closeBreakGlassReview
+} = require('../controllers/breakGlassController');
+const { protect, authorize } = require('../middleware/auth');
+
+// All routes require authentication and privacy officer permission
+router.use(protect);
+router.use(authorize('break-glass:review'));
+
+router.get('/reviews', getBreakGlassReviews);
+router.put('/reviews/:id/close', closeBreakGlassReview);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getDelegations,
+  getDelegationOptions,
+  createDelegation,
+  revokeDelegation
+} = require('../controllers/delegationController');
+const { protect, authorize } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(protect);
+
+router.route('/')
+  .get(authorize('patient:delegate', 'delegation:manage'), getDelegations)
+  .post(authorize('patient:delegate'), createDelegation);
+
+router.get('/options', authorize('patient:delegate'), getDelegationOptions);
+
+// Grantor, grantee or delegation manager (checked in the controller)
+router.put('/:id/revoke', authorize('patient:delegate', 'delegation:manage'), revokeDelegation);
+
+module.exports = router;
@@ -7,11 +7,19 @@ const {
   updateEHR,
   amendEHR,
   signEHR,
+  verifyEHR,
+  getCosignInbox,
+  cosignEHR,
+  returnEHR,
+  resubmitEHR,
+  getEHRVersions,
+  getEHRVersion,
+  diffEHRVersions,
   getMyPatientEHRs,
   deleteEHR
 } = require('../controllers/ehrController');
-const { protect, authorize, checkPatientAccess } = require('../middleware/auth');
-const { logAccess, breakGlass, captureBeforeState } = require('../middleware/auditLog');
+const { protect, authorize, checkPatientAccess, checkPatientConsent } = require('../middleware/auth');
+const { logAccess, breakGlass, requireBreakGlass, captureBeforeState } = require('../middleware/auditLog');
 const EHR = require('../models/EHR');
 
 // All routes require authentication
@@ -19,14 +27,22 @@ router.use(protect);
 
 // Get EHRs for my assigned patients
 router.get('/my-patients', 
-  authorize('doctor', 'nurse'),
+  authorize('ehr:read'),
   logAccess('VIEW_EHR', 'EHR'),
   getMyPatientEHRs
 );
 
+// Co-signature inbox: notes assigned to me, or my notes awaiting co-signature
+router.get('/cosign-inbox',
+  authorize('ehr:read'),
+  logAccess('VIEW_EHR', 'EHR'),
+  getCosignInbox
+);
+
 // Create new EHR
 router.post('/', 
-  authorize('doctor', 'nurse'),
+  authorize('ehr:create'),
+  checkPatientConsent(),
   logAccess('CREATE_EHR', 'EHR'),
   createEHR
 );
@@ -34,13 +50,19 @@ router.post('/',
 // Get EHRs for specific patient
 router.get('/patient/:patientId',
   checkPatientAccess,
+  checkPatientConsent(),
   breakGlass,
   logAccess('VIEW_EHR', 'EHR'),
   getPatientEHRs
 );
 
+// Single-record routes are authorized through the record's patient
+// (checkPatientAccess); an open break-glass grant is the only override.
+
 // Get single EHR
 router.get('/:id',
+  checkPatientAccess,
+  checkPatientConsent(),
   breakGlass,
   logAccess('VIEW_EHR', 'EHR'),
   getEHR
@@ -48,24 +70,29 @@ router.get('/:id',
 
 // Break glass emergency access to EHR
 router.post('/:id/break-glass',
-  authorize('admin', 'doctor', 'nurse'),
-  breakGlass,
+  authorize('break-glass:use'),
+  requireBreakGlass,
+  checkPatientConsent(),
   logAccess('BREAK_GLASS_EHR', 'EHR'),
   getEHR
 );
 
 // Update EHR
 router.put('/:id',
-  authorize('doctor', 'nurse'),
-  captureBeforeState(EHR),
+  authorize('ehr:update'),
   breakGlass,
+  checkPatientAccess,
+  checkPatientConsent(),
+  captureBeforeState(EHR),
   logAccess('UPDATE_EHR', 'EHR'),
   updateEHR
 );
 
-// Create amendment to EHR
+// Add an addendum, correction or late entry (rules per type in utils/amendments)
 router.post('/:id/amend',
-  authorize('doctor'),
+  authorize('ehr:amend', 'ehr:update'),
+  checkPatientAccess,
+  checkPatientConsent(),
   captureBeforeState(EHR),
   logAccess('UPDATE_EHR', 'EHR'),
   amendEHR
@@ -73,14 +100,76 @@ router.post('/:id/amend',
 
 // Sign EHR (finalize)
 router.post('/:id/sign',
-  authorize('doctor'),
-  logAccess('UPDATE_EHR', 'EHR'),
+  authorize('ehr:sign'),
+  checkPatientAccess,
+  checkPatientConsent(),
+  logAccess('SIGN_EHR', 'EHR'),
   signEHR
 );
 
+// Co-signature workflow for notes by nurses and trainees (utils/cosignature):
+// the assigned attending physician co-signs or returns, the author resubmits
+router.post('/:id/cosign',
+  authorize('ehr:sign'),
+  checkPatientAccess,
+  checkPatientConsent(),
+  logAccess('COSIGN_EHR', 'EHR'),
+  cosignEHR
+);
+
+router.post('/:id/return',
+  authorize('ehr:sign'),
+  checkPatientAccess,
+  checkPatientConsent(),
+  logAccess('RETURN_EHR', 'EHR'),
+  returnEHR
+);
+
+router.post('/:id/resubmit',
+  authorize('ehr:update'),
+  checkPatientAccess,
+  checkPatientConsent(),
+  logAccess('RESUBMIT_EHR', 'EHR'),
+  resubmitEHR
+);
+
+// Version history, field-level diff and individual versions
+router.get('/:id/versions',
+  authorize('ehr:read'),
+  checkPatientAccess,
+  checkPatientConsent(),
+  logAccess('VIEW_EHR', 'EHR'),
+  getEHRVersions
+);
+
+router.get('/:id/versions/diff',
+  authorize('ehr:read'),
+  checkPatientAccess,
+  checkPatientConsent(),
+  logAccess('VIEW_EHR', 'EHR'),
+  diffEHRVersions
+);
+
+router.get('/:id/versions/:version',
+  authorize('ehr:read'),
+  checkPatientAccess,
+  checkPatientConsent(),
+  logAccess('VIEW_EHR', 'EHR'),
+  getEHRVersion
+);
+
+// Verify the record's digital signature
+router.get('/:id/verify',
+  authorize('ehr:read'),
+  checkPatientAccess,
+  checkPatientConsent(),
+  verifyEHR
+);
+
 // Delete (archive) EHR
 router.delete('/:id',
-  authorize('admin'),
+  authorize('ehr:delete'),
+  checkPatientAccess,
   captureBeforeState(EHR),
   logAccess('DELETE_EHR', 'EHR'),
   deleteEHR
@@ -7,6 +7,7 @@ const {
   updateHospital,
   deleteHospital,
   updateHospitalStatus,
+  updateHospitalSSO,
   syncHospitalStats,
   getNetworkStats,
   testConnection
@@ -14,9 +15,9 @@ const {
 const { protect, authorize } = require('../middleware/auth');
 const { logAccess } = require('../middleware/auditLog');
 
-// All routes require authentication and admin role
+// All routes require authentication and hospital management permission
 router.use(protect);
-router.use(authorize('admin'));
+router.use(authorize('hospital:manage'));
 
 // Network statistics
 router.get('/stats/network', 
@@ -55,6 +56,11 @@ router.put('/:id/status',
   updateHospitalStatus
 );
 
+router.put('/:id/sso',
+  logAccess('UPDATE_HOSPITAL_SSO', 'Hospital'),
+  updateHospitalSSO
+);
+
 router.post('/:id/sync',
   logAccess('SYNC_HOSPITAL', 'Hospital'),
   syncHospitalStats
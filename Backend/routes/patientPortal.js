@@ -1,17 +1,20 @@
 const express = require('express');
 const router = express.Router();
-const { authorize } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
 const { logAccess } = require('../middleware/auditLog');
 const {
   getMyProfile,
   getMyEHRRecords,
   getMyEHRRecord,
   updateMyContact,
-  exportMyRecords
+  exportMyRecords,
+  getMyConsent,
+  updateMyConsent
 } = require('../controllers/patientPortalController');
 
 // All routes require patient authentication
-router.use(authorize('patient'));
+router.use(protect);
+router.use(authorize('portal:access'));
 
 // Get patient's own profile
 router.get('/profile', logAccess('VIEW_PATIENT', 'Patient'), getMyProfile);
@@ -28,4 +31,10 @@ router.get('/export', exportMyRecords);
 // Update contact information
 router.put('/contact', logAccess('UPDATE_PATIENT', 'Patient'), updateMyContact);
 
+// Consent directive and its history
+router.get('/consent', getMyConsent);
+
+// Record a new consent directive version (audited as CONSENT_UPDATED)
+router.put('/consent', updateMyConsent);
+
 module.exports = router;
@@ -4,15 +4,17 @@ const {
   createPatient,
   getPatients,
   getPatient,
+  exportPatientRecord,
   updatePatient,
   assignProvider,
+  getConsentDirectives,
   updateConsent,
   deletePatient,
   createPortalAccount,
   resetPortalPassword
 } = require('../controllers/patientController');
-const { protect, authorize, checkPatientAccess } = require('../middleware/auth');
-const { logAccess, breakGlass, captureBeforeState } = require('../middleware/auditLog');
+const { protect, authorize, checkPatientAccess, checkPatientConsent } = require('../middleware/auth');
+const { logAccess, breakGlass, requireBreakGlass, captureBeforeState } = require('../middleware/auditLog');
 const Patient = require('../models/Patient');
 
 // All routes require authentication
@@ -26,7 +28,7 @@ router.get('/',
 
 // Create new patient
 router.post('/',
-  authorize('admin', 'doctor', 'nurse'),
+  authorize('patient:create'),
   logAccess('CREATE_PATIENT', 'Patient'),
   createPatient
 );
@@ -34,6 +36,7 @@ router.post('/',
 // Get single patient
 router.get('/:id',
   checkPatientAccess,
+  checkPatientConsent(),
   breakGlass,
   logAccess('VIEW_PATIENT', 'Patient'),
   getPatient
@@ -41,32 +44,48 @@ router.get('/:id',
 
 // Break glass emergency access to patient
 router.post('/:id/break-glass',
-  authorize('admin', 'doctor', 'nurse'),
-  breakGlass,
+  authorize('break-glass:use'),
+  requireBreakGlass,
+  checkPatientConsent(),
   logAccess('BREAK_GLASS_ACCESS', 'Patient'),
   getPatient
 );
 
+// Export patient record (a transfer out, so always checked against data-sharing consent)
+router.get('/:id/export',
+  authorize('ehr:read'),
+  checkPatientAccess,
+  checkPatientConsent('sharing'),
+  exportPatientRecord
+);
+
 // Update patient
 router.put('/:id',
-  authorize('admin', 'doctor', 'nurse'),
+  authorize('patient:update'),
+  breakGlass,
   checkPatientAccess,
+  checkPatientConsent(),
   captureBeforeState(Patient),
-  breakGlass,
   logAccess('UPDATE_PATIENT', 'Patient'),
   updatePatient
 );
 
 // Assign doctor/nurse to patient
 router.post('/:id/assign',
-  authorize('admin', 'doctor'),
+  authorize('patient:assign'),
   logAccess('UPDATE_PATIENT', 'Patient'),
   assignProvider
 );
 
+// Patient consent directive and history
+router.get('/:id/consent',
+  checkPatientAccess,
+  getConsentDirectives
+);
+
 // Update patient consent
 router.put('/:id/consent',
-  authorize('admin', 'doctor', 'nurse'),
+  authorize('patient:consent'),
   checkPatientAccess,
   logAccess('UPDATE_PATIENT', 'Patient'),
   updateConsent
@@ -74,7 +93,7 @@ router.put('/:id/consent',
 
 // Delete (deactivate) patient
 router.delete('/:id',
-  authorize('admin'),
+  authorize('patient:delete'),
   captureBeforeState(Patient),
   logAccess('DELETE_PATIENT', 'Patient'),
   deletePatient
@@ -82,14 +101,14 @@ router.delete('/:id',
 
 // Create patient portal account
 router.post('/:id/create-portal-account',
-  authorize('admin', 'doctor'),
+  authorize('patient:portal-account'),
   logAccess('CREATE_USER', 'User'),
   createPortalAccount
 );
 
 // Reset patient portal password
 router.post('/:id/reset-portal-password',
-  authorize('admin'),
+  authorize('patient:portal-reset'),
   logAccess('PASSWORD_CHANGE', 'User'),
   resetPortalPassword
 );
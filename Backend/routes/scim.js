@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getServiceProviderConfig,
+  getResourceTypes,
+  listUsers,
+  getUser,
+  createUser,
+  replaceUser,
+  patchUser,
+  deleteUser,
+  listGroups,
+  getGroup,
+  createGroup,
+  replaceGroup,
+  patchGroup,
+  deleteGroup
+} = require('../controllers/scimController');
+const { protectScim } = require('../middleware/auth');
+
+// All routes require a SCIM bearer token
+router.use(protectScim);
+
+// Discovery
+router.get('/ServiceProviderConfig', getServiceProviderConfig);
+router.get('/ResourceTypes', getResourceTypes);
+
+// Users
+router.route('/Users')
+  .get(listUsers)
+  .post(createUser);
+
+router.route('/Users/:id')
+  .get(getUser)
+  .put(replaceUser)
+  .patch(patchUser)
+  .delete(deleteUser);
+
+// Groups (the staff roles)
+router.route('/Groups')
+  .get(listGroups)
+  .post(createGroup);
+
+router.route('/Groups/:id')
+  .get(getGroup)
+  .put(replaceGroup)
+  .patch(patchGroup)
+  .delete(deleteGroup);
+
+module.exports = router;
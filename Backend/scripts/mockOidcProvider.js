@@ -0,0 +1,167 @@
+/**
+ * Local OpenID Connect provider for trying hospital single sign-on.
+ * Do not use outside development: it signs in anyone who picks a user.
+ *
+ *   npm run mock-idp
+ *
+ * Then configure a hospital (PUT /api/hospitals/:id/sso) with
+ *   issuer: http://localhost:5055, clientId: secureehr-local, clientSecret: mock-secret,
+ *   roleMapping: { ehr-physicians: doctor, ehr-nurses: nurse, ehr-admins: admin }
+ *
+ * Pass login_hint=<username> to the authorize endpoint to skip the user picker.
+ */
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_IDP_PORT) || 5055;
+const ISSUER = process.env.MOCK_IDP_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_IDP_CLIENT_ID || 'secureehr-local';
+const CLIENT_SECRET = process.env.MOCK_IDP_CLIENT_SECRET || 'mock-secret';
+
+const USERS = {
+  'dr.house': {
+    sub: 'mock-1001',
+    email: 'dr.house@mock-hospital.org',
+    email_verified: true,
+    given_name: 'Gregory',
+    family_name: 'House',
+    preferred_username: 'dr.house',
+    roles: ['ehr-physicians'],
+    department: 'general'
+  },
+  'nurse.joy': {
+    sub: 'mock-1002',
+    email: 'nurse.joy@mock-hospital.org',
+    email_verified: true,
+    given_name: 'Joy',
+    family_name: 'Parker',
+    preferred_username: 'nurse.joy',
+    roles: ['ehr-nurses'],
+    department: 'pediatrics'
+  },
+  'it.admin': {
+    sub: 'mock-1003',
+    email: 'it.admin@mock-hospital.org',
+    email_verified: true,
+    given_name: 'Alex',
+    family_name: 'Admin',
+    preferred_username: 'it.admin',
+    roles: ['ehr-admins'],
+    department: 'administration'
+  },
+  'visitor': {
+    sub: 'mock-1004',
+    email: 'visitor@mock-hospital.org',
+    email_verified: false,
+    given_name: 'Unmapped',
+    family_name: 'Visitor',
+    preferred_username: 'visitor',
+    roles: ['guests']
+  }
+};
+
+// New signing key on every start; the relying party refetches the JWKS for an unknown kid
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+const authorizationCodes = new Map();
+const accessTokens = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_post']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+app.get('/authorize', (req, res) => {
+  const { client_id: clientId, redirect_uri: redirectUri, state, nonce, login_hint: loginHint } = req.query;
+
+  if (clientId !== CLIENT_ID || !redirectUri || req.query.code_challenge_method !== 'S256') {
+    return res.status(400).send('Invalid authorization request');
+  }
+
+  const profile = USERS[loginHint];
+  if (!profile) {
+    const links = Object.keys(USERS).map((username) => {
+      const url = new URL(`${ISSUER}/authorize`);
+      url.search = new URLSearchParams({ ...req.query, login_hint: username }).toString();
+      return `<li><a href="${url}">${username}</a> (${USERS[username].roles.join(', ')})</li>`;
+    });
+    return res.send(`<h1>Mock identity provider</h1><p>Sign in as:</p><ul>${links.join('')}</ul>`);
+  }
+
+  const code = crypto.randomBytes(24).toString('base64url');
+  authorizationCodes.set(code, {
+    profile,
+    nonce,
+    redirectUri,
+    codeChallenge: req.query.code_challenge,
+    expiresAt: Date.now() + 60 * 1000
+  });
+
+  const callback = new URL(redirectUri);
+  callback.searchParams.set('code', code);
+  if (state) {
+    callback.searchParams.set('state', state);
+  }
+  res.redirect(callback.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { code, code_verifier: codeVerifier, redirect_uri: redirectUri } = req.body;
+
+  if (req.body.client_id !== CLIENT_ID || req.body.client_secret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  const grant = authorizationCodes.get(code);
+  authorizationCodes.delete(code);
+
+  const challenge = codeVerifier
+    ? crypto.createHash('sha256').update(codeVerifier).digest('base64url')
+    : null;
+
+  if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== redirectUri || grant.codeChallenge !== challenge) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const idToken = jwt.sign(
+    { ...grant.profile, nonce: grant.nonce },
+    privateKey,
+    { algorithm: 'RS256', keyid: KEY_ID, issuer: ISSUER, audience: CLIENT_ID, expiresIn: '5m' }
+  );
+  const accessToken = crypto.randomBytes(24).toString('base64url');
+  accessTokens.set(accessToken, grant.profile);
+
+  res.json({ token_type: 'Bearer', access_token: accessToken, id_token: idToken, expires_in: 300 });
+});
+
+app.get('/userinfo', (req, res) => {
+  const profile = accessTokens.get(String(req.headers.authorization || '').replace(/^Bearer /, ''));
+  if (!profile) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+  res.json(profile);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER} (client ${CLIENT_ID})`);
+});
@@ -5,6 +5,10 @@ const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const mongoSanitize = require('express-mongo-sanitize');
 const connectDB = require('./config/database');
+const { ExpressRateLimitStore } = require('./utils/rateLimitStore');
+const { startDelegationExpiry } = require('./utils/delegation');
+const { startBreakGlassMonitor } = require('./utils/breakGlass');
+const { startCosignatureMonitor } = require('./utils/cosignature');
 
 const app = express();
 
@@ -53,31 +57,46 @@ const corsOptions = {
 };
 app.use(cors(corsOptions));
 
-// Rate limiting - Relaxed for development
+// Behind a load balancer, trust its X-Forwarded-For so limits key on the real client IP
+// (a hop count such as 1, or a list of proxy addresses)
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+// Rate limiting - counters live in the shared store (see utils/rateLimitStore)
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
-  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 1000, // Increased to 1000 for development
+  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 300,
   message: 'Too many requests from this IP, please try again later',
   standardHeaders: true,
   legacyHeaders: false,
+  store: new ExpressRateLimitStore('api')
 });
 
 // Apply rate limiting to all routes
 app.use('/api/', limiter);
 
-// Stricter rate limiting for auth routes - Relaxed for development
+// Stricter rate limiting for auth routes; failed logins are also throttled
+// per account and IP with progressive delays (see utils/loginThrottle)
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 200, // Increased to 200 requests per window for development
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX_REQUESTS) || 50,
   message: 'Too many login attempts, please try again later',
-  skipSuccessfulRequests: true
+  skipSuccessfulRequests: true,
+  store: new ExpressRateLimitStore('auth')
 });
 
 app.use('/api/auth/login', authLimiter);
 app.use('/api/auth/register', authLimiter);
+app.use('/api/auth/refresh', authLimiter);
+app.use('/api/auth/webauthn/login', authLimiter);
+app.use('/api/auth/sso/exchange', authLimiter);
+app.use('/api/auth/forgot-password', authLimiter);
+app.use('/api/auth/reset-password', authLimiter);
 
-// Body parser
-app.use(express.json({ limit: '10mb' }));
+// Body parser (SCIM clients send application/scim+json)
+app.use(express.json({ limit: '10mb', type: ['application/json', 'application/scim+json'] }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Sanitize data to prevent NoSQL injection
@@ -87,7 +106,9 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // and avoid reassigning request properties.
 app.use((req, res, next) => {
   try {
-    if (req.body) {
+    // SCIM bodies use dotted attribute paths and schema URNs as keys by design;
+    // the SCIM handlers only read known attributes and never query with the body
+    if (req.body && !req.path.startsWith('/api/scim/')) {
       mongoSanitize.sanitize(req.body);
     }
     if (req.params) {
@@ -129,6 +150,9 @@ app.use('/api/ehr', require('./routes/ehr'));
 app.use('/api/audit-logs', require('./routes/auditLogs'));
 app.use('/api/hospitals', require('./routes/hospitals'));
 app.use('/api/patient-portal', require('./routes/patientPortal'));
+app.use('/api/scim/v2', require('./routes/scim'));
+app.use('/api/delegations', require('./routes/delegations'));
+app.use('/api/break-glass', require('./routes/breakGlass'));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -213,6 +237,11 @@ const server = app.listen(PORT, () => {
   🏥 EHR System API Ready
   ================================================
   `);
+
+  // Mark ended delegations and break-glass grants as expired, escalate overdue reviews
+  startDelegationExpiry();
+  startBreakGlassMonitor();
+  startCosignatureMonitor();
 });
 
 // Handle unhandled promise rejections
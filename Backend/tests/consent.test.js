@@ -0,0 +1,166 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const User = require('../models/User');
+const Patient = require('../models/Patient');
+const EHR = require('../models/EHR');
+const AuditLog = require('../models/AuditLog');
+const AccessPolicy = require('../models/AccessPolicy');
+const DelegationGrant = require('../models/DelegationGrant');
+const BreakGlassGrant = require('../models/BreakGlassGrant');
+const ConsentDirective = require('../models/ConsentDirective');
+const Hospital = require('../models/Hospital');
+const patientRoutes = require('../routes/patients');
+const { mockRequest, runHandlers, routeHandlers } = require('./helpers/express');
+const { stubModel } = require('./helpers/models');
+const { buildUser, buildPatient, asRequestUser } = require('./helpers/fixtures');
+
+let users;
+let patients;
+let directives;
+let audit;
+let patient;
+let doctor;
+
+beforeEach(() => {
+  users = stubModel(User);
+  patients = stubModel(Patient);
+  audit = stubModel(AuditLog);
+  stubModel(EHR);
+  stubModel(AccessPolicy);
+  stubModel(DelegationGrant);
+  stubModel(BreakGlassGrant);
+  directives = stubModel(ConsentDirective);
+  stubModel(Hospital).insert({ hospitalId: 'HOSP002', name: 'Riverside General' });
+
+  patient = patients.insert(buildPatient({ consent: { dataSharing: false, research: false } }));
+  doctor = users.insert(buildUser('doctor', 'dana', { assignedPatients: [patient._id] }));
+});
+
+const setConsent = (consent) => Patient.updateOne({ _id: patient._id }, { $set: { consent } });
+
+// The patient's directive names who their records may be shared with
+const nameRecipients = async (recipients) => {
+  await setConsent({ dataSharing: true });
+  directives.insert({
+    patient: patient._id,
+    version: 1,
+    dataSharing: true,
+    recipients,
+    source: 'patient',
+    createdBy: patient._id
+  });
+};
+
+const call = async (path, headers = {}, query = {}) => runHandlers(
+  routeHandlers(patientRoutes, 'get', path),
+  mockRequest({
+    user: await asRequestUser(doctor),
+    params: { id: patient._id.toString() },
+    headers,
+    query,
+    baseUrl: '/api/patients',
+    originalUrl: path.replace(':id', patient._id)
+  })
+);
+
+const denials = () => audit.all({ action: 'ACCESS_DENIED' });
+
+test('treatment needs no consent flag', async () => {
+  const res = await call('/:id');
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(denials().length, 0);
+});
+
+test('research use is denied without research consent', async () => {
+  const res = await call('/:id', { 'x-purpose-of-use': 'research' });
+
+  assert.strictEqual(res.statusCode, 403);
+  assert.strictEqual(res.body.message, 'Patient has not provided consent for this purpose of use (research)');
+  assert.deepStrictEqual(res.body.missingConsent, ['research']);
+  assert.strictEqual(denials()[0].purposeOfUse, 'research');
+
+  await setConsent({ research: true });
+  assert.strictEqual((await call('/:id', { 'x-purpose-of-use': 'research' })).statusCode, 200);
+});
+
+test('consent lapses when it expires', async () => {
+  await setConsent({ research: true, expiresAt: new Date(Date.now() - 60 * 1000) });
+
+  const res = await call('/:id', { 'x-purpose-of-use': 'research' });
+
+  assert.strictEqual(res.statusCode, 403);
+});
+
+test('an unknown purpose is rejected', async () => {
+  const res = await call('/:id', { 'x-purpose-of-use': 'marketing' });
+
+  assert.strictEqual(res.statusCode, 400);
+});
+
+test('export is denied without data-sharing consent, whatever purpose is declared', async () => {
+  const res = await call('/:id/export', { 'x-purpose-of-use': 'treatment' });
+
+  assert.strictEqual(res.statusCode, 403);
+  assert.strictEqual(res.body.purposeOfUse, 'sharing');
+  assert.deepStrictEqual(res.body.missingConsent, ['dataSharing']);
+  assert.strictEqual(audit.all({ action: 'EXPORT_DATA' }).length, 0);
+});
+
+test('export is allowed with data-sharing consent', async () => {
+  await setConsent({ dataSharing: true });
+
+  const res = await call('/:id/export');
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.data.purposeOfUse, 'sharing');
+  assert.strictEqual(audit.all({ action: 'EXPORT_DATA' })[0].purposeOfUse, 'sharing');
+});
+
+test('export must declare a recipient the directive names', async () => {
+  await nameRecipients([{ name: 'Dr. Ortiz', organization: 'Riverside General' }]);
+
+  const undeclared = await call('/:id/export');
+  assert.strictEqual(undeclared.statusCode, 403);
+  assert.strictEqual(undeclared.body.recipientRequired, true);
+
+  const unnamed = await call('/:id/export', {}, { recipient: 'Lakeside Clinic' });
+  assert.strictEqual(unnamed.statusCode, 403);
+  assert.strictEqual(unnamed.body.message, 'Patient has not agreed to share records with this recipient');
+  assert.strictEqual(denials().length, 2);
+
+  const named = await call('/:id/export', {}, { recipient: 'riverside general' });
+  assert.strictEqual(named.statusCode, 200);
+  assert.strictEqual(audit.all({ action: 'EXPORT_DATA' })[0].details.afterState.recipient, 'riverside general');
+});
+
+test('an expired recipient no longer receives records', async () => {
+  await nameRecipients([{ name: 'Dr. Ortiz', expiresAt: new Date(Date.now() - 60 * 1000) }]);
+
+  const res = await call('/:id/export', {}, { recipient: 'Dr. Ortiz' });
+
+  assert.strictEqual(res.statusCode, 403);
+});
+
+test('a directive without recipients does not limit sharing', async () => {
+  await nameRecipients([]);
+
+  assert.strictEqual((await call('/:id/export')).statusCode, 200);
+});
+
+test('cross-hospital access is limited to the hospitals the directive names', async () => {
+  await User.updateOne({ _id: doctor._id }, { $set: { 'attributes.hospitalId': 'HOSP002' } });
+  doctor = users.get(doctor._id);
+  await nameRecipients([{ name: 'Dr. Lee', organization: 'Lakeside Clinic' }]);
+
+  const denied = await call('/:id');
+  assert.strictEqual(denied.statusCode, 403);
+  assert.match(denials()[0].details.denialReason, /does not name Riverside General/);
+
+  await ConsentDirective.updateOne(
+    { patient: patient._id },
+    { $push: { recipients: { name: 'Records office', organization: 'Riverside General' } } }
+  );
+  assert.strictEqual((await call('/:id')).statusCode, 200);
+});
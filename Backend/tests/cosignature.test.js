@@ -0,0 +1,208 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const User = require('../models/User');
+const Patient = require('../models/Patient');
+const EHR = require('../models/EHR');
+const EHRVersion = require('../models/EHRVersion');
+const SigningKey = require('../models/SigningKey');
+const AuditLog = require('../models/AuditLog');
+const AccessPolicy = require('../models/AccessPolicy');
+const DelegationGrant = require('../models/DelegationGrant');
+const BreakGlassGrant = require('../models/BreakGlassGrant');
+const ConsentDirective = require('../models/ConsentDirective');
+const ehrRoutes = require('../routes/ehr');
+const { verifyRecord } = require('../utils/ehrSignature');
+const { setTransport } = require('../utils/mailer');
+const { mockRequest, runHandlers, routeHandlers } = require('./helpers/express');
+const { stubModel } = require('./helpers/models');
+const { buildUser, buildPatient, asRequestUser } = require('./helpers/fixtures');
+
+let users;
+let records;
+let patient;
+let attending;
+let resident;
+let nurse;
+
+beforeEach(() => {
+  users = stubModel(User);
+  records = stubModel(EHR);
+  stubModel(EHRVersion);
+  stubModel(SigningKey);
+  stubModel(AuditLog);
+  stubModel(AccessPolicy);
+  stubModel(DelegationGrant);
+  stubModel(BreakGlassGrant);
+  stubModel(ConsentDirective);
+
+  const patients = stubModel(Patient);
+  patient = buildPatient();
+  attending = users.insert(buildUser('doctor', 'dana', {
+    attributes: { hospitalId: 'HOSP001', department: 'general', accessLevel: 4 },
+    assignedPatients: [patient._id]
+  }));
+  resident = users.insert(buildUser('doctor', 'rory', {
+    attributes: { hospitalId: 'HOSP001', department: 'general', accessLevel: 2 },
+    assignedPatients: [patient._id]
+  }));
+  nurse = users.insert(buildUser('nurse', 'nora'));
+  patient.assignedDoctors = [attending._id, resident._id];
+  patient.assignedNurses = [nurse._id];
+  patients.insert(patient);
+
+  // Co-signature notifications are not under test
+  setTransport({ name: 'memory', send: async () => ({ id: 'discarded' }) });
+});
+
+const call = async (user, method, path, { id, body = {} } = {}) => runHandlers(
+  routeHandlers(ehrRoutes, method, path),
+  mockRequest({
+    user: await asRequestUser(user),
+    params: id ? { id: id.toString() } : {},
+    body,
+    method: method.toUpperCase(),
+    baseUrl: '/api/ehr',
+    originalUrl: `/api/ehr${path.replace(':id', id)}`
+  })
+);
+
+const writeNote = async (author, fields = {}) => {
+  const res = await call(author, 'post', '/', {
+    body: {
+      patient: patient._id.toString(),
+      visitType: 'outpatient',
+      department: 'general',
+      chiefComplaint: 'Shortness of breath',
+      ...fields
+    }
+  });
+  assert.strictEqual(res.statusCode, 201, res.body.message);
+  return res.body.data;
+};
+
+const cosign = (user, id) => call(user, 'post', '/:id/cosign', { id });
+
+const returnNote = (user, id) => call(user, 'post', '/:id/return', {
+  id,
+  body: { comments: 'Add the oxygen saturation on room air' }
+});
+
+const stored = (note) => records.get(note._id);
+
+test('a nurse\'s note waits for the most senior assigned doctor', async () => {
+  const note = await writeNote(nurse);
+
+  assert.strictEqual(stored(note).cosignature.status, 'pending');
+  assert.ok(stored(note).cosignature.assignedTo.equals(attending._id));
+});
+
+test('co-signing finalizes the note with the attending\'s signature', async () => {
+  const note = await writeNote(nurse);
+
+  const res = await cosign(attending, note._id);
+
+  assert.strictEqual(res.statusCode, 200);
+  const signed = stored(note);
+  assert.strictEqual(signed.status, 'final');
+  assert.strictEqual(signed.cosignature.status, 'cosigned');
+  assert.ok(signed.cosignedBy.equals(attending._id));
+  assert.strictEqual((await verifyRecord(signed)).status, 'valid');
+  assert.strictEqual((await cosign(attending, note._id)).statusCode, 409);
+});
+
+test('a returned note goes back to the attending when resubmitted', async () => {
+  const note = await writeNote(nurse);
+
+  const returned = await returnNote(attending, note._id);
+  assert.strictEqual(returned.statusCode, 200);
+  assert.strictEqual(stored(note).cosignature.status, 'returned');
+  assert.strictEqual(stored(note).cosignature.comments[0].action, 'returned');
+  assert.strictEqual((await cosign(attending, note._id)).statusCode, 409);
+
+  const resubmitted = await call(nurse, 'post', '/:id/resubmit', { id: note._id, body: { comments: 'Added' } });
+  assert.strictEqual(resubmitted.statusCode, 200);
+  assert.strictEqual(stored(note).cosignature.status, 'pending');
+  assert.strictEqual(stored(note).cosignature.comments.length, 2);
+
+  assert.strictEqual((await cosign(attending, note._id)).statusCode, 200);
+});
+
+test('only the author can resubmit a returned note', async () => {
+  const note = await writeNote(nurse);
+  await returnNote(attending, note._id);
+
+  const res = await call(resident, 'post', '/:id/resubmit', { id: note._id });
+
+  assert.strictEqual(res.statusCode, 403);
+  assert.strictEqual(stored(note).cosignature.status, 'returned');
+});
+
+test('a doctor other than the assigned attending cannot co-sign or return', async () => {
+  const note = await writeNote(nurse);
+
+  assert.strictEqual((await cosign(resident, note._id)).statusCode, 403);
+  assert.strictEqual((await returnNote(resident, note._id)).statusCode, 403);
+  assert.strictEqual(stored(note).cosignature.status, 'pending');
+});
+
+test('a failed signature leaves the note pending', async () => {
+  const note = await writeNote(nurse);
+  await User.updateOne({ _id: attending._id }, { $set: { isActive: false } });
+
+  const res = await cosign(attending, note._id);
+
+  assert.strictEqual(res.statusCode, 403);
+  assert.strictEqual(stored(note).cosignature.status, 'pending');
+  assert.strictEqual(stored(note).status, 'draft');
+
+  await User.updateOne({ _id: attending._id }, { $set: { isActive: true } });
+  assert.strictEqual((await cosign(attending, note._id)).statusCode, 200);
+});
+
+test('an assigned doctor without access to the patient is not chosen', async () => {
+  await User.updateOne({ _id: attending._id }, { $set: { assignedPatients: [] } });
+
+  const note = await writeNote(nurse);
+
+  assert.ok(stored(note).cosignature.assignedTo.equals(resident._id));
+});
+
+test('a chosen attending must have access to the patient', async () => {
+  const outsider = users.insert(buildUser('doctor', 'olin', {
+    attributes: { hospitalId: 'HOSP001', department: 'general', accessLevel: 5 }
+  }));
+
+  const res = await call(nurse, 'post', '/', {
+    body: {
+      patient: patient._id.toString(),
+      visitType: 'outpatient',
+      department: 'general',
+      chiefComplaint: 'Shortness of breath',
+      attendingPhysician: outsider._id.toString()
+    }
+  });
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(res.body.message, 'The attending physician does not have access to this patient\'s records');
+});
+
+test('a resident can correct their own co-signed note', async () => {
+  const note = await writeNote(resident);
+  assert.strictEqual(stored(note).cosignature.status, 'pending');
+  await cosign(attending, note._id);
+
+  const res = await call(resident, 'post', '/:id/amend', {
+    id: note._id,
+    body: {
+      type: 'correction',
+      field: 'chiefComplaint',
+      correctedValue: 'Shortness of breath on exertion',
+      reason: 'Complaint recorded without its trigger'
+    }
+  });
+
+  assert.strictEqual(res.statusCode, 200, res.body.message);
+  assert.strictEqual(stored(note).chiefComplaint, 'Shortness of breath on exertion');
+  assert.strictEqual((await verifyRecord(stored(note))).status, 'valid');
+});
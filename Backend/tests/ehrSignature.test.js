@@ -0,0 +1,176 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const User = require('../models/User');
+const EHR = require('../models/EHR');
+const EHRVersion = require('../models/EHRVersion');
+const SigningKey = require('../models/SigningKey');
+const { signRecord, verifyRecord } = require('../utils/ehrSignature');
+const { validateAmendment } = require('../utils/amendments');
+const { signEHR } = require('../controllers/ehrController');
+const { mockRequest, runHandlers } = require('./helpers/express');
+const { stubModel } = require('./helpers/models');
+const { buildUser, buildPatient, buildEHR, asRequestUser } = require('./helpers/fixtures');
+
+let users;
+let keys;
+let records;
+let doctor;
+let nurse;
+let ehr;
+
+beforeEach(() => {
+  users = stubModel(User);
+  keys = stubModel(SigningKey);
+  records = stubModel(EHR);
+  stubModel(EHRVersion);
+
+  doctor = users.insert(buildUser('doctor', 'dana'));
+  nurse = users.insert(buildUser('nurse', 'nora'));
+  ehr = buildEHR(buildPatient(), doctor);
+});
+
+const signAsDoctor = async () => {
+  ehr.signedBy = doctor._id;
+  ehr.signedAt = new Date();
+  ehr.status = 'final';
+  await signRecord(ehr, doctor._id);
+};
+
+const sign = async (user) => runHandlers(
+  [signEHR],
+  mockRequest({ params: { id: ehr._id.toString() }, user: await asRequestUser(user), method: 'POST' })
+);
+
+test('a signed record verifies', async () => {
+  await signAsDoctor();
+
+  const result = await verifyRecord(ehr);
+
+  assert.strictEqual(result.status, 'valid');
+  assert.strictEqual(result.signer.toString(), doctor._id.toString());
+  assert.strictEqual(keys.all().length, 1);
+});
+
+test('editing signed content fails verification', async () => {
+  await signAsDoctor();
+
+  ehr.chiefComplaint = 'No complaint';
+  const result = await verifyRecord(ehr);
+
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.reason, 'Record content has changed since it was signed');
+});
+
+test('a content hash rewritten to match edited content fails verification', async () => {
+  await signAsDoctor();
+
+  ehr.diagnosis.primary = 'Unstable angina';
+  const edited = await verifyRecord(ehr);
+  ehr.signature.contentHash = edited.contentHash;
+  const result = await verifyRecord(ehr);
+
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.reason, 'Signature does not match its signed data');
+});
+
+test('a user without signing permissions cannot re-sign a record', async () => {
+  await signAsDoctor();
+  const signature = ehr.signature.value;
+
+  await assert.rejects(signRecord(ehr, nurse._id), { name: 'SigningAuthorityError' });
+  assert.strictEqual(ehr.signature.value, signature);
+  assert.strictEqual(keys.all({ user: nurse._id }).length, 0);
+});
+
+test('a deactivated clinician cannot sign', async () => {
+  await User.updateOne({ _id: doctor._id }, { $set: { isActive: false } });
+
+  await assert.rejects(signRecord(ehr, doctor._id), { name: 'SigningAuthorityError' });
+  assert.strictEqual(ehr.signature?.value, undefined);
+});
+
+test('a nurse cannot add a late entry to a signed record', async () => {
+  await signAsDoctor();
+
+  const result = validateAmendment(ehr, await asRequestUser(nurse), {
+    type: 'late-entry',
+    reason: 'Charted after the shift',
+    content: 'Patient ambulated with assistance',
+    eventTime: new Date().toISOString()
+  });
+
+  assert.strictEqual(result.status, 403);
+  assert.strictEqual(result.message, 'Signed records can only be amended by a clinician who can sign them');
+});
+
+test('an amendment re-signs the record and keeps the old signature', async () => {
+  await signAsDoctor();
+  const original = ehr.signature.value;
+
+  const { amendment } = validateAmendment(ehr, await asRequestUser(doctor), {
+    type: 'addendum',
+    reason: 'Results came back',
+    content: 'Troponin negative'
+  });
+  await ehr.createAmendment(doctor._id, amendment);
+
+  assert.strictEqual((await verifyRecord(ehr)).status, 'valid');
+  assert.strictEqual(ehr.signature.signedVersion, 2);
+  assert.strictEqual(ehr.signatureHistory[0].value, original);
+});
+
+test('signing a draft stores a valid signature', async () => {
+  records.insert(ehr);
+
+  const res = await sign(doctor);
+
+  assert.strictEqual(res.statusCode, 200);
+  const stored = records.get(ehr._id);
+  assert.strictEqual(stored.status, 'final');
+  assert.strictEqual(stored.signedBy.toString(), doctor._id.toString());
+  assert.strictEqual((await verifyRecord(stored)).status, 'valid');
+});
+
+test('an amended record cannot be signed over', async () => {
+  await signAsDoctor();
+  ehr.status = 'amended';
+  records.insert(ehr);
+  const signature = ehr.signature.value;
+
+  const res = await sign(users.insert(buildUser('doctor', 'drew')));
+
+  assert.strictEqual(res.statusCode, 409);
+  assert.strictEqual(records.get(ehr._id).signature.value, signature);
+  assert.strictEqual(records.get(ehr._id).signedBy.toString(), doctor._id.toString());
+});
+
+test('an archived record cannot be signed', async () => {
+  ehr.status = 'archived';
+  records.insert(ehr);
+
+  const res = await sign(doctor);
+
+  assert.strictEqual(res.statusCode, 409);
+  assert.strictEqual(records.get(ehr._id).signature?.value, undefined);
+});
+
+test('only one of two concurrent signatures is stored', async () => {
+  records.insert(ehr);
+  const other = users.insert(buildUser('doctor', 'drew'));
+
+  const results = await Promise.all([sign(doctor), sign(other)]);
+
+  assert.deepStrictEqual(results.map((res) => res.statusCode).sort(), [200, 409]);
+  const winner = results.find((res) => res.statusCode === 200).body.data;
+  assert.strictEqual(records.get(ehr._id).signature.value, winner.signature.value);
+});
+
+test('a user without signing permissions gets a 403', async () => {
+  records.insert(ehr);
+
+  const res = await sign(nurse);
+
+  assert.strictEqual(res.statusCode, 403);
+  assert.strictEqual(records.get(ehr._id).status, 'draft');
+});
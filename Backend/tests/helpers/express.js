@@ -0,0 +1,84 @@
+/**
+ * Stand-ins for calling controllers and middleware directly, without a server
+ */
+
+// Response that records the status code, JSON body and redirect target
+const mockResponse = () => {
+  const res = { statusCode: 200, body: undefined, redirectUrl: undefined };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  res.redirect = (url) => {
+    res.statusCode = 302;
+    res.redirectUrl = url;
+    return res;
+  };
+  return res;
+};
+
+const mockRequest = ({
+  body = {},
+  params = {},
+  query = {},
+  user,
+  headers = {},
+  method = 'GET',
+  originalUrl = '/',
+  baseUrl = ''
+} = {}) => ({
+  body,
+  params,
+  query,
+  user,
+  headers: { 'user-agent': 'node-test', ...headers },
+  method,
+  originalUrl,
+  baseUrl,
+  ip: '127.0.0.1',
+  socket: { remoteAddress: '127.0.0.1' },
+  connection: { remoteAddress: '127.0.0.1' }
+});
+
+/**
+ * Run handlers in order as Express would, stopping at the first one that
+ * responds instead of calling next()
+ * @returns {Promise<Object>} - The response, with `reachedEnd` set when every handler called next()
+ */
+const runHandlers = async (handlers, req, res = mockResponse()) => {
+  res.reachedEnd = false;
+  for (const handler of handlers) {
+    let proceed = false;
+    await handler(req, res, (error) => {
+      if (error) {
+        throw error;
+      }
+      proceed = true;
+    });
+    if (!proceed) {
+      return res;
+    }
+  }
+  res.reachedEnd = true;
+  return res;
+};
+
+// Handlers a router registered for a method and path, e.g. ('get', '/:id/export')
+const routeHandlers = (router, method, path) => {
+  const layer = router.stack.find((candidate) => candidate.route?.path === path && candidate.route.methods[method]);
+  if (!layer) {
+    throw new Error(`No ${method.toUpperCase()} ${path} route`);
+  }
+  return layer.route.stack.map((routeLayer) => routeLayer.handle);
+};
+
+module.exports = {
+  mockResponse,
+  mockRequest,
+  runHandlers,
+  routeHandlers
+};
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const Patient = require('../../models/Patient');
+const EHR = require('../../models/EHR');
+const { resolvePermissions } = require('../../utils/permissions');
+
+/**
+ * Valid documents to seed in-memory models with (see ./models)
+ */
+
+const buildUser = (role, username, fields = {}) => new User({
+  firstName: username[0].toUpperCase() + username.slice(1),
+  lastName: 'Test',
+  username,
+  email: `${username}@example.com`,
+  password: 'Unused-password-1',
+  role,
+  attributes: { hospitalId: 'HOSP001', department: 'general' },
+  ...fields
+});
+
+const buildPatient = (fields = {}) => new Patient({
+  patientId: 'P-1001',
+  firstName: 'Pat',
+  lastName: 'Example',
+  dateOfBirth: new Date('1980-04-02'),
+  gender: 'other',
+  phone: '555-0100',
+  hospitalId: 'HOSP001',
+  ...fields
+});
+
+const buildEHR = (patient, attending, fields = {}) => new EHR({
+  recordId: `EHR-${new mongoose.Types.ObjectId()}`,
+  patient: patient._id,
+  visitType: 'outpatient',
+  department: 'general',
+  hospitalId: patient.hospitalId,
+  chiefComplaint: 'Chest pain on exertion',
+  diagnosis: { primary: 'Stable angina' },
+  author: attending._id,
+  attendingPhysician: attending._id,
+  ...fields
+});
+
+// req.user as the protect middleware builds it
+const asRequestUser = async (user) => ({
+  id: user._id,
+  email: user.email,
+  role: user.role,
+  attributes: user.attributes,
+  assignedPatients: user.assignedPatients,
+  permissions: await resolvePermissions(user)
+});
+
+module.exports = {
+  buildUser,
+  buildPatient,
+  buildEHR,
+  asRequestUser
+};
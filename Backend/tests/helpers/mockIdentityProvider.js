@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+/**
+ * OpenID Connect provider on a random local port for tests, like
+ * scripts/mockOidcProvider but without the user picker: /authorize signs in
+ * the current profile straight away. Set `idTokenClaims` to change or break
+ * the claims of the next ID tokens (nonce, aud, exp, ...).
+ */
+const startMockIdentityProvider = async ({ clientId, clientSecret }) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const keyId = crypto.randomBytes(8).toString('hex');
+  const authorizationCodes = new Map();
+
+  const provider = {
+    issuer: null,
+    profile: null,
+    idTokenClaims: {},
+    close: null
+  };
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer: provider.issuer,
+      authorization_endpoint: `${provider.issuer}/authorize`,
+      token_endpoint: `${provider.issuer}/token`,
+      jwks_uri: `${provider.issuer}/jwks`,
+      response_types_supported: ['code'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: keyId, use: 'sig', alg: 'RS256' }] });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const code = crypto.randomBytes(24).toString('base64url');
+    authorizationCodes.set(code, {
+      nonce: req.query.nonce,
+      redirectUri: req.query.redirect_uri,
+      codeChallenge: req.query.code_challenge
+    });
+
+    const callback = new URL(req.query.redirect_uri);
+    callback.searchParams.set('code', code);
+    callback.searchParams.set('state', req.query.state);
+    res.redirect(callback.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const { code, code_verifier: codeVerifier, redirect_uri: redirectUri } = req.body;
+
+    if (req.body.client_id !== clientId || req.body.client_secret !== clientSecret) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const grant = authorizationCodes.get(code);
+    authorizationCodes.delete(code);
+    const challenge = crypto.createHash('sha256').update(String(codeVerifier)).digest('base64url');
+
+    if (!grant || grant.redirectUri !== redirectUri || grant.codeChallenge !== challenge) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const idToken = jwt.sign({
+      ...provider.profile,
+      nonce: grant.nonce,
+      iss: provider.issuer,
+      aud: clientId,
+      iat: now,
+      exp: now + 5 * 60,
+      ...provider.idTokenClaims
+    }, privateKey, { algorithm: 'RS256', keyid: keyId });
+
+    res.json({ token_type: 'Bearer', id_token: idToken, expires_in: 300 });
+  });
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  provider.issuer = `http://127.0.0.1:${server.address().port}`;
+  provider.close = () => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+
+  return provider;
+};
+
+module.exports = { startMockIdentityProvider };
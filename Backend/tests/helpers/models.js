@@ -0,0 +1,402 @@
+/**
+ * In-memory stand-ins for Mongoose models. stubModel() replaces a model's
+ * query and write methods with versions backed by an array, so the models'
+ * own statics (consume, takePending, ...) and the controllers' conditional
+ * updates run unchanged without a database. Only the query and update
+ * operators the backend uses are supported; anything else throws.
+ *
+ * Each read returns a fresh copy of the stored document, as a query would,
+ * so changes only reach the store through save() or an update.
+ */
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && value.constructor === Object;
+
+const isOperatorObject = (value) => isPlainObject(value) && Object.keys(value).length > 0 &&
+  Object.keys(value).every((key) => key.startsWith('$'));
+
+const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+const sameValue = (a, b) => {
+  if (a == null || b == null) {
+    return a == null && b == null;
+  }
+  return String(comparable(a)) === String(comparable(b));
+};
+
+// Values at a dotted path, fanning out over arrays like MongoDB does
+const readPath = (value, parts) => {
+  if (parts.length === 0) {
+    return [value];
+  }
+  if (Array.isArray(value)) {
+    return /^\d+$/.test(parts[0])
+      ? readPath(value[parts[0]], parts.slice(1))
+      : value.flatMap((item) => readPath(item, parts));
+  }
+  if (value instanceof Map) {
+    return readPath(value.get(parts[0]), parts.slice(1));
+  }
+  if (value === null || typeof value !== 'object') {
+    return [undefined];
+  }
+  return readPath(value[parts[0]], parts.slice(1));
+};
+
+// An array field matches a value when the array or any element does
+const candidatesAt = (raw, path) => readPath(raw, path.split('.'))
+  .flatMap((value) => (Array.isArray(value) ? [value, ...value] : [value]));
+
+const OPERATORS = {
+  $eq: (values, operand) => values.some((value) => sameValue(value, operand)),
+  $ne: (values, operand) => !values.some((value) => sameValue(value, operand)),
+  $gt: (values, operand) => values.some((value) => value != null && comparable(value) > comparable(operand)),
+  $gte: (values, operand) => values.some((value) => value != null && comparable(value) >= comparable(operand)),
+  $lt: (values, operand) => values.some((value) => value != null && comparable(value) < comparable(operand)),
+  $lte: (values, operand) => values.some((value) => value != null && comparable(value) <= comparable(operand)),
+  $in: (values, operand) => operand.some((item) => values.some((value) => sameValue(value, item))),
+  $nin: (values, operand) => !operand.some((item) => values.some((value) => sameValue(value, item))),
+  $exists: (values, operand) => values.some((value) => value !== undefined) === Boolean(operand)
+};
+
+const matchesCondition = (values, condition) => {
+  if (isOperatorObject(condition)) {
+    return Object.entries(condition).every(([operator, operand]) => {
+      if (!OPERATORS[operator]) {
+        throw new Error(`In-memory model does not support ${operator}`);
+      }
+      return OPERATORS[operator](values, operand);
+    });
+  }
+  if (isPlainObject(condition)) {
+    throw new Error('In-memory model does not support matching whole subdocuments');
+  }
+  return values.some((value) => sameValue(value, condition));
+};
+
+const EXPRESSIONS = {
+  $eq: (a, b) => sameValue(a, b),
+  $ne: (a, b) => !sameValue(a, b),
+  $gt: (a, b) => comparable(a) > comparable(b),
+  $gte: (a, b) => comparable(a) >= comparable(b),
+  $lt: (a, b) => comparable(a) < comparable(b),
+  $lte: (a, b) => comparable(a) <= comparable(b)
+};
+
+// $expr with one comparison of fields ('$attempts') or literals
+const evaluateExpression = (raw, expression) => {
+  const [[operator, operands]] = Object.entries(expression);
+  if (!EXPRESSIONS[operator]) {
+    throw new Error(`In-memory model does not support ${operator} in $expr`);
+  }
+  const [a, b] = operands.map((operand) => (
+    typeof operand === 'string' && operand.startsWith('$') ? readPath(raw, operand.slice(1).split('.'))[0] : operand
+  ));
+  return EXPRESSIONS[operator](a, b);
+};
+
+const matches = (raw, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') {
+    return condition.some((branch) => matches(raw, branch));
+  }
+  if (key === '$and') {
+    return condition.every((branch) => matches(raw, branch));
+  }
+  if (key === '$nor') {
+    return !condition.some((branch) => matches(raw, branch));
+  }
+  if (key === '$expr') {
+    return evaluateExpression(raw, condition);
+  }
+  return matchesCondition(candidatesAt(raw, key), condition);
+});
+
+// Replace a positional `$` with the index of the array element the filter matched
+const resolvePositional = (doc, path, filter) => {
+  if (!path.includes('.$')) {
+    return path;
+  }
+  const [arrayPath, rest] = path.split('.$');
+  const elementFilter = Object.fromEntries(
+    Object.entries(filter)
+      .filter(([key]) => key.startsWith(`${arrayPath}.`))
+      .map(([key, value]) => [key.slice(arrayPath.length + 1), value])
+  );
+  const index = doc.get(arrayPath).findIndex((element) => matches(element.toObject ? element.toObject() : element, elementFilter));
+  return `${arrayPath}.${index}${rest}`;
+};
+
+const applyUpdate = (doc, update, filter = {}, { inserting = false } = {}) => {
+  const operations = Object.keys(update).some((key) => key.startsWith('$')) ? update : { $set: update };
+
+  for (const [operator, fields] of Object.entries(operations)) {
+    for (const [field, value] of Object.entries(fields)) {
+      const path = resolvePositional(doc, field, filter);
+      switch (operator) {
+        case '$set':
+          doc.set(path, value);
+          break;
+        case '$setOnInsert':
+          if (inserting) {
+            doc.set(path, value);
+          }
+          break;
+        case '$unset':
+          doc.set(path, undefined);
+          break;
+        case '$inc':
+          doc.set(path, (doc.get(path) || 0) + value);
+          break;
+        case '$push':
+          doc.get(path).push(...(isPlainObject(value) && value.$each ? value.$each : [value]));
+          break;
+        case '$addToSet':
+          if (!doc.get(path).some((item) => sameValue(item, value))) {
+            doc.get(path).push(value);
+          }
+          break;
+        case '$pull':
+          doc.set(path, doc.get(path).filter((item) => !sameValue(item, value)));
+          break;
+        default:
+          throw new Error(`In-memory model does not support ${operator}`);
+      }
+    }
+  }
+  return doc;
+};
+
+const sortDocuments = (documents, sort) => {
+  if (!sort) {
+    return documents;
+  }
+  const keys = Object.entries(sort);
+  return [...documents].sort((a, b) => {
+    for (const [path, direction] of keys) {
+      const [x, y] = [comparable(a.get(path)), comparable(b.get(path))];
+      if (x !== y) {
+        return (x > y ? 1 : -1) * (direction === -1 || direction === 'desc' ? -1 : 1);
+      }
+    }
+    return 0;
+  });
+};
+
+const setRawPath = (object, path, value) => {
+  const parts = path.split('.');
+  const parent = parts.slice(0, -1).reduce((current, part) => {
+    current[part] = current[part] ?? {};
+    return current[part];
+  }, object);
+  parent[parts[parts.length - 1]] = value;
+};
+
+// Fields an upsert copies from its filter
+const equalityFields = (filter) => Object.fromEntries(
+  Object.entries(filter).filter(([key, value]) => !key.startsWith('$') && !isOperatorObject(value))
+);
+
+/**
+ * Back a model with an in-memory collection
+ * @param {Model} Model - Mongoose model
+ * @returns {Object} - The store: { documents, insert(fields), get(id), all(filter) }
+ */
+const stubModel = (Model) => {
+  const documents = [];
+  const raw = (doc) => doc.toObject({ getters: false, virtuals: false, depopulate: true, transform: false });
+  const copy = (doc) => Model.hydrate(raw(doc));
+
+  const uniqueIndexes = Model.schema.indexes()
+    .filter(([, options]) => options.unique && !options.sparse && !options.partialFilterExpression)
+    .map(([fields]) => Object.keys(fields));
+
+  const write = (doc) => {
+    for (const paths of uniqueIndexes) {
+      const conflict = documents.find((other) => !other._id.equals(doc._id) &&
+        paths.every((path) => sameValue(other.get(path), doc.get(path))));
+      if (conflict) {
+        const error = new Error(`E11000 duplicate key error (${paths.join(', ')})`);
+        error.code = 11000;
+        throw error;
+      }
+    }
+    const stored = copy(doc);
+    const index = documents.findIndex((other) => other._id.equals(doc._id));
+    if (index === -1) {
+      documents.push(stored);
+    } else {
+      documents[index] = stored;
+    }
+  };
+
+  const findMatching = (filter, sort) => sortDocuments(documents.filter((doc) => matches(raw(doc), filter)), sort);
+
+  // Chainable, awaitable query; populate() fills refs from other stubbed models
+  const query = (run) => {
+    const state = { sort: null, skip: 0, limit: 0, lean: false, populate: [] };
+    const option = (field) => (value = true) => {
+      state[field] = value;
+      return chain;
+    };
+    const chain = {
+      select: () => chain,
+      sort: option('sort'),
+      skip: option('skip'),
+      limit: option('limit'),
+      lean: option('lean'),
+      populate: (path) => {
+        const paths = typeof path === 'string' ? path.split(' ') : [path.path];
+        state.populate.push(...paths);
+        return chain;
+      },
+      exec: () => chain.then(),
+      then: (resolve, reject) => Promise.resolve()
+        .then(() => {
+          const result = run(state);
+          const output = (doc) => {
+            state.populate.forEach((populatePath) => populate(Model, doc, populatePath));
+            return state.lean ? doc.toObject({ getters: false, virtuals: false, transform: false }) : doc;
+          };
+          if (Array.isArray(result)) {
+            const end = state.limit ? state.skip + state.limit : undefined;
+            return result.slice(state.skip, end).map(output);
+          }
+          return result ? output(result) : result;
+        })
+        .then(resolve, reject),
+      catch: (reject) => chain.then(undefined, reject)
+    };
+    return chain;
+  };
+
+  const findOneAndUpdate = (filter, update, options = {}) => query(() => {
+    const [found] = findMatching(filter, options.sort);
+    if (!found) {
+      if (!options.upsert) {
+        return null;
+      }
+      const inserted = applyUpdate(new Model(equalityFields(filter)), update, filter, { inserting: true });
+      write(inserted);
+      return options.new ? copy(inserted) : null;
+    }
+    const before = copy(found);
+    const updated = applyUpdate(copy(found), update, filter);
+    write(updated);
+    return options.new ? copy(updated) : before;
+  });
+
+  Model.find = (filter = {}) => query((state) => findMatching(filter, state.sort).map(copy));
+  Model.findOne = (filter = {}) => query((state) => {
+    const [found] = findMatching(filter, state.sort);
+    return found ? copy(found) : null;
+  });
+  Model.findById = (id) => Model.findOne({ _id: id });
+  Model.exists = (filter) => query(() => {
+    const [found] = findMatching(filter);
+    return found ? { _id: found._id } : null;
+  });
+  Model.countDocuments = (filter = {}) => query(() => findMatching(filter).length);
+  Model.findOneAndUpdate = findOneAndUpdate;
+  Model.findByIdAndUpdate = (id, update, options) => findOneAndUpdate({ _id: id }, update, options);
+
+  Model.updateOne = (filter, update, options = {}) => query(() => {
+    const [found] = findMatching(filter);
+    if (!found && options.upsert) {
+      write(applyUpdate(new Model(equalityFields(filter)), update, filter, { inserting: true }));
+      return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+    }
+    if (found) {
+      write(applyUpdate(copy(found), update, filter));
+    }
+    return { matchedCount: found ? 1 : 0, modifiedCount: found ? 1 : 0, upsertedCount: 0 };
+  });
+  Model.updateMany = (filter, update) => query(() => {
+    const found = findMatching(filter);
+    found.forEach((doc) => write(applyUpdate(copy(doc), update, filter)));
+    return { matchedCount: found.length, modifiedCount: found.length };
+  });
+  Model.deleteOne = (filter) => query(() => {
+    const [found] = findMatching(filter);
+    if (found) {
+      documents.splice(documents.indexOf(found), 1);
+    }
+    return { deletedCount: found ? 1 : 0 };
+  });
+  Model.deleteMany = (filter = {}) => query(() => {
+    const found = findMatching(filter);
+    found.forEach((doc) => documents.splice(documents.indexOf(doc), 1));
+    return { deletedCount: found.length };
+  });
+
+  // Saves validate like the real thing, keep timestamps current and, for an
+  // existing document, write only the paths it changed (as Mongoose's $set does)
+  Model.prototype.save = async function() {
+    await this.validate();
+    if (Model.schema.options.timestamps) {
+      const now = new Date();
+      this.createdAt = this.createdAt || now;
+      this.updatedAt = now;
+    }
+
+    const stored = !this.isNew && documents.find((doc) => doc._id.equals(this._id));
+    if (stored) {
+      const merged = raw(stored);
+      const changes = raw(this);
+      this.directModifiedPaths().forEach((path) => setRawPath(merged, path, readPath(changes, path.split('.'))[0]));
+      write(Model.hydrate(merged));
+    } else {
+      write(this);
+    }
+    this.isNew = false;
+    return this;
+  };
+  Model.create = async (fields) => {
+    if (Array.isArray(fields)) {
+      return Promise.all(fields.map((item) => Model.create(item)));
+    }
+    const doc = new Model(fields);
+    await doc.save();
+    return doc;
+  };
+  Model.insertMany = (items) => Model.create(items);
+
+  const store = {
+    documents,
+    // Seed a document without validation
+    insert: (fields) => {
+      const doc = fields instanceof Model ? fields : new Model(fields);
+      write(doc);
+      return copy(doc);
+    },
+    get: (id) => {
+      const found = documents.find((doc) => doc._id.equals(id));
+      return found ? copy(found) : null;
+    },
+    all: (filter = {}) => findMatching(filter).map(copy)
+  };
+  stores.set(Model.modelName, store);
+  return store;
+};
+
+const stores = new Map();
+
+// Replace ids at a ref path with the referenced documents, when their model is stubbed
+const populate = (Model, doc, path) => {
+  const schemaType = Model.schema.path(path);
+  const ref = schemaType?.options?.ref || schemaType?.caster?.options?.ref;
+  const store = ref && stores.get(ref);
+  if (!store) {
+    return;
+  }
+  const value = doc.get(path);
+  if (Array.isArray(value)) {
+    doc.set(path, value.map((id) => store.get(id) || id));
+  } else if (value) {
+    doc.set(path, store.get(value) || value);
+  }
+};
+
+module.exports = {
+  stubModel,
+  matches,
+  applyUpdate
+};
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+
+/**
+ * A WebAuthn authenticator in software: an ES256 (P-256) key pair that
+ * answers navigator.credentials.create() and .get() the way a security key
+ * would, returning the JSON a browser posts to the server.
+ */
+
+// Minimal CBOR encoder: unsigned/negative integers, byte and text strings, maps
+const cborHead = (major, length) => {
+  if (length < 24) return Buffer.from([(major << 5) | length]);
+  if (length < 0x100) return Buffer.from([(major << 5) | 24, length]);
+  const head = Buffer.alloc(3);
+  head[0] = (major << 5) | 25;
+  head.writeUInt16BE(length, 1);
+  return head;
+};
+
+const cbor = (value) => {
+  if (Number.isInteger(value)) {
+    return value >= 0 ? cborHead(0, value) : cborHead(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([cborHead(2, value.length), value]);
+  }
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([cborHead(3, bytes.length), bytes]);
+  }
+  const entries = value instanceof Map ? [...value.entries()] : Object.entries(value);
+  return Buffer.concat([cborHead(5, entries.length), ...entries.flatMap(([key, item]) => [cbor(key), cbor(item)])]);
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+const counterBytes = (counter) => {
+  const bytes = Buffer.alloc(4);
+  bytes.writeUInt32BE(counter);
+  return bytes;
+};
+
+const createSoftwareAuthenticator = () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const credentialId = crypto.randomBytes(16);
+  let counter = 0;
+
+  const clientData = (type, challenge, origin) => Buffer.from(JSON.stringify({
+    type,
+    challenge,
+    origin,
+    crossOrigin: false
+  }));
+
+  /**
+   * Answer registration options with a "none" attestation
+   */
+  const register = ({ challenge, rpId, origin }) => {
+    const jwk = publicKey.export({ format: 'jwk' });
+    // COSE_Key: kty EC2, alg ES256, crv P-256, x, y
+    const coseKey = cbor(new Map([
+      [1, 2],
+      [3, -7],
+      [-1, 1],
+      [-2, Buffer.from(jwk.x, 'base64url')],
+      [-3, Buffer.from(jwk.y, 'base64url')]
+    ]));
+    const idLength = Buffer.alloc(2);
+    idLength.writeUInt16BE(credentialId.length);
+
+    const authData = Buffer.concat([
+      sha256(rpId),
+      Buffer.from([0x45]), // user present, user verified, attested credential data
+      counterBytes(counter),
+      Buffer.alloc(16), // AAGUID
+      idLength,
+      credentialId,
+      coseKey
+    ]);
+
+    return {
+      id: credentialId.toString('base64url'),
+      rawId: credentialId.toString('base64url'),
+      type: 'public-key',
+      response: {
+        clientDataJSON: clientData('webauthn.create', challenge, origin).toString('base64url'),
+        attestationObject: cbor({ fmt: 'none', attStmt: {}, authData }).toString('base64url'),
+        transports: ['usb']
+      },
+      clientExtensionResults: {}
+    };
+  };
+
+  /**
+   * Answer authentication options with a signed assertion
+   */
+  const authenticate = ({ challenge, rpId, origin }) => {
+    counter += 1;
+    const authData = Buffer.concat([sha256(rpId), Buffer.from([0x05]), counterBytes(counter)]);
+    const clientDataJSON = clientData('webauthn.get', challenge, origin);
+    const signature = crypto.sign('sha256', Buffer.concat([authData, sha256(clientDataJSON)]), privateKey);
+
+    return {
+      id: credentialId.toString('base64url'),
+      rawId: credentialId.toString('base64url'),
+      type: 'public-key',
+      response: {
+        clientDataJSON: clientDataJSON.toString('base64url'),
+        authenticatorData: authData.toString('base64url'),
+        signature: signature.toString('base64url')
+      },
+      clientExtensionResults: {}
+    };
+  };
+
+  return {
+    credentialId: credentialId.toString('base64url'),
+    register,
+    authenticate
+  };
+};
+
+module.exports = { createSoftwareAuthenticator };
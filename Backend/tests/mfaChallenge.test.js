@@ -0,0 +1,82 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const MFAChallenge = require('../models/MFAChallenge');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const { generateMFAChallengeToken } = require('../utils/jwt');
+const { hashToken } = require('../utils/session');
+const { verifyMFA } = require('../controllers/authController');
+const { mockRequest, runHandlers } = require('./helpers/express');
+const { stubModel } = require('./helpers/models');
+const { buildUser } = require('./helpers/fixtures');
+
+const EMAIL_CODE = '482913';
+
+let challenges;
+let challenge;
+let mfaToken;
+
+beforeEach(() => {
+  const users = stubModel(User);
+  challenges = stubModel(MFAChallenge);
+  stubModel(AuditLog);
+  stubModel(Session);
+  stubModel(SecurityPolicy);
+
+  // A risky login stepped up with an emailed code
+  const user = users.insert(buildUser('nurse', 'nora'));
+  challenge = challenges.insert({
+    user: user._id,
+    emailCodeHash: hashToken(EMAIL_CODE),
+    maxAttempts: 3,
+    expiresAt: new Date(Date.now() + 5 * 60 * 1000)
+  });
+  mfaToken = generateMFAChallengeToken(user._id, challenge._id);
+});
+
+const verify = (code) => runHandlers([verifyMFA], mockRequest({ body: { mfaToken, code } }));
+
+const attempts = () => challenges.get(challenge._id).attempts;
+
+test('counts each wrong code against the challenge', async () => {
+  const first = await verify('000000');
+  assert.strictEqual(first.statusCode, 401);
+  assert.strictEqual(first.body.attemptsRemaining, 2);
+
+  await verify('000000');
+  const last = await verify('000000');
+  assert.strictEqual(last.body.message, 'Too many invalid MFA codes. Please log in again');
+  assert.strictEqual(last.body.restartLogin, true);
+
+  const locked = await verify(EMAIL_CODE);
+  assert.strictEqual(locked.body.message, 'MFA challenge is no longer valid. Please log in again');
+  assert.strictEqual(attempts(), 3);
+});
+
+test('parallel guesses cannot exceed the attempt limit', async () => {
+  const guesses = ['100000', '200000', '300000', '400000', '500000', '600000', '700000'];
+
+  const results = await Promise.all(guesses.map(verify));
+
+  assert.strictEqual(attempts(), 3);
+  assert.strictEqual(results.filter((res) => res.body.attemptsRemaining !== undefined).length, 3);
+  assert.ok(results.every((res) => res.statusCode === 401));
+});
+
+test('the right code on the last attempt still signs in', async () => {
+  await verify('000000');
+  await verify('000000');
+
+  const res = await verify(EMAIL_CODE);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.ok(res.body.tokens.accessToken);
+  assert.ok(challenges.get(challenge._id).usedAt);
+  assert.strictEqual((await verify(EMAIL_CODE)).statusCode, 401);
+});
@@ -0,0 +1,151 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcryptjs');
+
+process.env.PASSWORD_RESET_EXPIRE_MINUTES = '30';
+process.env.FRONTEND_URL = 'http://localhost:5173';
+process.env.RATE_LIMIT_STORE = 'memory';
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const { setTransport } = require('../utils/mailer');
+const { forgotPassword, resetPassword } = require('../controllers/passwordController');
+const { mockRequest, mockResponse } = require('./helpers/express');
+const { stubModel } = require('./helpers/models');
+const { buildUser } = require('./helpers/fixtures');
+
+const NEW_PASSWORD = 'Quartz-Lantern-82';
+
+let users;
+let tokens;
+let audit;
+let outbox;
+let user;
+
+beforeEach(() => {
+  users = stubModel(User);
+  tokens = stubModel(PasswordResetToken);
+  audit = stubModel(AuditLog);
+  stubModel(Session);
+  stubModel(SecurityPolicy);
+
+  // Hashed the way a saved user has it; the stubbed save skips the hashing hook, so a new password stays plain
+  user = users.insert(buildUser('nurse', 'nora', { password: bcrypt.hashSync('Original-Password-1', 4) }));
+
+  // In-memory mail transport: the emailed link is read back from here
+  outbox = [];
+  setTransport({
+    name: 'memory',
+    send: async (message) => {
+      outbox.push(message);
+      return { id: String(outbox.length) };
+    }
+  });
+});
+
+const storedUser = () => users.get(user._id);
+
+const audited = (action, errorMessage) => audit.all({ action }).some((entry) => !errorMessage || entry.details.errorMessage === errorMessage);
+
+// Emails are sent in the background
+const flushMail = () => new Promise((resolve) => setImmediate(resolve));
+
+const requestReset = async (email) => {
+  const res = mockResponse();
+  await forgotPassword(mockRequest({ body: { email } }), res);
+  await flushMail();
+  return res;
+};
+
+const emailedToken = () => {
+  const match = outbox[outbox.length - 1]?.text.match(/reset-password\?token=([0-9a-f]{64})/);
+  assert.ok(match, 'reset email contains a token link');
+  return match[1];
+};
+
+const reset = async (token, newPassword = NEW_PASSWORD) => {
+  const res = mockResponse();
+  await resetPassword(mockRequest({ body: { token, newPassword } }), res);
+  return res;
+};
+
+test('emails a reset link that sets a new password', async () => {
+  await requestReset('nora@example.com');
+  assert.strictEqual(outbox.length, 1);
+  assert.strictEqual(outbox[0].to, 'nora@example.com');
+
+  const res = await reset(emailedToken());
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(storedUser().password, NEW_PASSWORD);
+  assert.ok(audited('PASSWORD_RESET_COMPLETED'));
+});
+
+test('a reset token works only once', async () => {
+  await requestReset('nora@example.com');
+  const token = emailedToken();
+
+  assert.strictEqual((await reset(token)).statusCode, 200);
+
+  const second = await reset(token, 'Another-Harbor-93');
+  assert.strictEqual(second.statusCode, 400);
+  assert.strictEqual(second.body.message, 'This password reset link is invalid or has expired');
+  assert.ok(audited('PASSWORD_RESET_FAILED', 'Reset token already used'));
+});
+
+test('a reset token expires', async () => {
+  await requestReset('nora@example.com');
+  const token = emailedToken();
+
+  const [issued] = tokens.all();
+  const expiresInMs = issued.expiresAt.getTime() - Date.now();
+  assert.ok(expiresInMs > 29 * 60 * 1000 && expiresInMs <= 30 * 60 * 1000);
+
+  await PasswordResetToken.updateOne({ _id: issued._id }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+  const res = await reset(token);
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.ok(await bcrypt.compare('Original-Password-1', storedUser().password));
+  assert.ok(audited('PASSWORD_RESET_FAILED', 'Reset token expired'));
+});
+
+test('requesting a new link invalidates the previous one', async () => {
+  await requestReset('nora@example.com');
+  const first = emailedToken();
+  await requestReset('nora@example.com');
+  const second = emailedToken();
+
+  assert.strictEqual((await reset(first)).statusCode, 400);
+  assert.strictEqual((await reset(second)).statusCode, 200);
+});
+
+test('a rejected new password does not use up the link', async () => {
+  await requestReset('nora@example.com');
+  const token = emailedToken();
+
+  assert.strictEqual((await reset(token, 'short')).statusCode, 400);
+  assert.strictEqual((await reset(token)).statusCode, 200);
+});
+
+test('responds the same for known and unknown emails', async () => {
+  const known = await requestReset('nora@example.com');
+  const unknown = await requestReset('nobody@example.com');
+
+  assert.strictEqual(unknown.statusCode, known.statusCode);
+  assert.deepStrictEqual(unknown.body, known.body);
+  assert.strictEqual(outbox.length, 1, 'only the existing account is emailed');
+});
+
+test('responds the same for deactivated accounts without sending a link', async () => {
+  const known = await requestReset('nora@example.com');
+  outbox.length = 0;
+  await User.updateOne({ _id: user._id }, { $set: { isActive: false } });
+
+  const inactive = await requestReset('nora@example.com');
+
+  assert.deepStrictEqual(inactive.body, known.body);
+  assert.strictEqual(outbox.length, 0);
+});
@@ -0,0 +1,97 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const RevokedToken = require('../models/RevokedToken');
+const AuditLog = require('../models/AuditLog');
+const { createSession } = require('../utils/session');
+const { refreshToken } = require('../controllers/authController');
+const { mockRequest, mockResponse } = require('./helpers/express');
+const { stubModel } = require('./helpers/models');
+const { buildUser } = require('./helpers/fixtures');
+
+let users;
+let sessions;
+let revokedTokens;
+let audit;
+let user;
+
+beforeEach(() => {
+  users = stubModel(User);
+  sessions = stubModel(Session);
+  revokedTokens = stubModel(RevokedToken);
+  audit = stubModel(AuditLog);
+
+  user = users.insert(buildUser('nurse', 'nora'));
+});
+
+const login = () => createSession(user, mockRequest());
+
+const refresh = async (token) => {
+  const res = mockResponse();
+  await refreshToken(mockRequest({ body: { refreshToken: token } }), res);
+  return res;
+};
+
+test('exchanges a refresh token for a new pair', async () => {
+  const { session, refreshToken: first } = await login();
+
+  const res = await refresh(first);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.ok(res.body.tokens.accessToken);
+  assert.notStrictEqual(res.body.tokens.refreshToken, first);
+  assert.strictEqual(sessions.get(session._id).rotationCount, 1);
+  assert.strictEqual((await refresh(res.body.tokens.refreshToken)).statusCode, 200);
+});
+
+test('a reused refresh token revokes the whole session', async () => {
+  const { session, refreshToken: first } = await login();
+  const { body } = await refresh(first);
+
+  const replay = await refresh(first);
+
+  assert.strictEqual(replay.statusCode, 401);
+  assert.strictEqual(replay.body.message, 'Refresh token has already been used. Please log in again');
+  assert.strictEqual(sessions.get(session._id).revokedReason, 'token_reuse');
+  assert.strictEqual(audit.all({ action: 'TOKEN_REUSE_DETECTED' }).length, 1);
+
+  // The token the legitimate client holds is part of the same family
+  const latest = await refresh(body.tokens.refreshToken);
+  assert.strictEqual(latest.statusCode, 401);
+  assert.strictEqual(latest.body.message, 'Session has been revoked. Please log in again');
+});
+
+test('reuse denylists every access token the session issued', async () => {
+  const { session, refreshToken: first } = await login();
+  await refresh(first);
+  await refresh(first);
+
+  const issued = sessions.get(session._id).accessTokens.map((token) => token.jti);
+  assert.strictEqual(issued.length, 2);
+  assert.deepStrictEqual(revokedTokens.all().map((token) => token.jti).sort(), [...issued].sort());
+});
+
+test('only one of two concurrent refreshes with the same token succeeds', async () => {
+  const { session, refreshToken: first } = await login();
+
+  const results = await Promise.all([refresh(first), refresh(first)]);
+
+  assert.deepStrictEqual(results.map((res) => res.statusCode).sort(), [200, 401]);
+  assert.strictEqual(sessions.get(session._id).rotationCount, 1);
+  assert.strictEqual(sessions.get(session._id).revokedReason, 'token_reuse');
+});
+
+test('reuse in one session leaves the user\'s other sessions alone', async () => {
+  const stolen = await login();
+  const other = await login();
+  await refresh(stolen.refreshToken);
+  await refresh(stolen.refreshToken);
+
+  assert.strictEqual((await refresh(other.refreshToken)).statusCode, 200);
+  assert.strictEqual(sessions.get(other.session._id).revokedAt, undefined);
+});
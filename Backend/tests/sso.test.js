@@ -0,0 +1,136 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.FRONTEND_URL = 'http://localhost:5173';
+
+const User = require('../models/User');
+const Hospital = require('../models/Hospital');
+const AuditLog = require('../models/AuditLog');
+const SSOLoginState = require('../models/SSOLoginState');
+const sso = require('../controllers/ssoController');
+const { startMockIdentityProvider } = require('./helpers/mockIdentityProvider');
+const { mockRequest, mockResponse } = require('./helpers/express');
+const { stubModel } = require('./helpers/models');
+
+const CLIENT = { clientId: 'secureehr-test', clientSecret: 'test-secret' };
+
+let idp;
+let users;
+let loginStates;
+let audit;
+
+before(async () => {
+  idp = await startMockIdentityProvider(CLIENT);
+});
+
+after(async () => {
+  await idp.close();
+});
+
+beforeEach(() => {
+  idp.profile = {
+    sub: 'idp-1001',
+    email: 'dr.grey@example.org',
+    email_verified: true,
+    given_name: 'Meredith',
+    family_name: 'Grey',
+    roles: ['ehr-physicians'],
+    department: 'general'
+  };
+  idp.idTokenClaims = {};
+
+  stubModel(Hospital).insert({
+    hospitalId: 'HOSP001',
+    name: 'Test Hospital',
+    sso: {
+      enabled: true,
+      issuer: idp.issuer,
+      ...CLIENT,
+      roleMapping: { 'ehr-physicians': 'doctor' }
+    }
+  });
+  users = stubModel(User);
+  loginStates = stubModel(SSOLoginState);
+  audit = stubModel(AuditLog);
+});
+
+// Start a sign-in and let the identity provider authenticate the user
+const signInAtProvider = async () => {
+  const startRes = mockResponse();
+  await sso.startSSOLogin(mockRequest({ params: { hospitalId: 'hosp001' } }), startRes);
+  assert.ok(startRes.redirectUrl.startsWith(`${idp.issuer}/authorize?`));
+
+  const response = await fetch(startRes.redirectUrl, { redirect: 'manual' });
+  const callback = new URL(response.headers.get('location'));
+  return {
+    code: callback.searchParams.get('code'),
+    state: callback.searchParams.get('state')
+  };
+};
+
+const callback = async (query) => {
+  const res = mockResponse();
+  await sso.handleSSOCallback(mockRequest({ query }), res);
+  return res;
+};
+
+const ssoError = (res) => new URL(res.redirectUrl).searchParams.get('ssoError');
+
+const failureReason = () => audit.all({ action: 'LOGIN_FAILED' })[0]?.details.errorMessage;
+
+test('signs in with a valid ID token', async () => {
+  const res = await callback(await signInAtProvider());
+
+  assert.match(res.redirectUrl, /^http:\/\/localhost:5173\/sso\/callback#code=/);
+  const [provisioned] = users.all();
+  assert.strictEqual(provisioned.role, 'doctor');
+  assert.strictEqual(provisioned.sso.subject, 'idp-1001');
+  assert.strictEqual(audit.all({ action: 'SSO_USER_PROVISIONED' }).length, 1);
+  assert.ok(loginStates.all({ user: provisioned._id })[0].loginCodeHash);
+});
+
+test('rejects a callback whose state does not match a pending sign-in', async () => {
+  const { code } = await signInAtProvider();
+  const res = await callback({ code, state: 'state-from-another-browser' });
+
+  assert.strictEqual(ssoError(res), 'invalid_state');
+  assert.strictEqual(users.all().length, 0);
+});
+
+test('rejects a replayed callback', async () => {
+  const query = await signInAtProvider();
+  await callback(query);
+
+  const replay = await callback(query);
+
+  assert.strictEqual(ssoError(replay), 'invalid_state');
+  assert.strictEqual(users.all().length, 1);
+});
+
+test('rejects an ID token with the wrong nonce', async () => {
+  idp.idTokenClaims = { nonce: 'nonce-of-another-sign-in' };
+  const res = await callback(await signInAtProvider());
+
+  assert.strictEqual(ssoError(res), 'sso_failed');
+  assert.strictEqual(failureReason(), 'SSO: ID token nonce does not match this sign-in');
+  assert.strictEqual(users.all().length, 0);
+});
+
+test('rejects an ID token issued to another client', async () => {
+  idp.idTokenClaims = { aud: 'another-client' };
+  const res = await callback(await signInAtProvider());
+
+  assert.strictEqual(ssoError(res), 'sso_failed');
+  assert.match(failureReason(), /audience invalid/);
+  assert.strictEqual(users.all().length, 0);
+});
+
+test('rejects an expired ID token', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  idp.idTokenClaims = { iat: now - 15 * 60, exp: now - 10 * 60 };
+  const res = await callback(await signInAtProvider());
+
+  assert.strictEqual(ssoError(res), 'sso_failed');
+  assert.match(failureReason(), /jwt expired/);
+  assert.strictEqual(users.all().length, 0);
+});
@@ -0,0 +1,112 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const RevokedToken = require('../models/RevokedToken');
+const AuditLog = require('../models/AuditLog');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const { createSession } = require('../utils/session');
+const { protect } = require('../middleware/auth');
+const { logout, refreshToken } = require('../controllers/authController');
+const { suspendUserAccount, forceLogoutUser } = require('../controllers/adminController');
+const { mockRequest, runHandlers } = require('./helpers/express');
+const { stubModel } = require('./helpers/models');
+const { buildUser, asRequestUser } = require('./helpers/fixtures');
+
+let users;
+let sessions;
+let revokedTokens;
+let user;
+let admin;
+
+beforeEach(() => {
+  users = stubModel(User);
+  sessions = stubModel(Session);
+  revokedTokens = stubModel(RevokedToken);
+  stubModel(AuditLog);
+  stubModel(SecurityPolicy);
+
+  user = users.insert(buildUser('nurse', 'nora'));
+  admin = users.insert(buildUser('admin', 'ada'));
+});
+
+const login = () => createSession(user, mockRequest());
+
+// Run a request with the access token through protect and, if it lets it in, a handler
+const callWith = (accessToken, handler = (req, res, next) => next(), fields = {}) => {
+  const req = mockRequest({
+    headers: { authorization: `Bearer ${accessToken}` },
+    originalUrl: '/api/patients',
+    ...fields
+  });
+  return runHandlers([protect, handler], req);
+};
+
+const refresh = (token) => runHandlers([refreshToken], mockRequest({ body: { refreshToken: token } }));
+
+const asAdmin = async (handler, fields) => runHandlers([handler], mockRequest({ user: await asRequestUser(admin), ...fields }));
+
+test('accepts an access token that has not been revoked', async () => {
+  const { accessToken } = await login();
+
+  const res = await callWith(accessToken);
+
+  assert.strictEqual(res.reachedEnd, true);
+});
+
+test('logout denylists the access token and ends the session', async () => {
+  const { session, accessToken, refreshToken: token } = await login();
+
+  const res = await callWith(accessToken, logout, { method: 'POST', originalUrl: '/api/auth/logout' });
+  assert.strictEqual(res.body.message, 'Logged out successfully');
+  assert.strictEqual(sessions.get(session._id).revokedReason, 'logout');
+
+  const after = await callWith(accessToken);
+  assert.strictEqual(after.statusCode, 401);
+  assert.strictEqual(after.body.message, 'Token has been revoked. Please log in again');
+  assert.strictEqual((await refresh(token)).statusCode, 401);
+});
+
+test('logout of one session leaves the others signed in', async () => {
+  const laptop = await login();
+  const phone = await login();
+
+  await callWith(laptop.accessToken, logout, { method: 'POST', originalUrl: '/api/auth/logout' });
+
+  assert.strictEqual((await callWith(phone.accessToken)).reachedEnd, true);
+  assert.strictEqual((await refresh(phone.refreshToken)).statusCode, 200);
+});
+
+test('suspension revokes every session and access token', async () => {
+  const laptop = await login();
+  const phone = await login();
+
+  const res = await asAdmin(suspendUserAccount, {
+    params: { id: user._id.toString() },
+    body: { reason: 'Credentials reported as shared with a colleague' }
+  });
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(sessions.all({ user: user._id, revokedReason: 'account_suspended' }).length, 2);
+  assert.strictEqual(revokedTokens.all({ user: user._id }).length, 2);
+
+  // Reinstating the account does not bring the old tokens back
+  await User.updateOne({ _id: user._id }, { $set: { accountStatus: 'active' } });
+  for (const { accessToken, refreshToken: token } of [laptop, phone]) {
+    assert.strictEqual((await callWith(accessToken)).body.message, 'Token has been revoked. Please log in again');
+    assert.strictEqual((await refresh(token)).statusCode, 401);
+  }
+});
+
+test('a forced logout revokes every session and access token', async () => {
+  const { accessToken, refreshToken: token } = await login();
+
+  const res = await asAdmin(forceLogoutUser, { params: { id: user._id.toString() } });
+
+  assert.strictEqual(res.body.data.sessionsRevoked, 1);
+  assert.strictEqual((await callWith(accessToken)).statusCode, 401);
+  assert.strictEqual((await refresh(token)).statusCode, 401);
+});
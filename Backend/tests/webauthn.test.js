@@ -0,0 +1,159 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+process.env.WEBAUTHN_RP_ID = 'localhost';
+process.env.WEBAUTHN_ORIGIN = 'http://localhost:5173';
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const MFAChallenge = require('../models/MFAChallenge');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const { generateMFAChallengeToken } = require('../utils/jwt');
+const webauthn = require('../controllers/webauthnController');
+const { createSoftwareAuthenticator } = require('./helpers/softwareAuthenticator');
+const { mockRequest, mockResponse } = require('./helpers/express');
+const { stubModel } = require('./helpers/models');
+const { buildUser } = require('./helpers/fixtures');
+
+const RP = { rpId: 'localhost', origin: 'http://localhost:5173' };
+
+let users;
+let challenges;
+let audit;
+let user;
+
+beforeEach(() => {
+  users = stubModel(User);
+  challenges = stubModel(MFAChallenge);
+  audit = stubModel(AuditLog);
+  stubModel(Session);
+  stubModel(SecurityPolicy);
+
+  user = users.insert(buildUser('doctor', 'dana', { mfa: { enabled: true } }));
+});
+
+// The user as stored now
+const storedUser = () => users.get(user._id);
+
+const register = async (authenticator) => {
+  const req = mockRequest({ user: { id: user._id } });
+  const optionsRes = mockResponse();
+  await webauthn.getRegistrationOptions(req, optionsRes);
+  assert.strictEqual(optionsRes.statusCode, 200);
+
+  const response = authenticator.register({ challenge: optionsRes.body.data.challenge, ...RP });
+  const verifyRes = mockResponse();
+  await webauthn.verifyRegistration(mockRequest({ user: { id: user._id }, body: { response, name: 'Test key' } }), verifyRes);
+  return { response, res: verifyRes };
+};
+
+// Start a password-verified login waiting for the second factor
+const openLogin = async () => {
+  const challenge = challenges.insert({ user: user._id, expiresAt: new Date(Date.now() + 5 * 60 * 1000) });
+  return generateMFAChallengeToken(user._id, challenge._id);
+};
+
+const requestAssertion = async (mfaToken) => {
+  const res = mockResponse();
+  await webauthn.getAuthenticationOptions(mockRequest({ body: { mfaToken } }), res);
+  assert.strictEqual(res.statusCode, 200);
+  return res.body.data;
+};
+
+const submitAssertion = async (mfaToken, response) => {
+  const res = mockResponse();
+  await webauthn.verifyAuthentication(mockRequest({ body: { mfaToken, response } }), res);
+  return res;
+};
+
+test('registers a software authenticator', async () => {
+  const authenticator = createSoftwareAuthenticator();
+  const { res } = await register(authenticator);
+
+  assert.strictEqual(res.statusCode, 201);
+  assert.strictEqual(res.body.data.name, 'Test key');
+  assert.strictEqual(storedUser().mfa.webauthnCredentials.length, 1);
+  assert.strictEqual(storedUser().mfa.webauthnCredentials[0].credentialId, authenticator.credentialId);
+  assert.ok(audit.all().some((entry) => entry.action === 'WEBAUTHN_REGISTERED'));
+});
+
+test('rejects a replayed registration response', async () => {
+  const { response } = await register(createSoftwareAuthenticator());
+
+  const res = mockResponse();
+  await webauthn.verifyRegistration(mockRequest({ user: { id: user._id }, body: { response } }), res);
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(storedUser().mfa.webauthnCredentials.length, 1);
+});
+
+test('rejects a registration answering a different challenge', async () => {
+  const optionsRes = mockResponse();
+  await webauthn.getRegistrationOptions(mockRequest({ user: { id: user._id } }), optionsRes);
+
+  const response = createSoftwareAuthenticator().register({ challenge: 'c29tZS1vdGhlci1jaGFsbGVuZ2U', ...RP });
+  const res = mockResponse();
+  await webauthn.verifyRegistration(mockRequest({ user: { id: user._id }, body: { response } }), res);
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(storedUser().mfa.webauthnCredentials.length, 0);
+});
+
+test('completes login with a valid assertion and updates the counter', async () => {
+  const authenticator = createSoftwareAuthenticator();
+  await register(authenticator);
+
+  const mfaToken = await openLogin();
+  const options = await requestAssertion(mfaToken);
+  const res = await submitAssertion(mfaToken, authenticator.authenticate({ challenge: options.challenge, ...RP }));
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.ok(res.body.tokens.accessToken);
+  assert.strictEqual(storedUser().mfa.webauthnCredentials[0].counter, 1);
+  assert.ok(audit.all().some((entry) => entry.action === 'LOGIN' && entry.user.equals(user._id)));
+});
+
+test('rejects a replayed assertion on the same login', async () => {
+  const authenticator = createSoftwareAuthenticator();
+  await register(authenticator);
+
+  const mfaToken = await openLogin();
+  const options = await requestAssertion(mfaToken);
+  const assertion = authenticator.authenticate({ challenge: options.challenge, ...RP });
+  assert.strictEqual((await submitAssertion(mfaToken, assertion)).statusCode, 200);
+
+  const replay = await submitAssertion(mfaToken, assertion);
+  assert.strictEqual(replay.statusCode, 401);
+  assert.strictEqual(replay.body.restartLogin, true);
+});
+
+test('rejects an old assertion replayed against a new challenge', async () => {
+  const authenticator = createSoftwareAuthenticator();
+  await register(authenticator);
+
+  const firstLogin = await openLogin();
+  const firstOptions = await requestAssertion(firstLogin);
+  const assertion = authenticator.authenticate({ challenge: firstOptions.challenge, ...RP });
+  assert.strictEqual((await submitAssertion(firstLogin, assertion)).statusCode, 200);
+
+  const secondLogin = await openLogin();
+  await requestAssertion(secondLogin);
+  const replay = await submitAssertion(secondLogin, assertion);
+
+  assert.strictEqual(replay.statusCode, 401);
+  assert.strictEqual(replay.body.message, 'Security key verification failed');
+  assert.ok(audit.all().some((entry) => entry.action === 'LOGIN_FAILED'));
+});
+
+test('rejects an assertion from an unregistered authenticator', async () => {
+  await register(createSoftwareAuthenticator());
+
+  const mfaToken = await openLogin();
+  const options = await requestAssertion(mfaToken);
+  const res = await submitAssertion(mfaToken, createSoftwareAuthenticator().authenticate({ challenge: options.challenge, ...RP }));
+
+  assert.strictEqual(res.statusCode, 401);
+});
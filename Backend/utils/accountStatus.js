@@ -0,0 +1,93 @@
+const AuditLog = require('../models/AuditLog');
+const { revokeAllSessions } = require('./session');
+
+/**
+ * Account suspension shared by the admin API and SCIM provisioning,
+ * so every deactivation revokes sessions and is audited the same way.
+ *
+ * `actor` is whoever made the change: { id, email, role, attributes }.
+ * For SCIM it is the admin who issued the provisioning token.
+ */
+
+/**
+ * Suspend an account and sign it out everywhere
+ * @returns {Promise<Number>} - Number of sessions revoked
+ */
+const suspendAccount = async (user, { reason, actor, req, auditLogId, accessMethod }) => {
+  user.accountStatus = 'suspended';
+  user.suspensionReason = reason;
+  user.suspendedAt = new Date();
+  user.suspendedBy = actor.id;
+  await user.save();
+
+  // Revoke every outstanding session and access token
+  const sessionsRevoked = await revokeAllSessions(user._id, 'account_suspended', actor.id);
+
+  await AuditLog.createLog({
+    user: actor.id,
+    userEmail: actor.email,
+    userRole: actor.role,
+    action: 'SUSPEND_USER',
+    resourceType: 'User',
+    resourceId: user._id,
+    timestamp: new Date(),
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.headers['user-agent'],
+    accessMethod,
+    status: 'SUCCESS',
+    details: {
+      suspendedUser: user.username,
+      suspendedEmail: user.email,
+      reason: reason,
+      relatedAuditLog: auditLogId,
+      sessionsRevoked
+    },
+    hospitalId: actor.attributes?.hospitalId,
+    department: actor.attributes?.department
+  });
+
+  return sessionsRevoked;
+};
+
+/**
+ * Lift a suspension or deactivation
+ */
+const reactivateAccount = async (user, { actor, req, accessMethod }) => {
+  const beforeState = {
+    accountStatus: user.accountStatus,
+    isActive: user.isActive,
+    suspensionReason: user.suspensionReason
+  };
+
+  user.accountStatus = 'active';
+  user.isActive = true;
+  user.suspensionReason = undefined;
+  user.suspendedAt = undefined;
+  user.suspendedBy = undefined;
+  await user.save();
+
+  await AuditLog.createLog({
+    user: actor.id,
+    userEmail: actor.email,
+    userRole: actor.role,
+    action: 'USER_ACTIVATED',
+    resourceType: 'User',
+    resourceId: user._id,
+    timestamp: new Date(),
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.headers['user-agent'],
+    accessMethod,
+    status: 'SUCCESS',
+    details: {
+      beforeState,
+      afterState: { accountStatus: user.accountStatus, isActive: user.isActive }
+    },
+    hospitalId: actor.attributes?.hospitalId,
+    department: actor.attributes?.department
+  });
+};
+
+module.exports = {
+  suspendAccount,
+  reactivateAccount
+};
@@ -0,0 +1,136 @@
+const EHR = require('../models/EHR');
+const { SIGNING_PERMISSIONS } = require('./ehrSignature');
+
+/**
+ * Documentation rules for each amendment type:
+ * - addendum: new information added to a signed record
+ * - correction: an error in a signed record fixed by its author; the
+ *   original value is kept and shown struck through
+ * - late-entry: something documented after the fact, with the time the
+ *   event actually happened; allowed on drafts too
+ * Amending a signed record re-signs it, so whatever the type, only users
+ * holding a signing permission (ehr:sign or ehr:amend) may amend one.
+ */
+const AMENDMENT_RULES = {
+  addendum: {
+    label: 'Addendum',
+    article: 'an',
+    permissions: ['ehr:amend'],
+    requiresSigned: true,
+    authorOnly: false,
+    minReasonLength: 10
+  },
+  correction: {
+    label: 'Correction',
+    article: 'a',
+    permissions: ['ehr:amend'],
+    requiresSigned: true,
+    authorOnly: true,
+    minReasonLength: 20
+  },
+  'late-entry': {
+    label: 'Late entry',
+    article: 'a',
+    permissions: ['ehr:amend', 'ehr:update'],
+    requiresSigned: false,
+    authorOnly: false,
+    minReasonLength: 10
+  }
+};
+
+// Free-text fields a correction may change
+const CORRECTABLE_FIELDS = {
+  chiefComplaint: 'Chief complaint',
+  'diagnosis.primary': 'Primary diagnosis',
+  'clinicalNotes.subjective': 'Subjective notes',
+  'clinicalNotes.objective': 'Objective notes',
+  'clinicalNotes.assessment': 'Assessment',
+  'clinicalNotes.plan': 'Plan',
+  treatmentPlan: 'Treatment plan'
+};
+
+const isFilled = (value) => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Check an amendment request against the rules for its type
+ * @param {EHR} ehr - Record being amended
+ * @param {Object} user - req.user
+ * @param {Object} body - { type, reason, content, field, correctedValue, eventTime }
+ *   (a body without a type, from older clients, is an addendum whose text is `changes`)
+ * @returns {Object} - { status, message } when rejected, otherwise { amendment }
+ */
+const validateAmendment = (ehr, user, body, now = new Date()) => {
+  const type = body.type || 'addendum';
+  const rules = AMENDMENT_RULES[type];
+  const reject = (status, message) => ({ status, message });
+
+  if (!rules) {
+    return reject(400, `Amendment type must be one of: ${EHR.AMENDMENT_TYPES.join(', ')}`);
+  }
+  if (!rules.permissions.some((permission) => user.permissions?.includes(permission))) {
+    return reject(403, `You are not allowed to add ${rules.article} ${rules.label.toLowerCase()}`);
+  }
+  if (ehr.status === 'archived') {
+    return reject(409, 'Archived records cannot be amended');
+  }
+  if (rules.requiresSigned && !ehr.isSigned()) {
+    return reject(409, `${rules.label} amendments can only be added to a signed record. Edit the draft instead.`);
+  }
+  if (ehr.isSigned() && !SIGNING_PERMISSIONS.some((permission) => user.permissions?.includes(permission))) {
+    return reject(403, 'Signed records can only be amended by a clinician who can sign them');
+  }
+  if (rules.authorOnly) {
+    // The note's writer (e.g. a resident whose note was co-signed) as well as its signer
+    const authors = [ehr.author, ehr.signedBy, ehr.attendingPhysician].filter(Boolean).map((id) => id.toString());
+    if (!authors.includes(user.id.toString())) {
+      return reject(403, 'Only the record\'s author can correct it. Add an addendum instead.');
+    }
+  }
+  if (!isFilled(body.reason) || body.reason.trim().length < rules.minReasonLength) {
+    return reject(400, `A reason of at least ${rules.minReasonLength} characters is required`);
+  }
+
+  const amendment = { type, reason: body.reason.trim() };
+
+  if (type === 'correction') {
+    if (!CORRECTABLE_FIELDS[body.field]) {
+      return reject(400, `Corrected field must be one of: ${Object.keys(CORRECTABLE_FIELDS).join(', ')}`);
+    }
+    if (!isFilled(body.correctedValue)) {
+      return reject(400, 'The corrected value is required');
+    }
+    const originalValue = ehr.get(body.field);
+    if (originalValue === body.correctedValue.trim()) {
+      return reject(400, 'The corrected value is the same as the current value');
+    }
+    return { amendment: { ...amendment, field: body.field, originalValue, correctedValue: body.correctedValue.trim() } };
+  }
+
+  const content = body.content ?? (body.type ? undefined : body.changes);
+  if (!isFilled(content)) {
+    return reject(400, `The ${rules.label.toLowerCase()} text is required`);
+  }
+  amendment.content = content.trim();
+
+  if (type === 'late-entry') {
+    const eventTime = new Date(body.eventTime);
+    if (!body.eventTime || isNaN(eventTime.getTime())) {
+      return reject(400, 'The time the event happened is required for a late entry');
+    }
+    if (eventTime > now) {
+      return reject(400, 'A late entry cannot describe a future event');
+    }
+    if (ehr.visitDate && eventTime < ehr.visitDate) {
+      return reject(400, 'A late entry cannot describe an event before the visit');
+    }
+    amendment.eventTime = eventTime;
+  }
+
+  return { amendment };
+};
+
+module.exports = {
+  AMENDMENT_RULES,
+  CORRECTABLE_FIELDS,
+  validateAmendment
+};
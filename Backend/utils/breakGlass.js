@@ -0,0 +1,243 @@
+const BreakGlassGrant = require('../models/BreakGlassGrant');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { sendMail } = require('./mailer');
+const { BUILT_IN_ROLE_PERMISSIONS, resolvePermissions } = require('./permissions');
+
+// How often expired grants and overdue reviews are processed
+const MONITOR_INTERVAL_MS = 60 * 1000;
+
+// Overdue reviews are escalated again after this long
+const ESCALATION_REPEAT_HOURS = 24;
+
+/**
+ * Active users holding break-glass:review for a hospital (privacy officers)
+ * @param {String} hospitalId - Hospital of the break-glass use
+ * @returns {Promise<Array<User>>}
+ */
+const findReviewers = async (hospitalId) => {
+  const builtInRoles = Object.keys(BUILT_IN_ROLE_PERMISSIONS)
+    .filter((role) => BUILT_IN_ROLE_PERMISSIONS[role].includes('break-glass:review'));
+  const customRoles = await Role.find({ permissions: 'break-glass:review' }).select('_id');
+
+  const candidates = await User.find({
+    isActive: true,
+    $or: [
+      { role: { $in: builtInRoles } },
+      { extraPermissions: 'break-glass:review' },
+      { customRoles: { $in: customRoles.map((role) => role._id) } }
+    ]
+  });
+
+  const reviewers = [];
+  for (const candidate of candidates) {
+    const sameHospital = !candidate.attributes?.hospitalId || !hospitalId || candidate.attributes.hospitalId === hospitalId;
+    if (sameHospital && (await resolvePermissions(candidate)).includes('break-glass:review')) {
+      reviewers.push(candidate);
+    }
+  }
+  return reviewers;
+};
+
+/**
+ * Who overdue reviews are escalated to, above the privacy officers who
+ * missed them: the hospital's active admins and the contacts configured in
+ * BREAK_GLASS_ESCALATION_EMAILS (comma-separated)
+ * @param {String} hospitalId - Hospital of the break-glass use
+ * @returns {Promise<Array<Object>>} - [{ email, firstName }]
+ */
+const findEscalationContacts = async (hospitalId) => {
+  const admins = (await User.find({ role: 'admin', isActive: true }))
+    .filter((admin) => !admin.attributes?.hospitalId || !hospitalId || admin.attributes.hospitalId === hospitalId)
+    .map((admin) => ({ email: admin.email, firstName: admin.firstName }));
+
+  const configured = (process.env.BREAK_GLASS_ESCALATION_EMAILS || '')
+    .split(',')
+    .map((email) => email.trim())
+    .filter((email) => email && !admins.some((admin) => admin.email === email))
+    .map((email) => ({ email }));
+
+  return [...configured, ...admins];
+};
+
+/**
+ * Email a review case to a group of recipients (in the background)
+ */
+const notifyCase = (findRecipients, grant, { subject, intro, action }) => {
+  findRecipients(grant.hospitalId)
+    .then((recipients) => Promise.all(recipients.map((recipient) => sendMail({
+      to: recipient.email,
+      subject,
+      text: [
+        recipient.firstName ? `Hello ${recipient.firstName},` : 'Hello,',
+        '',
+        intro,
+        `- Case: ${grant._id}`,
+        `- Used by: ${grant.user.email || grant.user}`,
+        `- Patient: ${grant.patient.patientId || grant.patient}`,
+        `- Time: ${grant.startsAt.toISOString()}`,
+        `- Justification: ${grant.justification}`,
+        `- Review due: ${grant.review.dueAt.toISOString()}`,
+        '',
+        action
+      ].join('\n')
+    }))))
+    .catch((error) => {
+      console.error('Break-glass review notification error:', error);
+    });
+};
+
+/**
+ * Email the privacy officers about a review case (in the background)
+ */
+const notifyReviewers = (grant, { subject, intro }) => notifyCase(findReviewers, grant, {
+  subject,
+  intro,
+  action: 'Close the case from the break-glass review queue on the Audit Logs page.'
+});
+
+/**
+ * Email the escalation contacts about an overdue review case (in the background)
+ */
+const notifyEscalationContacts = (grant, { subject, intro }) => notifyCase(findEscalationContacts, grant, {
+  subject,
+  intro,
+  action: 'The privacy officers have not closed this case. Make sure it is reviewed from the break-glass review queue on the Audit Logs page.'
+});
+
+/**
+ * Mark grants past their expiry as expired and audit each one
+ * @returns {Promise<Number>} - Number of grants expired
+ */
+const expireBreakGlassGrants = async (now = new Date()) => {
+  const due = await BreakGlassGrant.find({ status: 'active', expiresAt: { $lte: now } })
+    .populate('user', 'email role attributes')
+    .populate('patient', 'patientId');
+
+  let expired = 0;
+  for (const grant of due) {
+    // Another instance may have expired it first
+    const updated = await BreakGlassGrant.findOneAndUpdate(
+      { _id: grant._id, status: 'active' },
+      { status: 'expired', expiredAt: now },
+      { new: true }
+    );
+    if (!updated) {
+      continue;
+    }
+    expired += 1;
+
+    await AuditLog.createLog({
+      user: grant.user._id,
+      userEmail: grant.user.email,
+      userRole: grant.user.role,
+      action: 'BREAK_GLASS_EXPIRED',
+      resourceType: 'Patient',
+      resourceId: grant.patient._id,
+      patient: grant.patient._id,
+      patientId: grant.patient.patientId,
+      timestamp: now,
+      ipAddress: 'system',
+      userAgent: 'break-glass-monitor',
+      accessMethod: 'emergency',
+      status: 'SUCCESS',
+      details: {
+        afterState: { grantId: grant._id, expiresAt: grant.expiresAt }
+      },
+      hospitalId: grant.hospitalId
+    });
+  }
+
+  return expired;
+};
+
+/**
+ * Escalate open reviews past their due date to the escalation contacts,
+ * then again every ESCALATION_REPEAT_HOURS until a privacy officer closes them
+ * @returns {Promise<Number>} - Number of reviews escalated
+ */
+const escalateOverdueReviews = async (now = new Date()) => {
+  const repeatBefore = new Date(now.getTime() - ESCALATION_REPEAT_HOURS * 60 * 60 * 1000);
+  const overdue = await BreakGlassGrant.find({
+    'review.status': 'pending',
+    'review.dueAt': { $lte: now },
+    $or: [
+      { 'review.lastEscalatedAt': { $exists: false } },
+      { 'review.lastEscalatedAt': { $lte: repeatBefore } }
+    ]
+  })
+    .populate('user', 'email role attributes')
+    .populate('patient', 'patientId');
+
+  let escalated = 0;
+  for (const grant of overdue) {
+    // Claim the escalation so concurrent monitors do not repeat it
+    const updated = await BreakGlassGrant.findOneAndUpdate(
+      { _id: grant._id, 'review.status': 'pending', 'review.escalationCount': grant.review.escalationCount },
+      { $inc: { 'review.escalationCount': 1 }, 'review.lastEscalatedAt': now },
+      { new: true }
+    );
+    if (!updated) {
+      continue;
+    }
+    escalated += 1;
+
+    await AuditLog.createLog({
+      user: grant.user._id,
+      userEmail: grant.user.email,
+      userRole: grant.user.role,
+      action: 'BREAK_GLASS_REVIEW_ESCALATED',
+      resourceType: 'Patient',
+      resourceId: grant.patient._id,
+      patient: grant.patient._id,
+      patientId: grant.patient.patientId,
+      timestamp: now,
+      ipAddress: 'system',
+      userAgent: 'break-glass-monitor',
+      accessMethod: 'emergency',
+      status: 'SUCCESS',
+      breakGlass: {
+        isBreakGlass: true,
+        justification: grant.justification
+      },
+      details: {
+        afterState: {
+          grantId: grant._id,
+          dueAt: grant.review.dueAt,
+          escalationCount: updated.review.escalationCount
+        }
+      },
+      hospitalId: grant.hospitalId
+    });
+
+    notifyEscalationContacts(grant, {
+      subject: `OVERDUE: break-glass review (escalation ${updated.review.escalationCount})`,
+      intro: 'A break-glass review case is past its due date and still open:'
+    });
+  }
+
+  return escalated;
+};
+
+/**
+ * Run expiry and escalation periodically (started once by the server)
+ */
+const startBreakGlassMonitor = () => {
+  const monitor = setInterval(() => {
+    expireBreakGlassGrants()
+      .then(() => escalateOverdueReviews())
+      .catch((error) => console.error('Break-glass monitor error:', error));
+  }, MONITOR_INTERVAL_MS);
+  monitor.unref();
+  return monitor;
+};
+
+module.exports = {
+  findReviewers,
+  findEscalationContacts,
+  notifyReviewers,
+  expireBreakGlassGrants,
+  escalateOverdueReviews,
+  startBreakGlassMonitor
+};
@@ -0,0 +1,71 @@
+/**
+ * CAPTCHA verification for logins after repeated failures.
+ *
+ * CAPTCHA_PROVIDER selects the service (turnstile, hcaptcha or recaptcha) and
+ * CAPTCHA_SECRET is its server-side secret. Without a secret CAPTCHAs are
+ * disabled and throttling relies on progressive delays alone.
+ * Use setCaptchaVerifier to plug in another check `(token, ipAddress) => boolean`.
+ */
+
+const VERIFY_URLS = {
+  turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+  hcaptcha: 'https://api.hcaptcha.com/siteverify',
+  recaptcha: 'https://www.google.com/recaptcha/api/siteverify'
+};
+
+// All three services accept the same form fields and answer { success }
+const siteVerify = async (token, ipAddress) => {
+  const url = VERIFY_URLS[process.env.CAPTCHA_PROVIDER || 'turnstile'];
+  if (!url) {
+    throw new Error(`Unknown CAPTCHA_PROVIDER: ${process.env.CAPTCHA_PROVIDER}`);
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      secret: process.env.CAPTCHA_SECRET,
+      response: token,
+      remoteip: ipAddress
+    }),
+    signal: AbortSignal.timeout(5000)
+  });
+  const result = await response.json();
+
+  return result.success === true;
+};
+
+let customVerifier = null;
+
+/**
+ * Replace the verifier; passing null goes back to the CAPTCHA_PROVIDER service
+ */
+const setCaptchaVerifier = (verifier) => {
+  customVerifier = verifier;
+};
+
+const isCaptchaEnabled = () => Boolean(customVerifier || process.env.CAPTCHA_SECRET);
+
+/**
+ * Check a CAPTCHA response token; verification errors count as a failed CAPTCHA
+ */
+const verifyCaptcha = async (token, ipAddress) => {
+  if (!token || typeof token !== 'string') {
+    return false;
+  }
+
+  try {
+    return customVerifier
+      ? Boolean(await customVerifier(token, ipAddress))
+      : await siteVerify(token, ipAddress);
+  } catch (error) {
+    console.error('CAPTCHA verification error:', error);
+    return false;
+  }
+};
+
+module.exports = {
+  isCaptchaEnabled,
+  verifyCaptcha,
+  setCaptchaVerifier
+};
@@ -0,0 +1,175 @@
+const ConsentDirective = require('../models/ConsentDirective');
+const Patient = require('../models/Patient');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { getClientIp } = require('./ipHelper');
+const { sendMail } = require('./mailer');
+
+// Fields a new directive version can change
+const DIRECTIVE_FIELDS = ['dataSharing', 'research', 'emergencyAccess', 'exclusions', 'recipients', 'expiresAt'];
+
+const withoutIds = (items = []) => items.map(({ _id, ...item }) => item);
+
+// Directive contents as stored in audit logs
+const directiveState = (directive) => directive && ({
+  version: directive.version,
+  dataSharing: directive.dataSharing,
+  research: directive.research,
+  emergencyAccess: directive.emergencyAccess,
+  exclusions: directive.exclusions.map((exclusion) => ({
+    category: exclusion.category,
+    departments: [...exclusion.departments],
+    expiresAt: exclusion.expiresAt
+  })),
+  recipientCount: directive.recipients.length,
+  expiresAt: directive.expiresAt
+});
+
+/**
+ * Email the patient's assigned doctors and nurses that their consent changed
+ * (in the background). Only the patient ID and version are included.
+ */
+const notifyCareTeam = (patient, directive) => {
+  const careTeam = [...(patient.assignedDoctors || []), ...(patient.assignedNurses || [])];
+  if (careTeam.length === 0) {
+    return;
+  }
+
+  User.find({ _id: { $in: careTeam }, isActive: true }).select('email firstName')
+    .then((staff) => Promise.all(staff.map((member) => sendMail({
+      to: member.email,
+      subject: `Consent directive changed for patient ${patient.patientId}`,
+      text: [
+        `Hello ${member.firstName},`,
+        '',
+        `The consent directive for patient ${patient.patientId} was changed by the ${directive.source === 'patient' ? 'patient' : 'care team'}.`,
+        `It is now at version ${directive.version} and applies from ${directive.createdAt.toISOString()}.`,
+        '',
+        'Some records or uses of this patient\'s data may no longer be available. Review the directive before your next access.'
+      ].join('\n')
+    }))))
+    .catch((error) => {
+      console.error('Consent change notification error:', error);
+    });
+};
+
+/**
+ * Record a new version of a patient's consent directive, supersede the
+ * previous one, sync Patient.consent, audit the change and notify staff.
+ * Fields missing from `changes` carry over from the current version.
+ * @param {Object} req - Express request (the acting user is req.user)
+ * @param {Patient} patient - Patient document
+ * @param {Object} changes - Subset of DIRECTIVE_FIELDS
+ * @param {Object} options - { source: 'patient'|'staff', changeNote }
+ * @returns {Promise<ConsentDirective>}
+ * @throws Mongoose ValidationError, or a duplicate key error when another
+ *   change was recorded at the same time
+ */
+const recordDirective = async (req, patient, changes, { source, changeNote }) => {
+  const current = await ConsentDirective.findActive(patient._id);
+
+  // The first version starts from the flags staff recorded on the patient
+  const base = current
+    ? {
+      dataSharing: current.dataSharing,
+      research: current.research,
+      emergencyAccess: current.emergencyAccess,
+      exclusions: withoutIds(current.toObject().exclusions),
+      recipients: withoutIds(current.toObject().recipients),
+      expiresAt: current.expiresAt
+    }
+    : {
+      dataSharing: patient.consent?.dataSharing ?? false,
+      research: patient.consent?.research ?? false,
+      emergencyAccess: patient.consent?.emergencyAccess ?? true,
+      exclusions: [],
+      recipients: []
+    };
+
+  const updates = Object.fromEntries(
+    DIRECTIVE_FIELDS.filter((field) => changes[field] !== undefined).map((field) => [field, changes[field]])
+  );
+
+  const directive = new ConsentDirective({
+    ...base,
+    ...updates,
+    patient: patient._id,
+    version: (current?.version || 0) + 1,
+    source,
+    changeNote,
+    createdBy: req.user.id
+  });
+  await directive.save();
+
+  if (current) {
+    current.status = 'superseded';
+    current.supersededAt = directive.createdAt;
+    await current.save();
+  }
+
+  await Patient.updateOne({ _id: patient._id }, {
+    $set: {
+      consent: {
+        dataSharing: directive.dataSharing,
+        research: directive.research,
+        emergencyAccess: directive.emergencyAccess,
+        expiresAt: directive.expiresAt,
+        directiveVersion: directive.version
+      }
+    }
+  });
+
+  await AuditLog.createLog({
+    user: req.user.id,
+    userEmail: req.user.email,
+    userRole: req.user.role,
+    action: 'CONSENT_UPDATED',
+    resourceType: 'Patient',
+    resourceId: patient._id,
+    patient: patient._id,
+    patientId: patient.patientId,
+    timestamp: new Date(),
+    ipAddress: getClientIp(req),
+    userAgent: req.headers['user-agent'],
+    status: 'SUCCESS',
+    details: {
+      beforeState: directiveState(current),
+      afterState: directiveState(directive),
+      changes: Object.keys(updates)
+    },
+    hospitalId: patient.hospitalId,
+    department: req.user.attributes?.department
+  });
+
+  notifyCareTeam(patient, directive);
+
+  return directive;
+};
+
+/**
+ * Query conditions hiding EHRs excluded by each patient's active directive
+ * from a staff member of the given department
+ * @param {Array} patientIds - Patients being listed
+ * @returns {Promise<Object>} - { $nor: [...] }, or {} when nothing is excluded
+ */
+const exclusionConditions = async (patientIds, department, now = new Date()) => {
+  const directives = await ConsentDirective.find({
+    patient: { $in: patientIds },
+    status: 'active',
+    'exclusions.0': { $exists: true }
+  });
+
+  const conditions = directives
+    .map((directive) => ({ patient: directive.patient, categories: directive.excludedCategoriesFor(department, now) }))
+    .filter(({ categories }) => categories.length > 0)
+    .map(({ patient, categories }) => ({ patient, sensitivityCategories: { $in: categories } }));
+
+  return conditions.length > 0 ? { $nor: conditions } : {};
+};
+
+module.exports = {
+  DIRECTIVE_FIELDS,
+  directiveState,
+  recordDirective,
+  exclusionConditions
+};
@@ -0,0 +1,230 @@
+const mongoose = require('mongoose');
+const EHR = require('../models/EHR');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const AccessPolicy = require('../models/AccessPolicy');
+const { sendMail } = require('./mailer');
+const { getDelegatedPatients } = require('./delegation');
+const { evaluatePolicy, buildSubject, buildResource, buildEnvironment } = require('./policyEngine');
+
+// How long the attending physician has to co-sign or return a note
+const COSIGN_DUE_HOURS = 24;
+
+// How often overdue co-signatures are processed
+const MONITOR_INTERVAL_MS = 60 * 1000;
+
+// Overdue notes are reminded again after this long
+const REMINDER_REPEAT_HOURS = 24;
+
+// Reminders the physician gets before hospital admins are told
+const ESCALATE_AFTER_REMINDERS = 2;
+
+const accessLevel = (user) => user.attributes?.accessLevel || 1;
+
+const sameHospital = (user, hospitalId) => !user.attributes?.hospitalId || !hospitalId || user.attributes.hospitalId === hospitalId;
+
+// Whether the access policy lets a doctor act on the new note, as checkPatientAccess
+// will when they co-sign or return it (POST /api/ehr/:id/cosign is 'ehr:update')
+const canActOnNote = async (policy, doctor, patient, draft) => {
+  const delegated = await getDelegatedPatients(doctor._id);
+  const { decision } = evaluatePolicy(policy, {
+    subject: buildSubject(doctor, { delegatedPatients: delegated.patientIds }),
+    resource: buildResource(patient, { ...draft, status: 'draft', hospitalId: patient.hospitalId, attendingPhysician: doctor._id }),
+    action: 'ehr:update',
+    environment: buildEnvironment()
+  });
+  return decision === 'permit';
+};
+
+/**
+ * Physician responsible for a new record: the one the author chose, else
+ * the most senior doctor assigned to the patient, else the author when the
+ * author is a doctor who outranks them. A chosen or assigned doctor must be
+ * allowed to access the patient's records under the access policy.
+ * @param {User} author - User writing the record
+ * @param {Patient} patient - Patient the record is about
+ * @param {String} requestedId - attendingPhysician from the request, if any
+ * @param {Object} draft - The new record's { department, visitType }
+ * @returns {Promise<Object>} - { status, message } when none fits, otherwise { attending }
+ */
+const resolveAttending = async (author, patient, requestedId, draft = {}) => {
+  const hospitalId = author.attributes?.hospitalId;
+  const policy = await AccessPolicy.getActive();
+
+  if (requestedId) {
+    const attending = mongoose.isValidObjectId(requestedId)
+      ? await User.findOne({ _id: requestedId, role: 'doctor', isActive: true })
+      : null;
+    if (!attending || !sameHospital(attending, hospitalId)) {
+      return { status: 400, message: 'The attending physician must be an active doctor at your hospital' };
+    }
+    if (!attending._id.equals(author._id) && !(await canActOnNote(policy, attending, patient, draft))) {
+      return { status: 400, message: 'The attending physician does not have access to this patient\'s records' };
+    }
+    return { attending };
+  }
+
+  const assigned = await User.find({ _id: { $in: patient.assignedDoctors || [] }, role: 'doctor', isActive: true });
+  const permitted = await Promise.all(assigned.map((doctor) => canActOnNote(policy, doctor, patient, draft)));
+  const senior = assigned
+    .filter((doctor, index) => permitted[index] && sameHospital(doctor, hospitalId))
+    .sort((a, b) => accessLevel(b) - accessLevel(a))[0];
+
+  if (author.role === 'doctor' && (!senior || accessLevel(senior) <= accessLevel(author))) {
+    return { attending: author };
+  }
+  if (!senior) {
+    return { status: 400, message: 'This patient has no assigned physician who can co-sign the note. Choose an attending physician.' };
+  }
+  return { attending: senior };
+};
+
+/**
+ * Whether a note needs the attending physician's co-signature: anything
+ * written by a non-doctor, or by a doctor with a lower access level
+ * (a trainee) than the attending
+ */
+const requiresCosignature = (author, attending) => {
+  if (author.role !== 'doctor') {
+    return true;
+  }
+  return attending._id.toString() !== author._id.toString() && accessLevel(attending) > accessLevel(author);
+};
+
+/**
+ * Email someone about a note in the co-signature workflow (in the background)
+ */
+const notifyCosignature = (ehr, recipient, { subject, intro, lines = [] }) => {
+  sendMail({
+    to: recipient.email,
+    subject,
+    text: [
+      `Hello ${recipient.firstName},`,
+      '',
+      intro,
+      `- Record: ${ehr.recordId}`,
+      `- Patient: ${ehr.patient?.patientId || ehr.patient}`,
+      ...lines,
+      '',
+      'Open the co-signature inbox on your dashboard to act on it.'
+    ].join('\n')
+  }).catch((error) => {
+    console.error('Co-signature notification error:', error);
+  });
+};
+
+/**
+ * Active admins of a hospital, who are told about notes left unsigned
+ * @param {String} hospitalId - Hospital of the record
+ * @returns {Promise<Array<User>>}
+ */
+const findEscalationContacts = async (hospitalId) => {
+  const admins = await User.find({ role: 'admin', isActive: true });
+  return admins.filter((admin) => sameHospital(admin, hospitalId));
+};
+
+/**
+ * Remind the physician about co-signatures past their due date, then again
+ * every REMINDER_REPEAT_HOURS. Once ESCALATE_AFTER_REMINDERS reminders have
+ * gone unanswered, the hospital's admins are told as well (once).
+ * @returns {Promise<Number>} - Number of notes reminded
+ */
+const remindOverdueCosignatures = async (now = new Date()) => {
+  const repeatBefore = new Date(now.getTime() - REMINDER_REPEAT_HOURS * 60 * 60 * 1000);
+  const overdue = await EHR.find({
+    'cosignature.status': 'pending',
+    'cosignature.dueAt': { $lte: now },
+    $or: [
+      { 'cosignature.lastReminderAt': { $exists: false } },
+      { 'cosignature.lastReminderAt': { $lte: repeatBefore } }
+    ]
+  })
+    .populate('cosignature.assignedTo', 'firstName lastName email role attributes')
+    .populate('author', 'firstName lastName email')
+    .populate('patient', 'patientId');
+
+  let reminded = 0;
+  for (const ehr of overdue) {
+    const escalate = !ehr.cosignature.escalatedAt && ehr.cosignature.reminderCount >= ESCALATE_AFTER_REMINDERS;
+
+    // Claim the reminder so concurrent monitors do not repeat it
+    const updated = await EHR.findOneAndUpdate(
+      { _id: ehr._id, 'cosignature.status': 'pending', 'cosignature.reminderCount': ehr.cosignature.reminderCount },
+      {
+        $inc: { 'cosignature.reminderCount': 1 },
+        $set: { 'cosignature.lastReminderAt': now, ...(escalate ? { 'cosignature.escalatedAt': now } : {}) }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      continue;
+    }
+    reminded += 1;
+
+    const physician = ehr.cosignature.assignedTo;
+    const details = [
+      `- Written by: ${ehr.author ? `${ehr.author.firstName} ${ehr.author.lastName}` : 'unknown'}`,
+      `- Co-signature due: ${ehr.cosignature.dueAt.toISOString()}`
+    ];
+
+    await AuditLog.createLog({
+      user: physician._id,
+      userEmail: physician.email,
+      userRole: physician.role,
+      action: escalate ? 'COSIGN_ESCALATED' : 'COSIGN_REMINDER_SENT',
+      resourceType: 'EHR',
+      resourceId: ehr._id,
+      patient: ehr.patient._id,
+      patientId: ehr.patient.patientId,
+      timestamp: now,
+      ipAddress: 'system',
+      userAgent: 'cosignature-monitor',
+      status: 'SUCCESS',
+      details: {
+        afterState: {
+          dueAt: ehr.cosignature.dueAt,
+          reminderCount: updated.cosignature.reminderCount
+        }
+      },
+      hospitalId: ehr.hospitalId
+    });
+
+    notifyCosignature(ehr, physician, {
+      subject: `OVERDUE: note ${ehr.recordId} is waiting for your co-signature`,
+      intro: 'A note assigned to you is past its co-signature due date:',
+      lines: details
+    });
+
+    if (escalate) {
+      const contacts = await findEscalationContacts(ehr.hospitalId);
+      contacts.forEach((contact) => notifyCosignature(ehr, contact, {
+        subject: `ESCALATED: note ${ehr.recordId} is still not co-signed`,
+        intro: `A note assigned to Dr. ${physician.lastName} has not been co-signed after ${ehr.cosignature.reminderCount} reminders:`,
+        lines: details
+      }));
+    }
+  }
+
+  return reminded;
+};
+
+/**
+ * Run reminders periodically (started once by the server)
+ */
+const startCosignatureMonitor = () => {
+  const monitor = setInterval(() => {
+    remindOverdueCosignatures()
+      .catch((error) => console.error('Co-signature monitor error:', error));
+  }, MONITOR_INTERVAL_MS);
+  monitor.unref();
+  return monitor;
+};
+
+module.exports = {
+  COSIGN_DUE_HOURS,
+  resolveAttending,
+  requiresCosignature,
+  notifyCosignature,
+  remindOverdueCosignatures,
+  startCosignatureMonitor
+};
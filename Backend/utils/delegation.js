@@ -0,0 +1,123 @@
+const DelegationGrant = require('../models/DelegationGrant');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+
+// How often ended delegations are marked expired and audited
+const EXPIRY_SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Patients delegated to a user right now
+ * @param {ObjectId|String} userId - The grantee
+ * @returns {Promise<Object>} - { patientIds: [String], grants: [DelegationGrant] }
+ */
+const getDelegatedPatients = async (userId, now = new Date()) => {
+  const grants = await DelegationGrant.findEffective(userId, now);
+  if (grants.length === 0) {
+    return { patientIds: [], grants };
+  }
+
+  // "All my patients" follows the grantor's current assignments
+  const coveringAll = grants.filter((grant) => grant.scope === 'all');
+  const grantors = coveringAll.length > 0
+    ? await User.find({ _id: { $in: coveringAll.map((grant) => grant.grantor) } }).select('assignedPatients')
+    : [];
+  const assignedByGrantor = new Map(grantors.map((grantor) => [grantor._id.toString(), grantor.assignedPatients]));
+
+  const patientIds = new Set();
+  for (const grant of grants) {
+    const patients = grant.scope === 'all' ? assignedByGrantor.get(grant.grantor.toString()) || [] : grant.patients;
+    patients.forEach((patientId) => patientIds.add(patientId.toString()));
+  }
+
+  return { patientIds: [...patientIds], grants };
+};
+
+/**
+ * The effective grant giving a user access to a patient, if any
+ */
+const findGrantForPatient = async (userId, patientId, now = new Date()) => {
+  const grants = await DelegationGrant.findEffective(userId, now);
+  const target = patientId.toString();
+
+  for (const grant of grants) {
+    if (grant.scope === 'patients' && grant.patients.some((id) => id.toString() === target)) {
+      return grant;
+    }
+    if (grant.scope === 'all') {
+      const grantor = await User.findById(grant.grantor).select('assignedPatients');
+      if (grantor?.assignedPatients.some((id) => id.toString() === target)) {
+        return grant;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Mark delegations past their end time as expired and audit each one
+ * @returns {Promise<Number>} - Number of grants expired
+ */
+const expireDelegations = async (now = new Date()) => {
+  const due = await DelegationGrant.find({ status: 'active', endsAt: { $lte: now } })
+    .populate('grantor', 'email role attributes')
+    .populate('grantee', 'email');
+
+  let expired = 0;
+  for (const grant of due) {
+    // Another instance may have expired it first
+    const updated = await DelegationGrant.findOneAndUpdate(
+      { _id: grant._id, status: 'active' },
+      { status: 'expired', expiredAt: now },
+      { new: true }
+    );
+    if (!updated) {
+      continue;
+    }
+    expired += 1;
+
+    await AuditLog.createLog({
+      user: grant.grantor._id,
+      userEmail: grant.grantor.email,
+      userRole: grant.grantor.role,
+      action: 'DELEGATION_EXPIRED',
+      resourceType: 'User',
+      resourceId: grant.grantee._id,
+      timestamp: now,
+      ipAddress: 'system',
+      userAgent: 'delegation-expiry',
+      accessMethod: 'api',
+      status: 'SUCCESS',
+      details: {
+        afterState: {
+          delegationId: grant._id,
+          grantee: grant.grantee.email,
+          scope: grant.scope,
+          endsAt: grant.endsAt
+        }
+      },
+      hospitalId: grant.hospitalId,
+      department: grant.grantor.attributes?.department
+    });
+  }
+
+  return expired;
+};
+
+/**
+ * Run the expiry sweep periodically (started once by the server)
+ */
+const startDelegationExpiry = () => {
+  const sweeper = setInterval(() => {
+    expireDelegations().catch((error) => console.error('Delegation expiry error:', error));
+  }, EXPIRY_SWEEP_INTERVAL_MS);
+  sweeper.unref();
+  return sweeper;
+};
+
+module.exports = {
+  getDelegatedPatients,
+  findGrantForPatient,
+  expireDelegations,
+  startDelegationExpiry
+};
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const SigningKey = require('../models/SigningKey');
+const User = require('../models/User');
+const { resolvePermissions } = require('./permissions');
+
+/**
+ * EHR fields covered by a signature: the clinical content, who it is about
+ * and by whom, its version and amendments, and the original sign-off and
+ * co-signature.
+ * Workflow fields (status, timestamps) are left out so archiving a signed
+ * record does not invalidate it.
+ */
+const SIGNED_FIELDS = [
+  'recordId',
+  'patient',
+  'visitDate',
+  'visitType',
+  'department',
+  'sensitivityCategories',
+  'chiefComplaint',
+  'diagnosis',
+  'vitals',
+  'clinicalNotes',
+  'medications',
+  'labResults',
+  'treatmentPlan',
+  'author',
+  'attendingPhysician',
+  'consultingPhysicians',
+  'nurseInCharge',
+  'hospitalId',
+  'version',
+  'amendmentHistory',
+  'signedBy',
+  'signedAt',
+  'cosignedBy',
+  'cosignedAt'
+];
+
+// Plain, key-sorted form of a value; empty values are dropped so a record
+// serializes the same whether it was just built or read back from MongoDB
+const normalize = (value) => {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value instanceof mongoose.Types.ObjectId) {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => normalize(item) ?? null);
+  }
+  if (typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .map((key) => [key, normalize(value[key])])
+      .filter(([, item]) => item !== undefined);
+    return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+  }
+  return value;
+};
+
+/**
+ * Normalized content of an EHR (PHI decrypted, refs as ids, keys sorted)
+ * @param {EHR} ehr - EHR document
+ * @param {Array<String>} fields - Top-level fields to include
+ * @returns {Object}
+ */
+const recordContent = (ehr, fields = SIGNED_FIELDS) => {
+  const record = ehr.toObject({ getters: true, virtuals: false, depopulate: true });
+  return normalize(Object.fromEntries(fields.map((field) => [field, record[field]]))) || {};
+};
+
+// Permissions that let a clinician sign a record, or re-sign it with an amendment
+const SIGNING_PERMISSIONS = ['ehr:sign', 'ehr:amend'];
+
+/**
+ * Whether a user may sign or re-sign records
+ * @param {String} userId - User signing
+ * @returns {Promise<Boolean>}
+ */
+const canSign = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user || !user.isActive) {
+    return false;
+  }
+  const permissions = await resolvePermissions(user);
+  return SIGNING_PERMISSIONS.some((permission) => permissions.includes(permission));
+};
+
+// Canonical serialization of an EHR's signed content
+const canonicalize = (ehr) => JSON.stringify(recordContent(ehr));
+
+const hashContent = (canonical) => crypto.createHash('sha256').update(canonical).digest('hex');
+
+// The signed bytes bind the content hash to the signer, key and time
+const signedPayload = ({ contentHash, signer, keyId, signedAt, signedVersion }) => JSON.stringify({
+  contentHash,
+  keyId,
+  signedAt: new Date(signedAt).toISOString(),
+  signedVersion,
+  signer: signer.toString()
+});
+
+/**
+ * Sign the record's current content with the clinician's key. Sets
+ * ehr.signature (moving any previous signature to signatureHistory);
+ * the caller saves the record. Throws a SigningAuthorityError when the
+ * user holds none of SIGNING_PERMISSIONS.
+ * @param {EHR} ehr - EHR document
+ * @param {String} userId - Signing clinician
+ * @returns {Promise<EHR>}
+ */
+const signRecord = async (ehr, userId, now = new Date()) => {
+  if (!(await canSign(userId))) {
+    const error = new Error('Only clinicians who can sign records may sign or re-sign them');
+    error.name = 'SigningAuthorityError';
+    throw error;
+  }
+
+  const key = await SigningKey.getActiveForUser(userId);
+
+  const signature = {
+    algorithm: key.algorithm,
+    keyId: key.keyId,
+    signer: userId,
+    signedAt: now,
+    signedVersion: ehr.version,
+    contentHash: hashContent(canonicalize(ehr))
+  };
+  signature.value = key.sign(signedPayload(signature));
+
+  if (ehr.signature?.value) {
+    ehr.signatureHistory.push(ehr.signature.toObject());
+  }
+  ehr.signature = signature;
+  return ehr;
+};
+
+/**
+ * Check the record's signature against its current content
+ * @param {EHR} ehr - EHR document
+ * @returns {Promise<Object>} - { valid, status: 'valid'|'invalid'|'unsigned', reason, ... }
+ */
+const verifyRecord = async (ehr) => {
+  const signature = ehr.signature;
+  if (!signature?.value) {
+    return { valid: false, status: 'unsigned', reason: 'Record has not been signed' };
+  }
+
+  const contentHash = hashContent(canonicalize(ehr));
+  const result = {
+    algorithm: signature.algorithm,
+    keyId: signature.keyId,
+    signer: signature.signer,
+    signedAt: signature.signedAt,
+    signedVersion: signature.signedVersion,
+    signedContentHash: signature.contentHash,
+    contentHash
+  };
+
+  const key = await SigningKey.findOne({ keyId: signature.keyId });
+  const invalid = (reason) => ({ ...result, valid: false, status: 'invalid', reason, keyStatus: key?.status });
+
+  if (!key) {
+    return invalid('Signing key not found');
+  }
+  if (key.user.toString() !== signature.signer.toString()) {
+    return invalid('Signing key does not belong to the signer');
+  }
+  if (!key.verify(signedPayload({ ...result, contentHash: signature.contentHash }), signature.value)) {
+    return invalid('Signature does not match its signed data');
+  }
+  if (contentHash !== signature.contentHash) {
+    return invalid('Record content has changed since it was signed');
+  }
+
+  return { ...result, valid: true, status: 'valid', reason: null, keyStatus: key.status };
+};
+
+module.exports = {
+  SIGNED_FIELDS,
+  SIGNING_PERMISSIONS,
+  canSign,
+  recordContent,
+  canonicalize,
+  signRecord,
+  verifyRecord
+};
@@ -0,0 +1,87 @@
+const EHRVersion = require('../models/EHRVersion');
+const { recordContent } = require('./ehrSignature');
+
+/**
+ * Flatten content to dot paths, e.g. { 'diagnosis.primary': 'Angina',
+ * 'medications.0.name': 'Aspirin' }. Subdocument ids are left out; they
+ * identify array entries, not clinical content.
+ */
+const flatten = (value, prefix = '', into = {}) => {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => flatten(item, prefix ? `${prefix}.${index}` : String(index), into));
+  } else if (value && typeof value === 'object') {
+    Object.keys(value)
+      .filter((key) => key !== '_id')
+      .forEach((key) => flatten(value[key], prefix ? `${prefix}.${key}` : key, into));
+  } else if (value !== undefined && value !== null) {
+    into[prefix] = value;
+  }
+  return into;
+};
+
+/**
+ * Field-level differences between two versions' content
+ * @returns {Array<Object>} - [{ path, type: 'added'|'removed'|'changed', before, after }]
+ */
+const diffContent = (before, after) => {
+  const left = flatten(before);
+  const right = flatten(after);
+  const paths = [...new Set([...Object.keys(left), ...Object.keys(right)])].sort();
+
+  return paths
+    .filter((path) => left[path] !== right[path])
+    .map((path) => ({
+      path,
+      type: !(path in left) ? 'added' : !(path in right) ? 'removed' : 'changed',
+      before: left[path],
+      after: right[path]
+    }));
+};
+
+/**
+ * Every version of an EHR: the stored snapshots and the live record as the
+ * latest. Each entry says when and by whom that version was created.
+ * Versions amended before snapshots were kept have no content.
+ * @param {EHR} ehr - EHR document
+ * @returns {Promise<Array<Object>>}
+ */
+const listVersions = async (ehr) => {
+  const snapshots = await EHRVersion.find({ ehr: ehr._id })
+    .sort({ version: 1 })
+    .populate('supersededBy', 'firstName lastName role');
+  const byVersion = new Map(snapshots.map((snapshot) => [snapshot.version, snapshot]));
+
+  return Array.from({ length: ehr.version }, (_, index) => {
+    const version = index + 1;
+    const previous = byVersion.get(version - 1);
+    const snapshot = byVersion.get(version);
+    return {
+      version,
+      current: version === ehr.version,
+      available: version === ehr.version || Boolean(snapshot),
+      status: snapshot ? snapshot.status : version === ehr.version ? ehr.status : undefined,
+      createdAt: previous ? previous.supersededAt : version === 1 ? ehr.createdAt : undefined,
+      createdBy: previous ? previous.supersededBy : version === 1 ? ehr.author || ehr.attendingPhysician : undefined,
+      changeType: previous ? previous.changeType : version === 1 ? 'created' : undefined,
+      reason: previous?.reason
+    };
+  });
+};
+
+/**
+ * Content of one version
+ * @returns {Promise<Object|null>} - null when the version was never snapshotted
+ */
+const getVersionContent = async (ehr, version) => {
+  if (version === ehr.version) {
+    return recordContent(ehr, EHRVersion.SNAPSHOT_FIELDS);
+  }
+  const snapshot = await EHRVersion.findOne({ ehr: ehr._id, version });
+  return snapshot ? snapshot.getContent() : null;
+};
+
+module.exports = {
+  diffContent,
+  listVersions,
+  getVersionContent
+};
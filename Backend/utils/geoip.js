@@ -0,0 +1,81 @@
+const { getClientIp, isLocalhost } = require('./ipHelper');
+
+/**
+ * Approximate location of a request, used for login risk scoring.
+ * A resolver is any function `(ipAddress, req) => location | null` (sync or async)
+ * returning { country, region, city, latitude, longitude }.
+ *
+ * The default resolver reads headers set by a trusted edge proxy (for example
+ * nginx with the GeoIP2 module) when TRUST_GEO_HEADERS=true:
+ * x-geo-country, x-geo-region, x-geo-city, x-geo-latitude, x-geo-longitude.
+ * Use setGeoResolver to plug in a local GeoIP database instead.
+ */
+
+const headerResolver = (ipAddress, req) => {
+  if (process.env.TRUST_GEO_HEADERS !== 'true') {
+    return null;
+  }
+
+  const latitude = parseFloat(req.headers['x-geo-latitude']);
+  const longitude = parseFloat(req.headers['x-geo-longitude']);
+  const country = req.headers['x-geo-country'];
+
+  if (!country && Number.isNaN(latitude)) {
+    return null;
+  }
+
+  return {
+    country,
+    region: req.headers['x-geo-region'],
+    city: req.headers['x-geo-city'],
+    latitude: Number.isNaN(latitude) ? undefined : latitude,
+    longitude: Number.isNaN(longitude) ? undefined : longitude
+  };
+};
+
+let resolver = headerResolver;
+
+/**
+ * Replace the location resolver; passing null restores the header-based default
+ */
+const setGeoResolver = (customResolver) => {
+  resolver = customResolver || headerResolver;
+};
+
+/**
+ * Resolve the location of a request; null when unknown
+ * Lookup errors are logged and treated as an unknown location.
+ */
+const getRequestLocation = async (req) => {
+  const ipAddress = getClientIp(req);
+
+  if (isLocalhost(ipAddress)) {
+    return null;
+  }
+
+  try {
+    return (await resolver(ipAddress, req)) || null;
+  } catch (error) {
+    console.error('GeoIP lookup error:', error);
+    return null;
+  }
+};
+
+/**
+ * Great-circle distance in kilometres between two { latitude, longitude } points
+ */
+const distanceKm = (from, to) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+module.exports = {
+  getRequestLocation,
+  setGeoResolver,
+  distanceKm
+};
@@ -1,27 +1,78 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+
+// Audience of MFA challenge tokens - never accepted as an access token
+const MFA_CHALLENGE_AUDIENCE = 'mfa-challenge';
+
+const getMFAChallengeSecret = () => process.env.JWT_MFA_SECRET || process.env.JWT_SECRET;
 
 /**
  * Generate JWT access token
+ * The jti lets a single token be revoked through the denylist
  */
-const generateAccessToken = (userId, role) => {
+const generateAccessToken = (userId, role, sessionId) => {
+  const payload = { id: userId, role };
+  if (sessionId) {
+    payload.sid = sessionId.toString();
+  }
+
   return jwt.sign(
-    { id: userId, role },
+    payload,
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '24h' }
+    {
+      expiresIn: process.env.JWT_EXPIRE || '24h',
+      jwtid: crypto.randomUUID()
+    }
   );
 };
 
 /**
  * Generate JWT refresh token
+ * Each token carries a random jti so two rotations never produce the same token
  */
-const generateRefreshToken = (userId) => {
+const generateRefreshToken = (userId, sessionId) => {
+  const payload = { id: userId };
+  if (sessionId) {
+    payload.sid = sessionId.toString();
+  }
+
   return jwt.sign(
-    { id: userId },
+    payload,
     process.env.JWT_REFRESH_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d' }
+    {
+      expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d',
+      jwtid: crypto.randomUUID()
+    }
   );
 };
 
+/**
+ * Generate short-lived MFA challenge token
+ * Only proves the password step succeeded for one pending challenge.
+ */
+const generateMFAChallengeToken = (userId, challengeId) => {
+  return jwt.sign(
+    { id: userId },
+    getMFAChallengeSecret(),
+    {
+      expiresIn: process.env.MFA_CHALLENGE_EXPIRE || '5m',
+      audience: MFA_CHALLENGE_AUDIENCE,
+      jwtid: challengeId.toString()
+    }
+  );
+};
+
+/**
+ * Verify MFA challenge token
+ */
+const verifyMFAChallengeToken = (token) => {
+  try {
+    return jwt.verify(token, getMFAChallengeSecret(), { audience: MFA_CHALLENGE_AUDIENCE });
+  } catch (error) {
+    throw new Error('Invalid or expired MFA challenge');
+  }
+};
+
 /**
  * Verify JWT token
  */
@@ -34,7 +85,10 @@ const verifyToken = (token, secret = process.env.JWT_SECRET) => {
 };
 
 module.exports = {
+  MFA_CHALLENGE_AUDIENCE,
   generateAccessToken,
   generateRefreshToken,
+  generateMFAChallengeToken,
+  verifyMFAChallengeToken,
   verifyToken
 };
@@ -0,0 +1,210 @@
+const AuditLog = require('../models/AuditLog');
+const { getClientIp } = require('./ipHelper');
+const { describeDevice } = require('./session');
+const { getRequestLocation, distanceKm } = require('./geoip');
+const { sendMail } = require('./mailer');
+
+// Points each signal adds to the risk score (capped at 100)
+const SIGNAL_WEIGHTS = {
+  NEW_IP: 20,
+  NEW_DEVICE: 15,
+  IMPOSSIBLE_TRAVEL: 50,
+  OFF_HOURS: 10,
+  IP_FAILURE_BURST: 40
+};
+
+// How far back successful logins are compared against
+const HISTORY_DAYS = 90;
+const HISTORY_LIMIT = 100;
+
+// Distances this small are within GeoIP accuracy
+const MIN_TRAVEL_DISTANCE_KM = 100;
+
+/**
+ * Hour of the day (0-23) in the given IANA time zone
+ */
+const getLocalHour = (date, timezone) => {
+  try {
+    return parseInt(new Intl.DateTimeFormat('en-US', {
+      hour: 'numeric',
+      hourCycle: 'h23',
+      timeZone: timezone
+    }).format(date), 10);
+  } catch (error) {
+    // Unknown time zone in the policy
+    return date.getUTCHours();
+  }
+};
+
+const hasCoordinates = (location) =>
+  typeof location?.latitude === 'number' && typeof location?.longitude === 'number';
+
+const describeLocation = (location) =>
+  [location?.city, location?.region, location?.country].filter(Boolean).join(', ') || 'an unknown location';
+
+/**
+ * Score a login attempt against the account's sign-in history in AuditLog
+ * @param {Object} context - { user, ipAddress, userAgent, location, now }
+ * @param {Object} policy - loginRisk section of the security policy
+ * @returns {Promise<Object>} - { score, decision, signals }
+ */
+const evaluateLoginRisk = async ({ user, ipAddress, userAgent, location, now = new Date() }, policy) => {
+  const signals = [];
+  const addSignal = (code, detail) => signals.push({ code, weight: SIGNAL_WEIGHTS[code], detail });
+
+  const history = await AuditLog.find({
+    user: user._id,
+    action: 'LOGIN',
+    status: 'SUCCESS',
+    timestamp: { $gte: new Date(now.getTime() - HISTORY_DAYS * 24 * 60 * 60 * 1000) }
+  })
+    .sort({ timestamp: -1 })
+    .limit(HISTORY_LIMIT)
+    .select('ipAddress userAgent location timestamp')
+    .lean();
+
+  // Without earlier logins there is nothing to call "new"
+  if (history.length > 0) {
+    if (!history.some((entry) => entry.ipAddress === ipAddress)) {
+      addSignal('NEW_IP', `First sign-in from IP ${ipAddress}`);
+    }
+
+    const device = describeDevice(userAgent);
+    if (!history.some((entry) => describeDevice(entry.userAgent) === device)) {
+      addSignal('NEW_DEVICE', `First sign-in from ${device}`);
+    }
+
+    const previous = history[0];
+    if (hasCoordinates(location) && hasCoordinates(previous.location)) {
+      const distance = distanceKm(previous.location, location);
+      const hours = Math.max((now - new Date(previous.timestamp)) / (60 * 60 * 1000), 1 / 60);
+      const speed = distance / hours;
+
+      if (distance >= MIN_TRAVEL_DISTANCE_KM && speed > policy.maxTravelSpeedKmh) {
+        addSignal(
+          'IMPOSSIBLE_TRAVEL',
+          `${Math.round(distance)} km from ${describeLocation(previous.location)} in ${hours.toFixed(1)} h (${Math.round(speed)} km/h)`
+        );
+      }
+    }
+  }
+
+  const hour = getLocalHour(now, policy.timezone);
+  if (hour < policy.businessHoursStart || hour >= policy.businessHoursEnd) {
+    addSignal('OFF_HOURS', `Sign-in at ${hour}:00 (${policy.timezone})`);
+  }
+
+  // Many accounts failing from one address looks like password spraying
+  const burstFilter = {
+    action: 'LOGIN_FAILED',
+    ipAddress,
+    timestamp: { $gte: new Date(now.getTime() - policy.failureBurstWindowMinutes * 60 * 1000) }
+  };
+  const failedAccounts = await AuditLog.distinct('userEmail', burstFilter);
+  if (failedAccounts.length >= policy.failureBurstAccounts) {
+    addSignal(
+      'IP_FAILURE_BURST',
+      `Failed sign-ins for ${failedAccounts.length} accounts from ${ipAddress} in the last ${policy.failureBurstWindowMinutes} minutes`
+    );
+  }
+
+  const score = Math.min(signals.reduce((total, signal) => total + signal.weight, 0), 100);
+
+  let decision = 'allow';
+  if (score >= policy.blockThreshold) {
+    decision = 'block';
+  } else if (score >= policy.stepUpThreshold) {
+    decision = 'step_up';
+  } else if (score >= policy.notifyThreshold) {
+    decision = 'notify';
+  }
+
+  return { score, decision, signals };
+};
+
+/**
+ * Email the account owner about an unusual sign-in (in the background)
+ */
+const notifyAccountOwner = (user, assessment, { ipAddress, userAgent, location, now }) => {
+  const outcome = {
+    block: 'We blocked this sign-in.',
+    step_up: 'We asked for an extra verification step before allowing it.',
+    notify: 'The sign-in was allowed.'
+  }[assessment.decision];
+
+  sendMail({
+    to: user.email,
+    subject: 'Unusual sign-in to your SecureEHR account',
+    text: [
+      `Hello ${user.firstName},`,
+      '',
+      'We noticed a sign-in to your account that looks different from usual:',
+      `- Time: ${now.toISOString()}`,
+      `- IP address: ${ipAddress}`,
+      `- Device: ${describeDevice(userAgent)}`,
+      `- Location: ${describeLocation(location)}`,
+      ...assessment.signals.map((signal) => `- ${signal.detail}`),
+      '',
+      outcome,
+      'If this was not you, reset your password and contact your administrator.'
+    ].join('\n')
+  }).catch((error) => {
+    console.error('Login risk notification error:', error);
+  });
+};
+
+/**
+ * Evaluate a login whose password was correct, audit the decision with its
+ * signals and notify the account owner when the score calls for it.
+ * @param {Object} user - User document
+ * @param {Object} req - Express request
+ * @param {Object} policy - loginRisk section of the security policy
+ * @returns {Promise<Object>} - { score, decision, signals, location }
+ */
+const assessLoginRisk = async (user, req, policy) => {
+  const context = {
+    user,
+    ipAddress: getClientIp(req),
+    userAgent: req.headers['user-agent'],
+    location: await getRequestLocation(req),
+    now: new Date()
+  };
+
+  if (!policy.enabled) {
+    return { score: 0, decision: 'allow', signals: [], location: context.location };
+  }
+
+  const assessment = await evaluateLoginRisk(context, policy);
+
+  await AuditLog.createLog({
+    user: user._id,
+    userEmail: user.email,
+    userRole: user.role,
+    action: 'LOGIN_RISK_ASSESSED',
+    resourceType: 'User',
+    resourceId: user._id,
+    timestamp: context.now,
+    ipAddress: context.ipAddress,
+    userAgent: context.userAgent,
+    location: context.location || undefined,
+    status: assessment.decision === 'block' ? 'DENIED' : 'SUCCESS',
+    risk: assessment,
+    details: assessment.decision === 'block'
+      ? { denialReason: `Login risk score ${assessment.score} reached the block threshold` }
+      : undefined,
+    hospitalId: user.attributes?.hospitalId,
+    department: user.attributes?.department
+  });
+
+  if (assessment.decision !== 'allow') {
+    notifyAccountOwner(user, assessment, context);
+  }
+
+  return { ...assessment, location: context.location };
+};
+
+module.exports = {
+  SIGNAL_WEIGHTS,
+  evaluateLoginRisk,
+  assessLoginRisk
+};
@@ -0,0 +1,99 @@
+const { getRateLimitStore } = require('./rateLimitStore');
+const { isCaptchaEnabled } = require('./captcha');
+
+/**
+ * Failed-login throttling keyed by account and by IP address.
+ * Counters live in the shared rate limit store, so every API instance sees
+ * the same failures. Past a few free failures each further one doubles the
+ * wait before the next attempt; past a higher count a CAPTCHA is required.
+ */
+
+// An IP is shared by everyone behind a hospital NAT, so it gets more room than an account
+const LIMITS = {
+  account: { freeAttempts: 3, captchaAfter: 5 },
+  ip: { freeAttempts: 30, captchaAfter: 15 }
+};
+
+const BASE_DELAY_MS = 1000;
+
+const getSettings = () => ({
+  windowMs: (parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 60) * 60 * 1000,
+  maxDelayMs: (parseInt(process.env.LOGIN_MAX_DELAY_SECONDS) || 15 * 60) * 1000
+});
+
+const accountKey = (email) => `login:account:${String(email).toLowerCase().trim()}`;
+const ipKey = (ipAddress) => `login:ip:${ipAddress}`;
+
+// Wait required after this many failures: 1s, 2s, 4s, ... up to maxDelayMs
+const delayFor = (failures, limits, maxDelayMs) => {
+  if (failures <= limits.freeAttempts) {
+    return 0;
+  }
+  return Math.min(BASE_DELAY_MS * 2 ** (failures - limits.freeAttempts - 1), maxDelayMs);
+};
+
+const describeCounter = (counter, limits, settings) => {
+  const failures = counter?.count || 0;
+  const delay = delayFor(failures, limits, settings.maxDelayMs);
+  const retryAfterMs = delay > 0
+    ? Math.max(new Date(counter.lastAt).getTime() + delay - Date.now(), 0)
+    : 0;
+
+  return { failures, retryAfterMs, captchaRequired: failures >= limits.captchaAfter };
+};
+
+const combine = (account, ip) => ({
+  failures: account.failures,
+  retryAfterMs: Math.max(account.retryAfterMs, ip.retryAfterMs),
+  captchaRequired: isCaptchaEnabled() && (account.captchaRequired || ip.captchaRequired)
+});
+
+/**
+ * Current throttle state for a login attempt
+ * @returns {Promise<Object>} - { failures, retryAfterMs, captchaRequired }
+ */
+const getLoginThrottleStatus = async (email, ipAddress) => {
+  const store = getRateLimitStore();
+  const settings = getSettings();
+  const [account, ip] = await Promise.all([
+    store.get(accountKey(email)),
+    store.get(ipKey(ipAddress))
+  ]);
+
+  return combine(
+    describeCounter(account, LIMITS.account, settings),
+    describeCounter(ip, LIMITS.ip, settings)
+  );
+};
+
+/**
+ * Count a failed login against the account and the IP address
+ * @returns {Promise<Object>} - State for the next attempt: { failures, retryAfterMs, captchaRequired }
+ */
+const recordLoginFailure = async (email, ipAddress) => {
+  const store = getRateLimitStore();
+  const settings = getSettings();
+  const [account, ip] = await Promise.all([
+    store.increment(accountKey(email), settings.windowMs),
+    store.increment(ipKey(ipAddress), settings.windowMs)
+  ]);
+
+  return combine(
+    describeCounter(account, LIMITS.account, settings),
+    describeCounter(ip, LIMITS.ip, settings)
+  );
+};
+
+/**
+ * Forget an account's failures after a successful login or an admin unlock.
+ * The IP counter is kept so one valid account cannot hide a spraying run.
+ */
+const clearLoginFailures = async (email) => {
+  await getRateLimitStore().reset(accountKey(email));
+};
+
+module.exports = {
+  getLoginThrottleStatus,
+  recordLoginFailure,
+  clearLoginFailures
+};
@@ -0,0 +1,83 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Outgoing mail with a pluggable transport.
+ * A transport is any object with `send({ to, subject, text, html })`.
+ *
+ * MAIL_TRANSPORT selects the built-in transport:
+ * - file (default): writes each message as JSON to MAIL_FILE_DIR
+ * - smtp: sends through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+ */
+
+const createFileTransport = (directory = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'mail-outbox')) => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.mkdir(directory, { recursive: true });
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    await fs.writeFile(
+      path.join(directory, fileName),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+    return { id: fileName };
+  }
+});
+
+const createSmtpTransport = () => {
+  // Loaded lazily so the file transport works without SMTP configured
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = process.env.MAIL_TRANSPORT === 'smtp'
+      ? createSmtpTransport()
+      : createFileTransport();
+  }
+  return transport;
+};
+
+/**
+ * Replace the active transport (e.g. an in-memory stub)
+ * Passing null goes back to the MAIL_TRANSPORT default.
+ */
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Send an email through the active transport
+ * @param {Object} message - { to, subject, text, html }
+ */
+const sendMail = async (message) => {
+  return await getTransport().send({
+    from: process.env.MAIL_FROM || 'SecureEHR <no-reply@localhost>',
+    ...message
+  });
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  createFileTransport,
+  createSmtpTransport
+};
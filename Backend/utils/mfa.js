@@ -1,5 +1,10 @@
 const speakeasy = require('speakeasy');
 const qrcode = require('qrcode');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+// Unambiguous characters for backup codes (no 0/O, 1/I/L)
+const BACKUP_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
 
 /**
  * Generate MFA secret for user
@@ -43,19 +48,124 @@ const verifyMFAToken = (secret, token) => {
 
 /**
  * Generate backup codes for MFA
+ * Uses the CSPRNG; codes look like "7KQM-X2PD"
  */
 const generateBackupCodes = (count = 10) => {
   const codes = [];
   for (let i = 0; i < count; i++) {
-    const code = Math.random().toString(36).substring(2, 10).toUpperCase();
-    codes.push(code);
+    let code = '';
+    for (let j = 0; j < 8; j++) {
+      code += BACKUP_CODE_ALPHABET[crypto.randomInt(BACKUP_CODE_ALPHABET.length)];
+    }
+    codes.push(`${code.slice(0, 4)}-${code.slice(4)}`);
   }
   return codes;
 };
 
+/**
+ * Generate a 6-digit one-time code sent by email for login step-up
+ */
+const generateEmailCode = () => {
+  return crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+};
+
+/**
+ * Normalize a backup code as typed by the user (case, spaces and dashes ignored)
+ */
+const normalizeBackupCode = (code) => {
+  return String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+};
+
+/**
+ * Hash backup codes for storage, the same way passwords are hashed
+ */
+const hashBackupCodes = async (codes) => {
+  return await Promise.all(
+    codes.map(code => bcrypt.hash(normalizeBackupCode(code), 10))
+  );
+};
+
+/**
+ * Find the stored hash matching a backup code
+ * @returns {string|null} - Matching hash, or null if the code is not valid
+ */
+const findBackupCodeHash = async (code, hashedCodes = []) => {
+  const normalized = normalizeBackupCode(code);
+  if (normalized.length !== 8) {
+    return null;
+  }
+
+  for (const hashedCode of hashedCodes) {
+    try {
+      if (await bcrypt.compare(normalized, hashedCode)) {
+        return hashedCode;
+      }
+    } catch (error) {
+      // Not a bcrypt hash - ignore
+    }
+  }
+  return null;
+};
+
+/**
+ * List the second factors a user has enrolled ('totp', 'webauthn')
+ * Expects mfa.secret and mfa.webauthnCredentials to be selected.
+ */
+const getMFAMethods = (user) => {
+  const methods = [];
+  if (user.mfa?.enabled && user.mfa.secret) {
+    methods.push('totp');
+  }
+  if (user.mfa?.webauthnCredentials?.length > 0) {
+    methods.push('webauthn');
+  }
+  return methods;
+};
+
+/**
+ * Whether the user has any second factor enrolled
+ * Only needs the default fields plus mfa.webauthnCredentials.
+ */
+const isMFAEnrolled = (user) => {
+  return !!user.mfa?.enabled || user.mfa?.webauthnCredentials?.length > 0;
+};
+
+/**
+ * Evaluate the organization MFA policy for a user
+ * @param {Object} user - User document (with mfa.webauthnCredentials selected)
+ * @param {Object} policy - SecurityPolicy document
+ * @returns {Object} - { required, enrolled, deadline, mustEnroll }
+ */
+const getMFAEnrollmentStatus = (user, policy) => {
+  const required = policy.mfa.requiredRoles.includes(user.role);
+  const enrolled = isMFAEnrolled(user);
+
+  if (!required || enrolled) {
+    return { required, enrolled, deadline: null, mustEnroll: false };
+  }
+
+  // Grace period starts when the role became required, or at account creation if later
+  const enforcedAt = policy.mfa.roleEnforcedAt?.get(user.role) || policy.createdAt;
+  const start = Math.max(new Date(enforcedAt).getTime(), new Date(user.createdAt || 0).getTime());
+  const deadline = new Date(start + policy.mfa.gracePeriodDays * 24 * 60 * 60 * 1000);
+
+  return {
+    required,
+    enrolled,
+    deadline,
+    mustEnroll: Date.now() >= deadline.getTime()
+  };
+};
+
 module.exports = {
   generateMFASecret,
   generateQRCode,
   verifyMFAToken,
-  generateBackupCodes
+  generateBackupCodes,
+  generateEmailCode,
+  hashBackupCodes,
+  findBackupCodeHash,
+  getMFAMethods,
+  isMFAEnrolled,
+  getMFAEnrollmentStatus
 };
@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Minimal OpenID Connect relying party for hospital single sign-on.
+ * Authorization code flow with PKCE (S256), client_secret_post at the token
+ * endpoint and RS256/ES256 ID tokens checked against the provider's JWKS.
+ * Provider settings live on each Hospital's `sso` section.
+ */
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const JWKS_TTL_MS = 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 5000;
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+// Highest-privilege local role wins when several IdP values map
+const ROLE_PRIORITY = ['admin', 'doctor', 'nurse', 'staff'];
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const normalizeIssuer = (issuer) => String(issuer || '').replace(/\/+$/, '');
+
+const getRedirectUri = () => {
+  return process.env.OIDC_REDIRECT_URI || 'http://localhost:5000/api/auth/sso/callback';
+};
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(HTTP_TIMEOUT_MS) });
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const reason = body.error_description || body.error || response.statusText;
+    throw new Error(`${url} answered ${response.status}: ${reason}`);
+  }
+  return body;
+};
+
+/**
+ * Provider metadata from {issuer}/.well-known/openid-configuration
+ */
+const discover = async (issuer) => {
+  const key = normalizeIssuer(issuer);
+  const cached = discoveryCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.metadata;
+  }
+
+  const metadata = await fetchJson(`${key}/.well-known/openid-configuration`);
+  if (normalizeIssuer(metadata.issuer) !== key) {
+    throw new Error(`Discovery document issuer ${metadata.issuer} does not match ${key}`);
+  }
+
+  discoveryCache.set(key, { metadata, expiresAt: Date.now() + DISCOVERY_TTL_MS });
+  return metadata;
+};
+
+/**
+ * Public key for a kid; the key set is fetched again once when the kid is
+ * unknown, so the provider can rotate keys without a restart
+ */
+const getSigningKey = async (metadata, kid) => {
+  const findKey = (keys) => keys.find((key) => (kid ? key.kid === kid : key.use !== 'enc'));
+
+  let cached = jwksCache.get(metadata.jwks_uri);
+  let jwk = cached && cached.expiresAt > Date.now() ? findKey(cached.keys) : null;
+
+  if (!jwk) {
+    const { keys = [] } = await fetchJson(metadata.jwks_uri);
+    cached = { keys, expiresAt: Date.now() + JWKS_TTL_MS };
+    jwksCache.set(metadata.jwks_uri, cached);
+    jwk = findKey(keys);
+  }
+
+  if (!jwk) {
+    throw new Error(`No signing key${kid ? ` ${kid}` : ''} in the provider's key set`);
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+/**
+ * Random state, nonce and PKCE verifier for a new sign-in
+ */
+const createLoginParams = () => {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  return {
+    state: base64url(crypto.randomBytes(24)),
+    nonce: base64url(crypto.randomBytes(24)),
+    codeVerifier,
+    codeChallenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest())
+  };
+};
+
+/**
+ * URL of the provider's authorization endpoint for this sign-in
+ */
+const buildAuthorizationUrl = async (sso, { state, nonce, codeChallenge }) => {
+  const metadata = await discover(sso.issuer);
+  const url = new URL(metadata.authorization_endpoint);
+
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: sso.clientId,
+    redirect_uri: getRedirectUri(),
+    scope: sso.scopes || 'openid profile email',
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return url.toString();
+};
+
+/**
+ * Check an ID token's signature, issuer, audience, expiry and nonce
+ * @returns {Promise<Object>} - The token's claims
+ */
+const verifyIdToken = async (sso, idToken, nonce) => {
+  const metadata = await discover(sso.issuer);
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('ID token is not a JWT');
+  }
+
+  const key = await getSigningKey(metadata, decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ['RS256', 'ES256'],
+    issuer: metadata.issuer,
+    audience: sso.clientId,
+    clockTolerance: CLOCK_TOLERANCE_SECONDS
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce does not match this sign-in');
+  }
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== sso.clientId) {
+    throw new Error('ID token was issued to another client');
+  }
+  if (!claims.sub) {
+    throw new Error('ID token has no subject');
+  }
+
+  return claims;
+};
+
+/**
+ * Trade the authorization code for tokens and return the verified ID token claims.
+ * Claims from the userinfo endpoint fill in anything the ID token leaves out.
+ */
+const exchangeCode = async (sso, { code, codeVerifier, nonce }) => {
+  const metadata = await discover(sso.issuer);
+
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: getRedirectUri(),
+      client_id: sso.clientId,
+      client_secret: sso.clientSecret || '',
+      code_verifier: codeVerifier
+    })
+  });
+
+  if (!tokens.id_token) {
+    throw new Error('Token response has no ID token');
+  }
+
+  const claims = await verifyIdToken(sso, tokens.id_token, nonce);
+
+  if (metadata.userinfo_endpoint && tokens.access_token) {
+    try {
+      const userinfo = await fetchJson(metadata.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` }
+      });
+      // Userinfo for another subject must be ignored (OIDC Core 5.3.2)
+      if (userinfo.sub === claims.sub) {
+        return { ...userinfo, ...claims };
+      }
+    } catch (error) {
+      console.error('OIDC userinfo error:', error.message);
+    }
+  }
+
+  return claims;
+};
+
+/**
+ * Read a claim by name or dotted path (e.g. realm_access.roles)
+ */
+const getClaim = (claims, path) => {
+  if (!path) {
+    return undefined;
+  }
+  if (Object.prototype.hasOwnProperty.call(claims, path)) {
+    return claims[path];
+  }
+  return path.split('.').reduce((value, part) => (value == null ? undefined : value[part]), claims);
+};
+
+const toList = (value) => {
+  if (value == null) {
+    return [];
+  }
+  if (Array.isArray(value)) {
+    return value.map(String);
+  }
+  // Some providers send space or comma separated strings
+  return String(value).split(/[\s,]+/).filter(Boolean);
+};
+
+const readMapping = (mapping, key) => {
+  if (!mapping) {
+    return undefined;
+  }
+  return mapping instanceof Map ? mapping.get(key) : mapping[key];
+};
+
+/**
+ * Local role and department for a set of claims, using the hospital's mapping
+ * @param {Object} claims - Verified ID token claims
+ * @param {Object} sso - Hospital SSO settings
+ * @param {Array<String>} departments - Allowed department values
+ * @returns {Object} - { role, department }; role is null when the user may not sign in
+ */
+const mapClaims = (claims, sso, departments = []) => {
+  const mappedRoles = toList(getClaim(claims, sso.roleClaim || 'roles'))
+    .map((value) => readMapping(sso.roleMapping, value))
+    .filter(Boolean);
+
+  const role = ROLE_PRIORITY.find((candidate) => mappedRoles.includes(candidate))
+    || sso.defaultRole
+    || null;
+
+  const rawDepartment = toList(getClaim(claims, sso.departmentClaim || 'department'))[0];
+  const mappedDepartment = rawDepartment
+    ? (readMapping(sso.departmentMapping, rawDepartment) || rawDepartment).toLowerCase()
+    : undefined;
+  const department = departments.includes(mappedDepartment) ? mappedDepartment : undefined;
+
+  return { role, department };
+};
+
+module.exports = {
+  discover,
+  createLoginParams,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  getClaim,
+  mapClaims,
+  getRedirectUri
+};
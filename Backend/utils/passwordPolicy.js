@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const SecurityPolicy = require('../models/SecurityPolicy');
+
+const COMMON_PASSWORDS_FILE = path.join(__dirname, '..', 'config', 'common-passwords.txt');
+const MAX_PASSWORD_LENGTH = 128;
+const TEMPORARY_PASSWORD_LENGTH = 16;
+
+// Look-alike characters (0/O, 1/l/I) are left out so temporary passwords can be read out
+const TEMPORARY_PASSWORD_CLASSES = [
+  'abcdefghijkmnopqrstuvwxyz',
+  'ABCDEFGHJKLMNPQRSTUVWXYZ',
+  '23456789',
+  '!@#$%^&*-_=+?'
+];
+
+let commonPasswords = null;
+
+/**
+ * Load the bundled common/breached password list once
+ */
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    commonPasswords = new Set(
+      fs.readFileSync(COMMON_PASSWORDS_FILE, 'utf8')
+        .split(/\r?\n/)
+        .map((line) => line.trim().toLowerCase())
+        .filter((line) => line && !line.startsWith('#'))
+    );
+  }
+  return commonPasswords;
+};
+
+/**
+ * Forms of a password to look up in the common list:
+ * as typed, with common substitutions undone, and without a trailing number/symbol suffix
+ * (so "Hospital2024!" is treated like "hospital")
+ */
+const commonPasswordCandidates = (password) => {
+  const lower = password.toLowerCase();
+  const unleet = lower
+    .replace(/@/g, 'a')
+    .replace(/\$/g, 's')
+    .replace(/0/g, 'o')
+    .replace(/3/g, 'e');
+  const candidates = [lower, unleet];
+
+  for (const value of [lower, unleet]) {
+    const base = value.replace(/[^a-z]+$/, '');
+    if (base.length >= 4) {
+      candidates.push(base);
+    }
+  }
+
+  return candidates;
+};
+
+const countCharacterClasses = (password) => {
+  return [/[a-z]/, /[A-Z]/, /[0-9]/, /[^A-Za-z0-9]/]
+    .filter((pattern) => pattern.test(password))
+    .length;
+};
+
+/**
+ * Get the password section of the current security policy
+ */
+const getPasswordPolicy = async () => {
+  const policy = await SecurityPolicy.getCurrent();
+  return policy.password;
+};
+
+/**
+ * Check a candidate password against the organization policy
+ * @param {string} password - Plain-text candidate
+ * @param {Object} options
+ * @param {Object} options.user - User (or user fields) the password is for; with
+ *   password and passwordHistory selected, reuse of recent passwords is rejected
+ * @param {Object} options.policy - Password policy (defaults to the current one)
+ * @returns {string[]} - Policy violations; empty when the password is acceptable
+ */
+const validatePassword = async (password, { user = {}, policy } = {}) => {
+  const rules = policy || await getPasswordPolicy();
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length === 0) {
+    return ['Password is required'];
+  }
+
+  if (password.length < rules.minLength) {
+    errors.push(`Password must be at least ${rules.minLength} characters long`);
+  }
+
+  if (password.length > MAX_PASSWORD_LENGTH) {
+    errors.push(`Password must be at most ${MAX_PASSWORD_LENGTH} characters long`);
+  }
+
+  if (countCharacterClasses(password) < rules.minCharacterClasses) {
+    errors.push(
+      `Password must contain at least ${rules.minCharacterClasses} of: lowercase letters, uppercase letters, numbers, symbols`
+    );
+  }
+
+  if (rules.rejectCommonPasswords) {
+    const common = getCommonPasswords();
+    if (commonPasswordCandidates(password).some((candidate) => common.has(candidate))) {
+      errors.push('Password is too common or has appeared in a data breach');
+    }
+  }
+
+  // Personal details are easy to guess
+  const lower = password.toLowerCase();
+  const personal = [user.username, user.email?.split('@')[0], user.firstName, user.lastName]
+    .filter((value) => value && value.length >= 3)
+    .map((value) => value.toLowerCase());
+  if (personal.some((value) => lower.includes(value))) {
+    errors.push('Password must not contain your name, username or email');
+  }
+
+  // No reuse of the current or recent passwords
+  if (errors.length === 0 && rules.historyCount > 0) {
+    const previousHashes = [
+      user.password,
+      ...(user.passwordHistory || []).slice(0, rules.historyCount).map((entry) => entry.hash)
+    ].filter(Boolean);
+
+    for (const hash of previousHashes) {
+      if (await bcrypt.compare(password, hash)) {
+        errors.push(`Password must not match any of your last ${rules.historyCount} passwords`);
+        break;
+      }
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Set a new password and keep the previous hash in the history
+ * The user must have password and passwordHistory selected; call save() afterwards.
+ */
+const applyPasswordChange = (user, newPassword, policy) => {
+  if (user.password && policy.historyCount > 0) {
+    user.passwordHistory = [
+      { hash: user.password, changedAt: user.passwordChangedAt || user.createdAt },
+      ...(user.passwordHistory || [])
+    ].slice(0, policy.historyCount);
+  }
+
+  user.password = newPassword;
+  user.mustChangePassword = false;
+  // A user created by SSO now has a password of their own, which can expire
+  if (user.sso?.provisioned) {
+    user.sso.provisioned = false;
+  }
+  // One second back so tokens issued in the same second as the change stay valid
+  user.passwordChangedAt = new Date(Date.now() - 1000);
+};
+
+/**
+ * Whether the user's password is older than the policy allows
+ */
+const isPasswordExpired = (user, policy) => {
+  if (!policy.maxAgeDays) {
+    return false;
+  }
+
+  const setAt = user.passwordChangedAt || user.createdAt;
+  if (!setAt) {
+    return false;
+  }
+
+  return Date.now() - new Date(setAt).getTime() > policy.maxAgeDays * 24 * 60 * 60 * 1000;
+};
+
+/**
+ * Whether the user has to pick a new password before doing anything else:
+ * they were given a temporary one, or theirs has expired.
+ * Users created by SSO never chose a local password, so it does not expire.
+ */
+const requiresPasswordChange = (user, policy) => {
+  if (user.mustChangePassword) {
+    return true;
+  }
+  return !user.sso?.provisioned && isPasswordExpired(user, policy);
+};
+
+/**
+ * Generate a random temporary password that satisfies the policy
+ * It contains every character class and is at least TEMPORARY_PASSWORD_LENGTH long.
+ */
+const generateTemporaryPassword = (policy) => {
+  const length = Math.max(TEMPORARY_PASSWORD_LENGTH, policy?.minLength || 0);
+  const alphabet = TEMPORARY_PASSWORD_CLASSES.join('');
+  const pick = (characters) => characters[crypto.randomInt(characters.length)];
+
+  const characters = TEMPORARY_PASSWORD_CLASSES.map(pick);
+  while (characters.length < length) {
+    characters.push(pick(alphabet));
+  }
+
+  // Fisher-Yates shuffle so the guaranteed characters are not always first
+  for (let i = characters.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [characters[i], characters[j]] = [characters[j], characters[i]];
+  }
+
+  return characters.join('');
+};
+
+/**
+ * Public description of the policy, for showing the rules in forms
+ */
+const describePasswordPolicy = (policy) => ({
+  minLength: policy.minLength,
+  maxLength: MAX_PASSWORD_LENGTH,
+  minCharacterClasses: policy.minCharacterClasses,
+  rejectCommonPasswords: policy.rejectCommonPasswords,
+  historyCount: policy.historyCount,
+  maxAgeDays: policy.maxAgeDays
+});
+
+module.exports = {
+  getPasswordPolicy,
+  validatePassword,
+  applyPasswordChange,
+  isPasswordExpired,
+  requiresPasswordChange,
+  generateTemporaryPassword,
+  describePasswordPolicy
+};
@@ -0,0 +1,32 @@
+const Patient = require('../models/Patient');
+const EHR = require('../models/EHR');
+
+const isObjectId = (value) => /^[0-9a-fA-F]{24}$/.test(String(value));
+
+/**
+ * Patient a request is about. EHR routes carry the EHR id (or the patient in
+ * the body when creating one); patient routes carry the patient's _id or
+ * P-xxx patientId.
+ * @returns {Promise<Patient|null>}
+ */
+const findTargetPatient = async (req) => {
+  if (req.baseUrl.endsWith('/ehr') && !req.params.patientId) {
+    if (!req.params.id) {
+      return req.body?.patient && isObjectId(req.body.patient) ? await Patient.findById(req.body.patient) : null;
+    }
+    const ehr = isObjectId(req.params.id) ? await EHR.findById(req.params.id).select('patient') : null;
+    return ehr ? await Patient.findById(ehr.patient) : null;
+  }
+
+  const searchId = req.params.id || req.params.patientId;
+  if (!searchId) {
+    return null;
+  }
+  return isObjectId(searchId)
+    ? await Patient.findById(searchId)
+    : await Patient.findOne({ patientId: String(searchId) });
+};
+
+module.exports = {
+  findTargetPatient
+};
@@ -0,0 +1,96 @@
+/**
+ * Named permissions checked by `authorize(...)`.
+ *
+ * A user's permissions are the union of:
+ *   - the bundle for their built-in role (User.role)
+ *   - custom roles assigned to them (models/Role), when the role is
+ *     organization-wide or scoped to the user's hospital
+ *   - extra grants on the user (User.extraPermissions), e.g. a charge nurse
+ *     allowed to assign providers
+ */
+const PERMISSIONS = {
+  'patient:create': 'Register new patients',
+  'patient:update': 'Edit patient demographics',
+  'patient:assign': 'Assign doctors and nurses to patients',
+  'patient:consent': 'Record patient consent',
+  'patient:delete': 'Deactivate patients',
+  'patient:delegate': 'Temporarily hand assigned patients to a colleague',
+  'patient:portal-account': 'Create patient portal accounts',
+  'patient:portal-reset': 'Reset patient portal passwords',
+  'ehr:read': 'List EHRs for assigned patients',
+  'ehr:create': 'Create EHRs',
+  'ehr:update': 'Edit draft EHRs',
+  'ehr:amend': 'Amend signed EHRs',
+  'ehr:sign': 'Sign (finalize) EHRs',
+  'ehr:delete': 'Archive EHRs',
+  'break-glass:use': 'Use emergency break-glass access',
+  'break-glass:review': 'Review break-glass use as a privacy officer',
+  'audit:read': 'Read audit logs and break-glass reports',
+  'delegation:manage': 'View and revoke every delegation',
+  'user:read': 'View user accounts and system statistics',
+  'user:manage': 'Edit, unlock, suspend and sign out user accounts',
+  'role:manage': 'Manage custom roles and user permission grants',
+  'security:manage': 'Manage security, access policies and provisioning tokens',
+  'hospital:manage': 'Manage the hospital network',
+  'portal:access': 'Use the patient portal for one\'s own record'
+};
+
+const PERMISSION_NAMES = Object.keys(PERMISSIONS);
+
+// Bundles for the built-in roles, matching the routes each role could use before permissions existed
+const BUILT_IN_ROLE_PERMISSIONS = {
+  admin: PERMISSION_NAMES.filter((permission) => permission !== 'portal:access'),
+  doctor: [
+    'patient:create', 'patient:update', 'patient:assign', 'patient:consent', 'patient:delegate',
+    'patient:portal-account',
+    'ehr:read', 'ehr:create', 'ehr:update', 'ehr:amend', 'ehr:sign',
+    'break-glass:use'
+  ],
+  nurse: [
+    'patient:create', 'patient:update', 'patient:consent', 'patient:delegate',
+    'ehr:read', 'ehr:create', 'ehr:update',
+    'break-glass:use'
+  ],
+  staff: [],
+  patient: ['portal:access']
+};
+
+const isPermission = (name) => PERMISSION_NAMES.includes(name);
+
+/**
+ * Whether a custom role applies to a user: organization-wide roles apply
+ * everywhere, hospital roles only to users of that hospital
+ */
+const roleAppliesTo = (role, user) => !role.hospitalId || role.hospitalId === user.attributes?.hospitalId;
+
+/**
+ * All permissions a user holds
+ * @param {Object} user - User document
+ * @returns {Promise<Array<String>>}
+ */
+const resolvePermissions = async (user) => {
+  const permissions = new Set(BUILT_IN_ROLE_PERMISSIONS[user.role] || []);
+
+  for (const permission of user.extraPermissions || []) {
+    permissions.add(permission);
+  }
+
+  if (user.customRoles?.length > 0) {
+    const Role = require('../models/Role');
+    const roles = await Role.find({ _id: { $in: user.customRoles } }).select('permissions hospitalId');
+    for (const role of roles.filter((candidate) => roleAppliesTo(candidate, user))) {
+      role.permissions.forEach((permission) => permissions.add(permission));
+    }
+  }
+
+  return PERMISSION_NAMES.filter((permission) => permissions.has(permission));
+};
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_NAMES,
+  BUILT_IN_ROLE_PERMISSIONS,
+  isPermission,
+  roleAppliesTo,
+  resolvePermissions
+};
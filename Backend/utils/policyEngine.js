@@ -0,0 +1,304 @@
+const { getClientIp } = require('./ipHelper');
+const { resolvePurpose } = require('./purposeOfUse');
+
+/**
+ * Attribute-based access control over patient data.
+ *
+ * A request is described by four attribute groups:
+ *   subject     - the user (role, department, accessLevel, hospitalId, assignedPatients, ...)
+ *   resource    - the patient, plus the EHR when one is involved
+ *   action      - e.g. 'patient:read', 'ehr:update'
+ *   environment - time, client IP, break-glass, purpose of use
+ *
+ * A policy is a list of rules. A rule applies when its actions match and its
+ * condition holds; conditions nest { all: [] }, { any: [] } and { not: {} }
+ * around leaves { attribute, operator, value } or { attribute, operator, valueFrom },
+ * where valueFrom names another attribute (e.g. 'subject.hospitalId').
+ */
+
+const ATTRIBUTE_ROOTS = ['subject', 'resource', 'action', 'environment'];
+const MAX_CONDITION_DEPTH = 10;
+
+const isMissing = (value) => value === undefined || value === null;
+
+const compareOrdered = (actual, expected, test) => {
+  if (isMissing(actual) || isMissing(expected)) {
+    return false;
+  }
+  const toComparable = (value) => (value instanceof Date || isNaN(Number(value)) ? new Date(value).getTime() : Number(value));
+  return test(toComparable(actual), toComparable(expected));
+};
+
+// Missing attributes never compare equal, so an unset hospitalId cannot match another unset one
+const OPERATORS = {
+  eq: (actual, expected) => !isMissing(actual) && !isMissing(expected) && String(actual) === String(expected),
+  ne: (actual, expected) => !OPERATORS.eq(actual, expected),
+  in: (actual, expected) => Array.isArray(expected) && !isMissing(actual) &&
+    expected.some((candidate) => String(candidate) === String(actual)),
+  nin: (actual, expected) => !OPERATORS.in(actual, expected),
+  contains: (actual, expected) => Array.isArray(actual) && !isMissing(expected) &&
+    actual.some((candidate) => String(candidate) === String(expected)),
+  gt: (actual, expected) => compareOrdered(actual, expected, (a, b) => a > b),
+  gte: (actual, expected) => compareOrdered(actual, expected, (a, b) => a >= b),
+  lt: (actual, expected) => compareOrdered(actual, expected, (a, b) => a < b),
+  lte: (actual, expected) => compareOrdered(actual, expected, (a, b) => a <= b),
+  exists: (actual, expected) => !isMissing(actual) === (expected !== false)
+};
+
+const readAttribute = (context, path) => {
+  return String(path).split('.').reduce((value, key) => (isMissing(value) ? undefined : value[key]), context);
+};
+
+const isValidAttribute = (path) => typeof path === 'string' && ATTRIBUTE_ROOTS.includes(path.split('.')[0]);
+
+const actionMatches = (patterns, action) => {
+  return (patterns || []).some((pattern) => {
+    if (pattern === '*' || pattern === action) {
+      return true;
+    }
+    return pattern.endsWith(':*') && action.startsWith(pattern.slice(0, -1));
+  });
+};
+
+/**
+ * Evaluate a condition tree
+ * @returns {Object} - { result, ...trace } describing how the result was reached
+ */
+const evaluateCondition = (condition, context) => {
+  if (!condition || Object.keys(condition).length === 0) {
+    return { result: true };
+  }
+
+  if (condition.all) {
+    const children = condition.all.map((child) => evaluateCondition(child, context));
+    return { all: children, result: children.every((child) => child.result) };
+  }
+  if (condition.any) {
+    const children = condition.any.map((child) => evaluateCondition(child, context));
+    return { any: children, result: children.some((child) => child.result) };
+  }
+  if (condition.not) {
+    const child = evaluateCondition(condition.not, context);
+    return { not: child, result: !child.result };
+  }
+
+  const actual = readAttribute(context, condition.attribute);
+  const expected = condition.valueFrom ? readAttribute(context, condition.valueFrom) : condition.value;
+
+  return {
+    attribute: condition.attribute,
+    operator: condition.operator,
+    ...(condition.valueFrom ? { valueFrom: condition.valueFrom } : {}),
+    expected,
+    actual,
+    result: Object.hasOwn(OPERATORS, condition.operator) && OPERATORS[condition.operator](actual, expected)
+  };
+};
+
+/**
+ * Decide a request against a policy
+ * @param {Object} policy - { version, rules, combiningAlgorithm, defaultEffect }
+ * @param {Object} context - { subject, resource, action, environment }
+ * @returns {Object} - { decision, policyVersion, matchedRule, reason, rules }
+ */
+const evaluatePolicy = (policy, context) => {
+  const algorithm = policy.combiningAlgorithm || 'deny-overrides';
+  const defaultEffect = policy.defaultEffect || 'deny';
+
+  const rules = (policy.rules || []).map((rule) => {
+    const applicable = actionMatches(rule.actions, context.action);
+    const condition = applicable ? evaluateCondition(rule.condition, context) : null;
+    return {
+      ruleId: rule.ruleId,
+      description: rule.description,
+      effect: rule.effect,
+      applicable,
+      matched: applicable && condition.result,
+      condition
+    };
+  });
+
+  const matched = rules.filter((rule) => rule.matched);
+  const deciding = algorithm === 'first-applicable'
+    ? matched[0]
+    : matched.find((rule) => rule.effect === 'deny') || matched.find((rule) => rule.effect === 'permit');
+
+  // Unsaved drafts being dry-run have no version number
+  const label = Number.isInteger(policy.version) ? `Policy v${policy.version}` : 'Draft policy';
+  const decision = deciding ? deciding.effect : defaultEffect;
+  const reason = deciding
+    ? `${label}: rule "${deciding.ruleId}" ${deciding.effect}s ${context.action}`
+    : `${label}: no rule matches ${context.action} (default ${defaultEffect})`;
+
+  return {
+    decision,
+    policyVersion: policy.version,
+    matchedRule: deciding?.ruleId || null,
+    reason,
+    rules
+  };
+};
+
+const validateCondition = (condition, path, errors, depth = 0) => {
+  if (condition === undefined || condition === null) {
+    return;
+  }
+  if (depth > MAX_CONDITION_DEPTH) {
+    errors.push(`${path}: conditions are nested too deeply`);
+    return;
+  }
+  if (typeof condition !== 'object' || Array.isArray(condition)) {
+    errors.push(`${path}: must be an object`);
+    return;
+  }
+
+  for (const group of ['all', 'any']) {
+    if (condition[group] !== undefined) {
+      if (!Array.isArray(condition[group]) || condition[group].length === 0) {
+        errors.push(`${path}.${group}: must be a non-empty list`);
+      } else {
+        condition[group].forEach((child, index) => validateCondition(child, `${path}.${group}[${index}]`, errors, depth + 1));
+      }
+      return;
+    }
+  }
+  if (condition.not !== undefined) {
+    validateCondition(condition.not, `${path}.not`, errors, depth + 1);
+    return;
+  }
+
+  if (Object.keys(condition).length === 0) {
+    return;
+  }
+  if (!isValidAttribute(condition.attribute)) {
+    errors.push(`${path}: attribute must start with ${ATTRIBUTE_ROOTS.join(', ')}`);
+  }
+  if (!Object.hasOwn(OPERATORS, condition.operator)) {
+    errors.push(`${path}: operator must be one of ${Object.keys(OPERATORS).join(', ')}`);
+  }
+  if (condition.valueFrom !== undefined && !isValidAttribute(condition.valueFrom)) {
+    errors.push(`${path}: valueFrom must name an attribute`);
+  }
+  if (condition.valueFrom === undefined && condition.value === undefined && condition.operator !== 'exists') {
+    errors.push(`${path}: value or valueFrom is required`);
+  }
+  if (['in', 'nin'].includes(condition.operator) && condition.valueFrom === undefined && !Array.isArray(condition.value)) {
+    errors.push(`${path}: "${condition.operator}" needs a list value`);
+  }
+};
+
+/**
+ * Check a policy submitted by an admin
+ * @returns {Array<String>} - Problems found, empty when valid
+ */
+const validatePolicy = ({ rules, combiningAlgorithm, defaultEffect }) => {
+  const errors = [];
+
+  if (!Array.isArray(rules)) {
+    return ['rules must be a list'];
+  }
+  if (combiningAlgorithm !== undefined && !['deny-overrides', 'first-applicable'].includes(combiningAlgorithm)) {
+    errors.push('combiningAlgorithm must be deny-overrides or first-applicable');
+  }
+  if (defaultEffect !== undefined && !['permit', 'deny'].includes(defaultEffect)) {
+    errors.push('defaultEffect must be permit or deny');
+  }
+
+  const seen = new Set();
+  rules.forEach((rule, index) => {
+    const path = `rules[${index}]`;
+    if (!rule?.ruleId || typeof rule.ruleId !== 'string') {
+      errors.push(`${path}: ruleId is required`);
+    } else if (seen.has(rule.ruleId)) {
+      errors.push(`${path}: duplicate ruleId "${rule.ruleId}"`);
+    } else {
+      seen.add(rule.ruleId);
+    }
+    if (!['permit', 'deny'].includes(rule?.effect)) {
+      errors.push(`${path}: effect must be permit or deny`);
+    }
+    if (!Array.isArray(rule?.actions) || rule.actions.length === 0 || rule.actions.some((action) => typeof action !== 'string')) {
+      errors.push(`${path}: actions must be a non-empty list of strings`);
+    }
+    validateCondition(rule?.condition, `${path}.condition`, errors);
+  });
+
+  return errors;
+};
+
+const toId = (value) => (isMissing(value) ? undefined : String(value._id || value));
+
+/**
+ * Subject attributes from a User document
+ * Patients delegated to the user (utils/delegation) count as assigned while the
+ * delegation lasts, and are also listed on their own as delegatedPatients
+ */
+const buildSubject = (user, { delegatedPatients = [] } = {}) => ({
+  id: toId(user._id),
+  role: user.role,
+  department: user.attributes?.department,
+  accessLevel: user.attributes?.accessLevel,
+  hospitalId: user.attributes?.hospitalId,
+  specialization: user.attributes?.specialization,
+  assignedPatients: [...new Set([...(user.assignedPatients || []).map(toId), ...delegatedPatients.map(toId)])],
+  delegatedPatients: delegatedPatients.map(toId)
+});
+
+/**
+ * Resource attributes from a Patient document and, optionally, one of its EHRs
+ */
+const buildResource = (patient, ehr) => ({
+  type: ehr ? 'EHR' : 'Patient',
+  id: toId(patient._id),
+  patientId: patient.patientId,
+  hospitalId: patient.hospitalId,
+  isActive: patient.isActive,
+  consent: {
+    dataSharing: patient.consent?.dataSharing,
+    research: patient.consent?.research,
+    emergencyAccess: patient.consent?.emergencyAccess
+  },
+  assignedDoctors: (patient.assignedDoctors || []).map(toId),
+  assignedNurses: (patient.assignedNurses || []).map(toId),
+  ehr: ehr ? {
+    id: toId(ehr._id),
+    department: ehr.department,
+    status: ehr.status,
+    visitType: ehr.visitType,
+    hospitalId: ehr.hospitalId,
+    attendingPhysician: toId(ehr.attendingPhysician),
+    nurseInCharge: toId(ehr.nurseInCharge)
+  } : undefined
+});
+
+/**
+ * Environment attributes of the current request (times are UTC)
+ */
+const buildEnvironment = (req, now = new Date()) => ({
+  time: now.toISOString(),
+  hourUtc: now.getUTCHours(),
+  dayOfWeekUtc: now.getUTCDay(),
+  ipAddress: req ? getClientIp(req) : undefined,
+  breakGlass: Boolean(req?.breakGlass),
+  purposeOfUse: req ? resolvePurpose(req) : undefined
+});
+
+/**
+ * Action name for a patient route, e.g. GET /api/ehr/patient/:id is 'ehr:read'
+ */
+const resolveAction = (req) => {
+  const resource = req.baseUrl.endsWith('/ehr') ? 'ehr' : 'patient';
+  const verb = { GET: 'read', DELETE: 'delete' }[req.method] || 'update';
+  return `${resource}:${verb}`;
+};
+
+module.exports = {
+  OPERATORS,
+  ATTRIBUTE_ROOTS,
+  evaluatePolicy,
+  validatePolicy,
+  buildSubject,
+  buildResource,
+  buildEnvironment,
+  resolveAction
+};
@@ -0,0 +1,129 @@
+/**
+ * Purpose of use: why a request touches patient data. Clients declare it in
+ * the X-Purpose-Of-Use header (or a `purpose` query/body field); requests
+ * that declare nothing are treated as treatment. Break-glass requests are
+ * always emergency use.
+ *
+ * Each purpose names the consent flag on Patient.consent it depends on.
+ * Access by a user from another hospital is sharing, so it also needs
+ * consent.dataSharing unless it is an emergency. A patient whose directive
+ * names recipients only allows sharing with them; an export declares its
+ * recipient in a `recipient` query/body field.
+ */
+const PURPOSES = {
+  treatment: { label: 'Treatment', consent: null },
+  emergency: { label: 'Emergency care', consent: 'emergencyAccess' },
+  research: { label: 'Research', consent: 'research' },
+  operations: { label: 'Healthcare operations', consent: null },
+  sharing: { label: 'Sharing with another hospital', consent: 'dataSharing' }
+};
+
+const PURPOSE_NAMES = Object.keys(PURPOSES);
+
+const DEFAULT_PURPOSE = 'treatment';
+
+// Consents that end when the directive's expiry date passes
+const LAPSING_CONSENTS = ['dataSharing', 'research'];
+
+const CONSENT_LABELS = {
+  emergencyAccess: 'emergency access',
+  research: 'research use',
+  dataSharing: 'data sharing'
+};
+
+/**
+ * Purpose declared by a request
+ * @returns {String|null} - The purpose, or null when the declared value is unknown
+ */
+const resolvePurpose = (req) => {
+  if (req.breakGlass) {
+    return 'emergency';
+  }
+
+  const declared = req.headers['x-purpose-of-use'] || req.query?.purpose || req.body?.purpose;
+  if (declared === undefined || declared === '') {
+    return DEFAULT_PURPOSE;
+  }
+
+  const purpose = String(declared).trim().toLowerCase();
+  return PURPOSE_NAMES.includes(purpose) ? purpose : null;
+};
+
+/**
+ * Recipient a sharing request declares
+ * @returns {String|null}
+ */
+const resolveRecipient = (req) => {
+  const declared = req.query?.recipient || req.body?.recipient;
+  return declared ? String(declared).trim() || null : null;
+};
+
+/**
+ * Consent flags a purpose needs for a patient
+ * @param {String} purpose - Declared purpose
+ * @param {Boolean} crossHospital - Whether the user belongs to another hospital
+ * @returns {Array<String>}
+ */
+const requiredConsents = (purpose, crossHospital) => {
+  const required = new Set();
+  if (PURPOSES[purpose].consent) {
+    required.add(PURPOSES[purpose].consent);
+  }
+  if (crossHospital && purpose !== 'emergency') {
+    required.add('dataSharing');
+  }
+  return [...required];
+};
+
+/**
+ * Whether a patient's consent allows the purpose
+ * @param {Object} patient - Patient document
+ * @param {String} purpose - Declared purpose
+ * @param {Object} options - { userHospitalId, now }
+ * @returns {Object} - { allowed, missing: [String], crossHospital, reason }
+ */
+const evaluateConsent = (patient, purpose, { userHospitalId, now = new Date() } = {}) => {
+  const crossHospital = Boolean(userHospitalId && patient.hospitalId && userHospitalId !== patient.hospitalId);
+  const lapsed = Boolean(patient.consent?.expiresAt && new Date(patient.consent.expiresAt) <= now);
+  const missing = requiredConsents(purpose, crossHospital)
+    .filter((flag) => patient.consent?.[flag] !== true || (lapsed && LAPSING_CONSENTS.includes(flag)));
+
+  return {
+    allowed: missing.length === 0,
+    missing,
+    crossHospital,
+    reason: missing.length === 0
+      ? null
+      : `Patient has not consented to ${missing.map((flag) => CONSENT_LABELS[flag]).join(' or ')} (purpose: ${purpose}${crossHospital ? ', cross-hospital' : ''})`
+  };
+};
+
+/**
+ * Query conditions restricting a patient list to those whose consent
+ * allows the purpose (for list endpoints that cannot check one by one)
+ * @returns {Object} - Mongo conditions on Patient, e.g. { 'consent.research': true }
+ */
+const consentFilter = (purpose, now = new Date()) => {
+  const flag = PURPOSES[purpose]?.consent;
+  if (!flag) {
+    return {};
+  }
+  if (!LAPSING_CONSENTS.includes(flag)) {
+    return { [`consent.${flag}`]: true };
+  }
+  return {
+    [`consent.${flag}`]: true,
+    $or: [{ 'consent.expiresAt': null }, { 'consent.expiresAt': { $gt: now } }]
+  };
+};
+
+module.exports = {
+  PURPOSES,
+  PURPOSE_NAMES,
+  DEFAULT_PURPOSE,
+  resolvePurpose,
+  resolveRecipient,
+  requiredConsents,
+  evaluateConsent,
+  consentFilter
+};
@@ -0,0 +1,154 @@
+/**
+ * Hit counters for rate limiting with a pluggable backend.
+ * A store is any object with:
+ * - increment(key, windowMs) -> { count, lastAt, resetAt }
+ * - decrement(key)
+ * - get(key) -> { count, lastAt, resetAt } | null (null once the window has ended)
+ * - reset(key)
+ *
+ * RATE_LIMIT_STORE selects the built-in store:
+ * - mongo (default): counters in MongoDB, shared by every API instance
+ * - memory: per-process counters, for a single instance or tests
+ * Use setRateLimitStore to plug in another backend (e.g. Redis).
+ */
+
+const createMemoryStore = () => {
+  const counters = new Map();
+
+  const getLive = (key) => {
+    const counter = counters.get(key);
+    if (counter && counter.resetAt <= new Date()) {
+      counters.delete(key);
+      return null;
+    }
+    return counter || null;
+  };
+
+  // Drop ended windows now and then so the map does not grow without bound
+  const sweeper = setInterval(() => {
+    const now = new Date();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) {
+        counters.delete(key);
+      }
+    }
+  }, 60 * 1000);
+  sweeper.unref();
+
+  return {
+    name: 'memory',
+    localKeys: true,
+    increment: async (key, windowMs) => {
+      const now = new Date();
+      const counter = getLive(key) || { count: 0, resetAt: new Date(now.getTime() + windowMs) };
+      counter.count += 1;
+      counter.lastAt = now;
+      counters.set(key, counter);
+      return { ...counter };
+    },
+    decrement: async (key) => {
+      const counter = getLive(key);
+      if (counter && counter.count > 0) {
+        counter.count -= 1;
+      }
+    },
+    get: async (key) => {
+      const counter = getLive(key);
+      return counter ? { ...counter } : null;
+    },
+    reset: async (key) => {
+      counters.delete(key);
+    }
+  };
+};
+
+const createMongoStore = () => {
+  // Loaded lazily so the memory store works without the model registered
+  const RateLimitCounter = require('../models/RateLimitCounter');
+
+  const toResult = (counter) => ({
+    count: counter.count,
+    lastAt: counter.lastAt,
+    resetAt: counter.resetAt
+  });
+
+  return {
+    name: 'mongo',
+    localKeys: false,
+    increment: async (key, windowMs) => {
+      return toResult(await RateLimitCounter.hit(key, windowMs));
+    },
+    decrement: async (key) => {
+      await RateLimitCounter.updateOne(
+        { key, count: { $gt: 0 }, resetAt: { $gt: new Date() } },
+        { $inc: { count: -1 } }
+      );
+    },
+    get: async (key) => {
+      const counter = await RateLimitCounter.findOne({ key, resetAt: { $gt: new Date() } }).lean();
+      return counter ? toResult(counter) : null;
+    },
+    reset: async (key) => {
+      await RateLimitCounter.deleteOne({ key });
+    }
+  };
+};
+
+let store = null;
+
+const getRateLimitStore = () => {
+  if (!store) {
+    store = process.env.RATE_LIMIT_STORE === 'memory'
+      ? createMemoryStore()
+      : createMongoStore();
+  }
+  return store;
+};
+
+/**
+ * Replace the active store; passing null goes back to the RATE_LIMIT_STORE default
+ */
+const setRateLimitStore = (customStore) => {
+  store = customStore;
+};
+
+/**
+ * Adapter so express-rate-limit keeps its counters in the active store.
+ * Create one per limiter; the prefix keeps limiters' keys apart.
+ */
+class ExpressRateLimitStore {
+  constructor(prefix) {
+    this.prefix = `erl:${prefix}:`;
+    this.localKeys = getRateLimitStore().localKeys;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async get(key) {
+    const counter = await getRateLimitStore().get(this.prefix + key);
+    return counter ? { totalHits: counter.count, resetTime: counter.resetAt } : undefined;
+  }
+
+  async increment(key) {
+    const counter = await getRateLimitStore().increment(this.prefix + key, this.windowMs);
+    return { totalHits: counter.count, resetTime: counter.resetAt };
+  }
+
+  async decrement(key) {
+    await getRateLimitStore().decrement(this.prefix + key);
+  }
+
+  async resetKey(key) {
+    await getRateLimitStore().reset(this.prefix + key);
+  }
+}
+
+module.exports = {
+  getRateLimitStore,
+  setRateLimitStore,
+  createMemoryStore,
+  createMongoStore,
+  ExpressRateLimitStore
+};
@@ -0,0 +1,536 @@
+const mongoose = require('mongoose');
+
+/**
+ * SCIM 2.0 (RFC 7643/7644) helpers for the provisioning API:
+ * schema URNs and errors, filter parsing, and PATCH operations.
+ *
+ * Filters are parsed once into a small AST that can be compiled to a Mongo
+ * query (listing users) or evaluated in memory (PATCH value filters, groups).
+ */
+
+const SCHEMAS = {
+  USER: 'urn:ietf:params:scim:schemas:core:2.0:User',
+  GROUP: 'urn:ietf:params:scim:schemas:core:2.0:Group',
+  ENTERPRISE_USER: 'urn:ietf:params:scim:schemas:extension:enterprise:2.0:User',
+  EHR_USER: 'urn:secureehr:params:scim:schemas:extension:ehr:2.0:User',
+  LIST_RESPONSE: 'urn:ietf:params:scim:api:messages:2.0:ListResponse',
+  PATCH_OP: 'urn:ietf:params:scim:api:messages:2.0:PatchOp',
+  ERROR: 'urn:ietf:params:scim:api:messages:2.0:Error',
+  SERVICE_PROVIDER_CONFIG: 'urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig',
+  RESOURCE_TYPE: 'urn:ietf:params:scim:schemas:core:2.0:ResourceType'
+};
+
+// Schemas whose attributes are addressed as "<urn>:<attribute>"
+const EXTENSION_SCHEMAS = [SCHEMAS.ENTERPRISE_USER, SCHEMAS.EHR_USER];
+const CORE_SCHEMAS = [SCHEMAS.USER, SCHEMAS.GROUP];
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 200;
+
+class ScimError extends Error {
+  constructor(status, detail, scimType) {
+    super(detail);
+    this.status = status;
+    this.scimType = scimType;
+  }
+}
+
+const sendScim = (res, status, body) => {
+  return res.status(status).type('application/scim+json').json(body);
+};
+
+const sendScimError = (res, status, detail, scimType) => {
+  return sendScim(res, status, {
+    schemas: [SCHEMAS.ERROR],
+    status: String(status),
+    scimType,
+    detail
+  });
+};
+
+// SCIM attribute names are case-insensitive; these are the spellings we emit
+const CANONICAL_NAMES = [
+  'userName', 'externalId', 'displayName', 'name', 'givenName', 'familyName', 'formatted',
+  'emails', 'value', 'type', 'primary', 'display', 'active', 'roles', 'groups', 'members',
+  'department', 'hospitalId', 'licenseNumber', 'specialization', 'accessLevel', 'id', 'meta'
+].reduce((names, name) => ({ ...names, [name.toLowerCase()]: name }), {});
+
+const canonicalName = (name) => CANONICAL_NAMES[name.toLowerCase()] || name;
+
+/**
+ * Split "urn:...:User:name.givenName" into its schema and attribute path
+ */
+const splitSchema = (path) => {
+  const lower = path.toLowerCase();
+  const schema = [...EXTENSION_SCHEMAS, ...CORE_SCHEMAS].find((urn) => lower.startsWith(`${urn.toLowerCase()}:`));
+  if (schema) {
+    return { schema: CORE_SCHEMAS.includes(schema) ? null : schema, attribute: path.slice(schema.length + 1) };
+  }
+  const extension = EXTENSION_SCHEMAS.find((urn) => lower === urn.toLowerCase());
+  return extension ? { schema: extension, attribute: '' } : { schema: null, attribute: path };
+};
+
+// --- Filters ---------------------------------------------------------------
+
+const COMPARISON_OPERATORS = ['eq', 'ne', 'co', 'sw', 'ew', 'gt', 'ge', 'lt', 'le'];
+
+const tokenize = (filter) => {
+  const tokens = [];
+  const pattern = /\s*(?:(\(|\)|\[|\])|("(?:[^"\\]|\\.)*")|([^\s()[\]"]+))/y;
+  let position = 0;
+
+  while (filter.slice(position).trim()) {
+    pattern.lastIndex = position;
+    const match = pattern.exec(filter);
+    if (!match) {
+      throw new ScimError(400, 'Filter could not be parsed', 'invalidFilter');
+    }
+    position = pattern.lastIndex;
+
+    if (match[1]) {
+      tokens.push({ type: 'punct', value: match[1] });
+    } else if (match[2]) {
+      try {
+        tokens.push({ type: 'value', value: JSON.parse(match[2]) });
+      } catch {
+        throw new ScimError(400, `Invalid string ${match[2]} in filter`, 'invalidFilter');
+      }
+    } else {
+      tokens.push({ type: 'word', value: match[3] });
+    }
+  }
+
+  return tokens;
+};
+
+const parseLiteral = (token) => {
+  if (!token) {
+    throw new ScimError(400, 'Filter is missing a comparison value', 'invalidFilter');
+  }
+  if (token.type === 'value') {
+    return token.value;
+  }
+  const word = token.value.toLowerCase();
+  if (word === 'true' || word === 'false') {
+    return word === 'true';
+  }
+  if (word === 'null') {
+    return null;
+  }
+  if (token.type === 'word' && !Number.isNaN(Number(token.value))) {
+    return Number(token.value);
+  }
+  throw new ScimError(400, `Unexpected "${token.value}" in filter`, 'invalidFilter');
+};
+
+/**
+ * Parse a SCIM filter into an AST:
+ * { op: 'and'|'or', left, right } | { op: 'not', filter } |
+ * { op: 'pr', attribute } | { op: <comparison>, attribute, value }
+ */
+const parseFilter = (filter) => {
+  const tokens = tokenize(String(filter));
+  let position = 0;
+
+  const peekWord = () => tokens[position]?.type === 'word' && tokens[position].value.toLowerCase();
+  const expect = (value) => {
+    if (tokens[position]?.value !== value) {
+      throw new ScimError(400, `Expected "${value}" in filter`, 'invalidFilter');
+    }
+    position += 1;
+  };
+
+  let parseOr;
+
+  const parseAttributeExpression = (prefix) => {
+    const token = tokens[position];
+    if (!token || token.type !== 'word') {
+      throw new ScimError(400, 'Filter is missing an attribute', 'invalidFilter');
+    }
+    position += 1;
+    const attribute = prefix ? `${prefix}.${token.value}` : token.value;
+
+    // Value path: emails[type eq "work" and value co "@example.org"]
+    if (tokens[position]?.value === '[') {
+      position += 1;
+      const inner = parseOr(attribute);
+      expect(']');
+      return inner;
+    }
+
+    const operator = peekWord();
+    if (operator === 'pr') {
+      position += 1;
+      return { op: 'pr', attribute };
+    }
+    if (!COMPARISON_OPERATORS.includes(operator)) {
+      throw new ScimError(400, `Unsupported filter operator "${tokens[position]?.value}"`, 'invalidFilter');
+    }
+    position += 1;
+    const value = parseLiteral(tokens[position]);
+    position += 1;
+    return { op: operator, attribute, value };
+  };
+
+  const parseUnary = (prefix) => {
+    if (peekWord() === 'not') {
+      position += 1;
+      expect('(');
+      const inner = parseOr(prefix);
+      expect(')');
+      return { op: 'not', filter: inner };
+    }
+    if (tokens[position]?.value === '(') {
+      position += 1;
+      const inner = parseOr(prefix);
+      expect(')');
+      return inner;
+    }
+    return parseAttributeExpression(prefix);
+  };
+
+  const parseAnd = (prefix) => {
+    let left = parseUnary(prefix);
+    while (peekWord() === 'and') {
+      position += 1;
+      left = { op: 'and', left, right: parseUnary(prefix) };
+    }
+    return left;
+  };
+
+  parseOr = (prefix) => {
+    let left = parseAnd(prefix);
+    while (peekWord() === 'or') {
+      position += 1;
+      left = { op: 'or', left, right: parseAnd(prefix) };
+    }
+    return left;
+  };
+
+  const ast = parseOr(null);
+  if (position !== tokens.length) {
+    throw new ScimError(400, `Unexpected "${tokens[position].value}" in filter`, 'invalidFilter');
+  }
+  return ast;
+};
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Normalized lookup key for an attribute path: lowercase, core schema URN removed
+ */
+const attributeKey = (path) => {
+  const { schema, attribute } = splitSchema(path);
+  return (schema ? `${schema}:${attribute}` : attribute).toLowerCase();
+};
+
+/**
+ * Compile a filter AST to a Mongo query
+ * @param {Object} fields - attributeKey -> { field, type: 'string'|'lowercase'|'id'|'date'|'number' }
+ *                          or { query: (op, value) => mongoQuery } for computed attributes
+ */
+const toMongoQuery = (ast, fields) => {
+  if (ast.op === 'and' || ast.op === 'or') {
+    return { [`$${ast.op}`]: [toMongoQuery(ast.left, fields), toMongoQuery(ast.right, fields)] };
+  }
+  if (ast.op === 'not') {
+    return { $nor: [toMongoQuery(ast.filter, fields)] };
+  }
+
+  const mapping = fields[attributeKey(ast.attribute)];
+  if (!mapping) {
+    throw new ScimError(400, `Filtering on "${ast.attribute}" is not supported`, 'invalidFilter');
+  }
+  if (mapping.query) {
+    return mapping.query(ast.op, ast.value);
+  }
+
+  const { field, type } = mapping;
+  if (ast.op === 'pr') {
+    return { [field]: { $exists: true, $nin: [null, ''] } };
+  }
+
+  let value = ast.value;
+  if (type === 'id') {
+    if (!mongoose.Types.ObjectId.isValid(String(value))) {
+      return { _id: null };
+    }
+    value = new mongoose.Types.ObjectId(String(value));
+  } else if (type === 'date') {
+    value = new Date(value);
+    if (Number.isNaN(value.getTime())) {
+      throw new ScimError(400, `"${ast.value}" is not a valid date`, 'invalidValue');
+    }
+  } else if (type === 'number') {
+    value = Number(value);
+  } else if (value !== null) {
+    value = String(value);
+  }
+
+  const isText = type === 'string' || type === 'lowercase';
+  if (['co', 'sw', 'ew'].includes(ast.op)) {
+    if (!isText) {
+      throw new ScimError(400, `"${ast.op}" only applies to string attributes`, 'invalidFilter');
+    }
+    const pattern = escapeRegex(value);
+    const source = ast.op === 'co' ? pattern : ast.op === 'sw' ? `^${pattern}` : `${pattern}$`;
+    return { [field]: { $regex: source, $options: 'i' } };
+  }
+
+  // String comparisons are case-insensitive (caseExact false)
+  if (type === 'lowercase' && value !== null) {
+    value = value.toLowerCase();
+  } else if (type === 'string' && value !== null && (ast.op === 'eq' || ast.op === 'ne')) {
+    const exact = { $regex: `^${escapeRegex(value)}$`, $options: 'i' };
+    return ast.op === 'eq' ? { [field]: exact } : { [field]: { $not: new RegExp(`^${escapeRegex(value)}$`, 'i') } };
+  }
+
+  const operators = { eq: '$eq', ne: '$ne', gt: '$gt', ge: '$gte', lt: '$lt', le: '$lte' };
+  return { [field]: { [operators[ast.op]]: value } };
+};
+
+// Read an attribute path from a SCIM resource; multi-valued attributes yield every value
+const readPath = (resource, path) => {
+  const { schema, attribute } = splitSchema(path);
+  let values = [schema ? resource[schema] : resource];
+
+  for (const part of attribute.split('.').filter(Boolean)) {
+    values = values.flatMap((value) => {
+      if (value == null || typeof value !== 'object') {
+        return [];
+      }
+      const key = Object.keys(value).find((candidate) => candidate.toLowerCase() === part.toLowerCase());
+      const next = key === undefined ? undefined : value[key];
+      return Array.isArray(next) ? next : [next];
+    });
+  }
+  return values.filter((value) => value !== undefined);
+};
+
+const compareValues = (op, actual, expected) => {
+  if (actual == null) {
+    return op === 'ne' ? expected != null : false;
+  }
+  const left = typeof actual === 'string' ? actual.toLowerCase() : actual;
+  const right = typeof expected === 'string' ? expected.toLowerCase() : expected;
+
+  switch (op) {
+    case 'eq': return left === right;
+    case 'ne': return left !== right;
+    case 'co': return String(left).includes(String(right));
+    case 'sw': return String(left).startsWith(String(right));
+    case 'ew': return String(left).endsWith(String(right));
+    case 'gt': return left > right;
+    case 'ge': return left >= right;
+    case 'lt': return left < right;
+    case 'le': return left <= right;
+    default: return false;
+  }
+};
+
+/**
+ * Evaluate a filter AST against a SCIM resource (or a multi-valued attribute element)
+ */
+const matchesFilter = (ast, resource) => {
+  switch (ast.op) {
+    case 'and': return matchesFilter(ast.left, resource) && matchesFilter(ast.right, resource);
+    case 'or': return matchesFilter(ast.left, resource) || matchesFilter(ast.right, resource);
+    case 'not': return !matchesFilter(ast.filter, resource);
+    case 'pr': return readPath(resource, ast.attribute).some((value) => value !== null && value !== '');
+    default: {
+      const values = readPath(resource, ast.attribute);
+      return ast.op === 'ne'
+        ? values.every((value) => compareValues('ne', value, ast.value))
+        : values.some((value) => compareValues(ast.op, value, ast.value));
+    }
+  }
+};
+
+// --- PATCH -----------------------------------------------------------------
+
+/**
+ * Parse a PATCH path: [schema:]attribute[valueFilter][.subAttribute]
+ */
+const parsePatchPath = (path) => {
+  const { schema, attribute } = splitSchema(String(path));
+  const match = attribute.match(/^([A-Za-z][\w-]*)(?:\[(.+)\])?(?:\.([A-Za-z][\w-]*))?$/);
+
+  if (!match) {
+    throw new ScimError(400, `Invalid path "${path}"`, 'invalidPath');
+  }
+
+  return {
+    schema,
+    attribute: canonicalName(match[1]),
+    filter: match[2] ? parseFilter(match[2]) : null,
+    subAttribute: match[3] ? canonicalName(match[3]) : null
+  };
+};
+
+const MULTI_VALUED = ['emails', 'roles', 'groups', 'members'];
+
+// Equality filters describe the element to create when none matches (e.g. emails[type eq "work"].value)
+const elementFromFilter = (ast) => {
+  if (ast.op === 'eq') {
+    return { [canonicalName(ast.attribute.split('.').pop())]: ast.value };
+  }
+  if (ast.op === 'and') {
+    return { ...elementFromFilter(ast.left), ...elementFromFilter(ast.right) };
+  }
+  throw new ScimError(400, 'No value matches the path filter', 'noTarget');
+};
+
+const applyPathOperation = (resource, op, path, value) => {
+  const { schema, attribute, filter, subAttribute } = parsePatchPath(path);
+  const container = schema ? (resource[schema] = resource[schema] || {}) : resource;
+  const isMultiValued = MULTI_VALUED.includes(attribute);
+
+  if (filter) {
+    if (!isMultiValued) {
+      throw new ScimError(400, `"${attribute}" is not multi-valued`, 'invalidPath');
+    }
+    const elements = container[attribute] || [];
+    const matches = elements.filter((element) => matchesFilter(filter, element));
+
+    if (op === 'remove') {
+      container[attribute] = subAttribute
+        ? elements.map((element) => {
+          if (!matches.includes(element)) {
+            return element;
+          }
+          const { [subAttribute]: removed, ...rest } = element;
+          return rest;
+        })
+        : elements.filter((element) => !matches.includes(element));
+      return;
+    }
+
+    if (matches.length === 0) {
+      const element = elementFromFilter(filter);
+      container[attribute] = [...elements, subAttribute ? { ...element, [subAttribute]: value } : { ...element, ...value }];
+      return;
+    }
+    container[attribute] = elements.map((element) => {
+      if (!matches.includes(element)) {
+        return element;
+      }
+      return subAttribute ? { ...element, [subAttribute]: value } : { ...element, ...value };
+    });
+    return;
+  }
+
+  if (op === 'remove') {
+    if (subAttribute) {
+      if (container[attribute]) {
+        delete container[attribute][subAttribute];
+      }
+    } else {
+      delete container[attribute];
+    }
+    return;
+  }
+
+  if (subAttribute) {
+    container[attribute] = { ...(container[attribute] || {}), [subAttribute]: value };
+  } else if (isMultiValued && op === 'add') {
+    container[attribute] = [...(container[attribute] || []), ...(Array.isArray(value) ? value : [value])];
+  } else if (value && typeof value === 'object' && !Array.isArray(value) && !isMultiValued) {
+    // Complex attributes are merged on add and replaced on replace
+    container[attribute] = op === 'add' ? { ...(container[attribute] || {}), ...value } : value;
+  } else {
+    container[attribute] = value;
+  }
+};
+
+/**
+ * Apply PatchOp operations to a copy of a SCIM resource
+ * @returns {Object} - The patched resource
+ */
+const applyPatchOperations = (resource, body) => {
+  if (!body?.schemas?.includes(SCHEMAS.PATCH_OP) || !Array.isArray(body.Operations)) {
+    throw new ScimError(400, 'Request must be a PatchOp with Operations', 'invalidSyntax');
+  }
+
+  const patched = JSON.parse(JSON.stringify(resource));
+
+  for (const operation of body.Operations) {
+    const op = String(operation.op || '').toLowerCase();
+    if (!['add', 'replace', 'remove'].includes(op)) {
+      throw new ScimError(400, `Unsupported operation "${operation.op}"`, 'invalidSyntax');
+    }
+
+    if (operation.path) {
+      applyPathOperation(patched, op, operation.path, operation.value);
+      continue;
+    }
+
+    // Without a path the value holds attributes to set, e.g. { "name.givenName": "Ann", "active": false }
+    if (op === 'remove' || !operation.value || typeof operation.value !== 'object') {
+      throw new ScimError(400, `"${op}" without a path needs an object value`, 'noTarget');
+    }
+    for (const [key, value] of Object.entries(operation.value)) {
+      const { schema, attribute } = splitSchema(key);
+      if (schema && !attribute) {
+        patched[schema] = op === 'add' ? { ...(patched[schema] || {}), ...value } : value;
+      } else {
+        applyPathOperation(patched, op, key, value);
+      }
+    }
+  }
+
+  return patched;
+};
+
+/**
+ * startIndex/count query parameters (1-based, count capped)
+ */
+const getPagination = (query) => {
+  const startIndex = Math.max(parseInt(query.startIndex) || 1, 1);
+  const count = Math.min(Math.max(parseInt(query.count ?? DEFAULT_PAGE_SIZE) || 0, 0), MAX_PAGE_SIZE);
+  return { startIndex, count };
+};
+
+const listResponse = (resources, { totalResults, startIndex }) => ({
+  schemas: [SCHEMAS.LIST_RESPONSE],
+  totalResults,
+  startIndex,
+  itemsPerPage: resources.length,
+  Resources: resources
+});
+
+/**
+ * Apply the attributes / excludedAttributes query parameters (top-level attributes only)
+ */
+const projectAttributes = (resource, query) => {
+  const split = (value) => String(value || '').split(',').map((name) => name.trim().toLowerCase()).filter(Boolean);
+  const included = split(query.attributes);
+  const excluded = split(query.excludedAttributes);
+  const alwaysReturned = ['schemas', 'id', 'meta'];
+
+  return Object.fromEntries(Object.entries(resource).filter(([key]) => {
+    const name = key.toLowerCase();
+    if (alwaysReturned.includes(name)) {
+      return true;
+    }
+    if (included.length > 0) {
+      return included.some((path) => path === name || path.startsWith(`${name}.`) || path.startsWith(`${name}:`));
+    }
+    return !excluded.includes(name);
+  }));
+};
+
+module.exports = {
+  SCHEMAS,
+  ScimError,
+  sendScim,
+  sendScimError,
+  parseFilter,
+  toMongoQuery,
+  matchesFilter,
+  parsePatchPath,
+  applyPatchOperations,
+  MAX_PAGE_SIZE,
+  getPagination,
+  listResponse,
+  projectAttributes
+};
@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const RevokedToken = require('../models/RevokedToken');
+const { generateAccessToken, generateRefreshToken } = require('./jwt');
+const { getClientIp } = require('./ipHelper');
+
+/**
+ * Hash a refresh token for storage (tokens are never stored in plain text)
+ * @param {string} token - Refresh token
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Build a short, human-readable device description from a user agent
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} - e.g. "Chrome on Windows"
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browsers = [
+    ['Edg/', 'Edge'],
+    ['OPR/', 'Opera'],
+    ['Firefox/', 'Firefox'],
+    ['Chrome/', 'Chrome'],
+    ['Safari/', 'Safari']
+  ];
+  const systems = [
+    ['Windows', 'Windows'],
+    ['Android', 'Android'],
+    ['iPhone', 'iOS'],
+    ['iPad', 'iPadOS'],
+    ['Mac OS X', 'macOS'],
+    ['Linux', 'Linux']
+  ];
+
+  const browser = browsers.find(([marker]) => userAgent.includes(marker));
+  const system = systems.find(([marker]) => userAgent.includes(marker));
+
+  if (!browser && !system) {
+    return userAgent.substring(0, 60);
+  }
+
+  return `${browser ? browser[1] : 'Unknown browser'} on ${system ? system[1] : 'unknown OS'}`;
+};
+
+/**
+ * Read the expiry of a freshly signed token as a Date
+ */
+const getTokenExpiry = (token) => {
+  const { exp } = jwt.decode(token);
+  return new Date(exp * 1000);
+};
+
+/**
+ * Remember an issued access token on its session so it can be denylisted later
+ * Tokens that have already expired are dropped from the list.
+ */
+const trackAccessToken = (session, accessToken) => {
+  const { jti } = jwt.decode(accessToken);
+  session.accessTokens = session.accessTokens
+    .filter((token) => token.expiresAt > Date.now())
+    .concat({ jti, expiresAt: getTokenExpiry(accessToken) });
+};
+
+/**
+ * Start a new session for a user and issue its first token pair
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object
+ * @returns {Object} - { session, accessToken, refreshToken }
+ */
+const createSession = async (user, req) => {
+  const userAgent = req.headers['user-agent'];
+  const session = new Session({
+    user: user._id,
+    device: describeDevice(userAgent),
+    userAgent,
+    ipAddress: getClientIp(req)
+  });
+
+  const refreshToken = generateRefreshToken(user._id, session._id);
+  const accessToken = generateAccessToken(user._id, user.role, session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  session.expiresAt = getTokenExpiry(refreshToken);
+  trackAccessToken(session, accessToken);
+  await session.save();
+
+  return { session, accessToken, refreshToken };
+};
+
+/**
+ * Rotate the refresh token of an existing session
+ * The previous refresh token stops being valid immediately. The check and
+ * the swap are one atomic update, so of two concurrent refreshes with the
+ * same token only one succeeds.
+ * @param {Object} session - Session document (with refreshTokenHash selected)
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object
+ * @param {string} presentedToken - Refresh token being exchanged
+ * @returns {Object|null} - { session, accessToken, refreshToken }, or null
+ *   when the token is no longer the session's current one (reuse)
+ */
+const rotateSession = async (session, user, req, presentedToken) => {
+  const refreshToken = generateRefreshToken(user._id, session._id);
+  const accessToken = generateAccessToken(user._id, user.role, session._id);
+  trackAccessToken(session, accessToken);
+
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hashToken(presentedToken), revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(refreshToken),
+        expiresAt: getTokenExpiry(refreshToken),
+        lastUsedAt: new Date(),
+        ipAddress: getClientIp(req),
+        accessTokens: session.accessTokens
+      },
+      $inc: { rotationCount: 1 }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    return null;
+  }
+
+  return { session: rotated, accessToken, refreshToken };
+};
+
+/**
+ * Add a single access token to the denylist
+ * @param {Object} payload - Decoded access token
+ * @param {string} reason - Why the token is revoked
+ */
+const revokeAccessToken = async (payload, reason) => {
+  if (!payload?.jti) {
+    return;
+  }
+  await RevokedToken.revoke(payload.jti, payload.id, new Date(payload.exp * 1000), reason);
+};
+
+/**
+ * Revoke a session: its refresh token family stops rotating and every
+ * access token it issued is denylisted
+ * @param {Object} session - Session document
+ * @param {string} reason - Revocation reason (see Session.revokedReason)
+ * @param {string} revokedBy - User who revoked the session, if not the owner
+ */
+const revokeSession = async (session, reason, revokedBy) => {
+  if (!session.revokedAt) {
+    await session.revoke(reason, revokedBy);
+  }
+
+  await Promise.all(
+    session.accessTokens
+      .filter((token) => token.expiresAt > Date.now())
+      .map((token) => RevokedToken.revoke(token.jti, session.user, token.expiresAt, reason))
+  );
+};
+
+/**
+ * Revoke every active session of a user
+ * @returns {number} - Number of sessions revoked
+ */
+const revokeAllSessions = async (userId, reason, revokedBy) => {
+  const sessions = await Session.find({ user: userId, revokedAt: { $exists: false } });
+
+  for (const session of sessions) {
+    await revokeSession(session, reason, revokedBy);
+  }
+
+  return sessions.length;
+};
+
+/**
+ * Shape a session for API responses (never exposes token material)
+ * @param {Object} session - Session document
+ * @param {string} currentSessionId - Session id of the requesting token
+ */
+const serializeSession = (session, currentSessionId) => ({
+  id: session._id,
+  device: session.device,
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  issuedAt: session.issuedAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  isActive: session.isActive,
+  revokedAt: session.revokedAt,
+  revokedReason: session.revokedReason,
+  current: !!currentSessionId && session._id.toString() === currentSessionId.toString()
+});
+
+module.exports = {
+  hashToken,
+  describeDevice,
+  createSession,
+  rotateSession,
+  revokeAccessToken,
+  revokeSession,
+  revokeAllSessions,
+  serializeSession
+};
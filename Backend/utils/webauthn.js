@@ -0,0 +1,137 @@
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+
+// Registration challenges are short-lived
+const REGISTRATION_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Relying party settings
+ * WEBAUTHN_ORIGIN may list several origins separated by commas.
+ */
+const getRelyingParty = () => ({
+  rpName: process.env.WEBAUTHN_RP_NAME || process.env.MFA_APP_NAME || 'SecureEHR',
+  rpID: process.env.WEBAUTHN_RP_ID || 'localhost',
+  origins: (process.env.WEBAUTHN_ORIGIN || process.env.CORS_ORIGIN || 'http://localhost:5173')
+    .split(',')
+    .map((origin) => origin.trim())
+});
+
+/**
+ * Build options for navigator.credentials.create()
+ * Already enrolled authenticators are excluded so they cannot be registered twice.
+ */
+const buildRegistrationOptions = async (user, credentials = []) => {
+  const { rpName, rpID } = getRelyingParty();
+
+  return await generateRegistrationOptions({
+    rpName,
+    rpID,
+    userName: user.email,
+    userDisplayName: `${user.firstName} ${user.lastName}`,
+    userID: Buffer.from(user._id.toString()),
+    attestationType: 'none',
+    excludeCredentials: credentials.map((credential) => ({
+      id: credential.credentialId,
+      transports: credential.transports
+    })),
+    authenticatorSelection: {
+      residentKey: 'preferred',
+      userVerification: 'preferred'
+    }
+  });
+};
+
+/**
+ * Verify an attestation response
+ * @returns {Object|null} - Credential fields to store on the user, or null if invalid
+ */
+const verifyRegistration = async (response, expectedChallenge) => {
+  const { rpID, origins } = getRelyingParty();
+
+  const { verified, registrationInfo } = await verifyRegistrationResponse({
+    response,
+    expectedChallenge,
+    expectedOrigin: origins,
+    expectedRPID: rpID
+  });
+
+  if (!verified || !registrationInfo) {
+    return null;
+  }
+
+  const { credential, credentialDeviceType, credentialBackedUp } = registrationInfo;
+
+  return {
+    credentialId: credential.id,
+    publicKey: Buffer.from(credential.publicKey).toString('base64url'),
+    counter: credential.counter,
+    transports: credential.transports || response.response?.transports || [],
+    deviceType: credentialDeviceType,
+    backedUp: credentialBackedUp
+  };
+};
+
+/**
+ * Build options for navigator.credentials.get() limited to the user's authenticators
+ */
+const buildAuthenticationOptions = async (credentials) => {
+  const { rpID } = getRelyingParty();
+
+  return await generateAuthenticationOptions({
+    rpID,
+    allowCredentials: credentials.map((credential) => ({
+      id: credential.credentialId,
+      transports: credential.transports
+    })),
+    userVerification: 'preferred'
+  });
+};
+
+/**
+ * Verify an assertion response against a stored credential
+ * @returns {number|null} - New signature counter, or null if invalid
+ */
+const verifyAuthentication = async (response, expectedChallenge, credential) => {
+  const { rpID, origins } = getRelyingParty();
+
+  const { verified, authenticationInfo } = await verifyAuthenticationResponse({
+    response,
+    expectedChallenge,
+    expectedOrigin: origins,
+    expectedRPID: rpID,
+    credential: {
+      id: credential.credentialId,
+      publicKey: Buffer.from(credential.publicKey, 'base64url'),
+      counter: credential.counter,
+      transports: credential.transports
+    }
+  });
+
+  return verified ? authenticationInfo.newCounter : null;
+};
+
+/**
+ * Shape a credential for API responses (no key material)
+ */
+const serializeCredential = (credential) => ({
+  id: credential._id,
+  name: credential.name,
+  deviceType: credential.deviceType,
+  backedUp: credential.backedUp,
+  transports: credential.transports,
+  createdAt: credential.createdAt,
+  lastUsedAt: credential.lastUsedAt
+});
+
+module.exports = {
+  REGISTRATION_CHALLENGE_TTL_MS,
+  buildRegistrationOptions,
+  verifyRegistration,
+  buildAuthenticationOptions,
+  verifyAuthentication,
+  serializeCredential
+};
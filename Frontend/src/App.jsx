@@ -6,12 +6,16 @@ import 'react-toastify/dist/ReactToastify.css';
 
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import SSOCallback from './pages/SSOCallback';
 import AdminDashboard from './pages/AdminDashboard';
 import DoctorDashboard from './pages/DoctorDashboard';
 import NurseDashboard from './pages/NurseDashboard';
 import PatientDashboard from './pages/PatientDashboard';
 import AuditLogs from './pages/AuditLogs';
 import MFASetup from './pages/MFASetup';
+import ChangePassword from './pages/ChangePassword';
 import HospitalManagement from './pages/HospitalManagement';
 import ProtectedRoute from './components/common/ProtectedRoute';
 import './App.css';
@@ -25,6 +29,9 @@ function App() {
             {/* Public routes */}
             <Route path="/login" element={<Login />} />
             <Route path="/register" element={<Register />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password" element={<ResetPassword />} />
+            <Route path="/sso/callback" element={<SSOCallback />} />
             
             {/* Protected routes */}
             <Route
@@ -75,6 +82,14 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/change-password"
+              element={
+                <ProtectedRoute>
+                  <ChangePassword />
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/admin/hospitals"
               element={
@@ -0,0 +1,421 @@
+import React, { useState, useEffect } from 'react';
+import { Scale, Save, Play, RotateCcw } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { adminAPI } from '../services/api';
+
+const ACTIONS = ['patient:read', 'patient:update', 'ehr:read', 'ehr:update'];
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const formatValue = (value) => (value === undefined ? 'unset' : JSON.stringify(value));
+
+/**
+ * One line per leaf condition of an explained rule, indented by nesting
+ */
+const ConditionTrace = ({ node, depth = 0 }) => {
+  if (!node) {
+    return null;
+  }
+
+  const indent = { paddingLeft: `${depth * 16}px` };
+  const mark = node.result ? 'text-green-700' : 'text-red-700';
+  const group = node.all ? 'all' : node.any ? 'any' : null;
+
+  if (group) {
+    return (
+      <div>
+        <div style={indent} className={`font-mono text-xs ${mark}`}>{group} of:</div>
+        {node[group].map((child, index) => (
+          <ConditionTrace key={index} node={child} depth={depth + 1} />
+        ))}
+      </div>
+    );
+  }
+  if (node.not) {
+    return (
+      <div>
+        <div style={indent} className={`font-mono text-xs ${mark}`}>not:</div>
+        <ConditionTrace node={node.not} depth={depth + 1} />
+      </div>
+    );
+  }
+  if (!node.attribute) {
+    return <div style={indent} className="font-mono text-xs text-green-700">always</div>;
+  }
+
+  return (
+    <div style={indent} className={`font-mono text-xs ${mark}`}>
+      {node.result ? '✓' : '✗'} {node.attribute} {node.operator} {node.valueFrom || formatValue(node.expected)}
+      <span className="text-gray-500"> (actual {formatValue(node.actual)}{node.valueFrom && `, expected ${formatValue(node.expected)}`})</span>
+    </div>
+  );
+};
+
+/**
+ * Admin editor for the attribute-based access policy on patient data:
+ * versions with rollback, a JSON rule editor and a dry-run explainer.
+ */
+const AccessPolicyPanel = () => {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [activateOnSave, setActivateOnSave] = useState(true);
+  const [test, setTest] = useState({ user: '', patient: '', action: 'patient:read', useDraft: false });
+  const [explanation, setExplanation] = useState(null);
+  const [explaining, setExplaining] = useState(false);
+
+  const loadVersion = (policy) => {
+    setDraft({
+      basedOnVersion: policy.version,
+      combiningAlgorithm: policy.combiningAlgorithm,
+      defaultEffect: policy.defaultEffect,
+      comment: '',
+      rulesText: JSON.stringify(policy.rules, null, 2)
+    });
+  };
+
+  const fetchVersions = async () => {
+    try {
+      const response = await adminAPI.getAccessPolicies();
+      setVersions(response.data.data);
+    } catch (error) {
+      console.error('Error fetching access policies:', error);
+      toast.error(error.response?.data?.message || 'Failed to load access policies');
+    }
+  };
+
+  useEffect(() => {
+    const fetchPolicy = async () => {
+      try {
+        const [active, list] = await Promise.all([
+          adminAPI.getActiveAccessPolicy(),
+          adminAPI.getAccessPolicies()
+        ]);
+        loadVersion(active.data.data);
+        setVersions(list.data.data);
+      } catch (error) {
+        console.error('Error fetching access policy:', error);
+        toast.error(error.response?.data?.message || 'Failed to load access policy');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchPolicy();
+  }, []);
+
+  // The rules as parsed from the editor, or null if the JSON is invalid
+  const parseDraft = () => {
+    try {
+      return {
+        rules: JSON.parse(draft.rulesText),
+        combiningAlgorithm: draft.combiningAlgorithm,
+        defaultEffect: draft.defaultEffect
+      };
+    } catch (error) {
+      toast.error(`Rules are not valid JSON: ${error.message}`);
+      return null;
+    }
+  };
+
+  const showErrors = (error, fallback) => {
+    const errors = error.response?.data?.errors;
+    toast.error(errors?.length ? errors.join('\n') : error.response?.data?.message || fallback);
+  };
+
+  const handleEdit = async (version) => {
+    try {
+      const response = await adminAPI.getAccessPolicy(version);
+      loadVersion(response.data.data);
+    } catch (error) {
+      console.error('Error fetching access policy version:', error);
+      toast.error(error.response?.data?.message || 'Failed to load policy version');
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const policy = parseDraft();
+    if (!policy) {
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await adminAPI.createAccessPolicy({
+        ...policy,
+        comment: draft.comment,
+        basedOnVersion: draft.basedOnVersion,
+        activate: activateOnSave
+      });
+      toast.success(response.data.message);
+      loadVersion(response.data.data);
+      fetchVersions();
+    } catch (error) {
+      console.error('Error saving access policy:', error);
+      showErrors(error, 'Failed to save access policy');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleActivate = async (version) => {
+    if (!window.confirm(`Make version ${version} the active access policy?`)) {
+      return;
+    }
+
+    try {
+      const response = await adminAPI.activateAccessPolicy(version);
+      toast.success(response.data.message);
+      fetchVersions();
+    } catch (error) {
+      console.error('Error activating access policy:', error);
+      toast.error(error.response?.data?.message || 'Failed to activate access policy');
+    }
+  };
+
+  const handleExplain = async (e) => {
+    e.preventDefault();
+    let policy;
+    if (test.useDraft) {
+      policy = parseDraft();
+      if (!policy) {
+        return;
+      }
+    }
+
+    try {
+      setExplaining(true);
+      const response = await adminAPI.explainAccessDecision({
+        user: test.user.trim(),
+        patient: test.patient.trim(),
+        action: test.action,
+        policy
+      });
+      setExplanation(response.data.data);
+    } catch (error) {
+      console.error('Error explaining access decision:', error);
+      showErrors(error, 'Failed to explain access decision');
+    } finally {
+      setExplaining(false);
+    }
+  };
+
+  const inputClass = 'border border-gray-300 rounded-md px-3 py-2 text-sm focus:border-indigo-500 focus:outline-none';
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-center space-x-2">
+        <Scale className="h-5 w-5 text-indigo-600" />
+        <h2 className="text-lg font-semibold text-gray-900">Patient Access Policy</h2>
+      </div>
+
+      {loading || !draft ? (
+        <div className="p-6 text-center text-sm text-gray-500">Loading policy...</div>
+      ) : (
+        <div className="p-6 space-y-6">
+          {/* Versions */}
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Version</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Rules</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Comment</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Saved</th>
+                  <th className="px-4 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 text-sm">
+                {versions.map((policy) => (
+                  <tr key={policy.version}>
+                    <td className="px-4 py-2 text-gray-900">
+                      v{policy.version}
+                      {policy.isActive && (
+                        <span className="ml-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-green-100 text-green-800">
+                          Active
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-4 py-2 text-gray-600">{policy.ruleCount}</td>
+                    <td className="px-4 py-2 text-gray-600">{policy.comment || '—'}</td>
+                    <td className="px-4 py-2 text-gray-600">
+                      {formatDate(policy.createdAt)}
+                      {policy.createdBy && <div className="text-xs text-gray-500">by {policy.createdBy.username}</div>}
+                    </td>
+                    <td className="px-4 py-2 text-right space-x-3 whitespace-nowrap">
+                      <button onClick={() => handleEdit(policy.version)} className="text-indigo-600 hover:text-indigo-900">
+                        Edit copy
+                      </button>
+                      {!policy.isActive && (
+                        <button
+                          onClick={() => handleActivate(policy.version)}
+                          className="inline-flex items-center text-yellow-700 hover:text-yellow-900"
+                        >
+                          <RotateCcw className="h-4 w-4 mr-1" />
+                          Activate
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Editor */}
+          <form onSubmit={handleSave} className="space-y-4">
+            <div className="flex flex-wrap items-end gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Combining</label>
+                <select
+                  value={draft.combiningAlgorithm}
+                  onChange={(e) => setDraft({ ...draft, combiningAlgorithm: e.target.value })}
+                  className={inputClass}
+                >
+                  <option value="deny-overrides">Deny overrides</option>
+                  <option value="first-applicable">First applicable</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">When no rule matches</label>
+                <select
+                  value={draft.defaultEffect}
+                  onChange={(e) => setDraft({ ...draft, defaultEffect: e.target.value })}
+                  className={inputClass}
+                >
+                  <option value="deny">Deny</option>
+                  <option value="permit">Permit</option>
+                </select>
+              </div>
+              <div className="flex-1 min-w-[12rem]">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Change comment</label>
+                <input
+                  type="text"
+                  maxLength={500}
+                  value={draft.comment}
+                  onChange={(e) => setDraft({ ...draft, comment: e.target.value })}
+                  placeholder={`Based on v${draft.basedOnVersion}`}
+                  className={`w-full ${inputClass}`}
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Rules</label>
+              <textarea
+                rows={16}
+                value={draft.rulesText}
+                onChange={(e) => setDraft({ ...draft, rulesText: e.target.value })}
+                className={`w-full font-mono text-xs ${inputClass}`}
+                spellCheck={false}
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Attributes: subject.(role, department, accessLevel, hospitalId, assignedPatients),
+                resource.(hospitalId, consent.*, ehr.department, ehr.status), action,
+                environment.(hourUtc, dayOfWeekUtc, ipAddress, breakGlass). Operators: eq, ne, in, nin,
+                contains, gt, gte, lt, lte, exists. Conditions nest with all, any and not.
+              </p>
+            </div>
+
+            <div className="flex items-center justify-between">
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={activateOnSave}
+                  onChange={(e) => setActivateOnSave(e.target.checked)}
+                  className="h-4 w-4 text-indigo-600 border-gray-300 rounded"
+                />
+                <span>Activate when saved</span>
+              </label>
+              <button
+                type="submit"
+                disabled={saving}
+                className="flex items-center px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700 disabled:opacity-50"
+              >
+                <Save className="h-4 w-4 mr-1" />
+                {saving ? 'Saving...' : 'Save as New Version'}
+              </button>
+            </div>
+          </form>
+
+          {/* Dry run */}
+          <form onSubmit={handleExplain} className="border-t pt-6 space-y-4">
+            <h3 className="text-sm font-semibold text-gray-900">Explain a decision</h3>
+            <div className="flex flex-wrap items-end gap-4">
+              <input
+                type="text"
+                placeholder="User email or ID"
+                value={test.user}
+                onChange={(e) => setTest({ ...test, user: e.target.value })}
+                className={`w-56 ${inputClass}`}
+                required
+              />
+              <input
+                type="text"
+                placeholder="Patient ID"
+                value={test.patient}
+                onChange={(e) => setTest({ ...test, patient: e.target.value })}
+                className={`w-48 ${inputClass}`}
+                required
+              />
+              <select
+                value={test.action}
+                onChange={(e) => setTest({ ...test, action: e.target.value })}
+                className={inputClass}
+              >
+                {ACTIONS.map((action) => (
+                  <option key={action} value={action}>{action}</option>
+                ))}
+              </select>
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={test.useDraft}
+                  onChange={(e) => setTest({ ...test, useDraft: e.target.checked })}
+                  className="h-4 w-4 text-indigo-600 border-gray-300 rounded"
+                />
+                <span>Use unsaved rules</span>
+              </label>
+              <button
+                type="submit"
+                disabled={explaining}
+                className="flex items-center px-4 py-2 text-sm font-medium text-indigo-700 bg-indigo-50 rounded-md hover:bg-indigo-100 disabled:opacity-50"
+              >
+                <Play className="h-4 w-4 mr-1" />
+                {explaining ? 'Evaluating...' : 'Explain'}
+              </button>
+            </div>
+
+            {explanation && (
+              <div className="space-y-3">
+                <div className={`p-3 rounded-md text-sm ${
+                  explanation.decision === 'permit' ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'
+                }`}>
+                  <span className="font-semibold uppercase">{explanation.decision}</span> - {explanation.reason}
+                </div>
+                {explanation.rules.map((rule) => (
+                  <div
+                    key={rule.ruleId}
+                    className={`border rounded-md p-3 ${rule.matched ? 'border-indigo-300 bg-indigo-50' : 'border-gray-200'}`}
+                  >
+                    <div className="text-sm text-gray-900">
+                      <span className="font-medium">{rule.ruleId}</span>
+                      <span className="ml-2 text-xs text-gray-500">
+                        {rule.effect} · {!rule.applicable ? 'action does not match' : rule.matched ? 'matched' : 'condition not met'}
+                      </span>
+                    </div>
+                    {rule.applicable && <ConditionTrace node={rule.condition} />}
+                  </div>
+                ))}
+              </div>
+            )}
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AccessPolicyPanel;
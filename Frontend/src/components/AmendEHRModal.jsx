@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { ehrAPI } from '../services/api';
+
+const TYPES = [
+  { value: 'addendum', label: 'Addendum', help: 'Add new information to the signed record.', minReason: 10 },
+  { value: 'correction', label: 'Correction', help: 'Fix an error in your own signed record. The original stays visible, struck through.', minReason: 20 },
+  { value: 'late-entry', label: 'Late entry', help: 'Document something after the fact, with the time it actually happened.', minReason: 10 }
+];
+
+const CORRECTABLE_FIELDS = {
+  chiefComplaint: 'Chief complaint',
+  'diagnosis.primary': 'Primary diagnosis',
+  'clinicalNotes.subjective': 'Subjective notes',
+  'clinicalNotes.objective': 'Objective notes',
+  'clinicalNotes.assessment': 'Assessment',
+  'clinicalNotes.plan': 'Plan',
+  treatmentPlan: 'Treatment plan'
+};
+
+/**
+ * Form for adding an addendum, correction or late entry to an EHR record.
+ * The server enforces who may add each type and when; onAmended receives
+ * the updated record.
+ */
+const AmendEHRModal = ({ ehr, onClose, onAmended }) => {
+  const signed = Boolean(ehr.signature?.value) || ['final', 'amended'].includes(ehr.status);
+  const [form, setForm] = useState({
+    type: signed ? 'addendum' : 'late-entry',
+    reason: '',
+    content: '',
+    field: 'diagnosis.primary',
+    correctedValue: '',
+    eventTime: ''
+  });
+  const [saving, setSaving] = useState(false);
+
+  const type = TYPES.find((option) => option.value === form.type);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const data = { type: form.type, reason: form.reason };
+    if (form.type === 'correction') {
+      Object.assign(data, { field: form.field, correctedValue: form.correctedValue });
+    } else {
+      data.content = form.content;
+    }
+    if (form.type === 'late-entry') {
+      data.eventTime = new Date(form.eventTime).toISOString();
+    }
+
+    try {
+      setSaving(true);
+      const response = await ehrAPI.amend(ehr._id, data);
+      toast.success(response.data.message || 'Amendment added');
+      onAmended(response.data.data);
+    } catch (error) {
+      console.error('Error amending EHR:', error);
+      toast.error(error.response?.data?.message || 'Failed to add amendment');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-5 border w-11/12 max-w-2xl shadow-lg rounded-md bg-white">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Amend Record {ehr.recordId}</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+            <select
+              value={form.type}
+              onChange={(e) => setForm({ ...form, type: e.target.value })}
+              className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+            >
+              {TYPES.map((option) => (
+                <option key={option.value} value={option.value} disabled={!signed && option.value !== 'late-entry'}>
+                  {option.label}{!signed && option.value !== 'late-entry' ? ' (signed records only)' : ''}
+                </option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">{type.help}</p>
+          </div>
+
+          {form.type === 'correction' ? (
+            <>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Field</label>
+                <select
+                  value={form.field}
+                  onChange={(e) => setForm({ ...form, field: e.target.value })}
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                >
+                  {Object.entries(CORRECTABLE_FIELDS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Corrected value *</label>
+                <textarea
+                  rows={3}
+                  value={form.correctedValue}
+                  onChange={(e) => setForm({ ...form, correctedValue: e.target.value })}
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  required
+                />
+              </div>
+            </>
+          ) : (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">{type.label} text *</label>
+              <textarea
+                rows={4}
+                value={form.content}
+                onChange={(e) => setForm({ ...form, content: e.target.value })}
+                className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                required
+              />
+            </div>
+          )}
+
+          {form.type === 'late-entry' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">When did it happen? *</label>
+              <input
+                type="datetime-local"
+                value={form.eventTime}
+                onChange={(e) => setForm({ ...form, eventTime: e.target.value })}
+                className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+                required
+              />
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Reason * (minimum {type.minReason} characters)</label>
+            <input
+              type="text"
+              value={form.reason}
+              onChange={(e) => setForm({ ...form, reason: e.target.value })}
+              className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+              required
+            />
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-4 border-t">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving || form.reason.trim().length < type.minReason}
+              className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : `Add ${type.label}`}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default AmendEHRModal;
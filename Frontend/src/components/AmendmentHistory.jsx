@@ -0,0 +1,70 @@
+import React from 'react';
+
+const AMENDMENT_TYPES = {
+  addendum: { label: 'Addendum', style: 'border-blue-400 bg-blue-50' },
+  correction: { label: 'Correction', style: 'border-yellow-400 bg-yellow-50' },
+  'late-entry': { label: 'Late entry', style: 'border-purple-400 bg-purple-50' }
+};
+
+const CORRECTABLE_FIELDS = {
+  chiefComplaint: 'Chief complaint',
+  'diagnosis.primary': 'Primary diagnosis',
+  'clinicalNotes.subjective': 'Subjective notes',
+  'clinicalNotes.objective': 'Objective notes',
+  'clinicalNotes.assessment': 'Assessment',
+  'clinicalNotes.plan': 'Plan',
+  treatmentPlan: 'Treatment plan'
+};
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+const authorName = (amendment) => (
+  amendment.amendedBy?.firstName ? `${amendment.amendedBy.firstName} ${amendment.amendedBy.lastName}` : 'Care team'
+);
+
+/**
+ * Amendments to an EHR record, oldest first: addenda, corrections (with
+ * the original value struck through) and late entries (with the time the
+ * event happened). Amendments made before types were recorded show their
+ * free-text changes.
+ */
+const AmendmentHistory = ({ amendments = [] }) => {
+  if (amendments.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="space-y-3">
+      {amendments.map((amendment, index) => {
+        const type = AMENDMENT_TYPES[amendment.type];
+        return (
+          <div key={amendment._id || index} className={`border-l-4 rounded p-3 ${type?.style || 'border-gray-300 bg-gray-50'}`}>
+            <div className="flex justify-between items-start text-xs text-gray-600 mb-1">
+              <span className="font-semibold uppercase tracking-wide text-gray-800">{type?.label || 'Amendment'}</span>
+              <span>{authorName(amendment)}, {formatDateTime(amendment.amendedAt)}</span>
+            </div>
+
+            {amendment.type === 'correction' ? (
+              <div className="text-sm text-gray-800">
+                <p className="text-xs text-gray-600">{CORRECTABLE_FIELDS[amendment.field] || amendment.field}</p>
+                <p className="line-through text-gray-500">{amendment.originalValue || '(empty)'}</p>
+                <p>{amendment.correctedValue}</p>
+              </div>
+            ) : (
+              <div className="text-sm text-gray-800">
+                {amendment.type === 'late-entry' && (
+                  <p className="text-xs text-gray-600 mb-1">Event time: {formatDateTime(amendment.eventTime)}</p>
+                )}
+                <p className="whitespace-pre-wrap">{amendment.content || amendment.changes}</p>
+              </div>
+            )}
+
+            {amendment.reason && <p className="text-xs text-gray-600 mt-1">Reason: {amendment.reason}</p>}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default AmendmentHistory;
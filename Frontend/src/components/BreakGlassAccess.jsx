@@ -17,7 +17,7 @@ const BreakGlassAccess = ({ patientId, onAccessGranted, onCancel }) => {
       await onAccessGranted(justification);
       toast.success('Emergency access granted');
     } catch (error) {
-      toast.error('Failed to grant emergency access');
+      toast.error(error.response?.data?.message || 'Failed to grant emergency access');
     } finally {
       setLoading(false);
     }
@@ -42,7 +42,7 @@ const BreakGlassAccess = ({ patientId, onAccessGranted, onCancel }) => {
           <div className="flex">
             <AlertTriangle className="h-5 w-5 text-yellow-600 mr-2 mt-0.5 shrink-0" />
             <div className="text-sm text-yellow-800">
-              <strong>Warning:</strong> This access will be logged and reviewed by administration. Only use in genuine emergency situations.
+              <strong>Warning:</strong> Access to this patient lasts 60 minutes. It will be logged and must be reviewed by a privacy officer. Only use in genuine emergency situations.
             </div>
           </div>
         </div>
@@ -0,0 +1,236 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ShieldAlert, RefreshCw, X } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { breakGlassAPI } from '../services/api';
+
+const OUTCOMES = [
+  { value: 'justified', label: 'Justified' },
+  { value: 'not-justified', label: 'Not justified' },
+  { value: 'inconclusive', label: 'Inconclusive' }
+];
+
+const OUTCOME_STYLES = {
+  justified: 'bg-green-100 text-green-800',
+  'not-justified': 'bg-red-100 text-red-800',
+  inconclusive: 'bg-gray-100 text-gray-800'
+};
+
+/**
+ * Privacy officer queue of break-glass review cases. Every emergency access
+ * opens a case that stays here until it is closed with an outcome and notes;
+ * overdue cases are listed first and highlighted.
+ */
+const BreakGlassReviewQueue = () => {
+  const [cases, setCases] = useState([]);
+  const [counts, setCounts] = useState({ pending: 0, overdue: 0 });
+  const [status, setStatus] = useState('pending');
+  const [loading, setLoading] = useState(true);
+  const [closing, setClosing] = useState(null);
+  const [outcome, setOutcome] = useState('justified');
+  const [notes, setNotes] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const fetchCases = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await breakGlassAPI.getReviews(status === 'overdue' ? { overdue: 'true' } : { status });
+      setCases(response.data.data || []);
+      setCounts(response.data.counts || { pending: 0, overdue: 0 });
+    } catch (error) {
+      console.error('Error fetching break-glass reviews:', error);
+      toast.error(error.response?.data?.message || 'Failed to load break-glass reviews');
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchCases();
+  }, [fetchCases]);
+
+  const openClose = (reviewCase) => {
+    setClosing(reviewCase);
+    setOutcome('justified');
+    setNotes('');
+  };
+
+  const handleClose = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      await breakGlassAPI.closeReview(closing._id, { outcome, notes });
+      toast.success('Review case closed');
+      setClosing(null);
+      fetchCases();
+    } catch (error) {
+      console.error('Error closing break-glass review:', error);
+      toast.error(error.response?.data?.message || 'Failed to close review case');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const personName = (person) => (person ? `${person.firstName} ${person.lastName}` : 'Unknown user');
+  const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm mb-6">
+      <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+        <div className="flex items-center space-x-2">
+          <ShieldAlert className="h-5 w-5 text-orange-600" />
+          <h2 className="text-lg font-semibold text-gray-900">Break-Glass Review Queue</h2>
+          <span className="px-2 py-0.5 text-xs rounded-full bg-orange-100 text-orange-800">{counts.pending} open</span>
+          {counts.overdue > 0 && (
+            <span className="px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-800">{counts.overdue} overdue</span>
+          )}
+        </div>
+        <div className="flex items-center space-x-3">
+          <select
+            value={status}
+            onChange={(e) => setStatus(e.target.value)}
+            className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+          >
+            <option value="pending">Open</option>
+            <option value="overdue">Overdue</option>
+            <option value="closed">Closed</option>
+            <option value="all">All</option>
+          </select>
+          <button onClick={fetchCases} className="text-gray-500 hover:text-gray-700" title="Refresh review queue">
+            <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      {loading && cases.length === 0 ? (
+        <div className="p-6 text-center text-sm text-gray-500">Loading review cases...</div>
+      ) : cases.length === 0 ? (
+        <div className="p-6 text-center text-sm text-gray-500">No review cases</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Accessed</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">User</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Patient</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Justification</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Review</th>
+                <th className="px-4 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 text-sm">
+              {cases.map((reviewCase) => (
+                <tr key={reviewCase._id} className={reviewCase.isOverdue ? 'bg-red-50' : ''}>
+                  <td className="px-4 py-2 text-gray-600 whitespace-nowrap">
+                    {formatDate(reviewCase.startsAt)}
+                    {reviewCase.isEffective && <div className="text-xs text-orange-600">Access open until {formatDate(reviewCase.expiresAt)}</div>}
+                  </td>
+                  <td className="px-4 py-2 text-gray-900">
+                    {personName(reviewCase.user)}
+                    <div className="text-xs text-gray-500 capitalize">{reviewCase.user?.role}</div>
+                  </td>
+                  <td className="px-4 py-2 text-gray-900">
+                    {reviewCase.patient ? `${reviewCase.patient.firstName} ${reviewCase.patient.lastName}` : '-'}
+                    <div className="text-xs text-gray-500 font-mono">{reviewCase.patient?.patientId}</div>
+                  </td>
+                  <td className="px-4 py-2 text-gray-700 italic max-w-xs">&quot;{reviewCase.justification}&quot;</td>
+                  <td className="px-4 py-2 whitespace-nowrap">
+                    {reviewCase.review.status === 'closed' ? (
+                      <>
+                        <span className={`px-2 py-0.5 text-xs rounded-full ${OUTCOME_STYLES[reviewCase.review.outcome]}`}>
+                          {OUTCOMES.find((option) => option.value === reviewCase.review.outcome)?.label}
+                        </span>
+                        <div className="text-xs text-gray-500 mt-1">
+                          {personName(reviewCase.review.reviewedBy)}, {formatDate(reviewCase.review.reviewedAt)}
+                        </div>
+                      </>
+                    ) : (
+                      <div className={`text-xs ${reviewCase.isOverdue ? 'text-red-700 font-semibold' : 'text-gray-600'}`}>
+                        {reviewCase.isOverdue ? 'Overdue since' : 'Due'} {formatDate(reviewCase.review.dueAt)}
+                        {reviewCase.review.escalationCount > 0 && ` (escalated ${reviewCase.review.escalationCount}x)`}
+                      </div>
+                    )}
+                  </td>
+                  <td className="px-4 py-2 text-right">
+                    {reviewCase.review.status === 'pending' && (
+                      <button
+                        onClick={() => openClose(reviewCase)}
+                        className="px-3 py-1 text-sm text-white bg-orange-600 rounded-md hover:bg-orange-700"
+                      >
+                        Review
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {closing && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg shadow-xl max-w-lg w-full">
+            <div className="bg-orange-600 text-white px-6 py-4 flex justify-between items-center rounded-t-lg">
+              <h3 className="text-lg font-semibold">Close Review Case</h3>
+              <button onClick={() => setClosing(null)} className="text-white hover:text-gray-200">
+                <X className="h-6 w-6" />
+              </button>
+            </div>
+
+            <form onSubmit={handleClose} className="p-6 space-y-4">
+              <div className="text-sm text-gray-700">
+                <p><span className="font-medium">{personName(closing.user)}</span> opened the record of {closing.patient?.patientId} on {formatDate(closing.startsAt)}:</p>
+                <p className="italic mt-1">&quot;{closing.justification}&quot;</p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Outcome</label>
+                <select
+                  value={outcome}
+                  onChange={(e) => setOutcome(e.target.value)}
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                >
+                  {OUTCOMES.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Review notes * (minimum 20 characters)</label>
+                <textarea
+                  rows={4}
+                  value={notes}
+                  onChange={(e) => setNotes(e.target.value)}
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  placeholder="Confirmed with the ED charge nurse that the patient arrived unresponsive..."
+                  required
+                />
+              </div>
+
+              <div className="flex justify-end space-x-3 pt-4 border-t">
+                <button
+                  type="button"
+                  onClick={() => setClosing(null)}
+                  className="px-4 py-2 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving || notes.trim().length < 20}
+                  className="px-4 py-2 bg-orange-600 text-white rounded-md hover:bg-orange-700 disabled:opacity-50"
+                >
+                  {saving ? 'Saving...' : 'Close Case'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BreakGlassReviewQueue;
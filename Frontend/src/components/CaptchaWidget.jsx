@@ -0,0 +1,105 @@
+import React, { useEffect, useRef } from 'react';
+
+// Turnstile, hCaptcha and reCAPTCHA share the same explicit-render API
+const PROVIDERS = {
+  turnstile: {
+    script: 'https://challenges.cloudflare.com/turnstile/v0/api.js',
+    global: 'turnstile'
+  },
+  hcaptcha: {
+    script: 'https://js.hcaptcha.com/1/api.js',
+    global: 'hcaptcha'
+  },
+  recaptcha: {
+    script: 'https://www.google.com/recaptcha/api.js',
+    global: 'grecaptcha'
+  }
+};
+
+const PROVIDER = PROVIDERS[import.meta.env.VITE_CAPTCHA_PROVIDER || 'turnstile'];
+const SITE_KEY = import.meta.env.VITE_CAPTCHA_SITE_KEY;
+const ONLOAD_CALLBACK = '__onCaptchaLoaded';
+
+let scriptPromise = null;
+
+const loadScript = () => {
+  if (!scriptPromise) {
+    scriptPromise = new Promise((resolve, reject) => {
+      window[ONLOAD_CALLBACK] = () => resolve(window[PROVIDER.global]);
+      const script = document.createElement('script');
+      script.src = `${PROVIDER.script}?render=explicit&onload=${ONLOAD_CALLBACK}`;
+      script.async = true;
+      script.onerror = () => {
+        scriptPromise = null;
+        reject(new Error('Could not load CAPTCHA'));
+      };
+      document.head.appendChild(script);
+    });
+  }
+  return scriptPromise;
+};
+
+/**
+ * CAPTCHA shown on the login form after repeated failed attempts.
+ * Calls onVerify with the response token, or null when it expires.
+ */
+const CaptchaWidget = ({ onVerify }) => {
+  const containerRef = useRef(null);
+  const onVerifyRef = useRef(onVerify);
+
+  useEffect(() => {
+    onVerifyRef.current = onVerify;
+  }, [onVerify]);
+
+  useEffect(() => {
+    if (!PROVIDER || !SITE_KEY) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    let widgetId = null;
+    let api = null;
+
+    loadScript()
+      .then((loadedApi) => {
+        if (cancelled || !containerRef.current) {
+          return;
+        }
+        api = loadedApi;
+        widgetId = api.render(containerRef.current, {
+          sitekey: SITE_KEY,
+          callback: (token) => onVerifyRef.current(token),
+          'expired-callback': () => onVerifyRef.current(null)
+        });
+      })
+      .catch((error) => {
+        console.error('CAPTCHA load error:', error);
+      });
+
+    return () => {
+      cancelled = true;
+      if (api && widgetId !== null && api.remove) {
+        api.remove(widgetId);
+      }
+    };
+  }, []);
+
+  if (!PROVIDER || !SITE_KEY) {
+    return (
+      <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-sm text-yellow-800">
+        Too many failed attempts. CAPTCHA is not configured for this site, please contact your administrator.
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600 mb-2">
+        Too many failed attempts. Please confirm you are not a robot.
+      </p>
+      <div ref={containerRef} className="flex justify-center" />
+    </div>
+  );
+};
+
+export default CaptchaWidget;
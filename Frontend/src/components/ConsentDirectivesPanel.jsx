@@ -0,0 +1,337 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FileLock, Plus, RefreshCw, Trash2 } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { patientPortalAPI } from '../services/api';
+
+const CATEGORY_LABELS = {
+  'mental-health': 'Mental health',
+  hiv: 'HIV status',
+  'substance-use': 'Substance use',
+  'reproductive-health': 'Reproductive health',
+  genetic: 'Genetic testing'
+};
+
+const FLAGS = [
+  { key: 'emergencyAccess', label: 'Emergency access', help: 'Staff may open my records in an emergency (break-glass).' },
+  { key: 'dataSharing', label: 'Sharing with other hospitals', help: 'Other hospitals treating me may view my records (only those I name below, if I name any).' },
+  { key: 'research', label: 'Research use', help: 'My records may be used for approved research.' }
+];
+
+// Value for a date input
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+const formFromDirective = (directive, consent) => ({
+  dataSharing: directive ? directive.dataSharing : Boolean(consent?.dataSharing),
+  research: directive ? directive.research : Boolean(consent?.research),
+  emergencyAccess: directive ? directive.emergencyAccess : consent?.emergencyAccess !== false,
+  exclusions: (directive?.exclusions || []).map((exclusion) => ({
+    category: exclusion.category,
+    departments: exclusion.departments.join(', '),
+    expiresAt: toDateInput(exclusion.expiresAt)
+  })),
+  recipients: (directive?.recipients || []).map((recipient) => ({
+    name: recipient.name,
+    relationship: recipient.relationship || '',
+    organization: recipient.organization || '',
+    contact: recipient.contact || '',
+    expiresAt: toDateInput(recipient.expiresAt)
+  })),
+  expiresAt: toDateInput(directive?.expiresAt),
+  changeNote: ''
+});
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '-');
+
+/**
+ * Patient self-service consent: the consent flags, record categories
+ * hidden from staff, people records may be shared with, and the version
+ * history. Saving records a new directive version; the care team is
+ * notified of every change.
+ */
+const ConsentDirectivesPanel = () => {
+  const [data, setData] = useState(null);
+  const [form, setForm] = useState(formFromDirective(null, null));
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const fetchConsent = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await patientPortalAPI.getMyConsent();
+      setData(response.data.data);
+      setForm(formFromDirective(response.data.data.current, response.data.data.consent));
+    } catch (error) {
+      console.error('Error fetching consent directive:', error);
+      toast.error(error.response?.data?.message || 'Failed to load your consent settings');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchConsent();
+  }, [fetchConsent]);
+
+  const categories = data?.categories || Object.keys(CATEGORY_LABELS);
+  const unusedCategory = categories.find((category) => !form.exclusions.some((exclusion) => exclusion.category === category));
+
+  const updateItem = (list, index, field, value) => {
+    setForm({
+      ...form,
+      [list]: form[list].map((item, i) => (i === index ? { ...item, [field]: value } : item))
+    });
+  };
+
+  const removeItem = (list, index) => {
+    setForm({ ...form, [list]: form[list].filter((_, i) => i !== index) });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const response = await patientPortalAPI.updateMyConsent({
+        dataSharing: form.dataSharing,
+        research: form.research,
+        emergencyAccess: form.emergencyAccess,
+        exclusions: form.exclusions.map((exclusion) => ({
+          category: exclusion.category,
+          departments: exclusion.departments.split(',').map((department) => department.trim()).filter(Boolean),
+          expiresAt: exclusion.expiresAt || undefined
+        })),
+        recipients: form.recipients.map((recipient) => ({
+          ...recipient,
+          expiresAt: recipient.expiresAt || undefined
+        })),
+        expiresAt: form.expiresAt,
+        changeNote: form.changeNote
+      });
+      toast.success(response.data.message || 'Consent updated');
+      fetchConsent();
+    } catch (error) {
+      console.error('Error updating consent directive:', error);
+      toast.error(error.response?.data?.message || 'Failed to update your consent');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading && !data) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6 text-center text-sm text-gray-500">Loading consent settings...</div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+        <div className="flex items-center space-x-2">
+          <FileLock className="h-5 w-5 text-blue-600" />
+          <h2 className="text-lg font-semibold text-gray-900">My Consent</h2>
+          {data?.current && (
+            <span className="px-2 py-0.5 text-xs rounded-full bg-blue-100 text-blue-800">Version {data.current.version}</span>
+          )}
+        </div>
+        <button onClick={fetchConsent} className="text-gray-500 hover:text-gray-700" title="Refresh consent">
+          <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+
+      <form onSubmit={handleSave} className="p-6 space-y-6">
+        <div className="space-y-3">
+          {FLAGS.map((flag) => (
+            <label key={flag.key} className="flex items-start space-x-3">
+              <input
+                type="checkbox"
+                checked={form[flag.key]}
+                onChange={(e) => setForm({ ...form, [flag.key]: e.target.checked })}
+                className="mt-1"
+              />
+              <span>
+                <span className="block text-sm font-medium text-gray-900">{flag.label}</span>
+                <span className="block text-xs text-gray-500">{flag.help}</span>
+              </span>
+            </label>
+          ))}
+          <div className="flex items-center space-x-3">
+            <label className="text-sm text-gray-700">Sharing and research consent ends on</label>
+            <input
+              type="date"
+              value={form.expiresAt}
+              onChange={(e) => setForm({ ...form, expiresAt: e.target.value })}
+              className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+            />
+            <span className="text-xs text-gray-500">(leave empty for no end date)</span>
+          </div>
+        </div>
+
+        <div>
+          <div className="flex justify-between items-center mb-2">
+            <h3 className="text-sm font-semibold text-gray-900">Hidden record categories</h3>
+            {unusedCategory && (
+              <button
+                type="button"
+                onClick={() => setForm({ ...form, exclusions: [...form.exclusions, { category: unusedCategory, departments: '', expiresAt: '' }] })}
+                className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+              >
+                <Plus className="h-4 w-4 mr-1" /> Hide a category
+              </button>
+            )}
+          </div>
+          {form.exclusions.length === 0 ? (
+            <p className="text-xs text-gray-500">Staff treating you can see all of your records.</p>
+          ) : (
+            <div className="space-y-2">
+              {form.exclusions.map((exclusion, index) => (
+                <div key={index} className="grid grid-cols-1 md:grid-cols-4 gap-2 items-center">
+                  <select
+                    value={exclusion.category}
+                    onChange={(e) => updateItem('exclusions', index, 'category', e.target.value)}
+                    className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                  >
+                    {categories.map((category) => (
+                      <option key={category} value={category}>{CATEGORY_LABELS[category] || category}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="text"
+                    value={exclusion.departments}
+                    onChange={(e) => updateItem('exclusions', index, 'departments', e.target.value)}
+                    placeholder="Departments (empty = all staff)"
+                    className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                  />
+                  <input
+                    type="date"
+                    value={exclusion.expiresAt}
+                    onChange={(e) => updateItem('exclusions', index, 'expiresAt', e.target.value)}
+                    title="Hidden until"
+                    className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                  />
+                  <button type="button" onClick={() => removeItem('exclusions', index)} className="text-red-600 hover:text-red-800 justify-self-start" title="Remove">
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div>
+          <div className="flex justify-between items-center mb-2">
+            <h3 className="text-sm font-semibold text-gray-900">People I share my records with</h3>
+            <button
+              type="button"
+              onClick={() => setForm({ ...form, recipients: [...form.recipients, { name: '', relationship: '', organization: '', contact: '', expiresAt: '' }] })}
+              className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+            >
+              <Plus className="h-4 w-4 mr-1" /> Add a person
+            </button>
+          </div>
+          {form.recipients.length === 0 ? (
+            <p className="text-xs text-gray-500">You have not named anyone, so data sharing is not limited to particular people or organizations.</p>
+          ) : (
+            <div className="space-y-2">
+              {form.recipients.map((recipient, index) => (
+                <div key={index} className="grid grid-cols-1 md:grid-cols-6 gap-2 items-center">
+                  <input
+                    type="text"
+                    value={recipient.name}
+                    onChange={(e) => updateItem('recipients', index, 'name', e.target.value)}
+                    placeholder="Name *"
+                    required
+                    className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                  />
+                  <input
+                    type="text"
+                    value={recipient.relationship}
+                    onChange={(e) => updateItem('recipients', index, 'relationship', e.target.value)}
+                    placeholder="Relationship"
+                    className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                  />
+                  <input
+                    type="text"
+                    value={recipient.organization}
+                    onChange={(e) => updateItem('recipients', index, 'organization', e.target.value)}
+                    placeholder="Organization"
+                    className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                  />
+                  <input
+                    type="text"
+                    value={recipient.contact}
+                    onChange={(e) => updateItem('recipients', index, 'contact', e.target.value)}
+                    placeholder="Phone or email"
+                    className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                  />
+                  <input
+                    type="date"
+                    value={recipient.expiresAt}
+                    onChange={(e) => updateItem('recipients', index, 'expiresAt', e.target.value)}
+                    title="Sharing ends on"
+                    className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                  />
+                  <button type="button" onClick={() => removeItem('recipients', index)} className="text-red-600 hover:text-red-800 justify-self-start" title="Remove">
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="flex items-end space-x-3 pt-4 border-t">
+          <div className="flex-1">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Note about this change</label>
+            <input
+              type="text"
+              value={form.changeNote}
+              onChange={(e) => setForm({ ...form, changeNote: e.target.value })}
+              maxLength={500}
+              className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save Consent'}
+          </button>
+        </div>
+      </form>
+
+      {data?.history?.length > 0 && (
+        <div className="px-6 pb-6">
+          <h3 className="text-sm font-semibold text-gray-900 mb-2">History</h3>
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Version</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Changed by</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Hidden categories</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Note</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {data.history.map((directive) => (
+                <tr key={directive._id} className={directive.status === 'active' ? 'bg-blue-50' : ''}>
+                  <td className="px-3 py-2 text-gray-900">v{directive.version}{directive.status === 'active' && ' (current)'}</td>
+                  <td className="px-3 py-2 text-gray-600">{formatDate(directive.createdAt)}</td>
+                  <td className="px-3 py-2 text-gray-600">
+                    {directive.source === 'patient' ? 'You' : `${directive.createdBy?.firstName || ''} ${directive.createdBy?.lastName || ''}`.trim() || 'Care team'}
+                  </td>
+                  <td className="px-3 py-2 text-gray-600">
+                    {directive.exclusions.length === 0 ? '-' : directive.exclusions.map((exclusion) => CATEGORY_LABELS[exclusion.category] || exclusion.category).join(', ')}
+                  </td>
+                  <td className="px-3 py-2 text-gray-600">{directive.changeNote || '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ConsentDirectivesPanel;
@@ -0,0 +1,357 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { PenLine, RefreshCw, X } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { ehrAPI } from '../services/api';
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  returned: 'bg-red-100 text-red-800'
+};
+
+const VITAL_LABELS = {
+  temperature: 'Temp',
+  bloodPressure: 'BP',
+  heartRate: 'HR',
+  respiratoryRate: 'RR',
+  oxygenSaturation: 'SpO2'
+};
+
+const personName = (person) => (person?.firstName ? `${person.firstName} ${person.lastName}` : 'Unknown user');
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+const notesText = (notes) => {
+  if (!notes || typeof notes === 'string') return notes;
+  return ['subjective', 'objective', 'assessment', 'plan']
+    .filter((part) => notes[part])
+    .map((part) => `${part[0].toUpperCase()}${part.slice(1)}: ${notes[part]}`)
+    .join('\n');
+};
+
+/**
+ * Co-signature inbox. For physicians ("assigned") it lists notes by nurses
+ * and trainees waiting for their co-signature, to co-sign or return with
+ * comments. For authors ("authored") it lists their notes still in review,
+ * with the physician's comments, so returned notes can be resubmitted.
+ * Overdue notes are listed first and highlighted.
+ */
+const CosignInbox = ({ box = 'assigned', onChange }) => {
+  const [notes, setNotes] = useState([]);
+  const [counts, setCounts] = useState({ total: 0, overdue: 0 });
+  const [loading, setLoading] = useState(true);
+  const [preview, setPreview] = useState(null);
+  const [responding, setResponding] = useState(null);
+  const [comments, setComments] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const assigned = box === 'assigned';
+
+  const fetchNotes = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await ehrAPI.getCosignInbox(box);
+      setNotes(response.data.data || []);
+      setCounts(response.data.counts || { total: 0, overdue: 0 });
+    } catch (error) {
+      console.error('Error fetching co-signature inbox:', error);
+      toast.error(error.response?.data?.message || 'Failed to load co-signature inbox');
+    } finally {
+      setLoading(false);
+    }
+  }, [box]);
+
+  useEffect(() => {
+    fetchNotes();
+  }, [fetchNotes]);
+
+  const handleView = async (note) => {
+    try {
+      const response = await ehrAPI.getById(note._id);
+      setPreview(response.data.data);
+    } catch (error) {
+      console.error('Error fetching note:', error);
+      toast.error(error.response?.data?.message || 'Failed to load note');
+    }
+  };
+
+  const handleCosign = async (note) => {
+    if (!window.confirm(`Co-sign ${note.recordId}? The note becomes final and can then only be amended.`)) {
+      return;
+    }
+    try {
+      setSaving(true);
+      await ehrAPI.cosign(note._id);
+      toast.success('Note co-signed');
+      setPreview(null);
+      fetchNotes();
+      onChange?.();
+    } catch (error) {
+      console.error('Error co-signing note:', error);
+      toast.error(error.response?.data?.message || 'Failed to co-sign note');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openResponse = (note) => {
+    setResponding(note);
+    setComments('');
+  };
+
+  const handleRespond = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      if (assigned) {
+        await ehrAPI.returnForRevision(responding._id, comments);
+        toast.success('Note returned to its author');
+      } else {
+        await ehrAPI.resubmit(responding._id, comments);
+        toast.success('Note resubmitted for co-signature');
+      }
+      setResponding(null);
+      setPreview(null);
+      fetchNotes();
+      onChange?.();
+    } catch (error) {
+      console.error('Error responding to co-signature review:', error);
+      toast.error(error.response?.data?.message || 'Failed to update note');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Authors only see the inbox while they have notes in review
+  if (!assigned && !loading && notes.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm">
+      <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+        <div className="flex items-center space-x-2">
+          <PenLine className="h-5 w-5 text-indigo-600" />
+          <h2 className="text-lg font-semibold text-gray-900">
+            {assigned ? 'Co-signature Inbox' : 'My Notes Awaiting Co-signature'}
+          </h2>
+          <span className="px-2 py-0.5 text-xs rounded-full bg-indigo-100 text-indigo-800">{counts.total}</span>
+          {counts.overdue > 0 && (
+            <span className="px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-800">{counts.overdue} overdue</span>
+          )}
+        </div>
+        <button onClick={fetchNotes} className="text-gray-500 hover:text-gray-700" title="Refresh inbox">
+          <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+
+      {loading && notes.length === 0 ? (
+        <div className="p-6 text-center text-sm text-gray-500">Loading notes...</div>
+      ) : notes.length === 0 ? (
+        <div className="p-6 text-center text-sm text-gray-500">No notes waiting for your co-signature</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Record</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Patient</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">
+                  {assigned ? 'Written by' : 'Attending'}
+                </th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Review</th>
+                <th className="px-4 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 text-sm">
+              {notes.map((note) => {
+                const lastComment = note.cosignature.comments?.[note.cosignature.comments.length - 1];
+                return (
+                  <tr key={note._id} className={note.isOverdue ? 'bg-red-50' : ''}>
+                    <td className="px-4 py-2 text-gray-900">
+                      <span className="font-mono text-xs">{note.recordId}</span>
+                      <div className="text-xs text-gray-500 capitalize">{note.visitType}, {note.department}</div>
+                    </td>
+                    <td className="px-4 py-2 text-gray-900">
+                      {note.patient ? `${note.patient.firstName} ${note.patient.lastName}` : '-'}
+                      <div className="text-xs text-gray-500 font-mono">{note.patient?.patientId}</div>
+                    </td>
+                    <td className="px-4 py-2 text-gray-900">
+                      {assigned ? (
+                        <>
+                          {personName(note.author)}
+                          <div className="text-xs text-gray-500 capitalize">{note.author?.role}</div>
+                        </>
+                      ) : (
+                        personName(note.cosignature.assignedTo)
+                      )}
+                    </td>
+                    <td className="px-4 py-2 max-w-xs">
+                      <span className={`px-2 py-0.5 text-xs rounded-full capitalize ${STATUS_STYLES[note.cosignature.status]}`}>
+                        {note.cosignature.status}
+                      </span>
+                      {note.cosignature.status === 'pending' && (
+                        <div className={`text-xs mt-1 ${note.isOverdue ? 'text-red-700 font-semibold' : 'text-gray-600'}`}>
+                          {note.isOverdue ? 'Overdue since' : 'Due'} {formatDate(note.cosignature.dueAt)}
+                        </div>
+                      )}
+                      {lastComment && (
+                        <div className="text-xs text-gray-700 italic mt-1">
+                          {personName(lastComment.author)}: &quot;{lastComment.text}&quot;
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-4 py-2 text-right whitespace-nowrap space-x-3">
+                      <button onClick={() => handleView(note)} className="text-indigo-600 hover:text-indigo-800">
+                        View
+                      </button>
+                      {assigned ? (
+                        <>
+                          <button onClick={() => handleCosign(note)} disabled={saving} className="text-green-600 hover:text-green-800 disabled:opacity-50">
+                            Co-sign
+                          </button>
+                          <button onClick={() => openResponse(note)} className="text-red-600 hover:text-red-800">
+                            Return
+                          </button>
+                        </>
+                      ) : note.cosignature.status === 'returned' && (
+                        <button onClick={() => openResponse(note)} className="text-indigo-600 hover:text-indigo-800">
+                          Resubmit
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Note preview */}
+      {preview && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-11/12 max-w-2xl shadow-lg rounded-md bg-white">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-lg font-semibold text-gray-900">Note {preview.recordId}</h3>
+              <button onClick={() => setPreview(null)} className="text-gray-400 hover:text-gray-600">
+                <X className="h-6 w-6" />
+              </button>
+            </div>
+            <div className="space-y-3 text-sm text-gray-900">
+              <p className="text-xs text-gray-500">
+                Written by {personName(preview.author)} on {formatDate(preview.createdAt)}
+              </p>
+              <div>
+                <p className="text-xs font-medium text-gray-500 uppercase">Chief complaint</p>
+                <p>{preview.chiefComplaint}</p>
+              </div>
+              {preview.vitals && Object.keys(VITAL_LABELS).some((key) => preview.vitals[key]) && (
+                <div>
+                  <p className="text-xs font-medium text-gray-500 uppercase">Vitals</p>
+                  <p>
+                    {Object.entries(VITAL_LABELS)
+                      .filter(([key]) => preview.vitals[key])
+                      .map(([key, label]) => `${label} ${preview.vitals[key]}`)
+                      .join(', ')}
+                  </p>
+                </div>
+              )}
+              {preview.medications?.length > 0 && (
+                <div>
+                  <p className="text-xs font-medium text-gray-500 uppercase">Medications</p>
+                  <p>{preview.medications.map((medication) => [medication.name, medication.dosage].filter(Boolean).join(' ')).join(', ')}</p>
+                </div>
+              )}
+              {notesText(preview.clinicalNotes) && (
+                <div>
+                  <p className="text-xs font-medium text-gray-500 uppercase">Clinical notes</p>
+                  <p className="whitespace-pre-wrap">{notesText(preview.clinicalNotes)}</p>
+                </div>
+              )}
+              {preview.treatmentPlan && (
+                <div>
+                  <p className="text-xs font-medium text-gray-500 uppercase">Treatment plan</p>
+                  <p>{preview.treatmentPlan}</p>
+                </div>
+              )}
+              {preview.cosignature?.comments?.length > 0 && (
+                <div>
+                  <p className="text-xs font-medium text-gray-500 uppercase">Review comments</p>
+                  {preview.cosignature.comments.map((comment) => (
+                    <p key={comment._id} className="text-xs text-gray-700">
+                      {personName(comment.author)} ({comment.action}, {formatDate(comment.createdAt)}): {comment.text}
+                    </p>
+                  ))}
+                </div>
+              )}
+            </div>
+            {assigned && (
+              <div className="flex justify-end space-x-3 pt-4 mt-4 border-t">
+                <button
+                  onClick={() => openResponse(preview)}
+                  className="px-4 py-2 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300"
+                >
+                  Return
+                </button>
+                <button
+                  onClick={() => handleCosign(preview)}
+                  disabled={saving}
+                  className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50"
+                >
+                  Co-sign
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Return with comments / resubmit with a response */}
+      {responding && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-11/12 max-w-lg shadow-lg rounded-md bg-white">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-lg font-semibold text-gray-900">
+                {assigned ? 'Return' : 'Resubmit'} {responding.recordId}
+              </h3>
+              <button onClick={() => setResponding(null)} className="text-gray-400 hover:text-gray-600">
+                <X className="h-6 w-6" />
+              </button>
+            </div>
+            <form onSubmit={handleRespond} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  {assigned ? 'What needs to change? * (minimum 10 characters)' : 'Response to the comments'}
+                </label>
+                <textarea
+                  rows={4}
+                  value={comments}
+                  onChange={(e) => setComments(e.target.value)}
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  required={assigned}
+                />
+              </div>
+              <div className="flex justify-end space-x-3 pt-4 border-t">
+                <button
+                  type="button"
+                  onClick={() => setResponding(null)}
+                  className="px-4 py-2 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving || (assigned && comments.trim().length < 10)}
+                  className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+                >
+                  {saving ? 'Saving...' : assigned ? 'Return to Author' : 'Resubmit'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CosignInbox;
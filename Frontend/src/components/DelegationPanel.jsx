@@ -0,0 +1,336 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { UserCheck, Plus, RefreshCw, X } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { delegationAPI } from '../services/api';
+
+// Value for a datetime-local input, in local time
+const toLocalInput = (date) => {
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+const newForm = () => ({
+  granteeId: '',
+  scope: 'patients',
+  patients: [],
+  startsAt: toLocalInput(new Date()),
+  endsAt: toLocalInput(new Date(Date.now() + 12 * 60 * 60 * 1000)),
+  reason: ''
+});
+
+const personName = (person) => {
+  if (!person) return 'Unknown user';
+  const fullName = [person.firstName, person.lastName].filter(Boolean).join(' ');
+  return fullName || person.username || person.email;
+};
+
+const STATUS_STYLES = {
+  active: 'bg-green-100 text-green-800',
+  scheduled: 'bg-blue-100 text-blue-800',
+  revoked: 'bg-gray-100 text-gray-700',
+  expired: 'bg-gray-100 text-gray-700'
+};
+
+/**
+ * Time-boxed hand-over of patients to a colleague: delegations the
+ * signed-in clinician has given and received, with revoke buttons.
+ * onChange is called when the set of patients the user can see may change.
+ */
+const DelegationPanel = ({ onChange }) => {
+  const [delegations, setDelegations] = useState([]);
+  const [options, setOptions] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(newForm);
+  const [saving, setSaving] = useState(false);
+
+  const fetchDelegations = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await delegationAPI.getAll();
+      setDelegations(response.data.data || []);
+    } catch (error) {
+      console.error('Error fetching delegations:', error);
+      toast.error(error.response?.data?.message || 'Failed to load delegations');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchDelegations();
+  }, [fetchDelegations]);
+
+  const openForm = async () => {
+    try {
+      const response = await delegationAPI.getOptions();
+      setOptions(response.data.data);
+      setForm(newForm());
+      setShowForm(true);
+    } catch (error) {
+      console.error('Error fetching delegation options:', error);
+      toast.error(error.response?.data?.message || 'Failed to load colleagues');
+    }
+  };
+
+  const togglePatient = (id) => {
+    setForm({
+      ...form,
+      patients: form.patients.includes(id) ? form.patients.filter((patientId) => patientId !== id) : [...form.patients, id]
+    });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const response = await delegationAPI.create({
+        ...form,
+        patients: form.scope === 'patients' ? form.patients : [],
+        startsAt: new Date(form.startsAt).toISOString(),
+        endsAt: new Date(form.endsAt).toISOString()
+      });
+      toast.success(response.data.message);
+      setShowForm(false);
+      fetchDelegations();
+    } catch (error) {
+      console.error('Error creating delegation:', error);
+      toast.error(error.response?.data?.message || 'Failed to create delegation');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (delegation) => {
+    const reason = window.prompt('Reason for ending this delegation early (optional):');
+    if (reason === null) return;
+
+    try {
+      await delegationAPI.revoke(delegation._id, reason || undefined);
+      toast.success('Delegation revoked');
+      fetchDelegations();
+      if (delegation.direction === 'received' && onChange) onChange();
+    } catch (error) {
+      console.error('Error revoking delegation:', error);
+      toast.error(error.response?.data?.message || 'Failed to revoke delegation');
+    }
+  };
+
+  const displayStatus = (delegation) => {
+    if (delegation.status !== 'active') return delegation.status;
+    if (new Date(delegation.endsAt) <= new Date()) return 'expired';
+    return delegation.isEffective ? 'active' : 'scheduled';
+  };
+
+  const describePatients = (delegation) => (delegation.scope === 'all'
+    ? 'All assigned patients'
+    : delegation.patients.map((patient) => `${patient.firstName} ${patient.lastName}`).join(', '));
+
+  const formatDate = (value) => new Date(value).toLocaleString();
+
+  const renderList = (direction, emptyText) => {
+    const items = delegations.filter((delegation) => delegation.direction === direction);
+    if (items.length === 0) {
+      return <p className="text-sm text-gray-500">{emptyText}</p>;
+    }
+
+    return (
+      <ul className="divide-y divide-gray-200">
+        {items.map((delegation) => {
+          const status = displayStatus(delegation);
+          return (
+            <li key={delegation._id} className="py-3 flex justify-between items-start">
+              <div className="text-sm">
+                <div className="font-medium text-gray-900">
+                  {direction === 'given' ? `To ${personName(delegation.grantee)}` : `From ${personName(delegation.grantor)}`}
+                  <span className={`ml-2 px-2 py-0.5 text-xs rounded-full capitalize ${STATUS_STYLES[status]}`}>{status}</span>
+                </div>
+                <div className="text-gray-600">{describePatients(delegation)}</div>
+                <div className="text-xs text-gray-500">
+                  {formatDate(delegation.startsAt)} – {formatDate(delegation.endsAt)} · {delegation.reason}
+                </div>
+              </div>
+              {delegation.status === 'active' && status !== 'expired' && (
+                <button
+                  onClick={() => handleRevoke(delegation)}
+                  className="text-sm text-red-600 hover:text-red-900 whitespace-nowrap ml-4"
+                >
+                  Revoke
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    );
+  };
+
+  const inputClass = 'w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:border-indigo-500 focus:outline-none';
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+        <div className="flex items-center space-x-2">
+          <UserCheck className="h-5 w-5 text-indigo-600" />
+          <h2 className="text-lg font-semibold text-gray-900">Delegations</h2>
+        </div>
+        <div className="flex items-center space-x-3">
+          <button onClick={fetchDelegations} className="text-gray-500 hover:text-gray-700" title="Refresh delegations">
+            <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+          <button
+            onClick={openForm}
+            className="flex items-center px-3 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700"
+          >
+            <Plus className="h-4 w-4 mr-1" />
+            Delegate Patients
+          </button>
+        </div>
+      </div>
+
+      <div className="p-6 grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div>
+          <h3 className="text-sm font-semibold text-gray-900 mb-2">Covering for me</h3>
+          {renderList('given', 'You have not delegated any patients.')}
+        </div>
+        <div>
+          <h3 className="text-sm font-semibold text-gray-900 mb-2">I am covering</h3>
+          {renderList('received', 'No patients have been delegated to you.')}
+        </div>
+      </div>
+
+      {showForm && options && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+            <div className="bg-indigo-600 text-white px-6 py-4 flex justify-between items-center sticky top-0">
+              <h3 className="text-lg font-semibold">Delegate Patients</h3>
+              <button onClick={() => setShowForm(false)} className="text-white hover:text-gray-200">
+                <X className="h-6 w-6" />
+              </button>
+            </div>
+
+            <form onSubmit={handleCreate} className="p-6 space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Colleague</label>
+                <select
+                  value={form.granteeId}
+                  onChange={(e) => setForm({ ...form, granteeId: e.target.value })}
+                  className={inputClass}
+                  required
+                >
+                  <option value="">Select a colleague</option>
+                  {options.colleagues.map((colleague) => (
+                    <option key={colleague._id} value={colleague._id}>
+                      {personName(colleague)} ({colleague.role}{colleague.attributes?.department ? `, ${colleague.attributes.department}` : ''})
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Patients</label>
+                <div className="flex space-x-4 text-sm text-gray-700 mb-2">
+                  <label className="flex items-center space-x-2">
+                    <input
+                      type="radio"
+                      checked={form.scope === 'patients'}
+                      onChange={() => setForm({ ...form, scope: 'patients' })}
+                    />
+                    <span>Selected patients</span>
+                  </label>
+                  <label className="flex items-center space-x-2">
+                    <input
+                      type="radio"
+                      checked={form.scope === 'all'}
+                      onChange={() => setForm({ ...form, scope: 'all' })}
+                    />
+                    <span>All my patients</span>
+                  </label>
+                </div>
+                {form.scope === 'patients' && (
+                  options.patients.length === 0 ? (
+                    <p className="text-sm text-gray-500">You have no assigned patients to delegate.</p>
+                  ) : (
+                    <div className="max-h-40 overflow-y-auto border border-gray-200 rounded-md p-2 space-y-1">
+                      {options.patients.map((patient) => (
+                        <label key={patient._id} className="flex items-center space-x-2 text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={form.patients.includes(patient._id)}
+                            onChange={() => togglePatient(patient._id)}
+                            className="h-4 w-4 text-indigo-600 border-gray-300 rounded"
+                          />
+                          <span>{patient.firstName} {patient.lastName}</span>
+                          <span className="text-xs text-gray-500 font-mono">{patient.patientId}</span>
+                        </label>
+                      ))}
+                    </div>
+                  )
+                )}
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Starts</label>
+                  <input
+                    type="datetime-local"
+                    value={form.startsAt}
+                    onChange={(e) => setForm({ ...form, startsAt: e.target.value })}
+                    className={inputClass}
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Ends</label>
+                  <input
+                    type="datetime-local"
+                    value={form.endsAt}
+                    onChange={(e) => setForm({ ...form, endsAt: e.target.value })}
+                    className={inputClass}
+                    required
+                  />
+                </div>
+              </div>
+              <p className="text-xs text-gray-500">
+                Access ends automatically at the end time (at most {options.maxDurationDays} days).
+              </p>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+                <textarea
+                  rows={2}
+                  minLength={10}
+                  maxLength={500}
+                  placeholder="e.g. Off shift, Dr. Lee covering the ward overnight"
+                  value={form.reason}
+                  onChange={(e) => setForm({ ...form, reason: e.target.value })}
+                  className={inputClass}
+                  required
+                />
+              </div>
+
+              <div className="flex justify-end space-x-3 pt-4 border-t">
+                <button
+                  type="button"
+                  onClick={() => setShowForm(false)}
+                  className="px-4 py-2 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+                >
+                  {saving ? 'Saving...' : 'Delegate'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DelegationPanel;
@@ -0,0 +1,178 @@
+import React, { useState, useEffect } from 'react';
+import { History, X } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { ehrAPI } from '../services/api';
+
+// Same dot paths the server diffs on, e.g. 'medications.0.name'
+const flatten = (value, prefix = '', into = {}) => {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => flatten(item, prefix ? `${prefix}.${index}` : String(index), into));
+  } else if (value && typeof value === 'object') {
+    Object.keys(value)
+      .filter((key) => key !== '_id')
+      .forEach((key) => flatten(value[key], prefix ? `${prefix}.${key}` : key, into));
+  } else if (value !== undefined && value !== null) {
+    into[prefix] = value;
+  }
+  return into;
+};
+
+const CHANGE_STYLES = {
+  added: 'bg-green-50',
+  removed: 'bg-red-50',
+  changed: 'bg-yellow-50'
+};
+
+const personName = (person) => (person?.firstName ? `${person.firstName} ${person.lastName}` : 'Unknown user');
+
+/**
+ * Side-by-side comparison of two versions of an EHR record, with the
+ * fields that differ highlighted.
+ */
+const EHRVersionHistory = ({ ehr, onClose }) => {
+  const [versions, setVersions] = useState([]);
+  const [from, setFrom] = useState(null);
+  const [to, setTo] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [onlyChanges, setOnlyChanges] = useState(true);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchVersions = async () => {
+      try {
+        const response = await ehrAPI.getVersions(ehr._id);
+        const list = response.data.data || [];
+        const available = list.filter((version) => version.available);
+        setVersions(list);
+        setTo(available[available.length - 1]?.version ?? null);
+        setFrom(available[available.length - 2]?.version ?? available[0]?.version ?? null);
+      } catch (error) {
+        console.error('Error fetching EHR versions:', error);
+        toast.error(error.response?.data?.message || 'Failed to load version history');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchVersions();
+  }, [ehr._id]);
+
+  useEffect(() => {
+    if (!from || !to) return;
+
+    const fetchComparison = async () => {
+      try {
+        setLoading(true);
+        const [left, right, diff] = await Promise.all([
+          ehrAPI.getVersion(ehr._id, from),
+          ehrAPI.getVersion(ehr._id, to),
+          ehrAPI.diffVersions(ehr._id, from, to)
+        ]);
+        setComparison({
+          left: flatten(left.data.data.content),
+          right: flatten(right.data.data.content),
+          changes: Object.fromEntries(diff.data.data.changes.map((change) => [change.path, change.type]))
+        });
+      } catch (error) {
+        console.error('Error comparing EHR versions:', error);
+        toast.error(error.response?.data?.message || 'Failed to compare versions');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchComparison();
+  }, [ehr._id, from, to]);
+
+  const paths = comparison
+    ? [...new Set([...Object.keys(comparison.left), ...Object.keys(comparison.right)])]
+      .sort()
+      .filter((path) => !onlyChanges || comparison.changes[path])
+    : [];
+
+  const versionLabel = (version) => {
+    const details = [
+      version.changeType,
+      version.createdBy && personName(version.createdBy),
+      version.createdAt && new Date(version.createdAt).toLocaleString()
+    ].filter(Boolean).join(', ');
+    return `v${version.version}${version.current ? ' (current)' : ''}${details ? ` - ${details}` : ''}`;
+  };
+
+  const versionSelect = (value, onChange) => (
+    <select
+      value={value ?? ''}
+      onChange={(e) => onChange(Number(e.target.value))}
+      className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm"
+    >
+      {versions.map((version) => (
+        <option key={version.version} value={version.version} disabled={!version.available}>
+          {versionLabel(version)}{version.available ? '' : ' (not stored)'}
+        </option>
+      ))}
+    </select>
+  );
+
+  const selectedReason = versions.find((version) => version.version === to)?.reason;
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-10 mx-auto p-5 border w-11/12 max-w-5xl shadow-lg rounded-md bg-white">
+        <div className="flex justify-between items-center mb-4">
+          <div className="flex items-center space-x-2">
+            <History className="h-5 w-5 text-indigo-600" />
+            <h3 className="text-lg font-semibold text-gray-900">Version History - {ehr.recordId}</h3>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        {versions.length < 2 && !loading ? (
+          <p className="text-sm text-gray-500">This record has not been changed since it was created.</p>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 gap-4 mb-3">
+              {versionSelect(from, setFrom)}
+              {versionSelect(to, setTo)}
+            </div>
+            <div className="flex justify-between items-center mb-3">
+              <p className="text-xs text-gray-500">{selectedReason ? `Reason for v${to}: ${selectedReason}` : ''}</p>
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input type="checkbox" checked={onlyChanges} onChange={(e) => setOnlyChanges(e.target.checked)} />
+                <span>Only changed fields</span>
+              </label>
+            </div>
+
+            {loading && !comparison ? (
+              <p className="text-sm text-gray-500">Loading versions...</p>
+            ) : paths.length === 0 ? (
+              <p className="text-sm text-gray-500">No differences between these versions.</p>
+            ) : (
+              <div className="max-h-[60vh] overflow-y-auto border border-gray-200 rounded">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50 sticky top-0">
+                    <tr>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Field</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">v{from}</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">v{to}</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {paths.map((path) => (
+                      <tr key={path} className={CHANGE_STYLES[comparison.changes[path]] || ''}>
+                        <td className="px-3 py-2 font-mono text-xs text-gray-600">{path}</td>
+                        <td className="px-3 py-2 text-gray-900 whitespace-pre-wrap">{String(comparison.left[path] ?? '')}</td>
+                        <td className="px-3 py-2 text-gray-900 whitespace-pre-wrap">{String(comparison.right[path] ?? '')}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EHRVersionHistory;
@@ -0,0 +1,190 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { hospitalAPI } from '../services/api';
+
+// Mappings are edited one per line as "idp-value = local-value"
+const mappingToText = (mapping) => Object.entries(mapping || {})
+  .map(([key, value]) => `${key} = ${value}`)
+  .join('\n');
+
+const textToMapping = (text) => Object.fromEntries(
+  text
+    .split('\n')
+    .map((line) => line.split('=').map((part) => part.trim()))
+    .filter(([key, value]) => key && value)
+);
+
+/**
+ * Modal for a hospital's OpenID Connect single sign-on settings
+ */
+const HospitalSSOSettings = ({ hospital, onClose, onSaved }) => {
+  const sso = hospital.sso || {};
+  const [form, setForm] = useState({
+    enabled: Boolean(sso.enabled),
+    issuer: sso.issuer || '',
+    clientId: sso.clientId || '',
+    clientSecret: '',
+    scopes: sso.scopes || 'openid profile email',
+    roleClaim: sso.roleClaim || 'roles',
+    roleMapping: mappingToText(sso.roleMapping),
+    defaultRole: sso.defaultRole || '',
+    departmentClaim: sso.departmentClaim || 'department',
+    departmentMapping: mappingToText(sso.departmentMapping),
+    autoProvision: sso.autoProvision !== false
+  });
+  const [saving, setSaving] = useState(false);
+
+  const update = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setForm({ ...form, [field]: value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      await hospitalAPI.updateSSO(hospital._id, {
+        ...form,
+        // Left blank to keep the stored secret
+        clientSecret: form.clientSecret || undefined,
+        roleMapping: textToMapping(form.roleMapping),
+        departmentMapping: textToMapping(form.departmentMapping)
+      });
+      toast.success('Single sign-on settings saved');
+      onSaved();
+    } catch (error) {
+      console.error('Error saving SSO settings:', error);
+      toast.error(error.response?.data?.message || 'Failed to save single sign-on settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-indigo-500';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="bg-indigo-600 text-white px-6 py-4 flex justify-between items-center sticky top-0">
+          <h3 className="text-lg font-semibold">Single Sign-On - {hospital.name}</h3>
+          <button onClick={onClose} className="text-white hover:text-gray-200">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-6">
+          <label className="flex items-center space-x-2 text-sm font-medium text-gray-700">
+            <input type="checkbox" checked={form.enabled} onChange={update('enabled')} />
+            <span>Enable OpenID Connect sign-in for this hospital</span>
+          </label>
+
+          <div>
+            <h4 className="text-sm font-semibold text-gray-900 mb-3">Identity Provider</h4>
+            <div className="grid grid-cols-2 gap-4">
+              <div className="col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Issuer URL</label>
+                <input
+                  type="url"
+                  placeholder="https://login.example-hospital.org/realms/staff"
+                  value={form.issuer}
+                  onChange={update('issuer')}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Client ID</label>
+                <input type="text" value={form.clientId} onChange={update('clientId')} className={inputClass} />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Client Secret</label>
+                <input
+                  type="password"
+                  placeholder={sso.enabled ? 'Leave blank to keep current' : ''}
+                  value={form.clientSecret}
+                  onChange={update('clientSecret')}
+                  className={inputClass}
+                  autoComplete="new-password"
+                />
+              </div>
+              <div className="col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Scopes</label>
+                <input type="text" value={form.scopes} onChange={update('scopes')} className={inputClass} />
+              </div>
+            </div>
+          </div>
+
+          <div>
+            <h4 className="text-sm font-semibold text-gray-900 mb-3">Claim Mapping</h4>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Role claim</label>
+                <input type="text" value={form.roleClaim} onChange={update('roleClaim')} className={inputClass} />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Default role</label>
+                <select value={form.defaultRole} onChange={update('defaultRole')} className={inputClass}>
+                  <option value="">None - deny unmapped users</option>
+                  <option value="doctor">Doctor</option>
+                  <option value="nurse">Nurse</option>
+                  <option value="staff">Staff</option>
+                </select>
+              </div>
+              <div className="col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Role mapping</label>
+                <textarea
+                  rows={3}
+                  placeholder={'ehr-physicians = doctor\nehr-nurses = nurse'}
+                  value={form.roleMapping}
+                  onChange={update('roleMapping')}
+                  className={`${inputClass} font-mono text-sm`}
+                />
+                <p className="text-xs text-gray-500 mt-1">One per line: provider value = admin, doctor, nurse or staff</p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Department claim</label>
+                <input type="text" value={form.departmentClaim} onChange={update('departmentClaim')} className={inputClass} />
+              </div>
+              <div className="col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Department mapping</label>
+                <textarea
+                  rows={3}
+                  placeholder={'Cardiology Dept = cardiology\nER = emergency'}
+                  value={form.departmentMapping}
+                  onChange={update('departmentMapping')}
+                  className={`${inputClass} font-mono text-sm`}
+                />
+                <p className="text-xs text-gray-500 mt-1">Unmapped values are used as-is when they match a department</p>
+              </div>
+            </div>
+          </div>
+
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input type="checkbox" checked={form.autoProvision} onChange={update('autoProvision')} />
+            <span>Create accounts automatically on first sign-in</span>
+          </label>
+
+          <div className="flex justify-end space-x-3 pt-4 border-t">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default HospitalSSOSettings;
@@ -0,0 +1,133 @@
+import React, { useState, useEffect } from 'react';
+import { ShieldCheck, Save } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { adminAPI } from '../services/api';
+
+/**
+ * Admin editor for the organization MFA policy:
+ * which roles must enroll MFA and how long the grace period is.
+ */
+const MFAPolicyPanel = () => {
+  const [roles, setRoles] = useState([]);
+  const [requiredRoles, setRequiredRoles] = useState([]);
+  const [gracePeriodDays, setGracePeriodDays] = useState(14);
+  const [policyInfo, setPolicyInfo] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const applyPolicy = (policy) => {
+    setRequiredRoles(policy.mfa.requiredRoles);
+    setGracePeriodDays(policy.mfa.gracePeriodDays);
+    setPolicyInfo(policy);
+  };
+
+  useEffect(() => {
+    const fetchPolicy = async () => {
+      try {
+        const response = await adminAPI.getSecurityPolicy();
+        setRoles(response.data.roles);
+        applyPolicy(response.data.data);
+      } catch (error) {
+        console.error('Error fetching security policy:', error);
+        toast.error(error.response?.data?.message || 'Failed to load MFA policy');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchPolicy();
+  }, []);
+
+  const toggleRole = (role) => {
+    setRequiredRoles((current) =>
+      current.includes(role) ? current.filter((r) => r !== role) : [...current, role]
+    );
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const response = await adminAPI.updateSecurityPolicy({
+        mfa: { requiredRoles, gracePeriodDays: Number(gracePeriodDays) }
+      });
+      applyPolicy(response.data.data);
+      toast.success('MFA policy updated');
+    } catch (error) {
+      console.error('Error updating security policy:', error);
+      toast.error(error.response?.data?.message || 'Failed to update MFA policy');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-center space-x-2">
+        <ShieldCheck className="h-5 w-5 text-indigo-600" />
+        <h2 className="text-lg font-semibold text-gray-900">MFA Enforcement Policy</h2>
+      </div>
+
+      {loading ? (
+        <div className="p-6 text-center text-sm text-gray-500">Loading policy...</div>
+      ) : (
+        <form onSubmit={handleSave} className="p-6 space-y-4">
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">Roles that must use MFA</p>
+            <div className="flex flex-wrap gap-4">
+              {roles.map((role) => (
+                <label key={role} className="flex items-center space-x-2 text-sm text-gray-700 capitalize">
+                  <input
+                    type="checkbox"
+                    checked={requiredRoles.includes(role)}
+                    onChange={() => toggleRole(role)}
+                    className="h-4 w-4 text-indigo-600 border-gray-300 rounded"
+                  />
+                  <span>{role}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <label htmlFor="gracePeriodDays" className="block text-sm font-medium text-gray-700 mb-1">
+              Grace period (days)
+            </label>
+            <input
+              id="gracePeriodDays"
+              type="number"
+              min="0"
+              max="365"
+              value={gracePeriodDays}
+              onChange={(e) => setGracePeriodDays(e.target.value)}
+              className="w-32 border border-gray-300 rounded-md px-3 py-2 text-sm focus:border-indigo-500 focus:outline-none"
+              required
+            />
+            <p className="mt-1 text-xs text-gray-500">
+              Users in a required role can keep working without MFA for this long, counted from when
+              the role became required. Afterwards they can only enroll MFA.
+            </p>
+          </div>
+
+          <div className="flex justify-between items-center">
+            {policyInfo?.updatedAt && (
+              <p className="text-xs text-gray-500">
+                Version {policyInfo.version} · Updated {new Date(policyInfo.updatedAt).toLocaleString()}
+              </p>
+            )}
+            <button
+              type="submit"
+              disabled={saving}
+              className="flex items-center px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700 disabled:opacity-50"
+            >
+              <Save className="h-4 w-4 mr-1" />
+              {saving ? 'Saving...' : 'Save Policy'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default MFAPolicyPanel;
@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from 'react';
+import { KeyRound, Save } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { adminAPI } from '../services/api';
+
+const NUMBER_FIELDS = [
+  { name: 'minLength', label: 'Minimum length', min: 8, max: 128 },
+  { name: 'minCharacterClasses', label: 'Character classes required', min: 1, max: 4 },
+  { name: 'historyCount', label: 'Previous passwords blocked', min: 0, max: 24 },
+  { name: 'maxAgeDays', label: 'Maximum age (days, 0 = never)', min: 0, max: 730 }
+];
+
+/**
+ * Admin editor for the organization password policy:
+ * complexity, common-password rejection, reuse history and expiry.
+ */
+const PasswordPolicyPanel = () => {
+  const [settings, setSettings] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchPolicy = async () => {
+      try {
+        const response = await adminAPI.getSecurityPolicy();
+        setSettings(response.data.data.password);
+      } catch (error) {
+        console.error('Error fetching security policy:', error);
+        toast.error(error.response?.data?.message || 'Failed to load password policy');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchPolicy();
+  }, []);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const password = { rejectCommonPasswords: settings.rejectCommonPasswords };
+      for (const field of NUMBER_FIELDS) {
+        password[field.name] = Number(settings[field.name]);
+      }
+
+      const response = await adminAPI.updateSecurityPolicy({ password });
+      setSettings(response.data.data.password);
+      toast.success('Password policy updated');
+    } catch (error) {
+      console.error('Error updating security policy:', error);
+      toast.error(error.response?.data?.message || 'Failed to update password policy');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-center space-x-2">
+        <KeyRound className="h-5 w-5 text-indigo-600" />
+        <h2 className="text-lg font-semibold text-gray-900">Password Policy</h2>
+      </div>
+
+      {loading || !settings ? (
+        <div className="p-6 text-center text-sm text-gray-500">Loading policy...</div>
+      ) : (
+        <form onSubmit={handleSave} className="p-6 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {NUMBER_FIELDS.map((field) => (
+              <div key={field.name}>
+                <label htmlFor={field.name} className="block text-sm font-medium text-gray-700 mb-1">
+                  {field.label}
+                </label>
+                <input
+                  id={field.name}
+                  type="number"
+                  min={field.min}
+                  max={field.max}
+                  value={settings[field.name]}
+                  onChange={(e) => setSettings({ ...settings, [field.name]: e.target.value })}
+                  className="w-32 border border-gray-300 rounded-md px-3 py-2 text-sm focus:border-indigo-500 focus:outline-none"
+                  required
+                />
+              </div>
+            ))}
+          </div>
+
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={settings.rejectCommonPasswords}
+              onChange={(e) => setSettings({ ...settings, rejectCommonPasswords: e.target.checked })}
+              className="h-4 w-4 text-indigo-600 border-gray-300 rounded"
+            />
+            <span>Reject common and breached passwords</span>
+          </label>
+
+          <p className="text-xs text-gray-500">
+            Rules apply when a password is set or changed. Users whose password is older than the
+            maximum age must change it at their next sign-in.
+          </p>
+
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={saving}
+              className="flex items-center px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700 disabled:opacity-50"
+            >
+              <Save className="h-4 w-4 mr-1" />
+              {saving ? 'Saving...' : 'Save Policy'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default PasswordPolicyPanel;
@@ -0,0 +1,42 @@
+import React from 'react';
+
+/**
+ * Permission checkboxes grouped by prefix (patient, ehr, ...)
+ */
+const PermissionChecklist = ({ catalog, selected, onChange, locked = [] }) => {
+  const groups = catalog.reduce((byGroup, permission) => {
+    const group = permission.name.split(':')[0];
+    return { ...byGroup, [group]: [...(byGroup[group] || []), permission] };
+  }, {});
+
+  const toggle = (name) => {
+    onChange(selected.includes(name) ? selected.filter((item) => item !== name) : [...selected, name]);
+  };
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      {Object.entries(groups).map(([group, permissions]) => (
+        <div key={group}>
+          <h5 className="text-xs font-semibold text-gray-500 uppercase mb-1">{group}</h5>
+          {permissions.map((permission) => (
+            <label key={permission.name} className="flex items-start space-x-2 text-sm text-gray-700 py-0.5">
+              <input
+                type="checkbox"
+                checked={selected.includes(permission.name) || locked.includes(permission.name)}
+                disabled={locked.includes(permission.name)}
+                onChange={() => toggle(permission.name)}
+                className="mt-0.5 h-4 w-4 text-indigo-600 border-gray-300 rounded"
+              />
+              <span>
+                <span className="font-mono text-xs">{permission.name}</span>
+                <span className="block text-xs text-gray-500">{permission.description}</span>
+              </span>
+            </label>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default PermissionChecklist;
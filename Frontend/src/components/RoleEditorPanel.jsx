@@ -0,0 +1,286 @@
+import React, { useState, useEffect } from 'react';
+import { ShieldCheck, Plus, Edit2, Trash2, X } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { adminAPI } from '../services/api';
+import PermissionChecklist from './PermissionChecklist';
+
+const EMPTY_FORM = { name: '', displayName: '', description: '', hospitalId: '', permissions: [] };
+
+/**
+ * Admin editor for custom roles: named permission bundles,
+ * organization-wide or scoped to one hospital.
+ */
+const RoleEditorPanel = ({ hospitals = [] }) => {
+  const [catalog, setCatalog] = useState(null);
+  const [roles, setRoles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  const fetchRoles = async () => {
+    try {
+      const response = await adminAPI.getRoles();
+      setRoles(response.data.data);
+    } catch (error) {
+      console.error('Error fetching roles:', error);
+      toast.error(error.response?.data?.message || 'Failed to load roles');
+    }
+  };
+
+  useEffect(() => {
+    const fetchAll = async () => {
+      try {
+        const [catalogResponse, rolesResponse] = await Promise.all([
+          adminAPI.getPermissionCatalog(),
+          adminAPI.getRoles()
+        ]);
+        setCatalog(catalogResponse.data.data);
+        setRoles(rolesResponse.data.data);
+      } catch (error) {
+        console.error('Error fetching roles:', error);
+        toast.error(error.response?.data?.message || 'Failed to load roles');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchAll();
+  }, []);
+
+  const hospitalName = (hospitalId) => {
+    if (!hospitalId) return 'All hospitals';
+    return hospitals.find((hospital) => hospital.hospitalId === hospitalId)?.name || hospitalId;
+  };
+
+  const openEditor = (role) => {
+    setEditing(role || 'new');
+    setForm(role
+      ? {
+        name: role.name,
+        displayName: role.displayName,
+        description: role.description || '',
+        hospitalId: role.hospitalId || '',
+        permissions: role.permissions
+      }
+      : EMPTY_FORM);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      if (editing === 'new') {
+        await adminAPI.createRole(form);
+        toast.success('Role created');
+      } else {
+        await adminAPI.updateRole(editing._id, {
+          displayName: form.displayName,
+          description: form.description,
+          permissions: form.permissions
+        });
+        toast.success('Role updated');
+      }
+      setEditing(null);
+      fetchRoles();
+    } catch (error) {
+      console.error('Error saving role:', error);
+      toast.error(error.response?.data?.message || 'Failed to save role');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (role) => {
+    const warning = role.userCount > 0 ? ` It will be removed from ${role.userCount} user(s).` : '';
+    if (!window.confirm(`Delete role "${role.displayName}"?${warning}`)) {
+      return;
+    }
+
+    try {
+      const response = await adminAPI.deleteRole(role._id);
+      toast.success(response.data.message);
+      fetchRoles();
+    } catch (error) {
+      console.error('Error deleting role:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete role');
+    }
+  };
+
+  const inputClass = 'w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:border-indigo-500 focus:outline-none';
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <ShieldCheck className="h-5 w-5 text-indigo-600" />
+          <h2 className="text-lg font-semibold text-gray-900">Roles &amp; Permissions</h2>
+        </div>
+        <button
+          onClick={() => openEditor(null)}
+          className="flex items-center px-3 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700"
+        >
+          <Plus className="h-4 w-4 mr-1" />
+          New Role
+        </button>
+      </div>
+
+      {loading || !catalog ? (
+        <div className="p-6 text-center text-sm text-gray-500">Loading roles...</div>
+      ) : (
+        <div className="p-6 space-y-6">
+          <div>
+            <h3 className="text-sm font-semibold text-gray-900 mb-2">Built-in roles</h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              {Object.entries(catalog.builtInRoles).map(([role, permissions]) => (
+                <div key={role} className="border border-gray-200 rounded-md p-3">
+                  <div className="text-sm font-medium text-gray-900 capitalize">{role}</div>
+                  <div className="text-xs text-gray-500 font-mono mt-1">
+                    {permissions.length > 0 ? permissions.join(', ') : 'No permissions'}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <h3 className="text-sm font-semibold text-gray-900 mb-2">Custom roles</h3>
+            {roles.length === 0 ? (
+              <p className="text-sm text-gray-500">
+                No custom roles yet. Create one to give users permissions beyond their built-in role.
+              </p>
+            ) : (
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Role</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Scope</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Permissions</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Users</th>
+                    <th className="px-4 py-2"></th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200 text-sm">
+                  {roles.map((role) => (
+                    <tr key={role._id}>
+                      <td className="px-4 py-2 text-gray-900">
+                        {role.displayName}
+                        <div className="text-xs text-gray-500 font-mono">{role.name}</div>
+                      </td>
+                      <td className="px-4 py-2 text-gray-600">{hospitalName(role.hospitalId)}</td>
+                      <td className="px-4 py-2 text-xs text-gray-600 font-mono">{role.permissions.join(', ') || '—'}</td>
+                      <td className="px-4 py-2 text-gray-600">{role.userCount}</td>
+                      <td className="px-4 py-2 text-right space-x-3 whitespace-nowrap">
+                        <button onClick={() => openEditor(role)} className="text-indigo-600 hover:text-indigo-900" title="Edit role">
+                          <Edit2 className="h-4 w-4" />
+                        </button>
+                        <button onClick={() => handleDelete(role)} className="text-red-600 hover:text-red-900" title="Delete role">
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      )}
+
+      {editing && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+            <div className="bg-indigo-600 text-white px-6 py-4 flex justify-between items-center sticky top-0">
+              <h3 className="text-lg font-semibold">{editing === 'new' ? 'New Role' : `Edit ${editing.displayName}`}</h3>
+              <button onClick={() => setEditing(null)} className="text-white hover:text-gray-200">
+                <X className="h-6 w-6" />
+              </button>
+            </div>
+
+            <form onSubmit={handleSave} className="p-6 space-y-4">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                  <input
+                    type="text"
+                    placeholder="charge-nurse"
+                    value={form.name}
+                    onChange={(e) => setForm({ ...form, name: e.target.value })}
+                    disabled={editing !== 'new'}
+                    className={`${inputClass} font-mono disabled:bg-gray-100`}
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Display name</label>
+                  <input
+                    type="text"
+                    placeholder="Charge Nurse"
+                    value={form.displayName}
+                    onChange={(e) => setForm({ ...form, displayName: e.target.value })}
+                    className={inputClass}
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Hospital</label>
+                  <select
+                    value={form.hospitalId}
+                    onChange={(e) => setForm({ ...form, hospitalId: e.target.value })}
+                    disabled={editing !== 'new'}
+                    className={`${inputClass} disabled:bg-gray-100`}
+                  >
+                    <option value="">All hospitals</option>
+                    {hospitals.map((hospital) => (
+                      <option key={hospital._id} value={hospital.hospitalId}>
+                        {hospital.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                  <input
+                    type="text"
+                    maxLength={500}
+                    value={form.description}
+                    onChange={(e) => setForm({ ...form, description: e.target.value })}
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+
+              <div>
+                <h4 className="text-sm font-semibold text-gray-900 mb-2">Permissions</h4>
+                <PermissionChecklist
+                  catalog={catalog.permissions}
+                  selected={form.permissions}
+                  onChange={(permissions) => setForm({ ...form, permissions })}
+                />
+              </div>
+
+              <div className="flex justify-end space-x-3 pt-4 border-t">
+                <button
+                  type="button"
+                  onClick={() => setEditing(null)}
+                  className="px-4 py-2 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+                >
+                  {saving ? 'Saving...' : 'Save Role'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RoleEditorPanel;
@@ -0,0 +1,219 @@
+import React, { useState, useEffect } from 'react';
+import { RefreshCw, Plus, Copy, Trash2 } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { adminAPI } from '../services/api';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+/**
+ * Admin management of bearer tokens for the SCIM 2.0 provisioning API
+ * used by the HR system to create, update and deactivate staff accounts.
+ */
+const ScimTokenPanel = () => {
+  const [tokens, setTokens] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState({ name: '', expiresInDays: '' });
+  const [creating, setCreating] = useState(false);
+  const [newToken, setNewToken] = useState(null);
+
+  const fetchTokens = async () => {
+    try {
+      const response = await adminAPI.getScimTokens();
+      setTokens(response.data.data);
+    } catch (error) {
+      console.error('Error fetching SCIM tokens:', error);
+      toast.error(error.response?.data?.message || 'Failed to load SCIM tokens');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTokens();
+  }, []);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      setCreating(true);
+      const response = await adminAPI.createScimToken({
+        name: form.name,
+        expiresInDays: form.expiresInDays ? Number(form.expiresInDays) : undefined
+      });
+      setNewToken(response.data.data.token);
+      setForm({ name: '', expiresInDays: '' });
+      toast.success('SCIM token created');
+      fetchTokens();
+    } catch (error) {
+      console.error('Error creating SCIM token:', error);
+      toast.error(error.response?.data?.message || 'Failed to create SCIM token');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    if (!window.confirm(`Revoke "${token.name}"? Provisioning with it will stop immediately.`)) {
+      return;
+    }
+
+    try {
+      await adminAPI.revokeScimToken(token._id);
+      toast.success('SCIM token revoked');
+      fetchTokens();
+    } catch (error) {
+      console.error('Error revoking SCIM token:', error);
+      toast.error(error.response?.data?.message || 'Failed to revoke SCIM token');
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(newToken);
+      toast.success('Token copied');
+    } catch {
+      toast.error('Copy failed; select the token and copy it manually');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-center space-x-2">
+        <RefreshCw className="h-5 w-5 text-indigo-600" />
+        <h2 className="text-lg font-semibold text-gray-900">SCIM Provisioning</h2>
+      </div>
+
+      <div className="p-6 space-y-4">
+        <p className="text-xs text-gray-500">
+          Identity systems provision staff at <span className="font-mono">/api/scim/v2</span> with a bearer
+          token. Changes are audited under the administrator who issued the token.
+        </p>
+
+        {newToken && (
+          <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-md">
+            <p className="text-sm font-medium text-yellow-800 mb-2">
+              Copy this token now. It will not be shown again.
+            </p>
+            <div className="flex items-center space-x-2">
+              <code className="flex-1 text-xs bg-white border border-yellow-200 rounded px-2 py-1 break-all">
+                {newToken}
+              </code>
+              <button
+                type="button"
+                onClick={handleCopy}
+                className="p-2 text-yellow-800 hover:text-yellow-900"
+                title="Copy token"
+              >
+                <Copy className="h-4 w-4" />
+              </button>
+              <button
+                type="button"
+                onClick={() => setNewToken(null)}
+                className="text-xs text-yellow-800 hover:underline"
+              >
+                Done
+              </button>
+            </div>
+          </div>
+        )}
+
+        <form onSubmit={handleCreate} className="flex flex-wrap items-end gap-4">
+          <div>
+            <label htmlFor="scimTokenName" className="block text-sm font-medium text-gray-700 mb-1">
+              Token name
+            </label>
+            <input
+              id="scimTokenName"
+              type="text"
+              maxLength={64}
+              placeholder="e.g. Workday"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              className="w-56 border border-gray-300 rounded-md px-3 py-2 text-sm focus:border-indigo-500 focus:outline-none"
+              required
+            />
+          </div>
+          <div>
+            <label htmlFor="scimTokenExpiry" className="block text-sm font-medium text-gray-700 mb-1">
+              Expires in (days, blank = never)
+            </label>
+            <input
+              id="scimTokenExpiry"
+              type="number"
+              min={1}
+              max={730}
+              value={form.expiresInDays}
+              onChange={(e) => setForm({ ...form, expiresInDays: e.target.value })}
+              className="w-32 border border-gray-300 rounded-md px-3 py-2 text-sm focus:border-indigo-500 focus:outline-none"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={creating}
+            className="flex items-center px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700 disabled:opacity-50"
+          >
+            <Plus className="h-4 w-4 mr-1" />
+            {creating ? 'Creating...' : 'Create Token'}
+          </button>
+        </form>
+
+        {loading ? (
+          <div className="text-center text-sm text-gray-500">Loading tokens...</div>
+        ) : tokens.length === 0 ? (
+          <div className="text-center text-sm text-gray-500">No SCIM tokens issued</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Token</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Last used</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Expires</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                  <th className="px-4 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 text-sm">
+                {tokens.map((token) => (
+                  <tr key={token._id}>
+                    <td className="px-4 py-2 text-gray-900">
+                      {token.name}
+                      <div className="text-xs text-gray-500">by {token.createdBy?.username || 'unknown'}</div>
+                    </td>
+                    <td className="px-4 py-2 font-mono text-xs text-gray-600">{token.prefix}…</td>
+                    <td className="px-4 py-2 text-gray-600">
+                      {formatDate(token.lastUsedAt)}
+                      {token.lastUsedIp && <div className="text-xs text-gray-500">{token.lastUsedIp}</div>}
+                    </td>
+                    <td className="px-4 py-2 text-gray-600">{token.expiresAt ? formatDate(token.expiresAt) : 'Never'}</td>
+                    <td className="px-4 py-2">
+                      <span className={`px-2 py-1 text-xs font-semibold rounded-full ${
+                        token.active ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'
+                      }`}>
+                        {token.revokedAt ? 'Revoked' : token.active ? 'Active' : 'Expired'}
+                      </span>
+                    </td>
+                    <td className="px-4 py-2 text-right">
+                      {!token.revokedAt && (
+                        <button
+                          onClick={() => handleRevoke(token)}
+                          className="text-red-600 hover:text-red-900"
+                          title="Revoke token"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ScimTokenPanel;
@@ -0,0 +1,113 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Monitor, LogOut, RefreshCw } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { authAPI, adminAPI } from '../services/api';
+
+/**
+ * Lists active sessions with a revoke button per session.
+ * Without userId it shows the signed-in user's own sessions;
+ * with userId (admin only) it shows that user's sessions.
+ */
+const SessionsPanel = ({ userId = null, title = 'Active Sessions' }) => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revokingId, setRevokingId] = useState(null);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = userId
+        ? await adminAPI.getUserSessions(userId)
+        : await authAPI.getSessions();
+      setSessions(response.data.data || []);
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+      toast.error(error.response?.data?.message || 'Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const handleRevoke = async (session) => {
+    if (!window.confirm(`Sign out ${session.device} (${session.ipAddress})?`)) return;
+
+    try {
+      setRevokingId(session.id);
+      if (userId) {
+        await adminAPI.revokeUserSession(userId, session.id);
+      } else {
+        await authAPI.revokeSession(session.id);
+      }
+      toast.success('Session revoked');
+      fetchSessions();
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      toast.error(error.response?.data?.message || 'Failed to revoke session');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+        <div className="flex items-center space-x-2">
+          <Monitor className="h-5 w-5 text-indigo-600" />
+          <h2 className="text-lg font-semibold text-gray-900">{title}</h2>
+        </div>
+        <button
+          onClick={fetchSessions}
+          className="text-gray-500 hover:text-gray-700"
+          title="Refresh sessions"
+        >
+          <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+
+      {loading && sessions.length === 0 ? (
+        <div className="p-6 text-center text-sm text-gray-500">Loading sessions...</div>
+      ) : sessions.length === 0 ? (
+        <div className="p-6 text-center text-sm text-gray-500">No active sessions</div>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {sessions.map((session) => (
+            <li key={session.id} className="px-6 py-4 flex justify-between items-center">
+              <div>
+                <p className="text-sm font-medium text-gray-900 flex items-center">
+                  {session.device}
+                  {session.current && (
+                    <span className="ml-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-green-100 text-green-800">
+                      This device
+                    </span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500">IP: {session.ipAddress || 'Unknown'}</p>
+                <p className="text-xs text-gray-500">
+                  Signed in {formatDate(session.issuedAt)} · Last activity {formatDate(session.lastUsedAt)}
+                </p>
+              </div>
+              {!session.current && (
+                <button
+                  onClick={() => handleRevoke(session)}
+                  disabled={revokingId === session.id}
+                  className="flex items-center space-x-1 px-3 py-1 text-sm text-red-600 border border-red-200 rounded-md hover:bg-red-50 disabled:opacity-50"
+                >
+                  <LogOut className="h-4 w-4" />
+                  <span>{revokingId === session.id ? 'Revoking...' : 'Revoke'}</span>
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SessionsPanel;
@@ -0,0 +1,145 @@
+import React, { useState, useEffect } from 'react';
+import { X } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { adminAPI } from '../services/api';
+import PermissionChecklist from './PermissionChecklist';
+
+/**
+ * Modal to give a user custom roles and extra permission grants
+ * on top of their built-in role
+ */
+const UserPermissionsModal = ({ user, onClose }) => {
+  const [catalog, setCatalog] = useState(null);
+  const [roles, setRoles] = useState([]);
+  const [current, setCurrent] = useState(null);
+  const [customRoles, setCustomRoles] = useState([]);
+  const [extraPermissions, setExtraPermissions] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [loadFailed, setLoadFailed] = useState(false);
+
+  useEffect(() => {
+    const fetchAll = async () => {
+      try {
+        const [catalogResponse, permissionsResponse] = await Promise.all([
+          adminAPI.getPermissionCatalog(),
+          adminAPI.getUserPermissions(user._id)
+        ]);
+        const permissions = permissionsResponse.data.data;
+        const rolesResponse = await adminAPI.getRoles(
+          permissions.hospitalId ? { hospitalId: permissions.hospitalId } : undefined
+        );
+
+        setCatalog(catalogResponse.data.data);
+        setCurrent(permissions);
+        setRoles(rolesResponse.data.data.filter((role) => !role.hospitalId || role.hospitalId === permissions.hospitalId));
+        setCustomRoles(permissions.customRoles.map((role) => role._id));
+        setExtraPermissions(permissions.extraPermissions);
+      } catch (error) {
+        console.error('Error fetching user permissions:', error);
+        toast.error(error.response?.data?.message || 'Failed to load user permissions');
+        setLoadFailed(true);
+      }
+    };
+
+    fetchAll();
+  }, [user._id]);
+
+  const toggleRole = (id) => {
+    setCustomRoles(customRoles.includes(id) ? customRoles.filter((roleId) => roleId !== id) : [...customRoles, id]);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      await adminAPI.updateUserPermissions(user._id, { customRoles, extraPermissions });
+      toast.success('Permissions updated');
+      onClose();
+    } catch (error) {
+      console.error('Error updating user permissions:', error);
+      toast.error(error.response?.data?.message || 'Failed to update permissions');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const builtIn = catalog && current ? catalog.builtInRoles[current.role] || [] : [];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="bg-indigo-600 text-white px-6 py-4 flex justify-between items-center sticky top-0">
+          <h3 className="text-lg font-semibold">Permissions - {user.username || user.email}</h3>
+          <button onClick={onClose} className="text-white hover:text-gray-200">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        {!catalog || !current ? (
+          <div className="p-6 text-center text-sm text-gray-500">
+            {loadFailed ? 'Permissions could not be loaded' : 'Loading permissions...'}
+          </div>
+        ) : (
+          <form onSubmit={handleSave} className="p-6 space-y-6">
+            <p className="text-sm text-gray-600">
+              Built-in role <span className="font-medium capitalize">{current.role}</span>
+              {current.hospitalId && <> at <span className="font-mono">{current.hospitalId}</span></>}.
+              Its permissions are always included and shown as locked below.
+            </p>
+
+            <div>
+              <h4 className="text-sm font-semibold text-gray-900 mb-2">Custom roles</h4>
+              {roles.length === 0 ? (
+                <p className="text-sm text-gray-500">No custom roles apply to this user&apos;s hospital.</p>
+              ) : (
+                <div className="space-y-1">
+                  {roles.map((role) => (
+                    <label key={role._id} className="flex items-center space-x-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={customRoles.includes(role._id)}
+                        onChange={() => toggleRole(role._id)}
+                        className="h-4 w-4 text-indigo-600 border-gray-300 rounded"
+                      />
+                      <span>{role.displayName}</span>
+                      <span className="text-xs text-gray-500 font-mono">{role.permissions.join(', ')}</span>
+                    </label>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div>
+              <h4 className="text-sm font-semibold text-gray-900 mb-2">Extra grants</h4>
+              <PermissionChecklist
+                catalog={catalog.permissions}
+                selected={extraPermissions}
+                onChange={setExtraPermissions}
+                locked={builtIn}
+              />
+            </div>
+
+            <div className="flex justify-end space-x-3 pt-4 border-t">
+              <button
+                type="button"
+                onClick={onClose}
+                className="px-4 py-2 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Save Permissions'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UserPermissionsModal;
@@ -0,0 +1,233 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { KeyRound, Plus, Pencil, Trash2, Check, X } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { startRegistration } from '@simplewebauthn/browser';
+import { authAPI } from '../services/api';
+
+/**
+ * Manage the signed-in user's security keys and passkeys:
+ * register new authenticators, rename them and remove them.
+ * onChange is called after a key is added or removed.
+ */
+const WebAuthnCredentials = ({ onChange }) => {
+  const [credentials, setCredentials] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [registering, setRegistering] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editName, setEditName] = useState('');
+  const [removingId, setRemovingId] = useState(null);
+  const [removePassword, setRemovePassword] = useState('');
+
+  const supported = typeof window !== 'undefined' && !!window.PublicKeyCredential;
+
+  const fetchCredentials = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await authAPI.getWebAuthnCredentials();
+      setCredentials(response.data.data || []);
+    } catch (error) {
+      console.error('Error fetching authenticators:', error);
+      toast.error(error.response?.data?.message || 'Failed to load security keys');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCredentials();
+  }, [fetchCredentials]);
+
+  const handleRegister = async (e) => {
+    e.preventDefault();
+    try {
+      setRegistering(true);
+      const optionsResponse = await authAPI.webauthnRegisterOptions();
+      const attestation = await startRegistration({ optionsJSON: optionsResponse.data.data });
+      await authAPI.webauthnRegisterVerify(attestation, newName);
+      toast.success('Security key registered');
+      setNewName('');
+      fetchCredentials();
+      onChange?.();
+    } catch (error) {
+      console.error('Error registering authenticator:', error);
+      if (!error.response) {
+        toast.error(error.name === 'NotAllowedError'
+          ? 'Registration was cancelled'
+          : 'This browser could not register the security key');
+      } else {
+        toast.error(error.response.data?.message || 'Failed to register security key');
+      }
+    } finally {
+      setRegistering(false);
+    }
+  };
+
+  const handleRename = async (id) => {
+    try {
+      await authAPI.renameWebAuthnCredential(id, editName);
+      toast.success('Security key renamed');
+      setEditingId(null);
+      fetchCredentials();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to rename security key');
+    }
+  };
+
+  const handleRemove = async (e, id) => {
+    e.preventDefault();
+    try {
+      await authAPI.deleteWebAuthnCredential(id, removePassword);
+      toast.success('Security key removed');
+      setRemovingId(null);
+      setRemovePassword('');
+      fetchCredentials();
+      onChange?.();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove security key');
+    }
+  };
+
+  const formatDate = (value) => (value ? new Date(value).toLocaleString() : 'Never');
+
+  return (
+    <div className="bg-white rounded-xl shadow-xl p-8 text-left">
+      <div className="flex items-center space-x-2 mb-2">
+        <KeyRound className="h-6 w-6 text-indigo-600" />
+        <h2 className="text-xl font-bold text-gray-900">Security Keys &amp; Passkeys</h2>
+      </div>
+      <p className="text-sm text-gray-600 mb-6">
+        Sign in with a fingerprint, face, PIN or hardware security key instead of a code.
+      </p>
+
+      {loading && credentials.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-6">Loading security keys...</p>
+      ) : credentials.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-6">No security keys registered yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg mb-6">
+          {credentials.map((credential) => (
+            <li key={credential.id} className="px-4 py-3">
+              <div className="flex justify-between items-center">
+                {editingId === credential.id ? (
+                  <div className="flex items-center space-x-2 flex-1 mr-2">
+                    <input
+                      type="text"
+                      maxLength="64"
+                      value={editName}
+                      onChange={(e) => setEditName(e.target.value)}
+                      className="flex-1 border border-gray-300 rounded-lg px-2 py-1 text-sm focus:border-indigo-500 focus:outline-none"
+                      autoFocus
+                    />
+                    <button
+                      onClick={() => handleRename(credential.id)}
+                      disabled={!editName.trim()}
+                      className="text-green-600 hover:text-green-800 disabled:opacity-50"
+                      title="Save"
+                    >
+                      <Check className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => setEditingId(null)}
+                      className="text-gray-500 hover:text-gray-700"
+                      title="Cancel"
+                    >
+                      <X className="h-4 w-4" />
+                    </button>
+                  </div>
+                ) : (
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      {credential.name}
+                      {credential.backedUp && (
+                        <span className="ml-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-blue-100 text-blue-800">
+                          Synced passkey
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      Added {formatDate(credential.createdAt)} · Last used {formatDate(credential.lastUsedAt)}
+                    </p>
+                  </div>
+                )}
+
+                {editingId !== credential.id && (
+                  <div className="flex items-center space-x-3">
+                    <button
+                      onClick={() => {
+                        setEditingId(credential.id);
+                        setEditName(credential.name);
+                      }}
+                      className="text-indigo-600 hover:text-indigo-800"
+                      title="Rename"
+                    >
+                      <Pencil className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => {
+                        setRemovingId(removingId === credential.id ? null : credential.id);
+                        setRemovePassword('');
+                      }}
+                      className="text-red-600 hover:text-red-800"
+                      title="Remove"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                )}
+              </div>
+
+              {removingId === credential.id && (
+                <form onSubmit={(e) => handleRemove(e, credential.id)} className="flex items-center space-x-2 mt-3">
+                  <input
+                    type="password"
+                    placeholder="Confirm with your password"
+                    value={removePassword}
+                    onChange={(e) => setRemovePassword(e.target.value)}
+                    className="flex-1 border border-gray-300 rounded-lg px-2 py-1 text-sm focus:border-red-500 focus:outline-none"
+                    required
+                    autoFocus
+                  />
+                  <button
+                    type="submit"
+                    disabled={!removePassword}
+                    className="px-3 py-1 text-sm text-white bg-red-600 rounded-lg hover:bg-red-700 disabled:opacity-50"
+                  >
+                    Remove
+                  </button>
+                </form>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {supported ? (
+        <form onSubmit={handleRegister} className="flex items-center space-x-2">
+          <input
+            type="text"
+            maxLength="64"
+            placeholder="Name, e.g. Ward 3 workstation"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            className="flex-1 border border-gray-300 rounded-lg px-3 py-2 text-sm focus:border-indigo-500 focus:outline-none"
+          />
+          <button
+            type="submit"
+            disabled={registering}
+            className="flex items-center px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+          >
+            <Plus className="h-4 w-4 mr-1" />
+            {registering ? 'Waiting for key...' : 'Add Security Key'}
+          </button>
+        </form>
+      ) : (
+        <p className="text-sm text-yellow-700">
+          This browser does not support security keys or passkeys.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default WebAuthnCredentials;
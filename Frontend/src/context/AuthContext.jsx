@@ -1,4 +1,5 @@
 import React, { createContext, useState, useContext, useEffect } from 'react';
+import { startAuthentication } from '@simplewebauthn/browser';
 import { authAPI } from '../services/api';
 import { toast } from 'react-toastify';
 
@@ -17,6 +18,7 @@ export const AuthProvider = ({ children }) => {
   const [loading, setLoading] = useState(true);
   const [requiresMFA, setRequiresMFA] = useState(false);
   const [mfaToken, setMfaToken] = useState(null);
+  const [mfaMethods, setMfaMethods] = useState([]);
 
   useEffect(() => {
     // Check if user is logged in on mount
@@ -57,9 +59,9 @@ export const AuthProvider = ({ children }) => {
     initializeAuth();
   }, []);
 
-  const login = async (email, password) => {
+  const login = async (email, password, captchaToken) => {
     try {
-      const response = await authAPI.login({ email, password });
+      const response = await authAPI.login({ email, password, captchaToken });
       console.log('[AuthContext] Login response:', response.data);
       
       // Handle MFA requirement
@@ -68,12 +70,19 @@ export const AuthProvider = ({ children }) => {
         console.log('[AuthContext] MFA token:', response.data.mfaToken);
         setRequiresMFA(true);
         setMfaToken(response.data.mfaToken);
+        setMfaMethods(response.data.mfaMethods || ['totp']);
         console.log('[AuthContext] State updated - requiresMFA should now be true');
-        return { requiresMFA: true, mfaToken: response.data.mfaToken };
+        return { requiresMFA: true, mfaToken: response.data.mfaToken, mfaMethods: response.data.mfaMethods };
       }
 
       console.log('[AuthContext] MFA not required, proceeding with tokens');
 
+      // Organization policy requires MFA for this role - warn during the grace period
+      const mfaEnrollment = response.data.mfaEnrollment;
+      if (mfaEnrollment?.required && !mfaEnrollment.enrolled && !mfaEnrollment.mustEnroll) {
+        toast.warning(`Your role requires MFA. Please enroll before ${new Date(mfaEnrollment.deadline).toLocaleDateString()}.`);
+      }
+
       // Extract tokens and user data from response
       const tokens = response.data.tokens;
       const userData = response.data.user;
@@ -118,6 +127,44 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Finish a hospital SSO sign-in with the one-time code from the callback page.
+  // The response has the same shape as a password login.
+  const ssoLogin = async (code) => {
+    try {
+      const response = await authAPI.ssoExchange(code);
+
+      if (response.data.requiresMFA) {
+        setRequiresMFA(true);
+        setMfaToken(response.data.mfaToken);
+        setMfaMethods(response.data.mfaMethods || ['totp']);
+        return { requiresMFA: true, mfaToken: response.data.mfaToken, mfaMethods: response.data.mfaMethods };
+      }
+
+      const mfaEnrollment = response.data.mfaEnrollment;
+      if (mfaEnrollment?.required && !mfaEnrollment.enrolled && !mfaEnrollment.mustEnroll) {
+        toast.warning(`Your role requires MFA. Please enroll before ${new Date(mfaEnrollment.deadline).toLocaleDateString()}.`);
+      }
+
+      const tokens = response.data.tokens;
+      const userData = response.data.user;
+
+      localStorage.setItem('accessToken', tokens.accessToken);
+      localStorage.setItem('refreshToken', tokens.refreshToken);
+      localStorage.setItem('user', JSON.stringify(userData));
+
+      setUser(userData);
+      setRequiresMFA(false);
+      setMfaToken(null);
+
+      toast.success('Login successful!');
+      return { success: true, user: userData, requiresMFA: false };
+    } catch (error) {
+      console.error('SSO login error:', error);
+      toast.error(error.response?.data?.message || 'Single sign-on failed');
+      throw error;
+    }
+  };
+
   const verifyMFA = async (code) => {
     try {
       const response = await authAPI.verifyMFA({
@@ -143,6 +190,14 @@ export const AuthProvider = ({ children }) => {
       return { success: true, user: userData };
     } catch (error) {
       console.error('MFA verification error:', error);
+
+      // Challenge expired, already used or out of attempts - start over
+      if (error.response?.data?.restartLogin) {
+        setRequiresMFA(false);
+        setMfaToken(null);
+        toast.error(error.response.data.message);
+        throw error;
+      }
       
       // Handle different error types
       if (!error.response) {
@@ -151,7 +206,10 @@ export const AuthProvider = ({ children }) => {
         const errorMsg = error.response?.data?.message || error.response?.data?.error || 'Server error occurred';
         toast.error(`Server Error: ${errorMsg}`);
       } else if (error.response.status === 401) {
-        toast.error('Invalid or expired MFA code');
+        const remaining = error.response.data?.attemptsRemaining;
+        toast.error(remaining !== undefined
+          ? `Invalid MFA code (${remaining} attempt${remaining === 1 ? '' : 's'} left)`
+          : 'Invalid or expired MFA code');
       } else {
         const message = error.response?.data?.message || 'MFA verification failed';
         toast.error(message);
@@ -160,6 +218,49 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const verifyWebAuthn = async () => {
+    try {
+      const optionsResponse = await authAPI.webauthnLoginOptions(mfaToken);
+      const assertion = await startAuthentication({ optionsJSON: optionsResponse.data.data });
+      const response = await authAPI.webauthnLoginVerify(mfaToken, assertion);
+
+      const tokens = response.data.tokens;
+      const userData = response.data.user;
+
+      // Store in localStorage
+      localStorage.setItem('accessToken', tokens.accessToken);
+      localStorage.setItem('refreshToken', tokens.refreshToken);
+      localStorage.setItem('user', JSON.stringify(userData));
+
+      // Update state
+      setUser(userData);
+      setRequiresMFA(false);
+      setMfaToken(null);
+      setMfaMethods([]);
+
+      toast.success('Security key verified!');
+      return { success: true, user: userData };
+    } catch (error) {
+      console.error('WebAuthn verification error:', error);
+
+      // Challenge expired, already used or out of attempts - start over
+      if (error.response?.data?.restartLogin) {
+        setRequiresMFA(false);
+        setMfaToken(null);
+        setMfaMethods([]);
+        toast.error(error.response.data.message);
+      } else if (!error.response) {
+        // Browser-side failure, e.g. the prompt was dismissed or timed out
+        toast.error(error.name === 'NotAllowedError'
+          ? 'Security key verification was cancelled'
+          : 'Security key verification failed');
+      } else {
+        toast.error(error.response.data?.message || 'Security key verification failed');
+      }
+      throw error;
+    }
+  };
+
   const logout = async () => {
     try {
       await authAPI.logout();
@@ -179,6 +280,7 @@ export const AuthProvider = ({ children }) => {
   const resetMFA = () => {
     setRequiresMFA(false);
     setMfaToken(null);
+    setMfaMethods([]);
   };
 
   const register = async (userData) => {
@@ -201,14 +303,34 @@ export const AuthProvider = ({ children }) => {
     return user.role === roles;
   };
 
+  // Permissions come from the server: built-in role, custom roles and extra grants
   const hasPermission = (permission) => {
     if (!user) return false;
-    // Implement permission checking logic based on role and attributes
-    // For now, admins have all permissions
-    if (user.role === 'admin') return true;
-    
-    // Add more specific permission checks here
-    return false;
+    return (user.permissions || []).includes(permission);
+  };
+
+  // Reload the signed-in user from the server (e.g. after MFA enrollment)
+  const refreshUser = async () => {
+    const response = await authAPI.getMe();
+    setUser(response.data.data);
+    localStorage.setItem('user', JSON.stringify(response.data.data));
+    return response.data.data;
+  };
+
+  // Change the password; every other session is signed out and new tokens are issued
+  const changePassword = async (currentPassword, newPassword) => {
+    const response = await authAPI.changePassword(currentPassword, newPassword);
+    const tokens = response.data.tokens;
+
+    localStorage.setItem('accessToken', tokens.accessToken);
+    localStorage.setItem('refreshToken', tokens.refreshToken);
+
+    const updatedUser = { ...user, mustChangePassword: false };
+    setUser(updatedUser);
+    localStorage.setItem('user', JSON.stringify(updatedUser));
+
+    toast.success(response.data.message);
+    return updatedUser;
   };
 
   // MFA MANAGEMENT FUNCTIONS
@@ -226,7 +348,7 @@ export const AuthProvider = ({ children }) => {
     try {
       await authAPI.enableMFA(code);
       // Update user state to reflect MFA enabled
-      const updatedUser = { ...user, mfaEnabled: true };
+      const updatedUser = { ...user, mfaEnabled: true, mustEnrollMFA: false };
       setUser(updatedUser);
       localStorage.setItem('user', JSON.stringify(updatedUser));
       toast.success('MFA enabled successfully!');
@@ -257,10 +379,15 @@ export const AuthProvider = ({ children }) => {
     loading,
     requiresMFA,
     login,
+    ssoLogin,
     verifyMFA,
+    verifyWebAuthn,
+    mfaMethods,
     logout,
     register,
     resetMFA,      // Reset MFA state
+    refreshUser,
+    changePassword,
     setupMFA,      // NEW
     enableMFA,     // NEW
     disableMFA,    // NEW
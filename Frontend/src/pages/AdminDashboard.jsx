@@ -15,9 +15,20 @@ import {
   BarChart3,
   FileText,
   Unlock,
-  CheckCircle
+  CheckCircle,
+  LogOut,
+  Monitor,
+  KeyRound,
+  ShieldCheck
 } from 'lucide-react';
 import { toast } from 'react-toastify';
+import SessionsPanel from '../components/SessionsPanel';
+import MFAPolicyPanel from '../components/MFAPolicyPanel';
+import PasswordPolicyPanel from '../components/PasswordPolicyPanel';
+import ScimTokenPanel from '../components/ScimTokenPanel';
+import AccessPolicyPanel from '../components/AccessPolicyPanel';
+import RoleEditorPanel from '../components/RoleEditorPanel';
+import UserPermissionsModal from '../components/UserPermissionsModal';
 
 const AdminDashboard = () => {
   const { user, logout } = useAuth();
@@ -28,6 +39,8 @@ const AdminDashboard = () => {
   const [showAddModal, setShowAddModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
   const [selectedUser, setSelectedUser] = useState(null);
+  const [sessionsUser, setSessionsUser] = useState(null);
+  const [permissionsUser, setPermissionsUser] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [hospitalFilter, setHospitalFilter] = useState('');
   const [stats, setStats] = useState({
@@ -189,6 +202,18 @@ const AdminDashboard = () => {
     }
   };
 
+  const handleForceLogout = async (userId) => {
+    if (!window.confirm('Sign this user out of every device? They will have to log in again.')) return;
+
+    try {
+      const response = await adminAPI.forceLogout(userId);
+      toast.success(`User signed out of ${response.data.data.sessionsRevoked} session(s)`);
+    } catch (error) {
+      console.error('Error forcing logout:', error);
+      toast.error(error.response?.data?.message || 'Failed to sign user out');
+    }
+  };
+
   const handleActivateUser = async (userId) => {
     if (!window.confirm('Are you sure you want to activate this user account?')) return;
     
@@ -231,6 +256,13 @@ const AdminDashboard = () => {
               </div>
             </div>
             <div className="flex items-center space-x-4">
+              <button
+                onClick={() => navigate('/change-password')}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition flex items-center space-x-2"
+              >
+                <KeyRound className="h-4 w-4" />
+                <span>Change Password</span>
+              </button>
               <button
                 onClick={() => navigate('/mfa-setup')}
                 className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition flex items-center space-x-2"
@@ -482,6 +514,31 @@ const AdminDashboard = () => {
                               <Unlock className="h-4 w-4" />
                             </button>
                           )}
+                          <button
+                            onClick={() => setSessionsUser(u)}
+                            className="text-gray-600 hover:text-gray-900"
+                            title="View sessions"
+                          >
+                            <Monitor className="h-4 w-4" />
+                          </button>
+                          {u.role !== 'patient' && u._id !== user?.id && (
+                            <button
+                              onClick={() => setPermissionsUser(u)}
+                              className="text-purple-600 hover:text-purple-900"
+                              title="Roles and permissions"
+                            >
+                              <ShieldCheck className="h-4 w-4" />
+                            </button>
+                          )}
+                          {u.isActive && u._id !== user?.id && (
+                            <button
+                              onClick={() => handleForceLogout(u._id)}
+                              className="text-orange-600 hover:text-orange-900"
+                              title="Sign out of all sessions"
+                            >
+                              <LogOut className="h-4 w-4" />
+                            </button>
+                          )}
                           {!u.isActive ? (
                             <button
                               onClick={() => handleActivateUser(u._id)}
@@ -508,8 +565,66 @@ const AdminDashboard = () => {
             </table>
           </div>
         </div>
+
+        {/* MFA Policy */}
+        <div className="mt-8">
+          <MFAPolicyPanel />
+        </div>
+
+        {/* Password Policy */}
+        <div className="mt-8">
+          <PasswordPolicyPanel />
+        </div>
+
+        {/* Custom Roles */}
+        <div className="mt-8">
+          <RoleEditorPanel hospitals={hospitals} />
+        </div>
+
+        {/* Access Policy */}
+        <div className="mt-8">
+          <AccessPolicyPanel />
+        </div>
+
+        {/* SCIM Provisioning */}
+        <div className="mt-8">
+          <ScimTokenPanel />
+        </div>
+
+        {/* Active Sessions */}
+        <div className="mt-8">
+          <SessionsPanel title="My Active Sessions" />
+        </div>
       </main>
 
+      {/* User Sessions Modal */}
+      {sessionsUser && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+            <div className="p-4 flex justify-end">
+              <button
+                onClick={() => setSessionsUser(null)}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <X className="h-6 w-6" />
+              </button>
+            </div>
+            <SessionsPanel
+              userId={sessionsUser._id}
+              title={`Sessions for ${sessionsUser.username || sessionsUser.email}`}
+            />
+          </div>
+        </div>
+      )}
+
+      {/* User Permissions Modal */}
+      {permissionsUser && (
+        <UserPermissionsModal
+          user={permissionsUser}
+          onClose={() => setPermissionsUser(null)}
+        />
+      )}
+
       {/* Add User Modal */}
       {showAddModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
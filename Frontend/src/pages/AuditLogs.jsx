@@ -29,9 +29,10 @@ import {
   X
 } from 'lucide-react';
 import { toast } from 'react-toastify';
+import BreakGlassReviewQueue from '../components/BreakGlassReviewQueue';
 
 const AuditLogs = () => {
-  const { user, logout } = useAuth();
+  const { user, logout, hasPermission } = useAuth();
   const navigate = useNavigate();
   const [logs, setLogs] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -382,6 +383,9 @@ const AuditLogs = () => {
           </div>
         </div>
 
+        {/* Break-glass review queue (privacy officers) */}
+        {hasPermission('break-glass:review') && <BreakGlassReviewQueue />}
+
         {/* Filters and Search */}
         <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
           <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between space-y-4 lg:space-y-0">
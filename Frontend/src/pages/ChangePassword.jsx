@@ -0,0 +1,174 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Shield, Lock, ArrowLeft, AlertTriangle } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { useAuth } from '../context/AuthContext';
+import { authAPI } from '../services/api';
+
+const DASHBOARDS = {
+  admin: '/admin/dashboard',
+  doctor: '/doctor/dashboard',
+  nurse: '/nurse/dashboard',
+  staff: '/nurse/dashboard',
+  patient: '/patient/dashboard'
+};
+
+const ChangePassword = () => {
+  const navigate = useNavigate();
+  const { user, changePassword, refreshUser, logout } = useAuth();
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [policy, setPolicy] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    const fetchPolicy = async () => {
+      try {
+        const response = await authAPI.getPasswordPolicy();
+        setPolicy(response.data.data);
+      } catch (error) {
+        console.error('Error fetching password policy:', error);
+      }
+    };
+
+    fetchPolicy();
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (newPassword !== confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await changePassword(currentPassword, newPassword);
+
+      // Pick up anything else the account still has to do, e.g. MFA enrollment
+      const updatedUser = await refreshUser();
+      navigate(DASHBOARDS[updatedUser.role] || '/login', { replace: true });
+    } catch (error) {
+      console.error('Change password error:', error);
+      toast.error(error.response?.data?.message || 'Could not change password');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const inputClassName = 'appearance-none relative block w-full pl-10 px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-lg focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm';
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100">
+      <div className="max-w-md w-full space-y-8 p-10 bg-white rounded-xl shadow-2xl">
+        {!user?.mustChangePassword && (
+          <button
+            type="button"
+            onClick={() => navigate(-1)}
+            className="flex items-center text-gray-600 hover:text-gray-900"
+          >
+            <ArrowLeft className="w-5 h-5 mr-2" />
+            Back
+          </button>
+        )}
+
+        <div className="text-center">
+          <Shield className="mx-auto h-16 w-16 text-indigo-600" />
+          <h2 className="mt-6 text-3xl font-bold text-gray-900">
+            Change Password
+          </h2>
+        </div>
+
+        {user?.mustChangePassword && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 flex">
+            <AlertTriangle className="h-5 w-5 text-yellow-600 mr-2 shrink-0 mt-0.5" />
+            <p className="text-sm text-yellow-800">
+              You are signed in with a temporary or expired password. Choose a new one to continue.
+            </p>
+          </div>
+        )}
+
+        {policy && (
+          <ul className="text-sm text-gray-600 list-disc pl-5 space-y-1">
+            <li>At least {policy.minLength} characters</li>
+            <li>
+              At least {policy.minCharacterClasses} of: lowercase letters, uppercase letters, numbers, symbols
+            </li>
+            {policy.rejectCommonPasswords && <li>Not a common or previously breached password</li>}
+            <li>Must not contain your name, username or email</li>
+            {policy.historyCount > 0 && <li>Different from your last {policy.historyCount} passwords</li>}
+          </ul>
+        )}
+
+        <form className="space-y-4" onSubmit={handleSubmit}>
+          <div className="relative">
+            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+              <Lock className="h-5 w-5 text-gray-400" />
+            </div>
+            <input
+              type="password"
+              required
+              autoComplete="current-password"
+              className={inputClassName}
+              placeholder="Current password"
+              value={currentPassword}
+              onChange={(e) => setCurrentPassword(e.target.value)}
+            />
+          </div>
+          <div className="relative">
+            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+              <Lock className="h-5 w-5 text-gray-400" />
+            </div>
+            <input
+              type="password"
+              required
+              autoComplete="new-password"
+              minLength={policy?.minLength || 8}
+              className={inputClassName}
+              placeholder="New password"
+              value={newPassword}
+              onChange={(e) => setNewPassword(e.target.value)}
+            />
+          </div>
+          <div className="relative">
+            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+              <Lock className="h-5 w-5 text-gray-400" />
+            </div>
+            <input
+              type="password"
+              required
+              autoComplete="new-password"
+              minLength={policy?.minLength || 8}
+              className={inputClassName}
+              placeholder="Confirm new password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-lg text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {loading ? 'Changing...' : 'Change Password'}
+          </button>
+        </form>
+
+        {user?.mustChangePassword && (
+          <button
+            type="button"
+            onClick={logout}
+            className="w-full text-sm font-medium text-indigo-600 hover:text-indigo-500"
+          >
+            Sign out
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ChangePassword;
@@ -13,10 +13,28 @@ import {
   X,
   Stethoscope,
   ClipboardList,
-  Shield
+  Shield,
+  KeyRound,
+  PenLine,
+  ShieldCheck,
+  ShieldX
 } from 'lucide-react';
 import { toast } from 'react-toastify';
 import BreakGlassAccess from '../components/BreakGlassAccess';
+import SessionsPanel from '../components/SessionsPanel';
+import DelegationPanel from '../components/DelegationPanel';
+import CosignInbox from '../components/CosignInbox';
+import EHRVersionHistory from '../components/EHRVersionHistory';
+import AmendEHRModal from '../components/AmendEHRModal';
+import AmendmentHistory from '../components/AmendmentHistory';
+
+const SENSITIVE_CATEGORIES = [
+  { value: 'mental-health', label: 'Mental health' },
+  { value: 'hiv', label: 'HIV status' },
+  { value: 'substance-use', label: 'Substance use' },
+  { value: 'reproductive-health', label: 'Reproductive health' },
+  { value: 'genetic', label: 'Genetic testing' }
+];
 
 const DoctorDashboard = () => {
   const { user, logout } = useAuth();
@@ -28,6 +46,9 @@ const DoctorDashboard = () => {
   const [showAddEHR, setShowAddEHR] = useState(false);
   const [selectedPatient, setSelectedPatient] = useState(null);
   const [patientEHRs, setPatientEHRs] = useState([]);
+  const [signatureChecks, setSignatureChecks] = useState({});
+  const [historyEHR, setHistoryEHR] = useState(null);
+  const [amendingEHR, setAmendingEHR] = useState(null);
   const [showBreakGlass, setShowBreakGlass] = useState(false);
   const [breakGlassPatientId, setBreakGlassPatientId] = useState(null);
   const [stats, setStats] = useState({
@@ -67,7 +88,8 @@ const DoctorDashboard = () => {
       heartRate: '',
       respiratoryRate: ''
     },
-    notes: ''
+    notes: '',
+    sensitivityCategories: []
   });
 
   useEffect(() => {
@@ -131,19 +153,14 @@ const DoctorDashboard = () => {
               <p><strong>Email:</strong> {email}</p>
               <p><strong>Password:</strong> {temporaryPassword}</p>
             </div>
-            <p className="text-xs mt-2 text-yellow-200">⚠️ Save these credentials! Patient should change password after first login.</p>
+            <p className="text-xs mt-2 text-yellow-200">⚠️ Save these credentials! The patient will choose a new password at first login.</p>
           </div>,
           { 
             autoClose: 15000, // Show for 15 seconds
             closeOnClick: false 
           }
         );
-        
-        console.log('[Patient Portal] Credentials created:', {
-          email,
-          temporaryPassword,
-          patientId
-        });
+
       } else {
         toast.success('Patient created successfully!');
       }
@@ -207,7 +224,8 @@ const DoctorDashboard = () => {
           frequency: '',
           route: 'oral'
         })).filter(m => m.name) : [],
-        treatmentPlan: ehrForm.treatment
+        treatmentPlan: ehrForm.treatment,
+        sensitivityCategories: ehrForm.sensitivityCategories
       };
       
       console.log('Sending EHR Data:', ehrData);
@@ -228,7 +246,8 @@ const DoctorDashboard = () => {
           heartRate: '',
           respiratoryRate: ''
         },
-        notes: ''
+        notes: '',
+        sensitivityCategories: []
       });
     } catch (error) {
       console.error('Error creating EHR:', error);
@@ -270,6 +289,46 @@ const DoctorDashboard = () => {
     }
   };
 
+  const handleSignEHR = async (ehr) => {
+    if (!window.confirm('Sign this record? Signed records can only be changed through an amendment.')) {
+      return;
+    }
+    try {
+      const response = await ehrAPI.sign(ehr._id);
+      toast.success('EHR record signed');
+      const { status, signature, signedBy, signedAt } = response.data.data;
+      setPatientEHRs(patientEHRs.map((record) => (record._id === ehr._id ? { ...record, status, signature, signedBy, signedAt } : record)));
+    } catch (error) {
+      console.error('Error signing EHR:', error);
+      toast.error(error.response?.data?.message || 'Failed to sign EHR record');
+    }
+  };
+
+  const handleVerifyEHR = async (ehr) => {
+    try {
+      const response = await ehrAPI.verify(ehr._id);
+      setSignatureChecks({ ...signatureChecks, [ehr._id]: response.data.data });
+    } catch (error) {
+      console.error('Error verifying EHR signature:', error);
+      toast.error(error.response?.data?.message || 'Failed to verify signature');
+    }
+  };
+
+  const handleAmended = (amended) => {
+    // Keep the populated care team from the list; the rest comes from the amended record
+    setPatientEHRs(patientEHRs.map((record) => (record._id === amended._id ? {
+      ...record,
+      ...amended,
+      attendingPhysician: record.attendingPhysician,
+      consultingPhysicians: record.consultingPhysicians,
+      nurseInCharge: record.nurseInCharge,
+      author: record.author,
+      cosignedBy: record.cosignedBy,
+      cosignature: record.cosignature
+    } : record)));
+    setAmendingEHR(null);
+  };
+
   const handleBreakGlassAccess = async (justification) => {
     try {
       // Fetch patient data with break glass access
@@ -322,6 +381,14 @@ const DoctorDashboard = () => {
                 <p className="text-xs text-gray-500">{user?.attributes?.specialization || 'Doctor'}</p>
                 {user?.mfaEnabled && <p className="text-xs text-green-600 flex items-center justify-end"><Shield className="h-3 w-3 mr-1" />MFA Enabled</p>}
               </div>
+              <button
+                onClick={() => navigate('/change-password')}
+                className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 transition flex items-center space-x-2"
+                title="Change your password"
+              >
+                <KeyRound className="h-4 w-4" />
+                <span>Change Password</span>
+              </button>
               <button
                 onClick={() => navigate('/mfa-setup')}
                 className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 transition flex items-center space-x-2"
@@ -512,6 +579,22 @@ const DoctorDashboard = () => {
             </table>
           </div>
         </div>
+
+        {/* Notes waiting for my co-signature, and my own notes still in review */}
+        <div className="mt-8 space-y-8">
+          <CosignInbox box="assigned" />
+          <CosignInbox box="authored" />
+        </div>
+
+        {/* Delegations */}
+        <div className="mt-8">
+          <DelegationPanel onChange={fetchPatients} />
+        </div>
+
+        {/* Active Sessions */}
+        <div className="mt-8">
+          <SessionsPanel title="My Active Sessions" />
+        </div>
       </main>
 
       {/* Add Patient Modal */}
@@ -813,6 +896,28 @@ const DoctorDashboard = () => {
                 />
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Sensitive Content</label>
+                <p className="text-xs text-gray-500 mb-2">Patients can hide these categories from staff in their consent directive.</p>
+                <div className="flex flex-wrap gap-4">
+                  {SENSITIVE_CATEGORIES.map((category) => (
+                    <label key={category.value} className="flex items-center space-x-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={ehrForm.sensitivityCategories.includes(category.value)}
+                        onChange={(e) => setEhrForm({
+                          ...ehrForm,
+                          sensitivityCategories: e.target.checked
+                            ? [...ehrForm.sensitivityCategories, category.value]
+                            : ehrForm.sensitivityCategories.filter((value) => value !== category.value)
+                        })}
+                      />
+                      <span>{category.label}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+
               <div className="flex justify-end space-x-3 pt-4">
                 <button
                   type="button"
@@ -871,9 +976,12 @@ const DoctorDashboard = () => {
                             {new Date(ehr.visitDate || ehr.createdAt).toLocaleString()}
                           </p>
                         </div>
-                        <p className="text-sm text-gray-600">
-                          By: {ehr.attendingPhysician?.firstName} {ehr.attendingPhysician?.lastName}
-                        </p>
+                        <div className="text-right text-sm text-gray-600">
+                          <p>By: {(ehr.author || ehr.attendingPhysician)?.firstName} {(ehr.author || ehr.attendingPhysician)?.lastName}</p>
+                          {ehr.cosignedBy?.firstName && (
+                            <p className="text-xs">Co-signed by {ehr.cosignedBy.firstName} {ehr.cosignedBy.lastName}</p>
+                          )}
+                        </div>
                       </div>
                       <div className="space-y-2">
                         {ehr.chiefComplaint && (
@@ -937,6 +1045,52 @@ const DoctorDashboard = () => {
                           </div>
                         )}
                       </div>
+                      {ehr.amendmentHistory?.length > 0 && (
+                        <div className="mt-3">
+                          <p className="text-sm font-medium text-gray-700 mb-2">Amendments:</p>
+                          <AmendmentHistory amendments={ehr.amendmentHistory} />
+                        </div>
+                      )}
+                      <div className="flex items-center justify-between mt-3 pt-3 border-t border-gray-100">
+                        {ehr.signature?.value ? (
+                          <span className="text-xs text-gray-600">
+                            Signed {new Date(ehr.signature.signedAt).toLocaleString()} (v{ehr.signature.signedVersion})
+                          </span>
+                        ) : ['pending', 'returned'].includes(ehr.cosignature?.status) ? (
+                          <span className="text-xs text-yellow-700">
+                            {ehr.cosignature.status === 'pending' ? 'Awaiting co-signature' : 'Returned to author for revision'}
+                          </span>
+                        ) : (
+                          <span className="text-xs text-gray-500 capitalize">{ehr.status || 'draft'}</span>
+                        )}
+                        <div className="flex items-center space-x-3">
+                          {signatureChecks[ehr._id] && (
+                            <span className={`flex items-center text-xs ${signatureChecks[ehr._id].valid ? 'text-green-700' : 'text-red-700'}`}>
+                              {signatureChecks[ehr._id].valid ? <ShieldCheck className="h-4 w-4 mr-1" /> : <ShieldX className="h-4 w-4 mr-1" />}
+                              {signatureChecks[ehr._id].valid ? 'Signature valid' : signatureChecks[ehr._id].reason}
+                            </span>
+                          )}
+                          {ehr.status !== 'archived' && (
+                            <button onClick={() => setAmendingEHR(ehr)} className="text-sm text-indigo-600 hover:text-indigo-800">
+                              Amend
+                            </button>
+                          )}
+                          {ehr.version > 1 && (
+                            <button onClick={() => setHistoryEHR(ehr)} className="text-sm text-gray-600 hover:text-gray-800">
+                              History (v{ehr.version})
+                            </button>
+                          )}
+                          {ehr.signature?.value ? (
+                            <button onClick={() => handleVerifyEHR(ehr)} className="text-sm text-indigo-600 hover:text-indigo-800">
+                              Verify signature
+                            </button>
+                          ) : ehr.status === 'draft' && !['pending', 'returned'].includes(ehr.cosignature?.status) && (
+                            <button onClick={() => handleSignEHR(ehr)} className="flex items-center text-sm text-green-600 hover:text-green-800">
+                              <PenLine className="h-4 w-4 mr-1" /> Sign
+                            </button>
+                          )}
+                        </div>
+                      </div>
                     </div>
                   ))}
                 </div>
@@ -946,6 +1100,16 @@ const DoctorDashboard = () => {
         </div>
       )}
 
+      {/* EHR Version History Modal */}
+      {historyEHR && (
+        <EHRVersionHistory ehr={historyEHR} onClose={() => setHistoryEHR(null)} />
+      )}
+
+      {/* Amend EHR Modal */}
+      {amendingEHR && (
+        <AmendEHRModal ehr={amendingEHR} onClose={() => setAmendingEHR(null)} onAmended={handleAmended} />
+      )}
+
       {/* Break Glass Access Modal */}
       {showBreakGlass && (
         <BreakGlassAccess
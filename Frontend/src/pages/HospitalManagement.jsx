@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { useNavigate } from 'react-router-dom';
 import { hospitalAPI } from '../services/api';
+import HospitalSSOSettings from '../components/HospitalSSOSettings';
 import { 
   Building2, 
   Users, 
@@ -19,7 +20,8 @@ import {
   Mail,
   Phone,
   Trash2,
-  TestTube
+  TestTube,
+  KeyRound
 } from 'lucide-react';
 import { toast } from 'react-toastify';
 
@@ -31,6 +33,7 @@ const HospitalManagement = () => {
   const [showAddHospital, setShowAddHospital] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
   const [syncing, setSyncing] = useState(null);
+  const [ssoHospital, setSsoHospital] = useState(null);
   const [stats, setStats] = useState({
     totalHospitals: 0,
     connectedHospitals: 0,
@@ -462,6 +465,13 @@ const HospitalManagement = () => {
                         >
                           <TestTube className="h-4 w-4" />
                         </button>
+                        <button
+                          onClick={() => setSsoHospital(hospital)}
+                          className={hospital.sso?.enabled ? 'text-indigo-600 hover:text-indigo-900' : 'text-gray-400 hover:text-gray-600'}
+                          title="Single Sign-On Settings"
+                        >
+                          <KeyRound className="h-4 w-4" />
+                        </button>
                         <button
                           onClick={() => handleDeleteHospital(hospital._id)}
                           className="text-red-600 hover:text-red-900"
@@ -507,6 +517,17 @@ const HospitalManagement = () => {
         </div>
       </main>
 
+      {ssoHospital && (
+        <HospitalSSOSettings
+          hospital={ssoHospital}
+          onClose={() => setSsoHospital(null)}
+          onSaved={() => {
+            setSsoHospital(null);
+            fetchHospitals();
+          }}
+        />
+      )}
+
       {/* Add Hospital Modal */}
       {showAddHospital && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
@@ -1,12 +1,29 @@
 import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useLocation, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { Shield, Lock, Mail, Eye, EyeOff } from 'lucide-react';
+import { authAPI } from '../services/api';
+import { Shield, Lock, Mail, Eye, EyeOff, KeyRound, Building2 } from 'lucide-react';
 import { toast } from 'react-toastify';
+import CaptchaWidget from '../components/CaptchaWidget';
+
+// Reasons the SSO callback sends back in ?ssoError=
+const SSO_ERRORS = {
+  unknown_hospital: 'Single sign-on is not available for this hospital',
+  provider_unavailable: 'The hospital sign-in service could not be reached. Please try again later',
+  invalid_state: 'Your sign-in took too long or was already used. Please try again',
+  provider_denied: 'Sign-in was cancelled at your hospital',
+  missing_email: 'Your hospital account has no email address. Please contact your administrator',
+  account_conflict: 'An account with your email already exists. Please contact your administrator',
+  not_provisioned: 'You do not have an account yet. Please contact your administrator',
+  not_authorized: 'Your hospital role does not give access to this system',
+  account_inactive: 'Account is deactivated or suspended. Please contact administrator'
+};
 
 const Login = () => {
   const navigate = useNavigate();
-  const { login, verifyMFA, requiresMFA, resetMFA } = useAuth();
+  const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { login, verifyMFA, verifyWebAuthn, mfaMethods, requiresMFA, resetMFA } = useAuth();
   
   const [formData, setFormData] = useState({
     email: '',
@@ -15,12 +32,21 @@ const Login = () => {
   });
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [useBackupCode, setUseBackupCode] = useState(false);
+  // Set by the server after repeated failed attempts
+  const [captchaRequired, setCaptchaRequired] = useState(false);
+  const [captchaToken, setCaptchaToken] = useState(null);
+  const [captchaKey, setCaptchaKey] = useState(0);
+  // Hospitals that offer single sign-on
+  const [ssoProviders, setSsoProviders] = useState([]);
+  const [ssoHospitalId, setSsoHospitalId] = useState('');
 
   // Reset MFA state on component mount to avoid stale state
   // Use empty dependency array to only run once on mount
   React.useEffect(() => {
     console.log('[Login] Component mounted, resetting MFA state');
-    if (resetMFA) {
+    // Coming back from an SSO sign-in that still needs the second factor
+    if (resetMFA && !location.state?.continueMFA) {
       resetMFA();
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -31,6 +57,31 @@ const Login = () => {
     console.log('[Login] requiresMFA changed to:', requiresMFA);
   }, [requiresMFA]);
 
+  React.useEffect(() => {
+    authAPI.getSSOProviders()
+      .then((response) => {
+        setSsoProviders(response.data.data);
+        if (response.data.data.length === 1) {
+          setSsoHospitalId(response.data.data[0].hospitalId);
+        }
+      })
+      .catch((error) => console.error('[Login] Could not load SSO providers:', error));
+  }, []);
+
+  // Failed SSO sign-ins come back here with a reason
+  React.useEffect(() => {
+    const ssoError = searchParams.get('ssoError');
+    if (ssoError) {
+      toast.error(SSO_ERRORS[ssoError] || 'Single sign-on failed. Please try again');
+      setSearchParams({}, { replace: true });
+    }
+  }, [searchParams, setSearchParams]);
+
+  const handleSSOLogin = () => {
+    // Full page navigation: the backend redirects on to the hospital's identity provider
+    window.location.href = authAPI.getSSOLoginUrl(ssoHospitalId);
+  };
+
   const handleHospitalPortalClick = () => {
     toast.info('Please login with admin credentials to access Hospital Network Portal', {
       autoClose: 4000
@@ -52,7 +103,7 @@ const Login = () => {
 
     try {
       console.log('[Login] Attempting login for:', formData.email);
-      const result = await login(formData.email, formData.password);
+      const result = await login(formData.email, formData.password, captchaToken);
       console.log('[Login] Login result:', result);
       console.log('[Login] Requires MFA:', result?.requiresMFA);
       
@@ -65,6 +116,12 @@ const Login = () => {
         // Small delay to ensure state is fully updated
         await new Promise(resolve => setTimeout(resolve, 100));
         
+        // Temporary or expired password - pick a new one before anything else
+        if (result?.user?.mustChangePassword) {
+          navigate('/change-password', { replace: true });
+          return;
+        }
+        
         if (role === 'admin') {
           console.log('[Login] Navigating to admin dashboard');
           navigate('/admin/dashboard', { replace: true });
@@ -90,6 +147,14 @@ const Login = () => {
       }
     } catch (error) {
       console.error('[Login] Login error:', error);
+
+      // CAPTCHA tokens are single use - show a fresh one for the next attempt
+      if (error.response?.data?.captchaRequired) {
+        setCaptchaRequired(true);
+        setCaptchaToken(null);
+        setCaptchaKey((key) => key + 1);
+      }
+
       if (!error.response) {
         toast.error('Cannot connect to server. Please make sure the backend is running on port 5000.');
       } else if (error.response.status === 401) {
@@ -104,6 +169,43 @@ const Login = () => {
     }
   };
 
+  // Redirect to the dashboard for the signed-in user once MFA succeeds
+  const redirectToDashboard = async (signedInUser) => {
+    const role = signedInUser?.role;
+    console.log('[Login] User role after MFA:', role);
+    console.log('[Login] Navigating to dashboard after MFA...');
+    
+    // Small delay to ensure state is fully updated
+    await new Promise(resolve => setTimeout(resolve, 100));
+    
+    // Temporary or expired password - pick a new one before anything else
+    if (signedInUser?.mustChangePassword) {
+      navigate('/change-password', { replace: true });
+      return;
+    }
+    
+    if (role === 'admin') {
+      console.log('[Login] Navigating to admin dashboard');
+      navigate('/admin/dashboard', { replace: true });
+    } else if (role === 'doctor') {
+      console.log('[Login] Navigating to doctor dashboard');
+      navigate('/doctor/dashboard', { replace: true });
+    } else if (role === 'nurse') {
+      console.log('[Login] Navigating to nurse dashboard');
+      navigate('/nurse/dashboard', { replace: true });
+    } else if (role === 'staff') {
+      console.log('[Login] Navigating to staff dashboard');
+      // Staff users go to nurse dashboard (they can view patient data)
+      navigate('/nurse/dashboard', { replace: true });
+    } else if (role === 'patient') {
+      console.log('[Login] Navigating to patient dashboard');
+      navigate('/patient/dashboard', { replace: true });
+    } else {
+      console.log('[Login] Navigating to default dashboard');
+      navigate('/dashboard', { replace: true });
+    }
+  };
+
   const handleMFAVerify = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -112,34 +214,7 @@ const Login = () => {
       const result = await verifyMFA(formData.mfaCode);
       console.log('[Login] MFA result:', result);
       
-      // Redirect based on role
-      const role = result?.user?.role;
-      console.log('[Login] User role after MFA:', role);
-      console.log('[Login] Navigating to dashboard after MFA...');
-      
-      // Small delay to ensure state is fully updated
-      await new Promise(resolve => setTimeout(resolve, 100));
-      
-      if (role === 'admin') {
-        console.log('[Login] Navigating to admin dashboard');
-        navigate('/admin/dashboard', { replace: true });
-      } else if (role === 'doctor') {
-        console.log('[Login] Navigating to doctor dashboard');
-        navigate('/doctor/dashboard', { replace: true });
-      } else if (role === 'nurse') {
-        console.log('[Login] Navigating to nurse dashboard');
-        navigate('/nurse/dashboard', { replace: true });
-      } else if (role === 'staff') {
-        console.log('[Login] Navigating to staff dashboard');
-        // Staff users go to nurse dashboard (they can view patient data)
-        navigate('/nurse/dashboard', { replace: true });
-      } else if (role === 'patient') {
-        console.log('[Login] Navigating to patient dashboard');
-        navigate('/patient/dashboard', { replace: true });
-      } else {
-        console.log('[Login] Navigating to default dashboard');
-        navigate('/dashboard', { replace: true });
-      }
+      await redirectToDashboard(result?.user);
     } catch (error) {
       console.error('[Login] MFA verification error:', error);
       if (!error.response) {
@@ -156,10 +231,29 @@ const Login = () => {
     }
   };
 
+  const handleWebAuthnVerify = async () => {
+    setLoading(true);
+
+    try {
+      const result = await verifyWebAuthn();
+      await redirectToDashboard(result?.user);
+    } catch (error) {
+      // verifyWebAuthn already reported the failure
+      console.error('[Login] WebAuthn verification error:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   console.log('[Login] Render - requiresMFA:', requiresMFA);
 
   if (requiresMFA) {
     console.log('[Login] Showing MFA form');
+    const hasTOTP = mfaMethods.includes('totp');
+    const hasWebAuthn = mfaMethods.includes('webauthn');
+    // Unusual sign-in for an account without MFA - a code was emailed
+    const hasEmailCode = mfaMethods.includes('email');
+
     return (
       <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100">
         <div className="max-w-md w-full space-y-8 p-10 bg-white rounded-xl shadow-2xl">
@@ -169,36 +263,78 @@ const Login = () => {
               Two-Factor Authentication
             </h2>
             <p className="mt-2 text-sm text-gray-600">
-              Enter the code from your authenticator app
+              {hasEmailCode
+                ? 'This sign-in looks unusual. Enter the 6-digit code we sent to your email'
+                : !hasTOTP
+                ? 'Use your security key or passkey to continue'
+                : useBackupCode
+                  ? 'Enter one of your backup codes'
+                  : 'Enter the code from your authenticator app'}
             </p>
           </div>
 
-          <form className="mt-8 space-y-6" onSubmit={handleMFAVerify}>
-            <div>
-              <label htmlFor="mfaCode" className="sr-only">
-                MFA Code
-              </label>
-              <input
-                id="mfaCode"
-                name="mfaCode"
-                type="text"
-                required
-                maxLength="6"
-                className="appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-lg focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 focus:z-10 sm:text-sm"
-                placeholder="Enter 6-digit code"
-                value={formData.mfaCode}
-                onChange={handleChange}
-              />
+          {hasWebAuthn && (
+            <div className="mt-8 space-y-4">
+              <button
+                type="button"
+                onClick={handleWebAuthnVerify}
+                disabled={loading}
+                className="w-full flex justify-center items-center py-2 px-4 border border-indigo-600 text-sm font-medium rounded-lg text-indigo-600 bg-white hover:bg-indigo-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <KeyRound className="h-5 w-5 mr-2" />
+                Use security key or passkey
+              </button>
+              {hasTOTP && (
+                <div className="flex items-center">
+                  <div className="flex-grow border-t border-gray-200" />
+                  <span className="mx-3 text-xs text-gray-500">or</span>
+                  <div className="flex-grow border-t border-gray-200" />
+                </div>
+              )}
             </div>
+          )}
 
-            <button
-              type="submit"
-              disabled={loading || formData.mfaCode.length !== 6}
-              className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-lg text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed"
-            >
-              {loading ? 'Verifying...' : 'Verify'}
-            </button>
-          </form>
+          {(hasTOTP || hasEmailCode) && (
+            <form className="mt-8 space-y-6" onSubmit={handleMFAVerify}>
+              <div>
+                <label htmlFor="mfaCode" className="sr-only">
+                  MFA Code
+                </label>
+                <input
+                  id="mfaCode"
+                  name="mfaCode"
+                  type="text"
+                  required
+                  maxLength={useBackupCode ? 9 : 6}
+                  className="appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-lg focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 focus:z-10 sm:text-sm"
+                  placeholder={useBackupCode ? 'XXXX-XXXX' : 'Enter 6-digit code'}
+                  value={formData.mfaCode}
+                  onChange={handleChange}
+                />
+              </div>
+
+              <button
+                type="submit"
+                disabled={loading || formData.mfaCode.length < (useBackupCode ? 8 : 6)}
+                className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-lg text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? 'Verifying...' : 'Verify'}
+              </button>
+
+              {hasTOTP && (
+                <button
+                  type="button"
+                  onClick={() => {
+                    setUseBackupCode(!useBackupCode);
+                    setFormData({ ...formData, mfaCode: '' });
+                  }}
+                  className="w-full text-sm text-indigo-600 hover:text-indigo-800"
+                >
+                  {useBackupCode ? 'Use authenticator app instead' : 'Use a backup code'}
+                </button>
+              )}
+            </form>
+          )}
         </div>
       </div>
     );
@@ -273,10 +409,14 @@ const Login = () => {
             </div>
           </div>
 
+          {captchaRequired && (
+            <CaptchaWidget key={captchaKey} onVerify={setCaptchaToken} />
+          )}
+
           <div>
             <button
               type="submit"
-              disabled={loading}
+              disabled={loading || (captchaRequired && !captchaToken)}
               className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-lg text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
             >
               {loading ? 'Signing in...' : 'Sign in'}
@@ -293,6 +433,13 @@ const Login = () => {
               >
                 Don't have an account? Register
               </button>
+              <button
+                type="button"
+                onClick={() => navigate('/forgot-password')}
+                className="font-medium text-indigo-600 hover:text-indigo-500 transition-colors"
+              >
+                Forgot password?
+              </button>
             </div>
             
             <div className="relative">
@@ -312,6 +459,34 @@ const Login = () => {
               <Shield className="h-4 w-4 mr-2" />
               Hospital Network Portal
             </button>
+
+            {ssoProviders.length > 0 && (
+              <div className="flex space-x-2">
+                {ssoProviders.length > 1 && (
+                  <select
+                    value={ssoHospitalId}
+                    onChange={(e) => setSsoHospitalId(e.target.value)}
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-900 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                  >
+                    <option value="">Select your hospital</option>
+                    {ssoProviders.map((provider) => (
+                      <option key={provider.hospitalId} value={provider.hospitalId}>
+                        {provider.name}
+                      </option>
+                    ))}
+                  </select>
+                )}
+                <button
+                  type="button"
+                  onClick={handleSSOLogin}
+                  disabled={!ssoHospitalId}
+                  className="flex-1 flex justify-center items-center py-2 px-4 border border-gray-300 text-sm font-medium rounded-lg text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  <Building2 className="h-4 w-4 mr-2" />
+                  {ssoProviders.length === 1 ? `Sign in with ${ssoProviders[0].name}` : 'Sign in with hospital SSO'}
+                </button>
+              </div>
+            )}
           </div>
 
           <div className="text-center">
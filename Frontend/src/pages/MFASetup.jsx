@@ -1,11 +1,13 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
-import { Shield, Copy, Check, AlertTriangle, ArrowLeft } from 'lucide-react';
+import { Shield, Copy, Check, AlertTriangle, ArrowLeft, RefreshCw } from 'lucide-react';
+import { authAPI } from '../services/api';
+import WebAuthnCredentials from '../components/WebAuthnCredentials';
 import { toast } from 'react-toastify';
 import { useNavigate } from 'react-router-dom';
 
 const MFASetup = () => {
-  const { setupMFA, enableMFA, user } = useAuth();
+  const { setupMFA, enableMFA, refreshUser, user } = useAuth();
   const navigate = useNavigate();
   const [step, setStep] = useState(1);
   const [qrCode, setQrCode] = useState('');
@@ -14,6 +16,9 @@ const MFASetup = () => {
   const [verificationCode, setVerificationCode] = useState('');
   const [copiedCode, setCopiedCode] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [regenPassword, setRegenPassword] = useState('');
+  const [regenCode, setRegenCode] = useState('');
+  const [codesRemaining, setCodesRemaining] = useState(user?.mfaBackupCodesRemaining);
 
   useEffect(() => {
     if (!user?.mfaEnabled) {
@@ -57,6 +62,24 @@ const MFASetup = () => {
     }
   };
 
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    try {
+      setLoading(true);
+      const response = await authAPI.regenerateBackupCodes(regenPassword, regenCode);
+      const codes = response.data.data.backupCodes;
+      setBackupCodes(codes);
+      setCodesRemaining(codes.length);
+      setRegenPassword('');
+      setRegenCode('');
+      toast.success('New backup codes generated. Previous codes no longer work.');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to regenerate backup codes');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const copyToClipboard = (code, index) => {
     navigator.clipboard.writeText(code);
     setCopiedCode(index);
@@ -84,7 +107,7 @@ const MFASetup = () => {
 
   if (user?.mfaEnabled) {
     return (
-      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+      <div className="min-h-screen flex flex-col items-center justify-center bg-gray-50 py-12 px-4 space-y-8">
         <div className="max-w-md w-full bg-white rounded-xl shadow-lg p-8 text-center">
           <Shield className="mx-auto h-16 w-16 text-green-600 mb-4" />
           <h2 className="text-2xl font-bold text-gray-900 mb-2">
@@ -93,6 +116,80 @@ const MFASetup = () => {
           <p className="text-gray-600 mb-6">
             Two-factor authentication is active on your account.
           </p>
+
+          <div className="text-left border-t border-gray-200 pt-6 mb-6">
+            <h3 className="font-semibold text-gray-900 mb-1">Backup Codes</h3>
+            {codesRemaining !== undefined && (
+              <p className={`text-sm mb-3 ${codesRemaining <= 2 ? 'text-red-600' : 'text-gray-600'}`}>
+                {codesRemaining} unused backup code{codesRemaining === 1 ? '' : 's'} remaining
+              </p>
+            )}
+
+            {backupCodes.length > 0 ? (
+              <div className="bg-gray-50 rounded-lg p-4">
+                <div className="flex justify-between items-center mb-3">
+                  <p className="text-sm text-yellow-800">Save these codes now. They will not be shown again.</p>
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={copyAllCodes}
+                      className="text-indigo-600 hover:text-indigo-800 text-sm font-medium flex items-center"
+                    >
+                      <Copy className="w-4 h-4 mr-1" />
+                      Copy
+                    </button>
+                    <button
+                      onClick={downloadBackupCodes}
+                      className="text-green-600 hover:text-green-800 text-sm font-medium"
+                    >
+                      Download
+                    </button>
+                  </div>
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                  {backupCodes.map((code, index) => (
+                    <code
+                      key={index}
+                      className="text-sm font-mono text-gray-800 bg-white border border-gray-300 rounded p-2 text-center"
+                    >
+                      {code}
+                    </code>
+                  ))}
+                </div>
+              </div>
+            ) : (
+              <form onSubmit={handleRegenerate} className="space-y-3">
+                <p className="text-sm text-gray-600">
+                  Generating new codes invalidates all existing backup codes.
+                </p>
+                <input
+                  type="password"
+                  placeholder="Current password"
+                  value={regenPassword}
+                  onChange={(e) => setRegenPassword(e.target.value)}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:border-indigo-500 focus:outline-none"
+                  required
+                />
+                <input
+                  type="text"
+                  maxLength="6"
+                  placeholder="6-digit authenticator code"
+                  value={regenCode}
+                  onChange={(e) => setRegenCode(e.target.value.replace(/\D/g, ''))}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:border-indigo-500 focus:outline-none"
+                  required
+                />
+                <button
+                  type="submit"
+                  disabled={loading || !regenPassword || regenCode.length !== 6}
+                  className="w-full flex items-center justify-center bg-white border border-indigo-600 text-indigo-600 py-2 rounded-lg font-medium hover:bg-indigo-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <RefreshCw className="w-4 h-4 mr-2" />
+                  {loading ? 'Generating...' : 'Generate New Backup Codes'}
+                </button>
+              </form>
+            )}
+          </div>
+
           <button
             onClick={() => navigate(-1)}
             className="px-6 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700"
@@ -100,6 +197,10 @@ const MFASetup = () => {
             Go Back
           </button>
         </div>
+
+        <div className="max-w-2xl w-full">
+          <WebAuthnCredentials onChange={refreshUser} />
+        </div>
       </div>
     );
   }
@@ -117,6 +218,16 @@ const MFASetup = () => {
               Back
             </button>
 
+            {user?.mustEnrollMFA && (
+              <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-6 flex">
+                <AlertTriangle className="h-5 w-5 text-yellow-600 mr-2 shrink-0 mt-0.5" />
+                <p className="text-sm text-yellow-800">
+                  Your organization requires two-factor authentication for your role. Set up an
+                  authenticator app or a security key below to continue.
+                </p>
+              </div>
+            )}
+
             <div className="text-center mb-8">
               <Shield className="mx-auto h-16 w-16 text-indigo-600 mb-4" />
               <h2 className="text-3xl font-bold text-gray-900 mb-2">
@@ -306,6 +417,10 @@ const MFASetup = () => {
             </button>
           </div>
         )}
+
+        <div className="mt-8">
+          <WebAuthnCredentials onChange={refreshUser} />
+        </div>
       </div>
     </div>
   );
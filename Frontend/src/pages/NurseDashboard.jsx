@@ -15,10 +15,14 @@ import {
   Thermometer,
   Pill,
   FileWarning,
-  Shield
+  Shield,
+  KeyRound
 } from 'lucide-react';
 import { toast } from 'react-toastify';
 import BreakGlassAccess from '../components/BreakGlassAccess';
+import SessionsPanel from '../components/SessionsPanel';
+import DelegationPanel from '../components/DelegationPanel';
+import CosignInbox from '../components/CosignInbox';
 
 const NurseDashboard = () => {
   const { user, logout } = useAuth();
@@ -33,6 +37,8 @@ const NurseDashboard = () => {
   const [selectedPatient, setSelectedPatient] = useState(null);
   const [patientEHRs, setPatientEHRs] = useState([]);
   const [ehrLoading, setEhrLoading] = useState(false);
+  // Bumped after each new note so the co-signature list reloads
+  const [cosignInboxKey, setCosignInboxKey] = useState(0);
   const [showBreakGlass, setShowBreakGlass] = useState(false);
   const [breakGlassPatientId, setBreakGlassPatientId] = useState(null);
   const [showEmergencyLookup, setShowEmergencyLookup] = useState(false);
@@ -164,6 +170,7 @@ const NurseDashboard = () => {
       console.log('Nurse Recording Vitals:', ehrData);
       await ehrAPI.create(ehrData);
       toast.success('Vital signs recorded successfully!');
+      setCosignInboxKey((key) => key + 1);
       setShowVitalsModal(false);
       setVitalsForm({
         temperature: '',
@@ -346,6 +353,7 @@ const NurseDashboard = () => {
       console.log('Nurse Administering Medication:', ehrData);
       await ehrAPI.create(ehrData);
       toast.success('Medication administered successfully!');
+      setCosignInboxKey((key) => key + 1);
       setShowMedsModal(false);
       setMedsForm({
         medicationName: '',
@@ -385,6 +393,7 @@ const NurseDashboard = () => {
       console.log('Nurse Adding Notes:', ehrData);
       await ehrAPI.create(ehrData);
       toast.success('Notes added successfully!');
+      setCosignInboxKey((key) => key + 1);
       setShowNotesModal(false);
       setNotesForm({
         type: 'nursing_notes',
@@ -427,6 +436,14 @@ const NurseDashboard = () => {
                 <p className="text-xs text-gray-500">{user?.role} • {user?.attributes?.department}</p>
                 {user?.mfaEnabled && <p className="text-xs text-green-600 flex items-center justify-end"><Shield className="h-3 w-3 mr-1" />MFA Enabled</p>}
               </div>
+              <button
+                onClick={() => navigate('/change-password')}
+                className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 transition flex items-center space-x-2"
+                title="Change your password"
+              >
+                <KeyRound className="h-4 w-4" />
+                <span>Change Password</span>
+              </button>
               <button
                 onClick={() => navigate('/mfa-setup')}
                 className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 transition flex items-center space-x-2"
@@ -785,6 +802,21 @@ const NurseDashboard = () => {
             </table>
           </div>
         </div>
+
+        {/* My notes awaiting the attending physician's co-signature */}
+        <div className="mt-8">
+          <CosignInbox key={cosignInboxKey} box="authored" />
+        </div>
+
+        {/* Delegations */}
+        <div className="mt-8">
+          <DelegationPanel onChange={fetchPatients} />
+        </div>
+
+        {/* Active Sessions */}
+        <div className="mt-8">
+          <SessionsPanel title="My Active Sessions" />
+        </div>
       </main>
 
       {/* Record Vitals Modal */}
@@ -15,9 +15,13 @@ import {
   Shield,
   X,
   Thermometer,
-  ClipboardList
+  ClipboardList,
+  KeyRound
 } from 'lucide-react';
 import { toast } from 'react-toastify';
+import SessionsPanel from '../components/SessionsPanel';
+import ConsentDirectivesPanel from '../components/ConsentDirectivesPanel';
+import AmendmentHistory from '../components/AmendmentHistory';
 
 const PatientDashboard = () => {
   const { user, logout } = useAuth();
@@ -171,6 +175,14 @@ Attending Provider: ${record.attendingPhysician || 'N/A'}
                   </p>
                 )}
               </div>
+              <button
+                onClick={() => navigate('/change-password')}
+                className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 transition flex items-center space-x-2"
+                title="Change your password"
+              >
+                <KeyRound className="h-4 w-4" />
+                <span>Change Password</span>
+              </button>
               <button
                 onClick={() => navigate('/mfa-setup')}
                 className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 transition flex items-center space-x-2"
@@ -369,6 +381,16 @@ Attending Provider: ${record.attendingPhysician || 'N/A'}
             )}
           </div>
         </div>
+
+        {/* Consent Directive */}
+        <div className="mt-8">
+          <ConsentDirectivesPanel />
+        </div>
+
+        {/* Active Sessions */}
+        <div className="mt-8">
+          <SessionsPanel title="My Active Sessions" />
+        </div>
       </main>
 
       {/* Detail Modal */}
@@ -518,6 +540,17 @@ Attending Provider: ${record.attendingPhysician || 'N/A'}
                   </p>
                 </div>
               )}
+
+              {/* Amendments */}
+              {selectedRecord.amendmentHistory?.length > 0 && (
+                <div>
+                  <h4 className="text-sm font-semibold text-gray-900 mb-2">Amendments</h4>
+                  <p className="text-xs text-gray-500 mb-3">
+                    Changes made after this record was written. Corrected text is shown struck through above its correction.
+                  </p>
+                  <AmendmentHistory amendments={selectedRecord.amendmentHistory} />
+                </div>
+              )}
             </div>
 
             <div className="mt-6 flex justify-end space-x-3">
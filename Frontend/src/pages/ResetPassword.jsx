@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { Shield, Lock, ArrowLeft } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { authAPI } from '../services/api';
+
+const ResetPassword = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (newPassword !== confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await authAPI.resetPassword(token, newPassword);
+      toast.success(response.data.message);
+      navigate('/login', { replace: true });
+    } catch (error) {
+      console.error('Reset password error:', error);
+      toast.error(error.response?.data?.message || 'Could not reset password');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100">
+      <div className="max-w-md w-full space-y-8 p-10 bg-white rounded-xl shadow-2xl">
+        <div className="text-center">
+          <Shield className="mx-auto h-16 w-16 text-indigo-600" />
+          <h2 className="mt-6 text-3xl font-bold text-gray-900">
+            Choose a New Password
+          </h2>
+        </div>
+
+        {!token ? (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-800">
+            This password reset link is invalid. Please request a new one.
+          </div>
+        ) : (
+          <form className="mt-8 space-y-4" onSubmit={handleSubmit}>
+            <div className="relative">
+              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                <Lock className="h-5 w-5 text-gray-400" />
+              </div>
+              <input
+                type="password"
+                required
+                minLength="8"
+                className="appearance-none relative block w-full pl-10 px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-lg focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                placeholder="New password"
+                value={newPassword}
+                onChange={(e) => setNewPassword(e.target.value)}
+              />
+            </div>
+            <div className="relative">
+              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                <Lock className="h-5 w-5 text-gray-400" />
+              </div>
+              <input
+                type="password"
+                required
+                minLength="8"
+                className="appearance-none relative block w-full pl-10 px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-lg focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                placeholder="Confirm new password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-lg text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              {loading ? 'Resetting...' : 'Reset Password'}
+            </button>
+          </form>
+        )}
+
+        <button
+          type="button"
+          onClick={() => navigate(token ? '/login' : '/forgot-password')}
+          className="flex items-center justify-center w-full text-sm font-medium text-indigo-600 hover:text-indigo-500"
+        >
+          <ArrowLeft className="h-4 w-4 mr-1" />
+          {token ? 'Back to sign in' : 'Request a new link'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,64 @@
+import React, { useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Shield } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+
+const DASHBOARDS = {
+  admin: '/admin/dashboard',
+  doctor: '/doctor/dashboard',
+  nurse: '/nurse/dashboard',
+  staff: '/nurse/dashboard',
+  patient: '/patient/dashboard'
+};
+
+/**
+ * Landing page after the hospital's identity provider.
+ * The backend puts a one-time code in the URL fragment (never sent to a server),
+ * which is exchanged here for regular tokens.
+ */
+const SSOCallback = () => {
+  const navigate = useNavigate();
+  const { ssoLogin } = useAuth();
+  // The code is single use; do not exchange it twice (e.g. effects run twice in development)
+  const exchanged = useRef(false);
+
+  useEffect(() => {
+    if (exchanged.current) {
+      return;
+    }
+    exchanged.current = true;
+
+    const code = new URLSearchParams(window.location.hash.slice(1)).get('code');
+    // Drop the code from the address bar and history
+    window.history.replaceState(null, '', window.location.pathname);
+
+    if (!code) {
+      navigate('/login?ssoError=invalid_state', { replace: true });
+      return;
+    }
+
+    ssoLogin(code)
+      .then((result) => {
+        if (result.requiresMFA) {
+          // The second factor is entered on the login page
+          navigate('/login', { replace: true, state: { continueMFA: true } });
+        } else if (result.user?.mustChangePassword) {
+          navigate('/change-password', { replace: true });
+        } else {
+          navigate(DASHBOARDS[result.user?.role] || '/dashboard', { replace: true });
+        }
+      })
+      .catch(() => navigate('/login', { replace: true }));
+  }, [navigate, ssoLogin]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100">
+      <div className="text-center">
+        <Shield className="mx-auto h-16 w-16 text-indigo-600 animate-pulse" />
+        <p className="mt-4 text-sm text-gray-600">Completing hospital sign-in...</p>
+      </div>
+    </div>
+  );
+};
+
+export default SSOCallback;
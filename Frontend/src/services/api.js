@@ -8,6 +8,8 @@ const api = axios.create({
   baseURL: API_BASE_URL,
   headers: {
     'Content-Type': 'application/json',
+    // Purpose of use checked against patient consent; override per request where it differs
+    'X-Purpose-Of-Use': 'treatment',
   },
   withCredentials: true,
 });
@@ -26,6 +28,46 @@ api.interceptors.request.use(
   }
 );
 
+// Clear stored credentials and send the user back to the login page
+const clearSessionAndRedirect = () => {
+  localStorage.removeItem('accessToken');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  window.location.href = '/login';
+};
+
+// Requests answering 401 for reasons a token refresh cannot fix
+const AUTH_ENDPOINTS = [
+  '/auth/login',
+  '/auth/verify-mfa',
+  '/auth/refresh',
+  '/auth/webauthn/login',
+  '/auth/forgot-password',
+  '/auth/reset-password',
+  '/auth/password-policy',
+  '/auth/sso'
+];
+
+// Single in-flight refresh shared by every request that fails meanwhile,
+// so a rotated refresh token is never sent twice
+let refreshPromise = null;
+
+const refreshTokens = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+
+  // Bare axios call so the refresh request skips these interceptors
+  const response = await axios.post(
+    `${API_BASE_URL}/auth/refresh`,
+    { refreshToken },
+    { withCredentials: true }
+  );
+
+  const { accessToken, refreshToken: rotatedRefreshToken } = response.data.tokens;
+  localStorage.setItem('accessToken', accessToken);
+  localStorage.setItem('refreshToken', rotatedRefreshToken);
+  return accessToken;
+};
+
 // Response interceptor to handle errors
 api.interceptors.response.use(
   (response) => response,
@@ -39,31 +81,55 @@ api.interceptors.response.use(
       return Promise.reject(error);
     }
 
-    // Handle 401 errors (unauthorized)
-    if (error.response?.status === 401 && !originalRequest._retry) {
+    const isAuthEndpoint = AUTH_ENDPOINTS.some((endpoint) => originalRequest.url?.includes(endpoint));
+
+    // Handle 401 errors (unauthorized) - silently refresh and retry once
+    if (error.response?.status === 401 && !originalRequest._retry && !isAuthEndpoint) {
       originalRequest._retry = true;
 
-      try {
-        // Try to refresh token
-        const refreshToken = localStorage.getItem('refreshToken');
-        if (refreshToken) {
-          // Implement token refresh logic here if needed
-          // For now, redirect to login
-          localStorage.removeItem('accessToken');
-          localStorage.removeItem('refreshToken');
-          localStorage.removeItem('user');
-          window.location.href = '/login';
+      if (localStorage.getItem('refreshToken')) {
+        try {
+          if (!refreshPromise) {
+            refreshPromise = refreshTokens().finally(() => {
+              refreshPromise = null;
+            });
+          }
+
+          const accessToken = await refreshPromise;
+          originalRequest.headers.Authorization = `Bearer ${accessToken}`;
+          return api(originalRequest);
+        } catch (refreshError) {
+          // Refresh failed (expired, revoked or reused), redirect to login
+          clearSessionAndRedirect();
+          return Promise.reject(refreshError);
         }
-      } catch (refreshError) {
-        // Refresh failed, redirect to login
-        localStorage.removeItem('accessToken');
-        localStorage.removeItem('refreshToken');
-        localStorage.removeItem('user');
-        window.location.href = '/login';
-        return Promise.reject(refreshError);
       }
     }
 
+    // The password has expired - it must be changed before anything else
+    if (error.response?.status === 403 && error.response.data?.mustChangePassword) {
+      const storedUser = JSON.parse(localStorage.getItem('user') || 'null');
+      if (storedUser) {
+        localStorage.setItem('user', JSON.stringify({ ...storedUser, mustChangePassword: true }));
+      }
+      if (window.location.pathname !== '/change-password') {
+        window.location.href = '/change-password';
+      }
+      return Promise.reject(error);
+    }
+
+    // MFA is required for this role and the grace period is over - go enroll
+    if (error.response?.status === 403 && error.response.data?.mustEnrollMFA) {
+      const storedUser = JSON.parse(localStorage.getItem('user') || 'null');
+      if (storedUser) {
+        localStorage.setItem('user', JSON.stringify({ ...storedUser, mustEnrollMFA: true }));
+      }
+      if (window.location.pathname !== '/mfa-setup') {
+        window.location.href = '/mfa-setup';
+      }
+      return Promise.reject(error);
+    }
+
     // Don't show automatic toast - let components handle error messages
     return Promise.reject(error);
   }
@@ -79,6 +145,31 @@ export const authAPI = {
   setupMFA: () => api.post('/auth/setup-mfa'),
   enableMFA: (code) => api.post('/auth/enable-mfa', { code }),
   disableMFA: (password, code) => api.post('/auth/disable-mfa', { password, code }),
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  resetPassword: (token, newPassword) => api.post('/auth/reset-password', { token, newPassword }),
+  changePassword: (currentPassword, newPassword) =>
+    api.put('/auth/change-password', { currentPassword, newPassword }),
+  getPasswordPolicy: () => api.get('/auth/password-policy'),
+  regenerateBackupCodes: (password, code) =>
+    api.post('/auth/mfa/backup-codes/regenerate', { password, code }),
+  // WebAuthn (security keys / passkeys)
+  webauthnRegisterOptions: () => api.post('/auth/webauthn/register/options'),
+  webauthnRegisterVerify: (response, name) =>
+    api.post('/auth/webauthn/register/verify', { response, name }),
+  getWebAuthnCredentials: () => api.get('/auth/webauthn/credentials'),
+  renameWebAuthnCredential: (id, name) => api.patch(`/auth/webauthn/credentials/${id}`, { name }),
+  deleteWebAuthnCredential: (id, password) =>
+    api.delete(`/auth/webauthn/credentials/${id}`, { data: { password } }),
+  webauthnLoginOptions: (mfaToken) => api.post('/auth/webauthn/login/options', { mfaToken }),
+  webauthnLoginVerify: (mfaToken, response) =>
+    api.post('/auth/webauthn/login/verify', { mfaToken, response }),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (id) => api.delete(`/auth/sessions/${id}`),
+  // Hospital single sign-on
+  getSSOProviders: () => api.get('/auth/sso/providers'),
+  ssoExchange: (code) => api.post('/auth/sso/exchange', { code }),
+  // Full-page navigation to the hospital's identity provider, not an XHR
+  getSSOLoginUrl: (hospitalId) => `${API_BASE_URL}/auth/sso/${encodeURIComponent(hospitalId)}/authorize`,
 };
 
 // Patient APIs
@@ -94,9 +185,11 @@ export const patientAPI = {
   update: (id, data) => api.put(`/patients/${id}`, data),
   delete: (id) => api.delete(`/patients/${id}`),
   assignProvider: (id, data) => api.post(`/patients/${id}/assign`, data),
-  updateConsent: (id, consent) => api.put(`/patients/${id}/consent`, { consent }),
+  getConsent: (id) => api.get(`/patients/${id}/consent`),
+  updateConsent: (id, consent, changeNote) => api.put(`/patients/${id}/consent`, { consent, changeNote }),
   createPortalAccount: (id) => api.post(`/patients/${id}/create-portal-account`),
   resetPortalPassword: (id) => api.post(`/patients/${id}/reset-portal-password`),
+  exportRecord: (id, recipient) => api.get(`/patients/${id}/export`, { params: { recipient } }),
 };
 
 // EHR APIs
@@ -113,6 +206,14 @@ export const ehrAPI = {
   update: (id, data) => api.put(`/ehr/${id}`, data),
   amend: (id, data) => api.post(`/ehr/${id}/amend`, data),
   sign: (id) => api.post(`/ehr/${id}/sign`),
+  verify: (id) => api.get(`/ehr/${id}/verify`),
+  getVersions: (id) => api.get(`/ehr/${id}/versions`),
+  getVersion: (id, version) => api.get(`/ehr/${id}/versions/${version}`),
+  diffVersions: (id, from, to) => api.get(`/ehr/${id}/versions/diff`, { params: { from, to } }),
+  getCosignInbox: (box) => api.get('/ehr/cosign-inbox', { params: { box } }),
+  cosign: (id) => api.post(`/ehr/${id}/cosign`),
+  returnForRevision: (id, comments) => api.post(`/ehr/${id}/return`, { comments }),
+  resubmit: (id, comments) => api.post(`/ehr/${id}/resubmit`, { comments }),
   delete: (id) => api.delete(`/ehr/${id}`),
 };
 
@@ -133,7 +234,28 @@ export const adminAPI = {
   deleteUser: (id) => api.delete(`/admin/users/${id}`),
   unlockUser: (id) => api.post(`/admin/users/${id}/unlock`),
   suspendUser: (id, data) => api.post(`/admin/users/${id}/suspend`, data),
+  forceLogout: (id) => api.post(`/admin/users/${id}/logout-all`),
+  getUserSessions: (id, params) => api.get(`/admin/users/${id}/sessions`, { params }),
+  revokeUserSession: (id, sessionId) => api.delete(`/admin/users/${id}/sessions/${sessionId}`),
   getSystemStats: () => api.get('/admin/stats'),
+  getSecurityPolicy: () => api.get('/admin/security-policy'),
+  updateSecurityPolicy: (data) => api.put('/admin/security-policy', data),
+  getPermissionCatalog: () => api.get('/admin/permissions'),
+  getRoles: (params) => api.get('/admin/roles', { params }),
+  createRole: (data) => api.post('/admin/roles', data),
+  updateRole: (id, data) => api.put(`/admin/roles/${id}`, data),
+  deleteRole: (id) => api.delete(`/admin/roles/${id}`),
+  getUserPermissions: (id) => api.get(`/admin/users/${id}/permissions`),
+  updateUserPermissions: (id, data) => api.put(`/admin/users/${id}/permissions`, data),
+  getAccessPolicies: () => api.get('/admin/access-policies'),
+  getActiveAccessPolicy: () => api.get('/admin/access-policies/active'),
+  getAccessPolicy: (version) => api.get(`/admin/access-policies/${version}`),
+  createAccessPolicy: (data) => api.post('/admin/access-policies', data),
+  activateAccessPolicy: (version) => api.post(`/admin/access-policies/${version}/activate`),
+  explainAccessDecision: (data) => api.post('/admin/access-policies/explain', data),
+  getScimTokens: () => api.get('/admin/scim-tokens'),
+  createScimToken: (data) => api.post('/admin/scim-tokens', data),
+  revokeScimToken: (id) => api.delete(`/admin/scim-tokens/${id}`),
 };
 
 // Hospital Network APIs
@@ -146,15 +268,32 @@ export const hospitalAPI = {
   updateStatus: (id, status) => api.put(`/hospitals/${id}/status`, { status }),
   syncStats: (id) => api.post(`/hospitals/${id}/sync`),
   testConnection: (id) => api.post(`/hospitals/${id}/test-connection`),
+  updateSSO: (id, settings) => api.put(`/hospitals/${id}/sso`, settings),
   getNetworkStats: () => api.get('/hospitals/stats/network'),
 };
 
+// Break-glass review APIs
+export const breakGlassAPI = {
+  getReviews: (params) => api.get('/break-glass/reviews', { params }),
+  closeReview: (id, data) => api.put(`/break-glass/reviews/${id}/close`, data),
+};
+
+// Delegation APIs
+export const delegationAPI = {
+  getAll: (params) => api.get('/delegations', { params }),
+  getOptions: () => api.get('/delegations/options'),
+  create: (data) => api.post('/delegations', data),
+  revoke: (id, reason) => api.put(`/delegations/${id}/revoke`, { reason }),
+};
+
 // Patient Portal APIs
 export const patientPortalAPI = {
   getMyProfile: () => api.get('/patient-portal/profile'),
   getMyEHRRecords: () => api.get('/patient-portal/ehr'),
   getMyEHRRecord: (id) => api.get(`/patient-portal/ehr/${id}`),
   updateMyContact: (data) => api.put('/patient-portal/contact', data),
+  getMyConsent: () => api.get('/patient-portal/consent'),
+  updateMyConsent: (data) => api.put('/patient-portal/consent', data),
 };
 
 export default api;